@@ -0,0 +1,362 @@
+const db = require('../../database/init');
+const { runInTransaction } = require('../../database/transaction');
+const { orderEvents, changeOrderStatus } = require('../services/orderStatus');
+const mockProvider = require('./providers/mock');
+const { httpError } = require('../services/errors');
+const { roundMoney } = require('../services/money');
+
+// Payment providers implement:
+//   name
+//   createIntent({ amount, currency, metadata })        -> { id, status }
+//   confirmIntent(intentId, { paymentMethod })           -> { status: 'succeeded' | 'failed' | 'processing', failureReason }
+//   refund(intentId, amount)                             -> { id, status }
+//   cancelIntent(intentId)                               -> { status } (optional, for intents never confirmed)
+//   parseWebhook(req)                                    -> { intentId, status, failureReason } or null to ignore
+// Pick one with the PAYMENT_PROVIDER environment variable (defaults to the built-in mock gateway).
+const providers = {
+    [mockProvider.name]: mockProvider
+};
+
+const CURRENCY = 'usd';
+
+// Minutes a buyer has to pay after checking out before the order is cancelled and its units go
+// back on sale. Set UNPAID_ORDER_MINUTES to change it.
+const UNPAID_ORDER_MINUTES = parseInt(process.env.UNPAID_ORDER_MINUTES) || 60;
+
+function registerProvider(provider) {
+    providers[provider.name] = provider;
+}
+
+function getProvider(name = process.env.PAYMENT_PROVIDER || 'mock') {
+    const provider = providers[name];
+    if (!provider) {
+        throw httpError(400, `Unknown payment provider: ${name}`);
+    }
+    return provider;
+}
+
+function dbRun(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) return reject(err);
+            resolve({ lastID: this.lastID, changes: this.changes });
+        });
+    });
+}
+
+function dbGet(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    });
+}
+
+function dbAll(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+}
+
+function changeOrderStatusAsync(options) {
+    return new Promise((resolve, reject) => {
+        changeOrderStatus(options, (err, result) => (err ? reject(err) : resolve(result)));
+    });
+}
+
+function getPayment(paymentId) {
+    return dbGet('SELECT * FROM payments WHERE id = ?', [paymentId]);
+}
+
+// What is left to charge for a buyer's order: the seller orders that are still going ahead
+// (or the whole order, for orders without seller orders)
+async function amountDue(order) {
+    const subOrders = await dbAll('SELECT status, total_amount FROM orders WHERE parent_order_id = ?', [order.id]);
+    const amount = subOrders.length > 0
+        ? subOrders.filter(sub => sub.status === 'pending').reduce((sum, sub) => sum + sub.total_amount, 0)
+        : order.total_amount;
+    return roundMoney(amount);
+}
+
+// Drop an intent that was never confirmed, e.g. because the amount it was made for is out of date.
+// It is claimed like a confirmation is, so it cannot be cancelled while it is being charged;
+// resolves with whether it was cancelled.
+async function cancelPayment(payment) {
+    const { changes } = await dbRun(`
+        UPDATE payments SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status IN ('requires_confirmation', 'failed')
+    `, [payment.id]);
+    if (changes === 0) return false;
+
+    const provider = getProvider(payment.provider);
+    if (provider.cancelIntent) {
+        await provider.cancelIntent(payment.provider_intent_id);
+    }
+    return true;
+}
+
+// Start paying for a buyer's order, reusing an unfinished intent if there is one for the amount
+// still due. Seller orders cancelled since then make it stale, so it is cancelled and replaced.
+async function createPaymentIntent(orderId, userId) {
+    const order = await dbGet(`
+        SELECT * FROM orders WHERE id = ? AND user_id = ? AND parent_order_id IS NULL
+    `, [orderId, userId]);
+
+    if (!order) {
+        throw httpError(404, 'Order not found');
+    }
+
+    if (order.status !== 'pending') {
+        throw httpError(400, 'This order is not awaiting payment');
+    }
+
+    const existing = await dbGet(`
+        SELECT * FROM payments WHERE order_id = ? ORDER BY id DESC LIMIT 1
+    `, [order.id]);
+
+    if (existing && existing.status === 'processing') {
+        throw httpError(409, 'A payment for this order is already being processed');
+    }
+
+    const amount = await amountDue(order);
+
+    if (existing && ['requires_confirmation', 'failed'].includes(existing.status)) {
+        if (existing.amount === amount) {
+            return existing;
+        }
+        await cancelPayment(existing);
+    }
+
+    if (amount <= 0) {
+        throw httpError(400, 'Nothing left to pay for this order');
+    }
+
+    const provider = getProvider();
+    const intent = await provider.createIntent({
+        amount,
+        currency: CURRENCY,
+        metadata: { orderId: order.id, orderNumber: order.order_number }
+    });
+
+    const { lastID } = await dbRun(`
+        INSERT INTO payments (order_id, user_id, provider, provider_intent_id, amount, currency, status)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [order.id, userId, provider.name, intent.id, amount, CURRENCY, intent.status]);
+
+    return getPayment(lastID);
+}
+
+// Confirm a payment with the chosen payment method. Failed payments can be retried.
+async function confirmPayment(paymentId, userId, paymentMethod) {
+    const payment = await dbGet('SELECT * FROM payments WHERE id = ? AND user_id = ?', [paymentId, userId]);
+
+    if (!payment) {
+        throw httpError(404, 'Payment not found');
+    }
+
+    if (!['requires_confirmation', 'failed'].includes(payment.status)) {
+        throw httpError(400, `Payment cannot be confirmed while ${payment.status}`);
+    }
+
+    const order = await dbGet('SELECT id, status, total_amount FROM orders WHERE id = ?', [payment.order_id]);
+    if (!order || order.status !== 'pending') {
+        throw httpError(400, 'This order is no longer awaiting payment');
+    }
+
+    // Never charge for seller orders cancelled after the intent was made
+    if (await amountDue(order) !== payment.amount) {
+        await cancelPayment(payment);
+        throw httpError(409, 'The order total has changed since this payment was started - please pay again');
+    }
+
+    // Claim the payment; of two confirmations sent at once only one gets to charge the buyer
+    const { changes } = await dbRun(`
+        UPDATE payments SET status = 'processing', failure_reason = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status IN ('requires_confirmation', 'failed')
+    `, [payment.id]);
+
+    if (changes === 0) {
+        throw httpError(409, 'This payment is already being processed');
+    }
+
+    let result;
+    try {
+        result = await getProvider(payment.provider).confirmIntent(payment.provider_intent_id, { paymentMethod });
+    } catch (err) {
+        console.error('Payment provider error:', err);
+        result = { status: 'failed', failureReason: 'The payment provider could not be reached' };
+    }
+
+    if (result.status !== 'processing') {
+        await applyPaymentResult(payment.provider_intent_id, result);
+    }
+
+    return getPayment(payment.id);
+}
+
+// Record the final outcome of a payment (from a confirmation or a webhook) and move the order on
+async function applyPaymentResult(intentId, { status, failureReason }) {
+    const payment = await dbGet('SELECT * FROM payments WHERE provider_intent_id = ?', [intentId]);
+
+    if (!payment) {
+        throw httpError(404, 'Payment not found');
+    }
+
+    // Webhooks can be delivered more than once - only settle a payment once
+    if (!['requires_confirmation', 'processing'].includes(payment.status)) {
+        return payment;
+    }
+
+    await dbRun(`
+        UPDATE payments SET status = ?, failure_reason = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `, [status, status === 'failed' ? (failureReason || 'Payment failed') : null, payment.id]);
+
+    if (status === 'succeeded') {
+        await confirmPaidOrder(payment.order_id);
+    }
+
+    return getPayment(payment.id);
+}
+
+async function confirmPaidOrder(orderId) {
+    const subOrders = await dbAll(`SELECT id FROM orders WHERE parent_order_id = ? AND status = 'pending'`, [orderId]);
+    const orderIds = subOrders.length > 0 ? subOrders.map(sub => sub.id) : [orderId];
+
+    for (const id of orderIds) {
+        try {
+            await changeOrderStatusAsync({ orderId: id, toStatus: 'confirmed', changedBy: null, note: 'Payment received' });
+        } catch (err) {
+            console.error(`Error confirming paid order ${id}:`, err.message);
+        }
+    }
+}
+
+// Cancel buyer orders still unpaid UNPAID_ORDER_MINUTES after checkout, e.g. after an abandoned or
+// declined payment, so their units go back on sale. Their unfinished intents are cancelled first,
+// so a late confirmation cannot charge for them; orders with a payment under way are left alone.
+// Resolves with the number of orders cancelled.
+async function expireUnpaidOrders() {
+    const orders = await dbAll(`
+        SELECT id FROM orders
+        WHERE parent_order_id IS NULL AND status = 'pending' AND created_at <= datetime('now', ?)
+    `, [`-${UNPAID_ORDER_MINUTES} minutes`]);
+
+    let cancelled = 0;
+    for (const order of orders) {
+        const unfinished = await dbAll(`
+            SELECT * FROM payments WHERE order_id = ? AND status IN ('requires_confirmation', 'failed')
+        `, [order.id]);
+        for (const payment of unfinished) {
+            await cancelPayment(payment);
+        }
+
+        const paying = await dbGet(`
+            SELECT id FROM payments WHERE order_id = ? AND status NOT IN ('requires_confirmation', 'failed', 'cancelled')
+        `, [order.id]);
+        if (paying) continue;
+
+        // Cancelling each seller order puts its units back in stock and rolls up to the buyer's order
+        const subOrders = await dbAll(`SELECT id FROM orders WHERE parent_order_id = ? AND status = 'pending'`, [order.id]);
+        const orderIds = subOrders.length > 0 ? subOrders.map(sub => sub.id) : [order.id];
+
+        for (const id of orderIds) {
+            try {
+                await changeOrderStatusAsync({ orderId: id, toStatus: 'cancelled', changedBy: null, note: 'Not paid in time' });
+            } catch (err) {
+                // Moved on by someone else in the meantime
+                if (err.status !== 409) throw err;
+            }
+        }
+        cancelled++;
+    }
+
+    return cancelled;
+}
+
+// Refund whatever was paid for an order (a seller sub-order or an order without sub-orders)
+async function refundOrder(orderId, reason, amount = null) {
+    // The refund is reserved before the provider is asked, so refunds running at once (say a
+    // cancellation and a return) each count what the others are giving back and never pay out twice
+    const reserved = await runInTransaction(async (tx) => {
+        const order = await tx.get('SELECT id, parent_order_id, total_amount FROM orders WHERE id = ?', [orderId]);
+        if (!order) return null;
+
+        const payment = await tx.get(`
+            SELECT * FROM payments
+            WHERE order_id = ? AND status IN ('succeeded', 'partially_refunded')
+            ORDER BY id DESC LIMIT 1
+        `, [order.parent_order_id || order.id]);
+
+        // Nothing was paid, so there is nothing to give back
+        if (!payment) return null;
+
+        const { orderRefunded, paymentRefunded } = await tx.get(`
+            SELECT COALESCE(SUM(CASE WHEN order_id = ? THEN amount END), 0) as orderRefunded,
+                   COALESCE(SUM(amount), 0) as paymentRefunded
+            FROM payment_refunds WHERE payment_id = ? AND status != 'failed'
+        `, [order.id, payment.id]);
+
+        const refundable = Math.min(order.total_amount - orderRefunded, payment.amount - paymentRefunded);
+        const refundAmount = roundMoney(Math.min(amount === null ? refundable : amount, refundable));
+        if (refundAmount <= 0) return null;
+
+        const { lastID: refundId } = await tx.run(`
+            INSERT INTO payment_refunds (payment_id, order_id, amount, reason, status)
+            VALUES (?, ?, ?, ?, 'pending')
+        `, [payment.id, order.id, refundAmount, reason || null]);
+
+        return { order, payment, refundId, refundAmount };
+    });
+    if (!reserved) return null;
+
+    const { order, payment, refundId, refundAmount } = reserved;
+
+    let refund;
+    try {
+        refund = await getProvider(payment.provider).refund(payment.provider_intent_id, refundAmount);
+    } catch (err) {
+        await dbRun(`UPDATE payment_refunds SET status = 'failed' WHERE id = ?`, [refundId]);
+        throw err;
+    }
+
+    await runInTransaction(async (tx) => {
+        await tx.run(`
+            UPDATE payment_refunds SET status = 'succeeded', provider_refund_id = ? WHERE id = ?
+        `, [refund.id, refundId]);
+
+        await tx.run(`
+            UPDATE payments
+            SET refunded_amount = ROUND(refunded_amount + ?, 2),
+                status = CASE WHEN ROUND(refunded_amount + ?, 2) >= amount THEN 'refunded' ELSE 'partially_refunded' END,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [refundAmount, refundAmount, payment.id]);
+
+        await tx.run(`
+            UPDATE orders SET refunded_amount = ROUND(COALESCE(refunded_amount, 0) + ?, 2), updated_at = CURRENT_TIMESTAMP
+            WHERE id IN (?, ?)
+        `, [refundAmount, order.id, order.parent_order_id]);
+    });
+
+    orderEvents.emit('refunded', { orderId: order.id, refundId, amount: refundAmount });
+
+    return { paymentId: payment.id, orderId: order.id, amount: refundAmount, providerRefundId: refund.id };
+}
+
+// Cancelling or refunding a paid order gives the buyer their money back
+orderEvents.on('statusChanged', ({ orderId, toStatus, note }) => {
+    if (!['cancelled', 'refunded'].includes(toStatus)) return;
+
+    refundOrder(orderId, note || `Order ${toStatus}`).catch(err => {
+        console.error(`Error refunding order ${orderId}:`, err);
+    });
+});
+
+module.exports = {
+    registerProvider,
+    getProvider,
+    createPaymentIntent,
+    confirmPayment,
+    applyPaymentResult,
+    expireUnpaidOrders,
+    refundOrder
+};
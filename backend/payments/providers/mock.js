@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const http = require('http');
+const { httpError } = require('../../services/errors');
+
+// Built-in payment gateway for local development and demos. It never moves real
+// money: the payment method decides the outcome, like a real gateway's test cards.
+const WEBHOOK_SECRET = process.env.MOCK_PAYMENT_WEBHOOK_SECRET || 'ecofinds_mock_webhook_secret';
+const WEBHOOK_DELAY_MS = parseInt(process.env.MOCK_PAYMENT_WEBHOOK_DELAY_MS) || 5000;
+
+const TEST_PAYMENT_METHODS = {
+    pm_card_success: { label: 'Test card - payment succeeds', outcome: 'succeeded', card: '4242 4242 4242 4242' },
+    pm_card_declined: { label: 'Test card - card is declined', outcome: 'failed', card: '4000 0000 0000 0002' },
+    pm_card_delayed: { label: 'Test card - succeeds after a delay (webhook)', outcome: 'delayed_success', card: '4000 0000 0000 3220' },
+    pm_card_delayed_declined: { label: 'Test card - declined after a delay (webhook)', outcome: 'delayed_failure', card: '4000 0000 0000 9995' }
+};
+
+function generateId(prefix) {
+    return `${prefix}_mock_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+function sign(body) {
+    return crypto.createHmac('sha256', WEBHOOK_SECRET).update(body).digest('hex');
+}
+
+// Deliver a webhook to our own server, the same way a hosted gateway would
+function sendWebhook(event) {
+    const body = JSON.stringify(event);
+    const port = process.env.PORT || 3000;
+    const url = new URL(process.env.MOCK_PAYMENT_WEBHOOK_URL || `http://localhost:${port}/api/payments/webhook/mock`);
+
+    const req = http.request({
+        hostname: url.hostname,
+        port: url.port,
+        path: url.pathname,
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(body),
+            'X-Mock-Signature': sign(body)
+        }
+    }, (res) => {
+        res.resume();
+        if (res.statusCode >= 400) {
+            console.error(`Mock payment webhook rejected with status ${res.statusCode}`);
+        }
+    });
+
+    req.on('error', (err) => console.error('Error delivering mock payment webhook:', err.message));
+    req.end(body);
+}
+
+const mockProvider = {
+    name: 'mock',
+
+    testPaymentMethods() {
+        return Object.entries(TEST_PAYMENT_METHODS).map(([id, method]) => ({
+            id,
+            label: method.label,
+            card: method.card
+        }));
+    },
+
+    async createIntent({ amount, currency }) {
+        return {
+            id: generateId('pi'),
+            amount,
+            currency,
+            status: 'requires_confirmation'
+        };
+    },
+
+    async confirmIntent(intentId, { paymentMethod }) {
+        const method = TEST_PAYMENT_METHODS[paymentMethod || 'pm_card_success'];
+        if (!method) {
+            return { status: 'failed', failureReason: 'Unknown payment method' };
+        }
+
+        switch (method.outcome) {
+            case 'succeeded':
+                return { status: 'succeeded' };
+            case 'failed':
+                return { status: 'failed', failureReason: 'Your card was declined' };
+            default: {
+                const succeeded = method.outcome === 'delayed_success';
+                setTimeout(() => sendWebhook({
+                    id: generateId('evt'),
+                    type: succeeded ? 'payment_intent.succeeded' : 'payment_intent.payment_failed',
+                    data: {
+                        intentId,
+                        failureReason: succeeded ? null : 'Your card was declined by the issuing bank'
+                    }
+                }), WEBHOOK_DELAY_MS);
+                return { status: 'processing' };
+            }
+        }
+    },
+
+    async cancelIntent() {
+        return { status: 'cancelled' };
+    },
+
+    async refund(intentId, amount) {
+        return {
+            id: generateId('re'),
+            intentId,
+            amount,
+            status: 'succeeded'
+        };
+    },
+
+    // Verify and translate an incoming webhook into { intentId, status, failureReason }
+    parseWebhook(req) {
+        const expected = sign(JSON.stringify(req.body));
+        const received = req.headers['x-mock-signature'] || '';
+
+        if (received.length !== expected.length ||
+            !crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected))) {
+            throw httpError(400, 'Invalid webhook signature');
+        }
+
+        const { type, data } = req.body;
+        const statuses = {
+            'payment_intent.succeeded': 'succeeded',
+            'payment_intent.payment_failed': 'failed'
+        };
+
+        if (!statuses[type] || !data || !data.intentId) {
+            return null;
+        }
+
+        return {
+            intentId: data.intentId,
+            status: statuses[type],
+            failureReason: data.failureReason || null
+        };
+    }
+};
+
+module.exports = mockProvider;
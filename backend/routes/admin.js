@@ -0,0 +1,408 @@
+const express = require('express');
+const db = require('../../database/init');
+const { authenticateToken, requireRole } = require('./auth');
+const categories = require('../services/categories');
+const { runInTransaction } = require('../../database/transaction');
+const { logAction } = require('../services/moderation');
+const { httpError, sendError } = require('../services/errors');
+
+const router = express.Router();
+
+const VALID_ROLES = ['user', 'seller', 'admin'];
+const VALID_USER_STATUSES = ['active', 'suspended'];
+
+// Every admin route requires a valid token with the admin role
+router.use(authenticateToken, requireRole('admin'));
+
+// Read page/limit query params into SQL-friendly values
+function parsePagination(query) {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+    return { page, limit, offset: (page - 1) * limit };
+}
+
+function paginationInfo(page, limit, total) {
+    return {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+    };
+}
+
+// Platform overview counts for the admin dashboard
+router.get('/stats', (req, res) => {
+    const queries = {
+        usersByRole: 'SELECT role, COUNT(*) as count FROM users GROUP BY role',
+        usersByStatus: 'SELECT status, COUNT(*) as count FROM users GROUP BY status',
+        productsByStatus: 'SELECT status, COUNT(*) as count FROM products GROUP BY status',
+        orders: 'SELECT COUNT(*) as count, COALESCE(SUM(total_amount), 0) as revenue FROM orders WHERE parent_order_id IS NULL'
+    };
+
+    const results = {};
+    let queriesCompleted = 0;
+    let failed = false;
+    const totalQueries = Object.keys(queries).length;
+
+    Object.entries(queries).forEach(([key, query]) => {
+        db.all(query, [], (err, rows) => {
+            if (failed) return;
+            if (err) {
+                failed = true;
+                return res.status(500).json({ error: 'Database error' });
+            }
+
+            results[key] = rows;
+            queriesCompleted++;
+            if (queriesCompleted < totalQueries) return;
+
+            const countBy = (rows, field) => rows.reduce((acc, row) => {
+                acc[row[field] || 'unknown'] = row.count;
+                return acc;
+            }, {});
+
+            const usersByRole = countBy(results.usersByRole, 'role');
+            const productsByStatus = countBy(results.productsByStatus, 'status');
+
+            res.json({
+                users: {
+                    total: Object.values(usersByRole).reduce((sum, count) => sum + count, 0),
+                    byRole: usersByRole,
+                    byStatus: countBy(results.usersByStatus, 'status')
+                },
+                products: {
+                    total: Object.values(productsByStatus).reduce((sum, count) => sum + count, 0),
+                    byStatus: productsByStatus
+                },
+                orders: {
+                    total: results.orders[0].count,
+                    revenue: parseFloat(results.orders[0].revenue.toFixed(2))
+                }
+            });
+        });
+    });
+});
+
+// List users with optional role/status/search filters
+router.get('/users', (req, res) => {
+    const { role, status, search } = req.query;
+    const { page, limit, offset } = parsePagination(req.query);
+
+    let where = ' WHERE 1 = 1';
+    const params = [];
+
+    if (role) {
+        where += ' AND role = ?';
+        params.push(role);
+    }
+
+    if (status) {
+        where += ' AND status = ?';
+        params.push(status);
+    }
+
+    if (search) {
+        where += ' AND (username LIKE ? OR email LIKE ? OR full_name LIKE ?)';
+        params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+    }
+
+    db.get(`SELECT COUNT(*) as total FROM users${where}`, params, (err, countRow) => {
+        if (err) {
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        const query = `
+            SELECT id, username, email, role, full_name, phone, status,
+                   suspended_at, suspension_reason, created_at,
+                   (SELECT COUNT(*) FROM products p WHERE p.seller_id = users.id) as product_count,
+                   (SELECT COUNT(*) FROM orders o WHERE o.user_id = users.id AND o.parent_order_id IS NULL) as order_count
+            FROM users${where}
+            ORDER BY created_at DESC, id DESC
+            LIMIT ? OFFSET ?
+        `;
+
+        db.all(query, [...params, limit, offset], (err, users) => {
+            if (err) {
+                return res.status(500).json({ error: 'Database error' });
+            }
+
+            res.json({
+                users,
+                pagination: paginationInfo(page, limit, countRow.total)
+            });
+        });
+    });
+});
+
+// Change a user's role
+router.put('/users/:id/role', (req, res) => {
+    const userId = parseInt(req.params.id);
+    const { role } = req.body;
+
+    if (!VALID_ROLES.includes(role)) {
+        return res.status(400).json({ error: `Role must be one of: ${VALID_ROLES.join(', ')}` });
+    }
+
+    if (userId === req.user.userId) {
+        return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+
+    db.run('UPDATE users SET role = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [role, userId], function(err) {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to update role' });
+        }
+
+        if (this.changes === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json({ message: 'User role updated successfully', userId, role });
+    });
+});
+
+// Suspend or reactivate a user account
+router.put('/users/:id/status', async (req, res) => {
+    const userId = parseInt(req.params.id);
+    const { status, reason } = req.body;
+
+    if (!VALID_USER_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Status must be one of: ${VALID_USER_STATUSES.join(', ')}` });
+    }
+
+    if (userId === req.user.userId) {
+        return res.status(400).json({ error: 'You cannot change the status of your own account' });
+    }
+
+    const query = status === 'suspended'
+        ? `UPDATE users SET status = 'suspended', suspended_at = CURRENT_TIMESTAMP, suspension_reason = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`
+        : `UPDATE users SET status = 'active', suspended_at = NULL, suspension_reason = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
+    const params = status === 'suspended' ? [reason || null, userId] : [userId];
+
+    try {
+        await runInTransaction(async (tx) => {
+            const { changes } = await tx.run(query, params);
+            if (changes === 0) {
+                throw httpError(404, 'User not found');
+            }
+
+            await logAction(tx, {
+                adminId: req.user.userId,
+                action: status === 'suspended' ? 'suspend' : 'reactivate',
+                userId,
+                note: reason
+            });
+        });
+
+        res.json({
+            message: status === 'suspended' ? 'User suspended successfully' : 'User reactivated successfully',
+            userId,
+            status
+        });
+    } catch (err) {
+        sendError(res, err, 'Failed to update user status');
+    }
+});
+
+// List all products regardless of status
+router.get('/products', (req, res) => {
+    const { status, search } = req.query;
+    const { page, limit, offset } = parsePagination(req.query);
+
+    let where = ' WHERE 1 = 1';
+    const params = [];
+
+    if (status) {
+        where += ' AND p.status = ?';
+        params.push(status);
+    }
+
+    if (search) {
+        where += ' AND (p.title LIKE ? OR p.description LIKE ?)';
+        params.push(`%${search}%`, `%${search}%`);
+    }
+
+    db.get(`SELECT COUNT(*) as total FROM products p${where}`, params, (err, countRow) => {
+        if (err) {
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        const query = `
+            SELECT p.*, u.username as seller_name, u.full_name as seller_full_name
+            FROM products p
+            JOIN users u ON p.seller_id = u.id${where}
+            ORDER BY p.created_at DESC, p.id DESC
+            LIMIT ? OFFSET ?
+        `;
+
+        db.all(query, [...params, limit, offset], (err, products) => {
+            if (err) {
+                return res.status(500).json({ error: 'Database error' });
+            }
+
+            res.json({
+                products,
+                pagination: paginationInfo(page, limit, countRow.total)
+            });
+        });
+    });
+});
+
+// Force-unlist a product so it no longer appears in the marketplace
+router.put('/products/:id/unlist', async (req, res) => {
+    try {
+        const productId = await runInTransaction(async (tx) => {
+            const product = await tx.get('SELECT id, status FROM products WHERE id = ?', [req.params.id]);
+            if (!product) {
+                throw httpError(404, 'Product not found');
+            }
+            if (product.status === 'sold') {
+                throw httpError(400, 'Sold products cannot be unlisted');
+            }
+
+            await tx.run(`UPDATE products SET status = 'removed', updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [product.id]);
+            // Unlisted products cannot be bought, so drop them from every cart
+            await tx.run('DELETE FROM cart WHERE product_id = ?', [product.id]);
+            await logAction(tx, { adminId: req.user.userId, action: 'hide_listing', productId: product.id, note: req.body.reason });
+
+            return product.id;
+        });
+
+        res.json({ message: 'Product unlisted successfully', productId });
+    } catch (err) {
+        sendError(res, err, 'Failed to unlist product');
+    }
+});
+
+// List orders across all users (buyer-facing orders by default, ?scope=seller for per-seller sub-orders)
+router.get('/orders', (req, res) => {
+    const { status, userId, sellerId, scope } = req.query;
+    const { page, limit, offset } = parsePagination(req.query);
+
+    let where = scope === 'seller' ? ' WHERE o.parent_order_id IS NOT NULL' : ' WHERE o.parent_order_id IS NULL';
+    const params = [];
+
+    if (sellerId) {
+        where += ' AND o.seller_id = ?';
+        params.push(sellerId);
+    }
+
+    if (status) {
+        where += ' AND o.status = ?';
+        params.push(status);
+    }
+
+    if (userId) {
+        where += ' AND o.user_id = ?';
+        params.push(userId);
+    }
+
+    db.get(`SELECT COUNT(*) as total FROM orders o${where}`, params, (err, countRow) => {
+        if (err) {
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        const query = `
+            SELECT o.*, u.username as buyer_name, u.full_name as buyer_full_name, u.email as buyer_email,
+                   s.username as seller_name,
+                   (SELECT COUNT(*) FROM order_items oi
+                    WHERE oi.order_id = o.id
+                       OR oi.order_id IN (SELECT sub.id FROM orders sub WHERE sub.parent_order_id = o.id)) as item_count
+            FROM orders o
+            JOIN users u ON o.user_id = u.id
+            LEFT JOIN users s ON o.seller_id = s.id${where}
+            ORDER BY o.created_at DESC, o.id DESC
+            LIMIT ? OFFSET ?
+        `;
+
+        db.all(query, [...params, limit, offset], (err, orders) => {
+            if (err) {
+                return res.status(500).json({ error: 'Database error' });
+            }
+
+            res.json({
+                orders,
+                pagination: paginationInfo(page, limit, countRow.total)
+            });
+        });
+    });
+});
+
+// The category tree, with how many products are listed directly in each category
+router.get('/categories', async (req, res) => {
+    try {
+        const list = await categories.listCategories();
+        db.all('SELECT category_id, COUNT(*) as count FROM products GROUP BY category_id', (err, counts) => {
+            if (err) {
+                return res.status(500).json({ error: 'Database error' });
+            }
+
+            res.json({
+                categories: list.map(category => ({
+                    ...category,
+                    product_count: (counts.find(row => row.category_id === category.id) || { count: 0 }).count
+                }))
+            });
+        });
+    } catch (err) {
+        sendError(res, err, 'Failed to load categories');
+    }
+});
+
+// Add a category: { name, parentId (omit for top level), position }
+router.post('/categories', async (req, res) => {
+    try {
+        const category = await categories.createCategory(req.body);
+        res.status(201).json({ message: 'Category created successfully', category });
+    } catch (err) {
+        sendError(res, err, 'Failed to create category');
+    }
+});
+
+// Rename, move or reorder a category: { name, parentId, position }
+router.put('/categories/:id(\\d+)', async (req, res) => {
+    try {
+        const category = await categories.updateCategory(req.params.id, req.body);
+        res.json({ message: 'Category updated successfully', category });
+    } catch (err) {
+        sendError(res, err, 'Failed to update category');
+    }
+});
+
+router.delete('/categories/:id(\\d+)', async (req, res) => {
+    try {
+        await categories.deleteCategory(req.params.id);
+        res.json({ message: 'Category deleted successfully' });
+    } catch (err) {
+        sendError(res, err, 'Failed to delete category');
+    }
+});
+
+// Add an attribute to a category: { name, label, type (text, number or select), options, required }
+router.post('/categories/:id(\\d+)/attributes', async (req, res) => {
+    try {
+        const category = await categories.createAttribute(req.params.id, req.body);
+        res.status(201).json({ message: 'Attribute added successfully', category });
+    } catch (err) {
+        sendError(res, err, 'Failed to add attribute');
+    }
+});
+
+router.put('/categories/:id(\\d+)/attributes/:attributeId(\\d+)', async (req, res) => {
+    try {
+        const category = await categories.updateAttribute(req.params.id, req.params.attributeId, req.body);
+        res.json({ message: 'Attribute updated successfully', category });
+    } catch (err) {
+        sendError(res, err, 'Failed to update attribute');
+    }
+});
+
+router.delete('/categories/:id(\\d+)/attributes/:attributeId(\\d+)', async (req, res) => {
+    try {
+        const category = await categories.deleteAttribute(req.params.id, req.params.attributeId);
+        res.json({ message: 'Attribute removed successfully', category });
+    } catch (err) {
+        sendError(res, err, 'Failed to remove attribute');
+    }
+});
+
+module.exports = router;
@@ -92,6 +92,10 @@ router.post('/login', (req, res) => {
                 return res.status(401).json({ error: 'Invalid email or password' });
             }
 
+            if (user.status === 'suspended') {
+                return res.status(403).json({ error: 'Your account has been suspended' });
+            }
+
             // Generate JWT token
             const token = jwt.sign(
                 { userId: user.id, username: user.username, role: user.role },
@@ -129,14 +133,38 @@ const authenticateToken = (req, res, next) => {
         if (err) {
             return res.status(403).json({ error: 'Invalid or expired token' });
         }
-        req.user = user;
-        next();
+
+        // Suspensions and role changes take effect immediately, even with a valid token
+        db.get('SELECT status, role FROM users WHERE id = ?', [user.userId], (err, account) => {
+            if (err) {
+                return res.status(500).json({ error: 'Database error' });
+            }
+
+            if (!account) {
+                return res.status(401).json({ error: 'Account no longer exists' });
+            }
+
+            if (account.status === 'suspended') {
+                return res.status(403).json({ error: 'Your account has been suspended' });
+            }
+
+            req.user = { ...user, role: account.role };
+            next();
+        });
     });
 };
 
+// Middleware to restrict a route to specific roles (use after authenticateToken)
+const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+        return res.status(403).json({ error: `${roles.map(r => r.charAt(0).toUpperCase() + r.slice(1)).join(' or ')} access required` });
+    }
+    next();
+};
+
 // Get current user profile
 router.get('/profile', authenticateToken, (req, res) => {
-    db.get('SELECT id, username, email, role, full_name, phone, address FROM users WHERE id = ?', [req.user.userId], (err, user) => {
+    db.get('SELECT id, username, email, role, full_name, phone, address, city, postcode FROM users WHERE id = ?', [req.user.userId], (err, user) => {
         if (err) {
             return res.status(500).json({ error: 'Database error' });
         }
@@ -153,7 +181,9 @@ router.get('/profile', authenticateToken, (req, res) => {
                 role: user.role,
                 fullName: user.full_name,
                 phone: user.phone,
-                address: user.address
+                address: user.address,
+                city: user.city,
+                postcode: user.postcode
             }
         });
     });
@@ -161,3 +191,4 @@ router.get('/profile', authenticateToken, (req, res) => {
 
 module.exports = router;
 module.exports.authenticateToken = authenticateToken;
+module.exports.requireRole = requireRole;
@@ -1,35 +1,88 @@
 const express = require('express');
 const db = require('../../database/init');
 const { authenticateToken } = require('./auth');
+const { reader } = require('../../database/transaction');
+const { quoteDelivery } = require('../services/delivery');
+const { ACCEPTED_OFFER_JOIN, RESERVED_BY_OTHERS, splitByAvailability, reserveCart } = require('../services/cartReservations');
+const { mergeGuestCart } = require('../services/guestCart');
+const { quotePromotion } = require('../services/promotions');
+const { sendError } = require('../services/errors');
 
 const router = express.Router();
 
-// Get user's cart
+// Buyers can have at most a listing's stock in their cart (less what other buyers hold at checkout),
+// and only one unit at an accepted offer's price
+function quantityError(product, quantity) {
+    if (product.accepted_offer_id && quantity > 1) {
+        return 'Your accepted offer is for one item';
+    }
+    if (!product.accepted_offer_id && quantity > product.stock - product.reserved_by_others) {
+        const available = product.stock - product.reserved_by_others;
+        if (available <= 0) return 'Another buyer is checking out the last one - try again in a few minutes';
+        return available === 1 ? 'Only 1 is available' : `Only ${available} are available`;
+    }
+    return null;
+}
+
+// Get user's cart, with the delivery methods and shipping fee each seller offers for their items.
+// Items that sold, were taken down or are held by other buyers since they were added are listed
+// separately in `unavailableItems` and left out of the total. With `?promoCode=`, `promotion` says
+// what the code would take off, or why it cannot be used.
 router.get('/', authenticateToken, (req, res) => {
     const userId = req.user.userId;
+    const { promoCode } = req.query;
     
+    // Items reserved for this buyer by an accepted offer are charged at the agreed price
     const query = `
-        SELECT c.*, p.title, p.description, p.price, p.image_url, p.status,
-               u.username as seller_name, u.full_name as seller_full_name
+        SELECT c.*, p.title, p.description, COALESCE(ao.amount, p.price) as price, p.price as list_price,
+               ao.id as offer_id, p.image_url, p.status, p.seller_id, p.category_id, p.stock,
+               p.pickup_available, p.shipping_available, p.shipping_fee, p.weight, p.city,
+               u.username as seller_name, u.full_name as seller_full_name,
+               ${RESERVED_BY_OTHERS} as reserved_by_others
         FROM cart c
         JOIN products p ON c.product_id = p.id
         JOIN users u ON p.seller_id = u.id
-        WHERE c.user_id = ? AND p.status = 'available'
+        ${ACCEPTED_OFFER_JOIN}
+        WHERE c.user_id = ?
         ORDER BY c.added_at DESC
     `;
     
-    db.all(query, [userId], (err, cartItems) => {
+    db.all(query, [userId, userId], (err, rows) => {
         if (err) {
             return res.status(500).json({ error: 'Database error' });
         }
+
+        const { availableItems: cartItems, unavailableItems } = splitByAvailability(rows);
         
-        // Calculate total
+        // Calculate total (delivery is added at checkout, once the buyer has picked a method)
         const total = cartItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-        
-        res.json({ 
-            cartItems,
-            total: parseFloat(total.toFixed(2)),
-            itemCount: cartItems.length
+
+        (async () => {
+            const sellers = await quoteDelivery(reader, cartItems);
+
+            let promotion = null;
+            if (promoCode && cartItems.length > 0) {
+                try {
+                    const quote = await quotePromotion(reader, promoCode, userId, cartItems);
+                    promotion = { code: quote.promotion.code, description: quote.promotion.description, discount: quote.discount };
+                } catch (err) {
+                    if (!err.status) throw err;
+                    promotion = { code: promoCode, error: err.message };
+                }
+            }
+
+            return { sellers, promotion };
+        })().then(({ sellers, promotion }) => {
+            res.json({ 
+                cartItems,
+                total: parseFloat(total.toFixed(2)),
+                itemCount: cartItems.length,
+                sellers,
+                unavailableItems,
+                promotion
+            });
+        }).catch(() => {
+            res.status(500).json({ error: 'Database error' });
         });
     });
 });
@@ -43,8 +96,21 @@ router.post('/add', authenticateToken, (req, res) => {
         return res.status(400).json({ error: 'Product ID is required' });
     }
 
-    // Check if product exists and is available
-    db.get('SELECT id, seller_id, status FROM products WHERE id = ?', [productId], (err, product) => {
+    if (!(parseInt(quantity) >= 1)) {
+        return res.status(400).json({ error: 'Valid quantity is required' });
+    }
+
+    // Check if product exists and is available (or reserved for this buyer by an accepted offer)
+    const productQuery = `
+        SELECT p.id, p.seller_id, p.status, p.stock, ao.id as accepted_offer_id,
+               ${RESERVED_BY_OTHERS} as reserved_by_others
+        FROM products p
+        LEFT JOIN offers ao ON ao.product_id = p.id AND ao.buyer_id = ?
+            AND ao.status = 'accepted' AND ao.expires_at > CURRENT_TIMESTAMP
+        WHERE p.id = ?
+    `;
+
+    db.get(productQuery, [userId, userId, productId], (err, product) => {
         if (err) {
             return res.status(500).json({ error: 'Database error' });
         }
@@ -53,7 +119,11 @@ router.post('/add', authenticateToken, (req, res) => {
             return res.status(404).json({ error: 'Product not found' });
         }
 
-        if (product.status !== 'available') {
+        if (product.status === 'reserved' && !product.accepted_offer_id) {
+            return res.status(400).json({ error: 'This item is reserved for another buyer' });
+        }
+
+        if (product.status !== 'available' && product.status !== 'reserved') {
             return res.status(400).json({ error: 'Product is not available' });
         }
 
@@ -68,9 +138,15 @@ router.post('/add', authenticateToken, (req, res) => {
                 return res.status(500).json({ error: 'Database error' });
             }
 
+            // Adding an item that is already in the cart adds to its quantity
+            const newQuantity = (existingItem ? existingItem.quantity : 0) + parseInt(quantity);
+            const error = quantityError(product, newQuantity);
+            if (error) {
+                return res.status(400).json({ error: existingItem ? `${error} - you already have ${existingItem.quantity} in your cart` : error });
+            }
+
             if (existingItem) {
                 // Update quantity
-                const newQuantity = existingItem.quantity + parseInt(quantity);
                 db.run('UPDATE cart SET quantity = ? WHERE id = ?', [newQuantity, existingItem.id], (err) => {
                     if (err) {
                         return res.status(500).json({ error: 'Failed to update cart' });
@@ -103,7 +179,13 @@ router.put('/update/:itemId', authenticateToken, (req, res) => {
     }
 
     // Check if cart item belongs to user
-    db.get('SELECT id FROM cart WHERE id = ? AND user_id = ?', [itemId, userId], (err, cartItem) => {
+    db.get(`
+        SELECT c.id, p.stock, ao.id as accepted_offer_id, ${RESERVED_BY_OTHERS} as reserved_by_others
+        FROM cart c
+        JOIN products p ON c.product_id = p.id
+        ${ACCEPTED_OFFER_JOIN}
+        WHERE c.id = ? AND c.user_id = ?
+    `, [userId, itemId, userId], (err, cartItem) => {
         if (err) {
             return res.status(500).json({ error: 'Database error' });
         }
@@ -112,6 +194,11 @@ router.put('/update/:itemId', authenticateToken, (req, res) => {
             return res.status(404).json({ error: 'Cart item not found' });
         }
 
+        const error = quantityError(cartItem, parseInt(quantity));
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
         db.run('UPDATE cart SET quantity = ? WHERE id = ?', [parseInt(quantity), itemId], (err) => {
             if (err) {
                 return res.status(500).json({ error: 'Failed to update cart item' });
@@ -121,6 +208,26 @@ router.put('/update/:itemId', authenticateToken, (req, res) => {
     });
 });
 
+// Hold the items in the cart for the buyer while they check out, so nobody else can buy them
+// in the meantime. Items that cannot be held are listed in `unavailableItems`.
+router.post('/reserve', authenticateToken, (req, res) => {
+    reserveCart(req.user.userId).then(reservation => {
+        res.json(reservation);
+    }).catch(err => {
+        sendError(res, err, 'Failed to reserve cart items');
+    });
+});
+
+// Bring the cart a visitor built before logging in into their account cart.
+// Takes { items: [{ productId, quantity }] } and returns what was merged and what was skipped.
+router.post('/merge', authenticateToken, (req, res) => {
+    mergeGuestCart(req.user.userId, req.body.items).then(result => {
+        res.json(result);
+    }).catch(err => {
+        sendError(res, err, 'Failed to merge cart');
+    });
+});
+
 // Remove item from cart
 router.delete('/remove/:itemId', authenticateToken, (req, res) => {
     const { itemId } = req.params;
@@ -0,0 +1,87 @@
+const express = require('express');
+const db = require('../../database/init');
+const { authenticateToken } = require('./auth');
+const { SELLER_RATING_JOIN, SELLER_RATING_COLUMNS } = require('../services/reviews');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// The user's saved products, most recently saved first (including ones that have since sold)
+router.get('/', (req, res) => {
+    const query = `
+        SELECT p.*, u.username as seller_name, u.full_name as seller_full_name, ${SELLER_RATING_COLUMNS},
+               f.created_at as favorited_at
+        FROM favorites f
+        JOIN products p ON f.product_id = p.id
+        JOIN users u ON p.seller_id = u.id
+        ${SELLER_RATING_JOIN}
+        WHERE f.user_id = ? AND p.status != 'removed'
+        ORDER BY f.created_at DESC, f.id DESC
+    `;
+
+    db.all(query, [req.user.userId], (err, products) => {
+        if (err) {
+            return res.status(500).json({ error: 'Database error' });
+        }
+        res.json({ products });
+    });
+});
+
+// Just the ids, so product lists can show which items are saved
+router.get('/ids', (req, res) => {
+    db.all('SELECT product_id FROM favorites WHERE user_id = ?', [req.user.userId], (err, rows) => {
+        if (err) {
+            return res.status(500).json({ error: 'Database error' });
+        }
+        res.json({ productIds: rows.map(row => row.product_id) });
+    });
+});
+
+// Save a product
+router.post('/', (req, res) => {
+    const { productId } = req.body;
+
+    if (!productId) {
+        return res.status(400).json({ error: 'Product ID is required' });
+    }
+
+    db.get('SELECT id, seller_id FROM products WHERE id = ?', [productId], (err, product) => {
+        if (err) {
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+
+        if (product.seller_id === req.user.userId) {
+            return res.status(400).json({ error: 'You cannot save your own product' });
+        }
+
+        db.run('INSERT OR IGNORE INTO favorites (user_id, product_id) VALUES (?, ?)', [req.user.userId, productId], function(err) {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to save product' });
+            }
+
+            res.status(this.changes > 0 ? 201 : 200).json({ message: 'Saved to your favourites', productId: product.id });
+        });
+    });
+});
+
+// Unsave a product
+router.delete('/:productId(\\d+)', (req, res) => {
+    db.run('DELETE FROM favorites WHERE user_id = ? AND product_id = ?', [req.user.userId, req.params.productId], function(err) {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to remove favourite' });
+        }
+
+        if (this.changes === 0) {
+            return res.status(404).json({ error: 'Product is not in your favourites' });
+        }
+
+        res.json({ message: 'Removed from your favourites' });
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,222 @@
+const express = require('express');
+const db = require('../../database/init');
+const { authenticateToken } = require('./auth');
+const { notify } = require('../services/notifications');
+
+const router = express.Router();
+
+const MAX_MESSAGE_LENGTH = 2000;
+
+router.use(authenticateToken);
+
+function validateBody(body) {
+    const text = typeof body === 'string' ? body.trim() : '';
+
+    if (!text) {
+        return { error: 'Message cannot be empty' };
+    }
+
+    if (text.length > MAX_MESSAGE_LENGTH) {
+        return { error: `Messages can be at most ${MAX_MESSAGE_LENGTH} characters` };
+    }
+
+    return { text };
+}
+
+// Add a message to a conversation, bump the conversation to the top of both inboxes
+// and notify the other party
+function addMessage(conversation, sender, text, callback) {
+    db.run('INSERT INTO messages (conversation_id, sender_id, body) VALUES (?, ?, ?)', [conversation.id, sender.userId, text], function(err) {
+        if (err) return callback(err);
+
+        const messageId = this.lastID;
+        db.run('UPDATE conversations SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [conversation.id], (err) => {
+            if (err) return callback(err);
+
+            notify(conversation.buyer_id === sender.userId ? conversation.seller_id : conversation.buyer_id, {
+                type: 'message',
+                title: `New message from ${sender.username}`,
+                body: text.length > 100 ? `${text.slice(0, 100)}...` : text,
+                link: `messages.html?conversation=${conversation.id}`
+            });
+
+            db.get('SELECT * FROM messages WHERE id = ?', [messageId], callback);
+        });
+    });
+}
+
+// Load a conversation the user takes part in, with the listing and the other party
+function loadConversation(conversationId, userId, callback) {
+    const query = `
+        SELECT c.*, p.title, p.price, p.image_url, p.status as product_status,
+               b.username as buyer_name, b.full_name as buyer_full_name,
+               s.username as seller_name, s.full_name as seller_full_name
+        FROM conversations c
+        JOIN products p ON c.product_id = p.id
+        JOIN users b ON c.buyer_id = b.id
+        JOIN users s ON c.seller_id = s.id
+        WHERE c.id = ? AND (c.buyer_id = ? OR c.seller_id = ?)
+    `;
+
+    db.get(query, [conversationId, userId, userId], callback);
+}
+
+// List the user's conversations, most recent first
+router.get('/', (req, res) => {
+    const userId = req.user.userId;
+
+    const query = `
+        SELECT c.*, p.title, p.image_url,
+               CASE WHEN c.buyer_id = ? THEN s.username ELSE b.username END as other_name,
+               CASE WHEN c.buyer_id = ? THEN s.full_name ELSE b.full_name END as other_full_name,
+               CASE WHEN c.buyer_id = ? THEN 'buyer' ELSE 'seller' END as my_role,
+               (SELECT m.body FROM messages m WHERE m.conversation_id = c.id ORDER BY m.id DESC LIMIT 1) as last_message,
+               (SELECT COUNT(*) FROM messages m
+                WHERE m.conversation_id = c.id AND m.sender_id != ? AND m.read_at IS NULL) as unread_count
+        FROM conversations c
+        JOIN products p ON c.product_id = p.id
+        JOIN users b ON c.buyer_id = b.id
+        JOIN users s ON c.seller_id = s.id
+        WHERE c.buyer_id = ? OR c.seller_id = ?
+        ORDER BY c.updated_at DESC, c.id DESC
+    `;
+
+    db.all(query, [userId, userId, userId, userId, userId, userId], (err, conversations) => {
+        if (err) {
+            return res.status(500).json({ error: 'Database error' });
+        }
+        res.json({ conversations });
+    });
+});
+
+// Unread messages across all conversations (for the navbar badge)
+router.get('/unread-count', (req, res) => {
+    const userId = req.user.userId;
+
+    const query = `
+        SELECT COUNT(*) as count
+        FROM messages m
+        JOIN conversations c ON m.conversation_id = c.id
+        WHERE (c.buyer_id = ? OR c.seller_id = ?) AND m.sender_id != ? AND m.read_at IS NULL
+    `;
+
+    db.get(query, [userId, userId, userId], (err, result) => {
+        if (err) {
+            return res.status(500).json({ error: 'Database error' });
+        }
+        res.json({ count: result.count });
+    });
+});
+
+// Ask the seller about a listing - starts the conversation, or continues it if one exists
+router.post('/product/:productId(\\d+)', (req, res) => {
+    const userId = req.user.userId;
+    const { productId } = req.params;
+    const { text, error } = validateBody(req.body.body);
+
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    db.get('SELECT id, seller_id FROM products WHERE id = ?', [productId], (err, product) => {
+        if (err) {
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+
+        if (product.seller_id === userId) {
+            return res.status(400).json({ error: 'You cannot message yourself about your own product' });
+        }
+
+        db.run(`
+            INSERT OR IGNORE INTO conversations (product_id, buyer_id, seller_id) VALUES (?, ?, ?)
+        `, [productId, userId, product.seller_id], (err) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to start conversation' });
+            }
+
+            db.get('SELECT * FROM conversations WHERE product_id = ? AND buyer_id = ?', [productId, userId], (err, conversation) => {
+                if (err || !conversation) {
+                    return res.status(500).json({ error: 'Failed to start conversation' });
+                }
+
+                addMessage(conversation, req.user, text, (err, message) => {
+                    if (err) {
+                        return res.status(500).json({ error: 'Failed to send message' });
+                    }
+
+                    res.status(201).json({
+                        message: 'Message sent',
+                        conversationId: conversation.id,
+                        sentMessage: message
+                    });
+                });
+            });
+        });
+    });
+});
+
+// A conversation with its messages. Opening it marks the other party's messages as read.
+router.get('/:conversationId(\\d+)', (req, res) => {
+    const userId = req.user.userId;
+
+    loadConversation(req.params.conversationId, userId, (err, conversation) => {
+        if (err) {
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        if (!conversation) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+
+        db.run(`
+            UPDATE messages SET read_at = CURRENT_TIMESTAMP
+            WHERE conversation_id = ? AND sender_id != ? AND read_at IS NULL
+        `, [conversation.id, userId], (err) => {
+            if (err) {
+                return res.status(500).json({ error: 'Database error' });
+            }
+
+            db.all('SELECT * FROM messages WHERE conversation_id = ? ORDER BY created_at ASC, id ASC', [conversation.id], (err, messages) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Database error' });
+                }
+
+                res.json({ conversation, messages });
+            });
+        });
+    });
+});
+
+// Reply in a conversation
+router.post('/:conversationId(\\d+)', (req, res) => {
+    const userId = req.user.userId;
+    const { text, error } = validateBody(req.body.body);
+
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    loadConversation(req.params.conversationId, userId, (err, conversation) => {
+        if (err) {
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        if (!conversation) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+
+        addMessage(conversation, req.user, text, (err, message) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to send message' });
+            }
+
+            res.status(201).json({ message: 'Message sent', conversationId: conversation.id, sentMessage: message });
+        });
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,109 @@
+const express = require('express');
+const db = require('../../database/init');
+const { authenticateToken } = require('./auth');
+const { addStream, removeStream, sendEvent } = require('../services/notifications');
+
+const router = express.Router();
+
+// Keeps proxies from closing idle streams
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+// EventSource cannot send headers, so the stream takes the token from the query string
+function tokenFromQuery(req, res, next) {
+    if (!req.headers['authorization'] && req.query.token) {
+        req.headers['authorization'] = `Bearer ${req.query.token}`;
+    }
+    next();
+}
+
+function getUnreadCount(userId, callback) {
+    db.get('SELECT COUNT(*) as count FROM notifications WHERE user_id = ? AND read_at IS NULL', [userId], (err, row) => {
+        callback(err, row ? row.count : 0);
+    });
+}
+
+// Live notification stream (server-sent events)
+router.get('/stream', tokenFromQuery, authenticateToken, (req, res) => {
+    const userId = req.user.userId;
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.write('retry: 5000\n\n');
+
+    addStream(userId, res);
+
+    getUnreadCount(userId, (err, count) => {
+        if (!err) sendEvent(res, 'unread', { count });
+    });
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        removeStream(userId, res);
+    });
+});
+
+// Latest notifications for the bell menu
+router.get('/', authenticateToken, (req, res) => {
+    const userId = req.user.userId;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    db.all(`
+        SELECT * FROM notifications WHERE user_id = ?
+        ORDER BY created_at DESC, id DESC
+        LIMIT ?
+    `, [userId, limit], (err, notifications) => {
+        if (err) {
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        getUnreadCount(userId, (err, unreadCount) => {
+            if (err) {
+                return res.status(500).json({ error: 'Database error' });
+            }
+            res.json({ notifications, unreadCount });
+        });
+    });
+});
+
+router.get('/unread-count', authenticateToken, (req, res) => {
+    getUnreadCount(req.user.userId, (err, count) => {
+        if (err) {
+            return res.status(500).json({ error: 'Database error' });
+        }
+        res.json({ count });
+    });
+});
+
+router.put('/read-all', authenticateToken, (req, res) => {
+    db.run(`
+        UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE user_id = ? AND read_at IS NULL
+    `, [req.user.userId], (err) => {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to update notifications' });
+        }
+        res.json({ message: 'All notifications marked as read' });
+    });
+});
+
+router.put('/:id(\\d+)/read', authenticateToken, (req, res) => {
+    db.run(`
+        UPDATE notifications SET read_at = COALESCE(read_at, CURRENT_TIMESTAMP) WHERE id = ? AND user_id = ?
+    `, [req.params.id, req.user.userId], function(err) {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to update notification' });
+        }
+
+        if (this.changes === 0) {
+            return res.status(404).json({ error: 'Notification not found' });
+        }
+
+        res.json({ message: 'Notification marked as read' });
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,129 @@
+const express = require('express');
+const db = require('../../database/init');
+const { authenticateToken } = require('./auth');
+const offers = require('../services/offers');
+const { sendError } = require('../services/errors');
+
+const router = express.Router();
+
+// Lapsed offers are closed by the expiry timer; until it runs they already read as expired
+const OFFER_SELECT = `
+    SELECT o.*, ${offers.effectiveStatus('o')} as status,
+           p.title, p.price as list_price, p.image_url, p.status as product_status,
+           b.username as buyer_name, b.full_name as buyer_full_name,
+           s.username as seller_name, s.full_name as seller_full_name
+    FROM offers o
+    JOIN products p ON o.product_id = p.id
+    JOIN users b ON o.buyer_id = b.id
+    JOIN users s ON o.seller_id = s.id
+`;
+
+router.use(authenticateToken);
+
+// Offers the user made (?role=buyer), received (?role=seller), or both
+router.get('/', (req, res) => {
+    const { role, status } = req.query;
+    const userId = req.user.userId;
+
+    let where;
+    const params = [];
+
+    if (role === 'buyer') {
+        where = ' WHERE o.buyer_id = ?';
+        params.push(userId);
+    } else if (role === 'seller') {
+        where = ' WHERE o.seller_id = ?';
+        params.push(userId);
+    } else {
+        where = ' WHERE (o.buyer_id = ? OR o.seller_id = ?)';
+        params.push(userId, userId);
+    }
+
+    if (status) {
+        where += ` AND ${offers.effectiveStatus('o')} = ?`;
+        params.push(status);
+    }
+
+    db.all(`${OFFER_SELECT}${where} ORDER BY o.updated_at DESC, o.id DESC`, params, (err, rows) => {
+        if (err) {
+            return res.status(500).json({ error: 'Database error' });
+        }
+        res.json({ offers: rows });
+    });
+});
+
+// Offers on one product: every offer for its seller, only their own for anyone else
+router.get('/product/:productId(\\d+)', (req, res) => {
+    const userId = req.user.userId;
+
+    db.all(`
+        ${OFFER_SELECT}
+        WHERE o.product_id = ? AND (o.seller_id = ? OR o.buyer_id = ?)
+        ORDER BY o.updated_at DESC, o.id DESC
+    `, [req.params.productId, userId, userId], (err, rows) => {
+        if (err) {
+            return res.status(500).json({ error: 'Database error' });
+        }
+        res.json({ offers: rows });
+    });
+});
+
+// Make an offer on a listing
+router.post('/', async (req, res) => {
+    const { productId, amount, message } = req.body;
+
+    if (!productId || amount === undefined) {
+        return res.status(400).json({ error: 'Product ID and amount are required' });
+    }
+
+    try {
+        const offer = await offers.createOffer(req.user.userId, { productId, amount, message });
+        res.status(201).json({ message: 'Offer sent to the seller', offer });
+    } catch (err) {
+        sendError(res, err, 'Failed to make offer');
+    }
+});
+
+router.post('/:id(\\d+)/accept', async (req, res) => {
+    try {
+        const offer = await offers.acceptOffer(req.params.id, req.user.userId);
+        res.json({ message: 'Offer accepted - one unit is held for the buyer at the agreed price', offer });
+    } catch (err) {
+        sendError(res, err, 'Failed to accept offer');
+    }
+});
+
+router.post('/:id(\\d+)/reject', async (req, res) => {
+    try {
+        const offer = await offers.rejectOffer(req.params.id, req.user.userId, req.body.message);
+        res.json({ message: 'Offer rejected', offer });
+    } catch (err) {
+        sendError(res, err, 'Failed to reject offer');
+    }
+});
+
+router.post('/:id(\\d+)/counter', async (req, res) => {
+    const { amount, message } = req.body;
+
+    if (amount === undefined) {
+        return res.status(400).json({ error: 'Counter offer amount is required' });
+    }
+
+    try {
+        const offer = await offers.counterOffer(req.params.id, req.user.userId, { amount, message });
+        res.json({ message: 'Counter offer sent', offer });
+    } catch (err) {
+        sendError(res, err, 'Failed to counter offer');
+    }
+});
+
+router.post('/:id(\\d+)/withdraw', async (req, res) => {
+    try {
+        const offer = await offers.withdrawOffer(req.params.id, req.user.userId);
+        res.json({ message: 'Offer withdrawn', offer });
+    } catch (err) {
+        sendError(res, err, 'Failed to withdraw offer');
+    }
+});
+
+module.exports = router;
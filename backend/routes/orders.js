@@ -1,126 +1,309 @@
 const express = require('express');
 const db = require('../../database/init');
+const { runInTransaction } = require('../../database/transaction');
 const { authenticateToken } = require('./auth');
+const { createPaymentIntent } = require('../payments');
+const { expireOffers, syncReservedStatus } = require('../services/offers');
+const { ACCEPTED_OFFER_JOIN, RESERVED_BY_OTHERS } = require('../services/cartReservations');
+const { notify, notifyItemSold } = require('../services/notifications');
+const delivery = require('../services/delivery');
+const { quotePromotion, recordRedemption } = require('../services/promotions');
+const {
+    getAllowedTransitions,
+    getActorRoles,
+    changeOrderStatus,
+    getStatusHistory
+} = require('../services/orderStatus');
+const { httpError, sendError } = require('../services/errors');
 
 const router = express.Router();
 
-// Create new order (checkout)
-router.post('/checkout', authenticateToken, (req, res) => {
+// Create new order (checkout). `deliveryMethods` maps seller ids to 'shipping' or 'pickup';
+// sellers left out ship when they can. A delivery address is only needed when something ships.
+// An optional `promoCode` takes its discount off the items it applies to.
+router.post('/checkout', authenticateToken, async (req, res) => {
     const userId = req.user.userId;
-    const { fullName, email, phone, deliveryAddress, deliveryNotes } = req.body;
+    const { fullName, email, phone, deliveryAddress, deliveryNotes, deliveryMethods = {}, promoCode } = req.body;
 
     // Validate required fields
-    if (!fullName || !email || !phone || !deliveryAddress) {
-        return res.status(400).json({ error: 'Full name, email, phone, and delivery address are required' });
+    if (!fullName || !email || !phone) {
+        return res.status(400).json({ error: 'Full name, email, and phone are required' });
     }
 
-    // Get cart items
-    const cartQuery = `
-        SELECT c.*, p.title, p.price, p.seller_id
-        FROM cart c
-        JOIN products p ON c.product_id = p.id
-        WHERE c.user_id = ? AND p.status = 'available'
-    `;
-
-    db.all(cartQuery, [userId], (err, cartItems) => {
-        if (err) {
-            return res.status(500).json({ error: 'Database error' });
-        }
+    try {
+        // Lapsed offers must not hold items or discount them
+        await expireOffers();
+
+        // The whole checkout is one transaction: either every item is reserved and
+        // the order is written, or nothing changes
+        const order = await runInTransaction(async (tx) => {
+            // Items with an accepted offer are bought at the agreed price
+            const cartItems = await tx.all(`
+                SELECT c.*, p.title, COALESCE(ao.amount, p.price) as price, p.seller_id, p.category_id,
+                       p.status as product_status, ao.id as offer_id,
+                       p.pickup_available, p.shipping_available, p.shipping_fee, p.weight, p.city,
+                       u.username as seller_name
+                FROM cart c
+                JOIN products p ON c.product_id = p.id
+                JOIN users u ON p.seller_id = u.id
+                ${ACCEPTED_OFFER_JOIN}
+                WHERE c.user_id = ?
+            `, [userId]);
+
+            if (cartItems.length === 0) {
+                throw httpError(400, 'Cart is empty');
+            }
 
-        if (cartItems.length === 0) {
-            return res.status(400).json({ error: 'Cart is empty' });
-        }
+            // An accepted offer's price is for a single unit
+            const overOffer = cartItems.find(item => item.offer_id && item.quantity > 1);
+            if (overOffer) {
+                throw httpError(400, `Your accepted offer on "${overOffer.title}" is for one item - change its quantity to 1`);
+            }
 
-        // Calculate total
-        const totalAmount = cartItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+            // How each seller's items reach the buyer, and what that costs
+            const deliveryBySeller = new Map();
+            for (const quote of await delivery.quoteDelivery(tx, cartItems)) {
+                deliveryBySeller.set(quote.sellerId, delivery.chooseDelivery(quote, deliveryMethods[quote.sellerId]));
+            }
 
-        // Generate unique order number
-        const orderNumber = 'ECO-' + Date.now() + '-' + Math.random().toString(36).substr(2, 5).toUpperCase();
+            const shipping = [...deliveryBySeller.values()].some(choice => choice.method === 'shipping');
+            if (shipping && !deliveryAddress) {
+                throw httpError(400, 'A delivery address is required for items that are shipped');
+            }
 
-        // Create order with enhanced details
-        const orderStmt = db.prepare(`
-            INSERT INTO orders (
-                user_id, total_amount, customer_name, customer_email,
-                customer_phone, delivery_address, delivery_notes, order_number, status
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'completed')
-        `);
+            // The code is checked in the same transaction as the order, so its usage limits hold
+            const promotion = promoCode ? await quotePromotion(tx, promoCode, userId, cartItems) : null;
+            const discount = promotion ? promotion.discount : 0;
+
+            // Take each item out of stock only if enough units are left, so two buyers can never get the
+            // same unit. The listing is sold once its last unit goes. Items held by an accepted offer are
+            // only available to that offer's buyer, and units other buyers hold at checkout are not for sale.
+            const unavailableItems = [];
+            for (const item of cartItems) {
+                const result = await tx.run(`
+                    UPDATE products AS p
+                    SET stock = stock - ?,
+                        status = CASE WHEN stock - ? <= 0 THEN 'sold' ELSE 'available' END,
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ? AND stock - ${RESERVED_BY_OTHERS} >= ?
+                      AND (status = 'available' OR (status = 'reserved' AND ? IS NOT NULL))
+                `, [item.quantity, item.quantity, item.product_id, userId, item.quantity, item.offer_id]);
+
+                const product = await tx.get(`
+                    SELECT p.stock, p.status, ${RESERVED_BY_OTHERS} as reserved_by_others FROM products p WHERE p.id = ?
+                `, [userId, item.product_id]);
+                if (result.changes === 0) {
+                    // Still on sale, just not in that quantity: the buyer can retry with what is left.
+                    // Units held by other buyers may come back when their reservation runs out.
+                    const onSale = product && product.status === 'available' && product.stock > 0;
+                    const availableQuantity = onSale ? Math.max(product.stock - product.reserved_by_others, 0) : 0;
+                    unavailableItems.push({
+                        cartItemId: item.id,
+                        productId: item.product_id,
+                        title: item.title,
+                        availableQuantity,
+                        held: onSale && availableQuantity === 0
+                    });
+                }
 
-        orderStmt.run([
-            userId, totalAmount, fullName, email, phone,
-            deliveryAddress, deliveryNotes, orderNumber
-        ], function(err) {
-            if (err) {
-                return res.status(500).json({ error: 'Failed to create order' });
+                item.sold_out = product && product.status === 'sold';
             }
 
-            const orderId = this.lastID;
+            if (unavailableItems.length > 0) {
+                const err = httpError(409, 'Some items in your cart are no longer available in the quantity you chose');
+                err.unavailableItems = unavailableItems;
+                throw err;
+            }
 
-            // Add order items
-            const orderItemStmt = db.prepare(`
-                INSERT INTO order_items (order_id, product_id, quantity, price) 
-                VALUES (?, ?, ?, ?)
-            `);
+            // Calculate total, delivery included and discount taken off
+            const deliveryFee = [...deliveryBySeller.values()].reduce((sum, choice) => sum + choice.fee, 0);
+            const totalAmount = parseFloat((cartItems.reduce((sum, item) => sum + (item.price * item.quantity), 0) + deliveryFee - discount).toFixed(2));
+            const itemDiscount = item => (promotion && promotion.itemDiscounts.get(item.id)) || 0;
+
+            // Generate unique order number
+            const orderNumber = 'ECO-' + Date.now() + '-' + Math.random().toString(36).substr(2, 5).toUpperCase();
+
+            // The parent order is what the buyer sees and pays for
+            const { lastID: orderId } = await tx.run(`
+                INSERT INTO orders (
+                    user_id, total_amount, customer_name, customer_email,
+                    customer_phone, delivery_address, delivery_notes, order_number, status,
+                    delivery_method, delivery_fee, promotion_id, promotion_code, discount_amount
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', NULL, ?, ?, ?, ?)
+            `, [
+                userId, totalAmount, fullName, email, phone, deliveryAddress || null, deliveryNotes, orderNumber, deliveryFee,
+                promotion ? promotion.promotion.id : null, promotion ? promotion.promotion.code : null, discount
+            ]);
+
+            if (promotion) {
+                await recordRedemption(tx, promotion.promotion, userId, orderId, discount);
+            }
 
-            let itemsProcessed = 0;
-            const totalItems = cartItems.length;
+            await tx.run(`
+                INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, note)
+                VALUES (?, NULL, 'pending', ?, 'Order placed')
+            `, [orderId, userId]);
 
+            // One sub-order per seller, each with its own share of the money and its own fulfilment
+            const itemsBySeller = new Map();
             cartItems.forEach(item => {
-                orderItemStmt.run([orderId, item.product_id, item.quantity, item.price], (err) => {
-                    if (err) {
-                        console.error('Error adding order item:', err);
+                if (!itemsBySeller.has(item.seller_id)) itemsBySeller.set(item.seller_id, []);
+                itemsBySeller.get(item.seller_id).push(item);
+            });
+
+            const subOrders = [];
+            let sellerIndex = 0;
+            for (const [sellerId, sellerItems] of itemsBySeller) {
+                sellerIndex++;
+                const choice = deliveryBySeller.get(sellerId);
+                const sellerDiscount = parseFloat(sellerItems.reduce((sum, item) => sum + itemDiscount(item), 0).toFixed(2));
+                const sellerTotal = parseFloat((sellerItems.reduce((sum, item) => sum + (item.price * item.quantity), 0) + choice.fee - sellerDiscount).toFixed(2));
+                const pickupCode = choice.method === 'pickup' ? delivery.generatePickupCode() : null;
+
+                // Pickup orders keep no address: the buyer collects them from the seller
+                const { lastID: subOrderId } = await tx.run(`
+                    INSERT INTO orders (
+                        user_id, total_amount, customer_name, customer_email,
+                        customer_phone, delivery_address, delivery_notes, order_number, status,
+                        parent_order_id, seller_id, delivery_method, delivery_fee, pickup_code, discount_amount
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?, ?, ?, ?)
+                `, [
+                    userId, sellerTotal, fullName, email, phone,
+                    choice.method === 'shipping' ? deliveryAddress : null, deliveryNotes,
+                    `${orderNumber}-${sellerIndex}`, orderId, sellerId, choice.method, choice.fee, pickupCode, sellerDiscount
+                ]);
+
+                for (const item of sellerItems) {
+                    await tx.run(`
+                        INSERT INTO order_items (order_id, product_id, quantity, price, discount_amount)
+                        VALUES (?, ?, ?, ?, ?)
+                    `, [subOrderId, item.product_id, item.quantity, item.price, itemDiscount(item)]);
+
+                    if (item.offer_id) {
+                        await tx.run(`
+                            UPDATE offers SET status = 'completed', order_id = ?, updated_at = CURRENT_TIMESTAMP
+                            WHERE id = ?
+                        `, [subOrderId, item.offer_id]);
                     }
+                }
 
-                    itemsProcessed++;
-                    if (itemsProcessed === totalItems) {
-                        orderItemStmt.finalize();
-
-                        // Mark products as sold (for second-hand marketplace, typically one item per product)
-                        const productIds = cartItems.map(item => item.product_id);
-                        const placeholders = productIds.map(() => '?').join(',');
-                        
-                        db.run(`UPDATE products SET status = 'sold' WHERE id IN (${placeholders})`, productIds, (err) => {
-                            if (err) {
-                                console.error('Error updating product status:', err);
-                            }
-                        });
+                await tx.run(`
+                    INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, note)
+                    VALUES (?, NULL, 'pending', ?, 'Order placed')
+                `, [subOrderId, userId]);
+
+                subOrders.push({
+                    orderId: subOrderId,
+                    sellerId,
+                    orderNumber: `${orderNumber}-${sellerIndex}`,
+                    totalAmount: parseFloat(sellerTotal.toFixed(2)),
+                    deliveryMethod: choice.method,
+                    deliveryFee: choice.fee,
+                    discount: sellerDiscount,
+                    pickupCode,
+                    itemCount: sellerItems.length,
+                    items: sellerItems.map(item => ({ id: item.product_id, title: item.title, soldOut: item.sold_out }))
+                });
+            }
 
-                        // Clear cart
-                        db.run('DELETE FROM cart WHERE user_id = ?', [userId], (err) => {
-                            if (err) {
-                                console.error('Error clearing cart:', err);
-                            }
-                        });
+            await tx.run('DELETE FROM cart WHERE user_id = ?', [userId]);
 
-                        res.status(201).json({
-                            message: 'Order placed successfully',
-                            orderId: orderId,
-                            orderNumber: orderNumber,
-                            totalAmount: parseFloat(totalAmount.toFixed(2)),
-                            customerName: fullName,
-                            deliveryAddress: deliveryAddress,
-                            itemCount: totalItems
-                        });
-                    }
-                });
+            // Units left on sale may all be held by other buyers' accepted offers
+            for (const item of cartItems.filter(item => !item.sold_out)) {
+                await syncReservedStatus(tx, item.product_id);
+            }
+
+            return {
+                orderId, orderNumber, totalAmount, deliveryFee, discount,
+                promotionCode: promotion ? promotion.promotion.code : null,
+                itemCount: cartItems.length,
+                subOrders
+            };
+        });
+
+        // The order stays pending until its payment is confirmed
+        let payment = null;
+        try {
+            payment = await createPaymentIntent(order.orderId, userId);
+        } catch (err) {
+            console.error('Error creating payment for order:', err);
+        }
+
+        notify(userId, {
+            type: 'order',
+            title: 'Order placed',
+            body: `Order ${order.orderNumber} for ${order.itemCount} item(s) was placed`,
+            link: 'purchases.html'
+        });
+
+        order.subOrders.forEach(subOrder => {
+            notify(subOrder.sellerId, {
+                type: 'sale',
+                title: 'Your item sold',
+                body: `${subOrder.items.map(item => item.title).join(', ')} - order ${subOrder.orderNumber}`
+                    + (subOrder.deliveryMethod === 'pickup' ? ' (local pickup)' : ''),
+                link: 'purchases.html'
             });
+
+            // People who saved a multi-unit listing only hear about it once the last unit is gone
+            subOrder.items.filter(item => item.soldOut).forEach(item => notifyItemSold(item, userId));
         });
 
-        orderStmt.finalize();
-    });
+        res.status(201).json({
+            message: 'Order placed successfully',
+            orderId: order.orderId,
+            orderNumber: order.orderNumber,
+            status: 'pending',
+            totalAmount: parseFloat(order.totalAmount.toFixed(2)),
+            deliveryFee: parseFloat(order.deliveryFee.toFixed(2)),
+            discount: order.discount,
+            promotionCode: order.promotionCode,
+            customerName: fullName,
+            deliveryAddress: deliveryAddress,
+            itemCount: order.itemCount,
+            subOrders: order.subOrders.map(({ items, ...subOrder }) => subOrder),
+            payment
+        });
+    } catch (err) {
+        if (err.unavailableItems) {
+            // Items that got away can never be bought, so take them out of the cart for the retry;
+            // items with fewer units left keep what is still there, and items other buyers are
+            // holding at checkout stay where they are in case the hold runs out
+            err.unavailableItems.filter(item => !item.held).forEach(item => {
+                const sql = item.availableQuantity > 0
+                    ? 'UPDATE cart SET quantity = ? WHERE user_id = ? AND id = ?'
+                    : 'DELETE FROM cart WHERE user_id = ? AND id = ?';
+                const params = item.availableQuantity > 0 ? [item.availableQuantity, userId, item.cartItemId] : [userId, item.cartItemId];
+                db.run(sql, params, (updateErr) => {
+                    if (updateErr) console.error('Error updating unavailable items in cart:', updateErr);
+                });
+            });
+
+            return res.status(409).json({
+                error: `${err.message}. Your cart has been updated to what is left - nothing was charged.`,
+                unavailableItems: err.unavailableItems
+            });
+        }
+
+        sendError(res, err, 'Failed to create order');
+    }
 });
 
 // Get user's orders (purchase history)
 router.get('/history', authenticateToken, (req, res) => {
     const userId = req.user.userId;
 
+    // Buyers see parent orders; their items live on the per-seller sub-orders
     const query = `
         SELECT o.*, 
                GROUP_CONCAT(p.title) as product_titles,
-               COUNT(oi.id) as item_count
+               COUNT(oi.id) as item_count,
+               (SELECT pay.status FROM payments pay WHERE pay.order_id = o.id ORDER BY pay.id DESC LIMIT 1) as payment_status
         FROM orders o
-        LEFT JOIN order_items oi ON o.id = oi.order_id
+        LEFT JOIN order_items oi ON oi.order_id = o.id
+            OR oi.order_id IN (SELECT sub.id FROM orders sub WHERE sub.parent_order_id = o.id)
         LEFT JOIN products p ON oi.product_id = p.id
-        WHERE o.user_id = ?
+        WHERE o.user_id = ? AND o.parent_order_id IS NULL
         GROUP BY o.id
         ORDER BY o.created_at DESC
     `;
@@ -134,18 +317,109 @@ router.get('/history', authenticateToken, (req, res) => {
     });
 });
 
+// Load an order the current user is involved in, along with their roles on it
+function loadOrderForUser(orderId, user, callback) {
+    db.get('SELECT * FROM orders WHERE id = ?', [orderId], (err, order) => {
+        if (err) return callback(err);
+        if (!order) return callback(null, null, []);
+
+        getActorRoles(order, user, (err, roles) => {
+            if (err) return callback(err);
+            // Hide orders the user has nothing to do with
+            if (roles.length === 0) return callback(null, null, []);
+            callback(null, order, roles);
+        });
+    });
+}
+
 // Get specific order details
-router.get('/:orderId', authenticateToken, (req, res) => {
+router.get('/:orderId(\\d+)', authenticateToken, (req, res) => {
     const { orderId } = req.params;
-    const userId = req.user.userId;
 
-    // Get order details
-    const orderQuery = `
-        SELECT * FROM orders 
-        WHERE id = ? AND user_id = ?
-    `;
+    loadOrderForUser(orderId, req.user, (err, order, roles) => {
+        if (err) {
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        // A parent order's items are spread over its per-seller sub-orders
+        db.all(`
+            SELECT o.*, u.username as seller_name, u.full_name as seller_full_name
+            FROM orders o
+            JOIN users u ON o.seller_id = u.id
+            WHERE o.parent_order_id = ?
+            ORDER BY o.id
+        `, [order.id], (err, subOrders) => {
+            if (err) {
+                return res.status(500).json({ error: 'Database error' });
+            }
+
+            const orderIds = [order.id, ...subOrders.map(sub => sub.id)];
+
+            // Get order items
+            const itemsQuery = `
+                SELECT oi.*, p.title, p.description, p.image_url, p.seller_id,
+                       u.username as seller_name, u.full_name as seller_full_name,
+                       rv.id as review_id, rv.rating as review_rating,
+                       (SELECT rr.status FROM return_requests rr WHERE rr.order_item_id = oi.id
+                        ORDER BY rr.id DESC LIMIT 1) as return_status
+                FROM order_items oi
+                JOIN products p ON oi.product_id = p.id
+                JOIN users u ON p.seller_id = u.id
+                LEFT JOIN reviews rv ON rv.order_item_id = oi.id
+                WHERE oi.order_id IN (${orderIds.map(() => '?').join(',')})
+            `;
+
+            db.all(itemsQuery, orderIds, (err, items) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Database error' });
+                }
+
+                getStatusHistory(orderIds, (err, history) => {
+                    if (err) {
+                        return res.status(500).json({ error: 'Database error' });
+                    }
+
+                    db.get(`
+                        SELECT id, provider, amount, currency, status, failure_reason, refunded_amount, created_at
+                        FROM payments WHERE order_id = ? ORDER BY id DESC LIMIT 1
+                    `, [order.parent_order_id || order.id], (err, payment) => {
+                        if (err) {
+                            return res.status(500).json({ error: 'Database error' });
+                        }
+
+                        res.json({
+                            order: {
+                                ...delivery.hidePickupCode(order, roles),
+                                payment: payment || null,
+                                items,
+                                history: history.filter(entry => entry.order_id === order.id),
+                                allowedTransitions: subOrders.length > 0
+                                    ? []
+                                    : delivery.deliveryTransitions(order, getAllowedTransitions(order.status, roles)),
+                                subOrders: subOrders.map(sub => ({
+                                    ...delivery.hidePickupCode(sub, roles),
+                                    items: items.filter(item => item.order_id === sub.id),
+                                    history: history.filter(entry => entry.order_id === sub.id),
+                                    allowedTransitions: delivery.deliveryTransitions(sub, getAllowedTransitions(sub.status, roles))
+                                }))
+                            }
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
 
-    db.get(orderQuery, [orderId, userId], (err, order) => {
+// Get an order's status timeline
+router.get('/:orderId(\\d+)/history', authenticateToken, (req, res) => {
+    const { orderId } = req.params;
+
+    loadOrderForUser(orderId, req.user, (err, order) => {
         if (err) {
             return res.status(500).json({ error: 'Database error' });
         }
@@ -154,26 +428,95 @@ router.get('/:orderId', authenticateToken, (req, res) => {
             return res.status(404).json({ error: 'Order not found' });
         }
 
-        // Get order items
-        const itemsQuery = `
-            SELECT oi.*, p.title, p.description, p.image_url,
-                   u.username as seller_name, u.full_name as seller_full_name
-            FROM order_items oi
-            JOIN products p ON oi.product_id = p.id
-            JOIN users u ON p.seller_id = u.id
-            WHERE oi.order_id = ?
-        `;
-
-        db.all(itemsQuery, [orderId], (err, items) => {
+        getStatusHistory(orderId, (err, history) => {
             if (err) {
                 return res.status(500).json({ error: 'Database error' });
             }
 
+            res.json({ orderId: order.id, status: order.status, history });
+        });
+    });
+});
+
+// Move an order through its lifecycle (sellers fulfil, buyers cancel or confirm receipt, admins anything valid)
+router.put('/:orderId(\\d+)/status', authenticateToken, (req, res) => {
+    const { orderId } = req.params;
+    const { status, note } = req.body;
+
+    if (!status) {
+        return res.status(400).json({ error: 'Status is required' });
+    }
+
+    loadOrderForUser(orderId, req.user, (err, order, roles) => {
+        if (err) {
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        if (!delivery.deliveryTransitions(order, getAllowedTransitions(order.status, roles)).includes(status)) {
+            return res.status(403).json({ error: `You cannot change this order from ${order.status} to ${status}` });
+        }
+
+        changeOrderStatus({ orderId: order.id, toStatus: status, changedBy: req.user.userId, note }, (err, result) => {
+            if (err) {
+                return res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to update order status' });
+            }
+
             res.json({
-                order: {
-                    ...order,
-                    items
-                }
+                message: `Order marked as ${result.toStatus}`,
+                ...result
+            });
+        });
+    });
+});
+
+// Hand over a pickup order: the seller enters the code the buyer shows them, which marks the order delivered
+router.post('/:orderId(\\d+)/pickup', authenticateToken, (req, res) => {
+    const { orderId } = req.params;
+    const code = String(req.body.code || '').trim();
+
+    loadOrderForUser(orderId, req.user, (err, order, roles) => {
+        if (err) {
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        if (!roles.includes('seller') && !roles.includes('admin')) {
+            return res.status(403).json({ error: 'Only the seller can confirm a pickup' });
+        }
+
+        if (order.delivery_method !== 'pickup') {
+            return res.status(400).json({ error: 'This order is not for local pickup' });
+        }
+
+        if (order.status !== 'confirmed') {
+            return res.status(400).json({
+                error: order.status === 'pending' ? 'This order has not been paid yet' : `This order is already ${order.status}`
+            });
+        }
+
+        if (!code || code !== order.pickup_code) {
+            return res.status(400).json({ error: 'That pickup code does not match - ask the buyer for the code on their order' });
+        }
+
+        changeOrderStatus({ orderId: order.id, toStatus: 'delivered', changedBy: req.user.userId, note: 'Picked up by the buyer' }, (err, result) => {
+            if (err) {
+                return res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to confirm pickup' });
+            }
+
+            db.run('UPDATE orders SET picked_up_at = CURRENT_TIMESTAMP WHERE id = ?', [order.id], (err) => {
+                if (err) console.error('Error recording pickup time:', err);
+            });
+
+            res.json({
+                message: 'Pickup confirmed - order marked as delivered',
+                ...result
             });
         });
     });
@@ -188,9 +531,20 @@ router.get('/sales/history', authenticateToken, (req, res) => {
         return res.status(403).json({ error: 'Only sellers can view sales history' });
     }
 
+    // Sellers only ever see their own share: the sub-order total, or for orders placed
+    // before per-seller sub-orders existed, the sum of their own items
     const query = `
-        SELECT o.id as order_id, o.created_at as order_date, o.total_amount,
-               oi.quantity, oi.price, p.title, p.description,
+        SELECT o.id as order_id, o.order_number, o.created_at as order_date, o.status as order_status,
+               o.delivery_method, o.delivery_fee, o.discount_amount as order_discount,
+               CASE WHEN o.seller_id IS NOT NULL THEN o.total_amount
+                    ELSE (SELECT SUM(oi2.price * oi2.quantity)
+                          FROM order_items oi2
+                          JOIN products p2 ON oi2.product_id = p2.id
+                          WHERE oi2.order_id = o.id AND p2.seller_id = ?)
+               END as total_amount,
+               oi.quantity, oi.price, oi.discount_amount, oi.returned_quantity, p.title, p.description,
+               (SELECT COALESCE(SUM(rr.refund_amount), 0) FROM return_requests rr
+                WHERE rr.order_item_id = oi.id AND rr.status = 'approved') as returned_amount,
                u.username as buyer_name, u.full_name as buyer_full_name
         FROM order_items oi
         JOIN orders o ON oi.order_id = o.id
@@ -200,13 +554,20 @@ router.get('/sales/history', authenticateToken, (req, res) => {
         ORDER BY o.created_at DESC
     `;
 
-    db.all(query, [sellerId], (err, sales) => {
+    db.all(query, [sellerId, sellerId], (err, sales) => {
         if (err) {
             return res.status(500).json({ error: 'Database error' });
         }
 
-        // Calculate total revenue
-        const totalRevenue = sales.reduce((sum, sale) => sum + (sale.price * sale.quantity), 0);
+        // Calculate total revenue, after any promo code discounts and refunded returns
+        const totalRevenue = sales.reduce((sum, sale) =>
+            sum + (sale.price * sale.quantity) - (sale.discount_amount || 0) - sale.returned_amount, 0);
+
+        // Fulfilment actions the seller can take on each order
+        const roles = req.user.role === 'admin' ? ['seller', 'admin'] : ['seller'];
+        sales.forEach(sale => {
+            sale.allowed_transitions = delivery.deliveryTransitions(sale, getAllowedTransitions(sale.order_status, roles));
+        });
 
         res.json({ 
             sales,
@@ -224,12 +585,13 @@ router.get('/stats/overview', authenticateToken, (req, res) => {
     }
 
     const queries = {
-        totalOrders: 'SELECT COUNT(*) as count FROM orders',
-        totalRevenue: 'SELECT SUM(total_amount) as total FROM orders',
+        totalOrders: 'SELECT COUNT(*) as count FROM orders WHERE parent_order_id IS NULL',
+        totalRevenue: 'SELECT SUM(total_amount) as total FROM orders WHERE parent_order_id IS NULL',
         recentOrders: `
             SELECT o.*, u.username, u.full_name 
             FROM orders o 
             JOIN users u ON o.user_id = u.id 
+            WHERE o.parent_order_id IS NULL
             ORDER BY o.created_at DESC 
             LIMIT 10
         `
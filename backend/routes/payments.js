@@ -0,0 +1,98 @@
+const express = require('express');
+const db = require('../../database/init');
+const { authenticateToken } = require('./auth');
+const payments = require('../payments');
+const { sendError } = require('../services/errors');
+
+const router = express.Router();
+
+// Payment methods the active provider offers (test cards for the mock gateway)
+router.get('/methods', authenticateToken, (req, res) => {
+    try {
+        const provider = payments.getProvider();
+        res.json({
+            provider: provider.name,
+            methods: provider.testPaymentMethods ? provider.testPaymentMethods() : []
+        });
+    } catch (err) {
+        sendError(res, err, 'Failed to load payment methods');
+    }
+});
+
+// Start (or resume) paying for one of the buyer's orders
+router.post('/orders/:orderId(\\d+)/intent', authenticateToken, async (req, res) => {
+    try {
+        const payment = await payments.createPaymentIntent(req.params.orderId, req.user.userId);
+        res.status(201).json({ payment });
+    } catch (err) {
+        sendError(res, err, 'Failed to create payment');
+    }
+});
+
+// Payments and refunds for one of the buyer's orders
+router.get('/orders/:orderId(\\d+)', authenticateToken, (req, res) => {
+    const { orderId } = req.params;
+
+    db.all('SELECT * FROM payments WHERE order_id = ? AND user_id = ? ORDER BY id DESC', [orderId, req.user.userId], (err, paymentRows) => {
+        if (err) {
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        const paymentIds = paymentRows.map(payment => payment.id);
+        if (paymentIds.length === 0) {
+            return res.json({ payments: [] });
+        }
+
+        db.all(`
+            SELECT * FROM payment_refunds
+            WHERE payment_id IN (${paymentIds.map(() => '?').join(',')}) AND status = 'succeeded'
+            ORDER BY created_at ASC
+        `, paymentIds, (err, refunds) => {
+            if (err) {
+                return res.status(500).json({ error: 'Database error' });
+            }
+
+            res.json({
+                payments: paymentRows.map(payment => ({
+                    ...payment,
+                    refunds: refunds.filter(refund => refund.payment_id === payment.id)
+                }))
+            });
+        });
+    });
+});
+
+// Confirm a payment with a payment method
+router.post('/:paymentId(\\d+)/confirm', authenticateToken, async (req, res) => {
+    try {
+        const payment = await payments.confirmPayment(req.params.paymentId, req.user.userId, req.body.paymentMethod);
+
+        const messages = {
+            succeeded: 'Payment successful',
+            processing: 'Payment is processing - your order will be confirmed shortly',
+            failed: payment.failure_reason || 'Payment failed'
+        };
+
+        res.json({ message: messages[payment.status] || 'Payment updated', payment });
+    } catch (err) {
+        sendError(res, err, 'Failed to confirm payment');
+    }
+});
+
+// Provider callbacks (no user token - providers authenticate with a signature)
+router.post('/webhook/:provider', async (req, res) => {
+    try {
+        const provider = payments.getProvider(req.params.provider);
+        const event = provider.parseWebhook(req);
+
+        if (event) {
+            await payments.applyPaymentResult(event.intentId, event);
+        }
+
+        res.json({ received: true });
+    } catch (err) {
+        sendError(res, err, 'Failed to process webhook');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,48 @@
+const express = require('express');
+const { authenticateToken, requireRole } = require('./auth');
+const ledger = require('../services/ledger');
+const { sendError } = require('../services/errors');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// The current seller's balance, latest ledger entries and payout requests
+router.get('/balance', requireRole('seller', 'admin'), async (req, res) => {
+    try {
+        res.json(await ledger.getSellerAccount(req.user.userId));
+    } catch (err) {
+        sendError(res, err, 'Failed to load balance');
+    }
+});
+
+// Ask for a payout: { amount }, or the whole available balance without one
+router.post('/', requireRole('seller', 'admin'), async (req, res) => {
+    try {
+        const payout = await ledger.requestPayout(req.user.userId, req.body.amount);
+        res.status(201).json({ message: 'Payout requested', payout });
+    } catch (err) {
+        sendError(res, err, 'Failed to request payout');
+    }
+});
+
+// Every seller's payout requests, open ones first (?status= to filter)
+router.get('/', requireRole('admin'), async (req, res) => {
+    try {
+        res.json(await ledger.listPayouts(req.query.status));
+    } catch (err) {
+        sendError(res, err, 'Failed to load payouts');
+    }
+});
+
+// Settle a payout request: { status: 'paid' | 'rejected', note }
+router.put('/:id(\\d+)', requireRole('admin'), async (req, res) => {
+    try {
+        const payout = await ledger.processPayout(req.params.id, req.user.userId, req.body);
+        res.json({ message: payout.status === 'paid' ? 'Payout marked as paid' : 'Payout rejected', payout });
+    } catch (err) {
+        sendError(res, err, 'Failed to update payout');
+    }
+});
+
+module.exports = router;
@@ -1,91 +1,216 @@
 const express = require('express');
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
 const db = require('../../database/init');
 const { authenticateToken } = require('./auth');
+const { notifyPriceDrop, notifyItemSold } = require('../services/notifications');
+const { SELLER_RATING_JOIN, SELLER_RATING_COLUMNS } = require('../services/reviews');
+const {
+    SEARCH_JOIN,
+    SEARCH_COLUMNS,
+    buildMatchQuery,
+    formatSearchResults,
+    resolveSort,
+    orderByClause,
+    cursorCondition,
+    encodeCursor,
+    decodeCursor
+} = require('../services/search');
+const { runInTransaction } = require('../../database/transaction');
+const productImages = require('../services/productImages');
+const { matchNewProduct } = require('../services/savedSearches');
+const categories = require('../services/categories');
+const locations = require('../services/locations');
+const { parseDeliveryOptions } = require('../services/delivery');
+const { processUploadedFiles, removeImageFiles } = require('../services/imageProcessing');
+const { httpError, sendError } = require('../services/errors');
 
 const router = express.Router();
 
-// Configure multer for product image uploads
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        const uploadDir = 'uploads/products';
-        if (!fs.existsSync(uploadDir)) {
-            fs.mkdirSync(uploadDir, { recursive: true });
-        }
-        cb(null, uploadDir);
-    },
-    filename: (req, file, cb) => {
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        cb(null, 'product-' + uniqueSuffix + path.extname(file.originalname));
-    }
-});
-
+// Product image uploads are kept in memory and written to disk only after processing
 const upload = multer({
-    storage: storage,
+    storage: multer.memoryStorage(),
     limits: {
         fileSize: 10 * 1024 * 1024 // 10MB limit
-    },
-    fileFilter: (req, file, cb) => {
-        const allowedTypes = /jpeg|jpg|png|gif|webp/;
-        const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-        const mimetype = allowedTypes.test(file.mimetype);
-
-        if (mimetype && extname) {
-            return cb(null, true);
-        } else {
-            cb(new Error('Only image files are allowed'));
-        }
     }
 });
 
-// Get all products with optional filtering
+// Accepts up to MAX_PRODUCT_IMAGES files as `productImages`, plus the older single `productImage` field
+const imageFields = upload.fields([
+    { name: 'productImages', maxCount: productImages.MAX_PRODUCT_IMAGES },
+    { name: 'productImage', maxCount: 1 }
+]);
+
+function uploadImages(req, res, next) {
+    imageFields(req, res, (err) => {
+        if (err) {
+            const message = err.code === 'LIMIT_UNEXPECTED_FILE'
+                ? `You can upload at most ${productImages.MAX_PRODUCT_IMAGES} images`
+                : err.message;
+            return res.status(400).json({ error: message });
+        }
+
+        processUploadedFiles(req, { dir: 'uploads/products', prefix: 'product' })
+            .then(() => next())
+            .catch(err => sendError(res, err, 'Failed to process images'));
+    });
+}
+
+// Paths of the uploaded images (their processed full-size variants)
+function uploadedImagePaths(req) {
+    const files = [...((req.files && req.files.productImages) || []), ...((req.files && req.files.productImage) || [])];
+    return files.map(file => file.path);
+}
+
+// Where a listing is: the `city`/`postcode` sent with it, or else its seller's profile location
+async function listingLocation(tx, body, sellerId) {
+    const location = locations.resolveLocation(body);
+    if (location) return location;
+
+    return tx.get('SELECT city, postcode, latitude, longitude FROM users WHERE id = ?', [sellerId]);
+}
+
+// Most units a single listing can have
+const MAX_STOCK = 9999;
+
+// Statuses an edit can set. Only admins can take a listing down ('removed') or bring one back; a
+// listing held for an accepted offer ('reserved') keeps that status until the offer is settled.
+const EDITABLE_STATUSES = ['available', 'sold'];
+const ADMIN_EDITABLE_STATUSES = ['available', 'sold', 'removed'];
+const LOCKED_STATUSES = ['removed', 'reserved'];
+
+// Units for sale, a whole number. New listings need at least one; an existing one can go down to none.
+function parseStock(value, min = 1) {
+    const stock = Number(value);
+    if (!Number.isInteger(stock) || stock < min || stock > MAX_STOCK) {
+        throw httpError(400, `Quantity must be a whole number from ${min} to ${MAX_STOCK}`);
+    }
+    return stock;
+}
+
+// Get all products with optional filtering. With `search`, results include highlighted
+// `title_highlight` and `snippet` HTML. `sortBy` is one of PRODUCT_SORTS (relevance by default
+// when searching). Pass the returned `nextCursor` as `cursor` to get the next page, or for sorts
+// that cannot be paged by cursor (most viewed, best match), `nextOffset` as `offset`.
+// With a location (`near` postcode or city, or `lat` and `lng`) products get an approximate
+// `distance` in miles, `radius` limits them to those within that many miles, and `sortBy=distance` works.
 router.get('/', (req, res) => {
-    const { category, search, condition, minPrice, maxPrice, limit = 20, offset = 0 } = req.query;
-    
-    let query = `
-        SELECT p.*, u.username as seller_name, u.full_name as seller_full_name 
+    const { category, search, condition, minPrice, maxPrice, cursor, offset = 0 } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const matchQuery = buildMatchQuery(search);
+
+    let sort;
+    let cursorValues = null;
+    let distance = null;
+    let radius = null;
+    try {
+        const origin = locations.parseOrigin(req.query);
+        distance = origin ? locations.distanceExpression(origin) : null;
+
+        if (req.query.radius) {
+            radius = parseFloat(req.query.radius);
+            if (!Number.isFinite(radius) || radius <= 0) {
+                return res.status(400).json({ error: 'radius must be a positive number of miles' });
+            }
+            if (!distance) {
+                return res.status(400).json({ error: 'Filtering by radius needs a location - pass near, or lat and lng' });
+            }
+        }
+
+        sort = resolveSort(req.query.sortBy, Boolean(matchQuery), distance);
+        if (cursor) cursorValues = decodeCursor(cursor, sort);
+    } catch (err) {
+        return res.status(err.status).json({ error: err.message });
+    }
+
+    const from = `
         FROM products p 
         JOIN users u ON p.seller_id = u.id 
-        WHERE p.status = 'available'
+        ${matchQuery ? SEARCH_JOIN : ''}
     `;
+    let filters = " WHERE p.status = 'available'";
     const params = [];
 
-    // Add filters
+    // Add filters. A category (id or name) includes everything listed in its subcategories.
     if (category && category !== 'all') {
-        query += ' AND p.category = ?';
+        filters += ` AND p.category_id IN ${categories.CATEGORY_SUBTREE}`;
         params.push(category);
     }
 
-    if (search) {
-        query += ' AND (p.title LIKE ? OR p.description LIKE ?)';
-        params.push(`%${search}%`, `%${search}%`);
+    if (matchQuery) {
+        filters += ' AND products_fts MATCH ?';
+        params.push(matchQuery);
     }
 
     if (condition) {
-        query += ' AND p.condition = ?';
+        filters += ' AND p.condition = ?';
         params.push(condition);
     }
 
     if (minPrice) {
-        query += ' AND p.price >= ?';
+        filters += ' AND p.price >= ?';
         params.push(parseFloat(minPrice));
     }
 
     if (maxPrice) {
-        query += ' AND p.price <= ?';
+        filters += ' AND p.price <= ?';
         params.push(parseFloat(maxPrice));
     }
 
-    query += ' ORDER BY p.created_at DESC LIMIT ? OFFSET ?';
-    params.push(parseInt(limit), parseInt(offset));
+    if (radius) {
+        filters += ` AND ${distance} <= ?`;
+        params.push(radius);
+    }
+
+    let query = `
+        SELECT p.*, u.username as seller_name, u.full_name as seller_full_name, ${SELLER_RATING_COLUMNS}
+               ${matchQuery ? `, ${SEARCH_COLUMNS}` : ''}
+               ${distance ? `, ${distance} as distance` : ''}
+        ${from}
+        ${SELLER_RATING_JOIN}
+        ${filters}
+    `;
+    const pageParams = [...params];
+
+    if (cursorValues) {
+        query += cursorCondition(sort);
+        pageParams.push(...cursorValues);
+    }
+
+    // One extra row tells us whether there is another page
+    query += `${orderByClause(sort)} LIMIT ?`;
+    pageParams.push(limit + 1);
 
-    db.all(query, params, (err, products) => {
+    const pageOffset = cursorValues ? 0 : Math.max(parseInt(offset) || 0, 0);
+    if (!cursorValues) {
+        query += ' OFFSET ?';
+        pageParams.push(pageOffset);
+    }
+
+    db.get(`SELECT COUNT(*) as total ${from} ${filters}`, params, (err, count) => {
         if (err) {
             return res.status(500).json({ error: 'Database error' });
         }
-        res.json({ products });
+
+        db.all(query, pageParams, (err, rows) => {
+            if (err) {
+                return res.status(500).json({ error: 'Database error' });
+            }
+
+            const hasMore = rows.length > limit;
+            const products = rows.slice(0, limit);
+            const results = (matchQuery ? formatSearchResults(products) : products).map(product => (
+                distance ? { ...product, distance: locations.approximateDistance(product.distance) } : product
+            ));
+
+            res.json({
+                products: results,
+                total: count.total,
+                hasMore,
+                nextCursor: hasMore && sort.cursor ? encodeCursor(sort, products[products.length - 1]) : null,
+                nextOffset: hasMore && !sort.cursor ? pageOffset + products.length : null,
+                sortBy: sort.name
+            });
+        });
     });
 });
 
@@ -98,9 +223,11 @@ router.get('/:id', (req, res) => {
     
     // Get product details
     const query = `
-        SELECT p.*, u.username as seller_name, u.full_name as seller_full_name, u.phone as seller_phone 
+        SELECT p.*, u.username as seller_name, u.full_name as seller_full_name,
+               ${SELLER_RATING_COLUMNS}
         FROM products p 
         JOIN users u ON p.seller_id = u.id 
+        ${SELLER_RATING_JOIN}
         WHERE p.id = ?
     `;
     
@@ -112,58 +239,161 @@ router.get('/:id', (req, res) => {
         if (!product) {
             return res.status(404).json({ error: 'Product not found' });
         }
-        
-        res.json({ product });
+
+        db.all('SELECT * FROM product_images WHERE product_id = ? ORDER BY position, id', [productId], (err, images) => {
+            if (err) {
+                return res.status(500).json({ error: 'Database error' });
+            }
+
+            product.images = images;
+
+            categories.listCategories().then(list => {
+                const category = list.find(c => c.id === product.category_id);
+                product.category_path = category ? category.path : product.category;
+                product.category_ancestors = category ? category.ancestorIds : [];
+                product.attribute_list = categories.describeAttributes(category, product.attributes);
+                res.json({ product });
+            }).catch(() => {
+                res.status(500).json({ error: 'Database error' });
+            });
+        });
+    });
+});
+
+// Images of a product, in display order
+router.get('/:id(\\d+)/images', (req, res) => {
+    db.all('SELECT * FROM product_images WHERE product_id = ? ORDER BY position, id', [req.params.id], (err, images) => {
+        if (err) {
+            return res.status(500).json({ error: 'Database error' });
+        }
+        res.json({ images });
     });
 });
 
+// Add images to a product
+router.post('/:id(\\d+)/images', authenticateToken, uploadImages, async (req, res) => {
+    const imagePaths = uploadedImagePaths(req);
+
+    if (imagePaths.length === 0) {
+        return res.status(400).json({ error: 'No images uploaded' });
+    }
+
+    try {
+        const images = await productImages.addImages(req.params.id, req.user, imagePaths);
+        res.status(201).json({ message: 'Images added', images });
+    } catch (err) {
+        removeImageFiles(imagePaths);
+        sendError(res, err, 'Failed to add images');
+    }
+});
+
+// Reorder a product's images: { imageIds: [...] } in the new order
+router.put('/:id(\\d+)/images/order', authenticateToken, async (req, res) => {
+    const { imageIds } = req.body;
+
+    if (!Array.isArray(imageIds)) {
+        return res.status(400).json({ error: 'imageIds must be a list of image IDs' });
+    }
+
+    try {
+        const images = await productImages.reorderImages(req.params.id, req.user, imageIds);
+        res.json({ message: 'Images reordered', images });
+    } catch (err) {
+        sendError(res, err, 'Failed to reorder images');
+    }
+});
+
+// Make an image the cover photo
+router.put('/:id(\\d+)/images/:imageId(\\d+)/primary', authenticateToken, async (req, res) => {
+    try {
+        const images = await productImages.setPrimaryImage(req.params.id, req.user, req.params.imageId);
+        res.json({ message: 'Cover image updated', images });
+    } catch (err) {
+        sendError(res, err, 'Failed to update cover image');
+    }
+});
+
+router.delete('/:id(\\d+)/images/:imageId(\\d+)', authenticateToken, async (req, res) => {
+    try {
+        const images = await productImages.deleteImage(req.params.id, req.user, req.params.imageId);
+        res.json({ message: 'Image deleted', images });
+    } catch (err) {
+        sendError(res, err, 'Failed to delete image');
+    }
+});
+
 // Create new product (sellers only)
-router.post('/', authenticateToken, upload.single('productImage'), (req, res) => {
-    const { title, description, price, category, condition, imageUrl } = req.body;
+// `category` is a category id (or its path or name); `attributes` holds the values of the
+// category's attributes, as an object or a JSON string when sent as multipart form data.
+// `city` and `postcode` are optional and default to the seller's profile location.
+router.post('/', authenticateToken, uploadImages, async (req, res) => {
+    const { title, description, price, category, condition, imageUrl, attributes, stock } = req.body;
     const sellerId = req.user.userId;
+    const imagePaths = uploadedImagePaths(req);
 
     // Validate required fields
     if (!title || !price || !category) {
+        removeImageFiles(imagePaths);
         return res.status(400).json({ error: 'Title, price, and category are required' });
     }
 
     // Check if user is seller or admin
     if (req.user.role !== 'seller' && req.user.role !== 'admin') {
+        removeImageFiles(imagePaths);
         return res.status(403).json({ error: 'Only sellers can add products' });
     }
 
-    // Use uploaded image path or provided URL
-    let finalImageUrl = imageUrl;
-    if (req.file) {
-        finalImageUrl = req.file.path.replace(/\\/g, '/'); // Normalize path separators
-    }
+    // Use uploaded images, or the provided URL when there are none
+    const images = imagePaths.length > 0 ? imagePaths : (imageUrl ? [imageUrl] : []);
+
+    try {
+        const productId = await runInTransaction(async (tx) => {
+            const checked = categories.validateProductCategory(await categories.loadCategories(tx), category, attributes);
+            const location = await listingLocation(tx, req.body, sellerId);
+            const delivery = parseDeliveryOptions(req.body);
+
+            const { lastID } = await tx.run(`
+                INSERT INTO products (title, description, price, category, category_id, attributes, condition, image_url, seller_id,
+                                      city, postcode, latitude, longitude,
+                                      pickup_available, shipping_available, shipping_fee, weight, stock)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [title, description, parseFloat(price), checked.category.path, checked.category.id, checked.attributes,
+                condition || 'Good', images[0] || null, sellerId,
+                location.city, location.postcode, location.latitude, location.longitude,
+                delivery.pickup_available, delivery.shipping_available, delivery.shipping_fee, delivery.weight,
+                stock === undefined || stock === '' ? 1 : parseStock(stock)]);
+
+            if (images.length > 0) {
+                await productImages.insertImages(tx, lastID, images);
+            }
 
-    const stmt = db.prepare(`
-        INSERT INTO products (title, description, price, category, condition, image_url, seller_id)
-        VALUES (?, ?, ?, ?, ?, ?, ?)
-    `);
+            return lastID;
+        });
 
-    stmt.run([title, description, parseFloat(price), category, condition || 'Good', finalImageUrl, sellerId], function(err) {
-        if (err) {
-            return res.status(500).json({ error: 'Failed to create product' });
-        }
+        // Alert buyers whose saved searches match the new listing
+        matchNewProduct(productId).catch(err => console.error('Error matching saved searches:', err));
 
         res.status(201).json({
             message: 'Product created successfully',
-            productId: this.lastID
+            productId
         });
-    });
-
-    stmt.finalize();
+    } catch (err) {
+        removeImageFiles(imagePaths);
+        sendError(res, err, 'Failed to create product');
+    }
 });
 
 // Update product (seller/admin only)
 router.put('/:id', authenticateToken, (req, res) => {
     const productId = req.params.id;
-    const { title, description, price, category, condition, imageUrl, status } = req.body;
+    const { title, description, price, category, condition, imageUrl, status, attributes, city, postcode, stock } = req.body;
 
     // First check if product exists and user owns it
-    db.get('SELECT seller_id FROM products WHERE id = ?', [productId], (err, product) => {
+    db.get(`
+        SELECT id, seller_id, title, price, status, category_id, attributes, city, postcode, latitude, longitude,
+               pickup_available, shipping_available, shipping_fee, weight, stock
+        FROM products WHERE id = ?
+    `, [productId], (err, product) => {
         if (err) {
             return res.status(500).json({ error: 'Database error' });
         }
@@ -177,24 +407,92 @@ router.put('/:id', authenticateToken, (req, res) => {
             return res.status(403).json({ error: 'You can only edit your own products' });
         }
 
+        runInTransaction(async (tx) => {
+            // Keep the current category (and its attribute values, unless new ones are sent) when none is given
+            const checked = categories.validateProductCategory(
+                await categories.loadCategories(tx),
+                category || product.category_id,
+                attributes !== undefined ? attributes : product.attributes
+            );
+
+            // Likewise the location; sending an empty city and postcode goes back to the seller's profile location
+            const location = city !== undefined || postcode !== undefined
+                ? await listingLocation(tx, req.body, product.seller_id)
+                : product;
+
+            // Delivery options that are not sent stay as they are
+            const delivery = parseDeliveryOptions(req.body, product);
+
+            // The status stays as it is unless one is sent
+            const isAdmin = req.user.role === 'admin';
+            const requestedStatus = status === undefined || status === '' ? product.status : status;
+            if (requestedStatus !== product.status) {
+                const allowed = isAdmin ? ADMIN_EDITABLE_STATUSES : EDITABLE_STATUSES;
+                if (!allowed.includes(requestedStatus)) {
+                    throw httpError(400, `Status must be one of: ${allowed.join(', ')}`);
+                }
+                if (!isAdmin && LOCKED_STATUSES.includes(product.status)) {
+                    throw httpError(409, product.status === 'removed'
+                        ? 'This listing was taken down by an admin and cannot be relisted'
+                        : 'This listing is held for an accepted offer until the buyer checks out or the offer expires');
+                }
+            }
+
+            // Marking a listing sold takes what is left off sale, a listing with nothing left is sold,
+            // and restocking a sold listing puts it back on sale. Locked listings keep their status.
+            let units = stock === undefined || stock === '' ? product.stock : parseStock(stock, 0);
+            if (status === 'sold') units = 0;
+            let newStatus = requestedStatus;
+            if (!LOCKED_STATUSES.includes(newStatus)) {
+                if (units === 0) newStatus = 'sold';
+                else if (newStatus === 'sold') newStatus = 'available';
+            }
+
+            return { checked, location, delivery, inventory: { stock: units, status: newStatus } };
+        }).then(({ checked, location, delivery, inventory }) => {
+            updateProduct(product, checked, location, delivery, inventory);
+        }).catch(err => {
+            sendError(res, err, 'Database error');
+        });
+    });
+
+    function updateProduct(product, checked, location, delivery, inventory) {
+        // Once a product has a gallery, its cover image is managed through the image endpoints
         const stmt = db.prepare(`
             UPDATE products 
-            SET title = ?, description = ?, price = ?, category = ?, condition = ?, image_url = ?, status = ?, updated_at = CURRENT_TIMESTAMP
+            SET title = ?, description = ?, price = ?, category = ?, category_id = ?, attributes = ?, condition = ?,
+                city = ?, postcode = ?, latitude = ?, longitude = ?,
+                pickup_available = ?, shipping_available = ?, shipping_fee = ?, weight = ?,
+                image_url = CASE WHEN EXISTS (SELECT 1 FROM product_images WHERE product_id = products.id) THEN image_url ELSE ? END,
+                stock = ?, status = ?, updated_at = CURRENT_TIMESTAMP
             WHERE id = ?
         `);
 
         stmt.run([
-            title, description, parseFloat(price), category, condition, imageUrl, status || 'available', productId
+            title, description, parseFloat(price), checked.category.path, checked.category.id, checked.attributes,
+            condition, location.city, location.postcode, location.latitude, location.longitude,
+            delivery.pickup_available, delivery.shipping_available, delivery.shipping_fee, delivery.weight,
+            imageUrl, inventory.stock, inventory.status, productId
         ], function(err) {
             if (err) {
                 return res.status(500).json({ error: 'Failed to update product' });
             }
 
+            // Let people watching the item know about a lower price, or that it is gone
+            const watched = { id: product.id, title: title || product.title };
+            const newPrice = parseFloat(price);
+            if (newPrice < product.price) {
+                notifyPriceDrop(watched, product.price, newPrice);
+            }
+            if (inventory.status === 'sold' && product.status !== 'sold') {
+                notifyItemSold(watched);
+            }
+
             res.json({ message: 'Product updated successfully' });
         });
 
         stmt.finalize();
-    });
+    }
 });
 
 // Delete product (seller/admin only)
@@ -216,12 +514,22 @@ router.delete('/:id', authenticateToken, (req, res) => {
             return res.status(403).json({ error: 'You can only delete your own products' });
         }
 
-        db.run('DELETE FROM products WHERE id = ?', [productId], function(err) {
+        db.all('SELECT image_url FROM product_images WHERE product_id = ?', [productId], (err, images) => {
             if (err) {
-                return res.status(500).json({ error: 'Failed to delete product' });
+                return res.status(500).json({ error: 'Database error' });
             }
 
-            res.json({ message: 'Product deleted successfully' });
+            runInTransaction(async (tx) => {
+                await tx.run('DELETE FROM product_images WHERE product_id = ?', [productId]);
+                await tx.run('DELETE FROM favorites WHERE product_id = ?', [productId]);
+                await tx.run('DELETE FROM saved_search_matches WHERE product_id = ?', [productId]);
+                await tx.run('DELETE FROM products WHERE id = ?', [productId]);
+            }).then(() => {
+                removeImageFiles(images.map(image => image.image_url));
+                res.json({ message: 'Product deleted successfully' });
+            }).catch(() => {
+                res.status(500).json({ error: 'Failed to delete product' });
+            });
         });
     });
 });
@@ -246,22 +554,13 @@ router.get('/seller/:sellerId', (req, res) => {
     });
 });
 
-// Get categories
+// Get categories, in tree order, each with its `path`, `depth`, `parent_id` and the attributes listings in it can have
 router.get('/meta/categories', (req, res) => {
-    const categories = [
-        'Electronics',
-        'Clothing',
-        'Furniture',
-        'Books',
-        'Sports',
-        'Accessories',
-        'Home & Garden',
-        'Toys',
-        'Art & Collectibles',
-        'Other'
-    ];
-    
-    res.json({ categories });
+    categories.listCategories().then(list => {
+        res.json({ categories: list });
+    }).catch(() => {
+        res.status(500).json({ error: 'Database error' });
+    });
 });
 
 module.exports = router;
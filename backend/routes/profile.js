@@ -1,65 +1,41 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
 const router = express.Router();
 const db = require('../../database/init');
+const { authenticateToken } = require('./auth');
+const { processUploadedFiles, removeImageFiles } = require('../services/imageProcessing');
+const { resolveLocation } = require('../services/locations');
 
-// Configure multer for profile picture uploads
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        const uploadDir = 'uploads/profiles';
-        if (!fs.existsSync(uploadDir)) {
-            fs.mkdirSync(uploadDir, { recursive: true });
-        }
-        cb(null, uploadDir);
-    },
-    filename: (req, file, cb) => {
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        cb(null, 'profile-' + uniqueSuffix + path.extname(file.originalname));
-    }
-});
-
+// Profile pictures are kept in memory and written to disk only after processing
 const upload = multer({
-    storage: storage,
+    storage: multer.memoryStorage(),
     limits: {
         fileSize: 5 * 1024 * 1024 // 5MB limit
-    },
-    fileFilter: (req, file, cb) => {
-        const allowedTypes = /jpeg|jpg|png|gif/;
-        const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-        const mimetype = allowedTypes.test(file.mimetype);
-
-        if (mimetype && extname) {
-            return cb(null, true);
-        } else {
-            cb(new Error('Only image files are allowed'));
-        }
     }
 });
 
-// Middleware to verify JWT token
-const verifyToken = (req, res, next) => {
-    const token = req.headers.authorization?.split(' ')[1];
-    
-    if (!token) {
-        return res.status(401).json({ message: 'No token provided' });
-    }
+function uploadProfilePicture(req, res, next) {
+    upload.single('profilePicture')(req, res, (err) => {
+        if (err) {
+            return res.status(400).json({ message: err.message });
+        }
 
-    try {
-        const jwt = require('jsonwebtoken');
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-        req.user = decoded;
-        next();
-    } catch (error) {
-        return res.status(401).json({ message: 'Invalid token' });
-    }
-};
+        processUploadedFiles(req, { dir: 'uploads/profiles', prefix: 'profile' })
+            .then(() => next())
+            .catch(err => {
+                if (err.status) {
+                    return res.status(err.status).json({ message: err.message });
+                }
+                console.error('Error processing profile picture:', err);
+                res.status(500).json({ message: 'Failed to process image' });
+            });
+    });
+}
 
 // Get user profile
-router.get('/', verifyToken, (req, res) => {
-    const sql = `SELECT id, username, email, full_name, phone, address, profile_picture, role, created_at FROM users WHERE id = ?`;
+router.get('/', authenticateToken, (req, res) => {
+    const sql = `SELECT id, username, email, full_name, phone, address, city, postcode, profile_picture, role, created_at FROM users WHERE id = ?`;
     
     db.get(sql, [req.user.userId], (err, user) => {
         if (err) {
@@ -75,18 +51,32 @@ router.get('/', verifyToken, (req, res) => {
     });
 });
 
-// Update user profile
-router.put('/', verifyToken, (req, res) => {
-    const { fullName, username, email, phone, address } = req.body;
+// Update user profile. `city` and `postcode` set the location new listings default to.
+router.put('/', authenticateToken, (req, res) => {
+    const { fullName, username, email, phone, address, city, postcode } = req.body;
     
     // Validate required fields
     if (!fullName || !username || !email) {
         return res.status(400).json({ message: 'Full name, username, and email are required' });
     }
+
+    let location;
+    try {
+        location = resolveLocation({ city, postcode }) || { city: null, postcode: null, latitude: null, longitude: null };
+    } catch (err) {
+        return res.status(err.status).json({ message: err.message });
+    }
     
-    const sql = `UPDATE users SET full_name = ?, username = ?, email = ?, phone = ?, address = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
+    const sql = `
+        UPDATE users SET full_name = ?, username = ?, email = ?, phone = ?, address = ?,
+                         city = ?, postcode = ?, latitude = ?, longitude = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `;
     
-    db.run(sql, [fullName, username, email, phone, address, req.user.userId], function(err) {
+    db.run(sql, [
+        fullName, username, email, phone, address,
+        location.city, location.postcode, location.latitude, location.longitude, req.user.userId
+    ], function(err) {
         if (err) {
             console.error('Database error:', err);
             if (err.message.includes('UNIQUE constraint failed')) {
@@ -104,12 +94,12 @@ router.put('/', verifyToken, (req, res) => {
 });
 
 // Upload profile picture
-router.post('/picture', verifyToken, upload.single('profilePicture'), (req, res) => {
+router.post('/picture', authenticateToken, uploadProfilePicture, (req, res) => {
     if (!req.file) {
         return res.status(400).json({ message: 'No file uploaded' });
     }
     
-    const profilePicturePath = req.file.path.replace(/\\/g, '/'); // Normalize path separators
+    const profilePicturePath = req.file.path;
     
     // Get current profile picture to delete old one
     const getCurrentPictureSql = `SELECT profile_picture FROM users WHERE id = ?`;
@@ -130,10 +120,8 @@ router.post('/picture', verifyToken, upload.single('profilePicture'), (req, res)
             }
             
             // Delete old profile picture if it exists
-            if (user && user.profile_picture && fs.existsSync(user.profile_picture)) {
-                fs.unlink(user.profile_picture, (unlinkErr) => {
-                    if (unlinkErr) console.error('Error deleting old profile picture:', unlinkErr);
-                });
+            if (user && user.profile_picture) {
+                removeImageFiles([user.profile_picture]);
             }
             
             res.json({ 
@@ -145,7 +133,7 @@ router.post('/picture', verifyToken, upload.single('profilePicture'), (req, res)
 });
 
 // Remove profile picture
-router.delete('/picture', verifyToken, (req, res) => {
+router.delete('/picture', authenticateToken, (req, res) => {
     // Get current profile picture
     const getCurrentPictureSql = `SELECT profile_picture FROM users WHERE id = ?`;
     
@@ -165,10 +153,8 @@ router.delete('/picture', verifyToken, (req, res) => {
             }
             
             // Delete profile picture file if it exists
-            if (user && user.profile_picture && fs.existsSync(user.profile_picture)) {
-                fs.unlink(user.profile_picture, (unlinkErr) => {
-                    if (unlinkErr) console.error('Error deleting profile picture:', unlinkErr);
-                });
+            if (user && user.profile_picture) {
+                removeImageFiles([user.profile_picture]);
             }
             
             res.json({ message: 'Profile picture removed successfully' });
@@ -177,7 +163,7 @@ router.delete('/picture', verifyToken, (req, res) => {
 });
 
 // Change password
-router.put('/password', verifyToken, async (req, res) => {
+router.put('/password', authenticateToken, async (req, res) => {
     const { currentPassword, newPassword } = req.body;
     
     if (!currentPassword || !newPassword) {
@@ -0,0 +1,50 @@
+const express = require('express');
+const { authenticateToken, requireRole } = require('./auth');
+const promotions = require('../services/promotions');
+const { sendError } = require('../services/errors');
+
+const router = express.Router();
+
+// Buyers use codes at checkout; only sellers and admins run promotions
+router.use(authenticateToken, requireRole('seller', 'admin'));
+
+// The promotions the current user runs (every promotion for admins), newest first, with how often each was used
+router.get('/', async (req, res) => {
+    try {
+        res.json({ promotions: await promotions.listPromotions(req.user) });
+    } catch (err) {
+        sendError(res, err, 'Failed to load promotions');
+    }
+});
+
+// Create a promo code: { code, discountType, discountValue, minCartValue, maxUses, maxUsesPerUser,
+// startsAt, endsAt, categoryId, description }, plus `sellerId` for admins
+router.post('/', async (req, res) => {
+    try {
+        const promotion = await promotions.createPromotion(req.user, req.body);
+        res.status(201).json({ message: 'Promotion created', promotion });
+    } catch (err) {
+        sendError(res, err, 'Failed to create promotion');
+    }
+});
+
+// Pause or resume a promotion: { isActive }
+router.put('/:id(\\d+)', async (req, res) => {
+    try {
+        const promotion = await promotions.setPromotionActive(req.params.id, req.user, Boolean(req.body.isActive));
+        res.json({ message: promotion.is_active ? 'Promotion resumed' : 'Promotion paused', promotion });
+    } catch (err) {
+        sendError(res, err, 'Failed to update promotion');
+    }
+});
+
+router.delete('/:id(\\d+)', async (req, res) => {
+    try {
+        await promotions.deletePromotion(req.params.id, req.user);
+        res.json({ message: 'Promotion deleted' });
+    } catch (err) {
+        sendError(res, err, 'Failed to delete promotion');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,48 @@
+const express = require('express');
+const { authenticateToken, requireRole } = require('./auth');
+const moderation = require('../services/moderation');
+const { sendError } = require('../services/errors');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Report a listing or a user: { targetType: 'product' | 'user', productId, userId, reason, details }
+router.post('/', async (req, res) => {
+    try {
+        const report = await moderation.createReport(req.user, req.body);
+        res.status(201).json({ message: 'Thanks - an admin will review your report', report });
+    } catch (err) {
+        sendError(res, err, 'Failed to send report');
+    }
+});
+
+// The moderation queue (?status=open|resolved|dismissed, open by default)
+router.get('/', requireRole('admin'), async (req, res) => {
+    try {
+        res.json({ reports: await moderation.listReports(req.query.status || 'open') });
+    } catch (err) {
+        sendError(res, err, 'Failed to load reports');
+    }
+});
+
+// The moderation log, newest first
+router.get('/actions', requireRole('admin'), async (req, res) => {
+    try {
+        res.json({ actions: await moderation.listActions() });
+    } catch (err) {
+        sendError(res, err, 'Failed to load moderation log');
+    }
+});
+
+// Act on a report: { action: 'dismiss' | 'hide_listing' | 'warn' | 'suspend', note }
+router.post('/:id(\\d+)/actions', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await moderation.actOnReport(req.params.id, req.user.userId, req.body);
+        res.json({ message: 'Report handled', ...result });
+    } catch (err) {
+        sendError(res, err, 'Failed to handle report');
+    }
+});
+
+module.exports = router;
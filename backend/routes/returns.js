@@ -0,0 +1,86 @@
+const express = require('express');
+const multer = require('multer');
+const { authenticateToken, requireRole } = require('./auth');
+const returns = require('../services/returns');
+const { processUploadedFiles, removeImageFiles } = require('../services/imageProcessing');
+const { sendError } = require('../services/errors');
+
+const router = express.Router();
+
+// Return photos are kept in memory and written to disk only after processing
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 10 * 1024 * 1024 // 10MB limit
+    }
+});
+
+// Accepts up to MAX_RETURN_IMAGES photos as `images`
+function uploadImages(req, res, next) {
+    upload.array('images', returns.MAX_RETURN_IMAGES)(req, res, (err) => {
+        if (err) {
+            const message = err.code === 'LIMIT_UNEXPECTED_FILE'
+                ? `You can add at most ${returns.MAX_RETURN_IMAGES} photos`
+                : err.message;
+            return res.status(400).json({ error: message });
+        }
+
+        processUploadedFiles(req, { dir: 'uploads/returns', prefix: 'return' })
+            .then(() => next())
+            .catch(err => sendError(res, err, 'Failed to process photos'));
+    });
+}
+
+router.use(authenticateToken);
+
+// Returns the current user asked for or has to decide (every return for admins), ?status= to filter
+router.get('/', async (req, res) => {
+    try {
+        res.json({ returns: await returns.listReturns(req.user, req.query.status) });
+    } catch (err) {
+        sendError(res, err, 'Failed to load returns');
+    }
+});
+
+// Ask to return an item: { orderItemId, quantity, reason, details } plus optional `images`
+router.post('/', uploadImages, async (req, res) => {
+    const imagePaths = (req.files || []).map(file => file.path);
+
+    try {
+        const request = await returns.createReturnRequest(req.user, req.body, imagePaths);
+        res.status(201).json({ message: 'Return requested - the seller will review it', returnRequest: request });
+    } catch (err) {
+        removeImageFiles(imagePaths);
+        sendError(res, err, 'Failed to request return');
+    }
+});
+
+// Approve, reject or escalate a return: { status, restock: 'available' | 'removed', note }
+router.put('/:id(\\d+)', async (req, res) => {
+    try {
+        const request = await returns.updateReturnRequest(req.params.id, req.user, req.body);
+        res.json({
+            message: request.refund_status === 'failed'
+                ? 'Return approved, but the refund failed - an admin can retry it'
+                : `Return ${request.status}`,
+            returnRequest: request
+        });
+    } catch (err) {
+        sendError(res, err, 'Failed to update return');
+    }
+});
+
+// Retry the refund of an approved return whose refund failed
+router.post('/:id(\\d+)/refund', requireRole('admin'), async (req, res) => {
+    try {
+        const request = await returns.retryRefund(req.params.id, req.user);
+        res.json({
+            message: request.refund_status === 'failed' ? 'The refund failed again' : 'Refund sent',
+            returnRequest: request
+        });
+    } catch (err) {
+        sendError(res, err, 'Failed to retry refund');
+    }
+});
+
+module.exports = router;
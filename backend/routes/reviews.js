@@ -0,0 +1,150 @@
+const express = require('express');
+const db = require('../../database/init');
+const { authenticateToken } = require('./auth');
+const { getSellerRating } = require('../services/reviews');
+const { notify } = require('../services/notifications');
+
+const router = express.Router();
+
+const REVIEWABLE_STATUSES = ['delivered', 'completed'];
+const MAX_REVIEW_LENGTH = 2000;
+
+// Reviews a seller has received, newest first, with their rating summary
+router.get('/seller/:sellerId(\\d+)', (req, res) => {
+    const { sellerId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const query = `
+        SELECT r.*, p.title as product_title, u.username as buyer_name, u.full_name as buyer_full_name
+        FROM reviews r
+        JOIN products p ON r.product_id = p.id
+        JOIN users u ON r.buyer_id = u.id
+        WHERE r.seller_id = ?
+        ORDER BY r.created_at DESC, r.id DESC
+        LIMIT ? OFFSET ?
+    `;
+
+    db.all(query, [sellerId, limit, offset], (err, reviews) => {
+        if (err) {
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        getSellerRating(sellerId, (err, summary) => {
+            if (err) {
+                return res.status(500).json({ error: 'Database error' });
+            }
+
+            res.json({ reviews, ...summary });
+        });
+    });
+});
+
+// Review a purchased item once its order has been delivered
+router.post('/', authenticateToken, (req, res) => {
+    const userId = req.user.userId;
+    const { orderItemId, comment } = req.body;
+    const rating = parseInt(req.body.rating);
+
+    if (!orderItemId) {
+        return res.status(400).json({ error: 'Order item ID is required' });
+    }
+
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+        return res.status(400).json({ error: 'Rating must be a whole number from 1 to 5' });
+    }
+
+    if (comment && comment.length > MAX_REVIEW_LENGTH) {
+        return res.status(400).json({ error: `Reviews can be at most ${MAX_REVIEW_LENGTH} characters` });
+    }
+
+    const itemQuery = `
+        SELECT oi.id, oi.order_id, oi.product_id, o.status as order_status, p.seller_id, p.title
+        FROM order_items oi
+        JOIN orders o ON oi.order_id = o.id
+        JOIN products p ON oi.product_id = p.id
+        WHERE oi.id = ? AND o.user_id = ?
+    `;
+
+    db.get(itemQuery, [orderItemId, userId], (err, item) => {
+        if (err) {
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        if (!item) {
+            return res.status(404).json({ error: 'Purchase not found' });
+        }
+
+        if (!REVIEWABLE_STATUSES.includes(item.order_status)) {
+            return res.status(400).json({ error: 'You can review an item once it has been delivered' });
+        }
+
+        db.run(`
+            INSERT INTO reviews (order_item_id, order_id, product_id, buyer_id, seller_id, rating, comment)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [item.id, item.order_id, item.product_id, userId, item.seller_id, rating, comment || null], function(err) {
+            if (err) {
+                if (err.code === 'SQLITE_CONSTRAINT') {
+                    return res.status(409).json({ error: 'You have already reviewed this purchase' });
+                }
+                return res.status(500).json({ error: 'Failed to save review' });
+            }
+
+            notify(item.seller_id, {
+                type: 'review',
+                title: `New ${rating}-star review`,
+                body: `${req.user.username} reviewed ${item.title}`,
+                link: `product_detail.html?id=${item.product_id}`
+            });
+
+            res.status(201).json({ message: 'Thanks for your review!', reviewId: this.lastID });
+        });
+    });
+});
+
+// The seller answers a review (replying again replaces the earlier reply)
+router.put('/:id(\\d+)/reply', authenticateToken, (req, res) => {
+    const reply = typeof req.body.reply === 'string' ? req.body.reply.trim() : '';
+
+    if (!reply) {
+        return res.status(400).json({ error: 'Reply cannot be empty' });
+    }
+
+    if (reply.length > MAX_REVIEW_LENGTH) {
+        return res.status(400).json({ error: `Replies can be at most ${MAX_REVIEW_LENGTH} characters` });
+    }
+
+    db.get('SELECT id, seller_id, buyer_id, product_id FROM reviews WHERE id = ?', [req.params.id], (err, review) => {
+        if (err) {
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        if (!review) {
+            return res.status(404).json({ error: 'Review not found' });
+        }
+
+        if (review.seller_id !== req.user.userId) {
+            return res.status(403).json({ error: 'Only the seller can reply to this review' });
+        }
+
+        db.run(`
+            UPDATE reviews SET seller_reply = ?, replied_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [reply, review.id], (err) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to save reply' });
+            }
+
+            notify(review.buyer_id, {
+                type: 'review',
+                title: 'The seller replied to your review',
+                body: reply.length > 100 ? `${reply.slice(0, 100)}...` : reply,
+                link: `product_detail.html?id=${review.product_id}`
+            });
+
+            res.json({ message: 'Reply posted' });
+        });
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,68 @@
+const express = require('express');
+const db = require('../../database/init');
+const { authenticateToken } = require('./auth');
+const savedSearches = require('../services/savedSearches');
+const { sendError } = require('../services/errors');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// The user's saved searches, with how many listings are waiting for the next daily digest
+router.get('/', (req, res) => {
+    db.all(`
+        SELECT ss.*, (SELECT COUNT(*) FROM saved_search_matches m WHERE m.saved_search_id = ss.id) as pending_matches
+        FROM saved_searches ss
+        WHERE ss.user_id = ?
+        ORDER BY ss.created_at DESC, ss.id DESC
+    `, [req.user.userId], (err, searches) => {
+        if (err) {
+            return res.status(500).json({ error: 'Database error' });
+        }
+        res.json({ savedSearches: searches });
+    });
+});
+
+router.get('/:id(\\d+)', (req, res) => {
+    db.get('SELECT * FROM saved_searches WHERE id = ? AND user_id = ?', [req.params.id, req.user.userId], (err, savedSearch) => {
+        if (err) {
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        if (!savedSearch) {
+            return res.status(404).json({ error: 'Saved search not found' });
+        }
+
+        res.json({ savedSearch });
+    });
+});
+
+// Save the current filters: { name, search, category, condition, minPrice, maxPrice, frequency }
+router.post('/', async (req, res) => {
+    try {
+        const savedSearch = await savedSearches.createSavedSearch(req.user.userId, req.body);
+        res.status(201).json({ message: 'Search saved - we will let you know about new matches', savedSearch });
+    } catch (err) {
+        sendError(res, err, 'Failed to save search');
+    }
+});
+
+router.put('/:id(\\d+)', async (req, res) => {
+    try {
+        const savedSearch = await savedSearches.updateSavedSearch(req.params.id, req.user.userId, req.body);
+        res.json({ message: 'Saved search updated', savedSearch });
+    } catch (err) {
+        sendError(res, err, 'Failed to update saved search');
+    }
+});
+
+router.delete('/:id(\\d+)', async (req, res) => {
+    try {
+        await savedSearches.deleteSavedSearch(req.params.id, req.user.userId);
+        res.json({ message: 'Saved search deleted' });
+    } catch (err) {
+        sendError(res, err, 'Failed to delete saved search');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const { reader } = require('../../database/transaction');
+const { authenticateToken, requireRole } = require('./auth');
+const delivery = require('../services/delivery');
+const { sendError } = require('../services/errors');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// The current seller's weight bands, lightest first
+router.get('/rates', requireRole('seller', 'admin'), async (req, res) => {
+    try {
+        const rates = await delivery.getShippingRates(reader, req.user.userId);
+        res.json({ rates });
+    } catch (err) {
+        sendError(res, err, 'Failed to load shipping rates');
+    }
+});
+
+// Replace the seller's weight bands: { rates: [{ maxWeight, fee }, ...] }. An empty list removes them,
+// after which listings without their own shipping fee ship free.
+router.put('/rates', requireRole('seller', 'admin'), async (req, res) => {
+    try {
+        const rates = await delivery.setShippingRates(req.user.userId, req.body.rates);
+        res.json({ message: 'Shipping rates saved', rates });
+    } catch (err) {
+        sendError(res, err, 'Failed to save shipping rates');
+    }
+});
+
+module.exports = router;
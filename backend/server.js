@@ -9,6 +9,23 @@ const productRoutes = require('./routes/products');
 const cartRoutes = require('./routes/cart');
 const orderRoutes = require('./routes/orders');
 const profileRoutes = require('./routes/profile');
+const adminRoutes = require('./routes/admin');
+const paymentRoutes = require('./routes/payments');
+const offerRoutes = require('./routes/offers');
+const messageRoutes = require('./routes/messages');
+const notificationRoutes = require('./routes/notifications');
+const reviewRoutes = require('./routes/reviews');
+const favoriteRoutes = require('./routes/favorites');
+const savedSearchRoutes = require('./routes/savedSearches');
+const shippingRoutes = require('./routes/shipping');
+const promotionRoutes = require('./routes/promotions');
+const payoutRoutes = require('./routes/payouts');
+const returnRoutes = require('./routes/returns');
+const reportRoutes = require('./routes/reports');
+const { expireOffers } = require('./services/offers');
+const { sendDailyDigests } = require('./services/savedSearches');
+const { releaseExpiredReservations } = require('./services/cartReservations');
+const { expireUnpaidOrders } = require('./payments');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -27,6 +44,19 @@ app.use('/api/products', productRoutes);
 app.use('/api/cart', cartRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/profile', profileRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/offers', offerRoutes);
+app.use('/api/messages', messageRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/favorites', favoriteRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/shipping', shippingRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/payouts', payoutRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/reports', reportRoutes);
 
 // Serve uploaded files
 app.use('/uploads', express.static('uploads'));
@@ -68,6 +98,10 @@ app.get('/purchases', (req, res) => {
     res.sendFile(path.join(__dirname, '../frontend/purchases.html'));
 });
 
+app.get('/messages', (req, res) => {
+    res.sendFile(path.join(__dirname, '../frontend/messages.html'));
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
     console.error(err.stack);
@@ -97,6 +131,26 @@ const initializeApp = async () => {
         // Generate QR code
         const qrCode = await QRCode.toString(networkURL, { type: 'terminal', small: true });
 
+        // Release items held by accepted offers that were never checked out
+        setInterval(() => {
+            expireOffers().catch(err => console.error('Error expiring offers:', err));
+        }, 60 * 1000);
+
+        // Clear cart reservations whose checkout window has passed
+        setInterval(() => {
+            releaseExpiredReservations().catch(err => console.error('Error releasing cart reservations:', err));
+        }, 60 * 1000);
+
+        // Cancel orders whose payment never came, so their items go back on sale
+        setInterval(() => {
+            expireUnpaidOrders().catch(err => console.error('Error cancelling unpaid orders:', err));
+        }, 60 * 1000);
+
+        // Send daily saved-search digests; each search gets at most one a day
+        setInterval(() => {
+            sendDailyDigests().catch(err => console.error('Error sending saved search digests:', err));
+        }, 60 * 60 * 1000);
+
         // Start server
         app.listen(PORT, () => {
             console.log('\n🌱 EcoFinds - Sustainable Second-Hand Marketplace');
@@ -0,0 +1,162 @@
+const { runInTransaction } = require('../../database/transaction');
+const { httpError } = require('./errors');
+
+// How long starting checkout holds the buyer's cart items for them
+const RESERVATION_MINUTES = parseInt(process.env.CART_RESERVATION_MINUTES) || 15;
+
+// How long after a hold runs out before the same cart item can be held again
+const RESERVATION_COOLDOWN_MINUTES = parseInt(process.env.CART_RESERVATION_COOLDOWN_MINUTES) || RESERVATION_MINUTES;
+
+// Joins a cart row (alias `c`) to the buyer's live accepted offer on that product (alias `ao`)
+const ACCEPTED_OFFER_JOIN = `
+    LEFT JOIN offers ao ON ao.product_id = c.product_id AND ao.buyer_id = c.user_id
+        AND ao.status = 'accepted' AND ao.expires_at > CURRENT_TIMESTAMP
+`;
+
+// Units of product `p` that other buyers are holding: with a checkout reservation, or with a live
+// accepted offer (one unit each). An offer's buyer checking out holds the same unit as their offer,
+// so it only counts once. Takes the current buyer's user id as its one parameter.
+const RESERVED_BY_OTHERS = `(
+    SELECT COALESCE((
+        SELECT SUM(r.quantity) FROM cart r
+        WHERE r.product_id = p.id AND r.user_id != me.id AND r.reserved_until > CURRENT_TIMESTAMP
+          AND NOT EXISTS (
+              SELECT 1 FROM offers held
+              WHERE held.product_id = r.product_id AND held.buyer_id = r.user_id
+                AND held.status = 'accepted' AND held.expires_at > CURRENT_TIMESTAMP
+          )
+    ), 0) + (
+        SELECT COUNT(*) FROM offers held
+        WHERE held.product_id = p.id AND held.buyer_id != me.id
+          AND held.status = 'accepted' AND held.expires_at > CURRENT_TIMESTAMP
+    )
+    FROM (SELECT ? AS id) me
+)`;
+
+// Why a cart item cannot be bought, as shown to the buyer
+const UNAVAILABLE_MESSAGES = {
+    sold: 'Sold to another buyer',
+    reserved: 'Reserved for another buyer whose offer was accepted',
+    removed: 'No longer listed',
+    held: 'Another buyer is checking out the last one - it may become available again in a few minutes'
+};
+
+// How many units of a cart item the buyer can get right now, and why not when that is none.
+// `item` has the product's status and stock, `offer_id` (the buyer's accepted offer) and `reserved_by_others`.
+function checkAvailability(item) {
+    if (item.status === 'reserved' && !item.offer_id) return { available: 0, reason: 'reserved' };
+    if (item.status === 'sold' || item.stock <= 0) return { available: 0, reason: 'sold' };
+    if (item.status !== 'available' && item.status !== 'reserved') return { available: 0, reason: 'removed' };
+
+    const available = item.offer_id ? 1 : item.stock - item.reserved_by_others;
+    return available > 0 ? { available, reason: null } : { available: 0, reason: 'held' };
+}
+
+// Split cart rows into what can still be bought and what became unavailable since it was added
+function splitByAvailability(cartItems) {
+    const availableItems = [];
+    const unavailableItems = [];
+
+    cartItems.forEach(item => {
+        const { available, reason } = checkAvailability(item);
+        if (reason) {
+            unavailableItems.push({
+                cartItemId: item.id,
+                productId: item.product_id,
+                title: item.title,
+                reason,
+                message: UNAVAILABLE_MESSAGES[reason]
+            });
+        } else {
+            availableItems.push({ ...item, available_quantity: available });
+        }
+    });
+
+    return { availableItems, unavailableItems };
+}
+
+// Hold everything in the buyer's cart for RESERVATION_MINUTES while they check out, so other buyers
+// cannot take it in the meantime. Items that are gone, or not available in the quantity in the cart,
+// are not held and are returned in `unavailableItems`. Calling this again must not let a buyer keep
+// stock off the market indefinitely: a running hold keeps its original end time, and once it runs
+// out the item cannot be held again for RESERVATION_COOLDOWN_MINUTES (it can still be bought).
+// `secondsLeft` is 0 when any of the items could not be held.
+async function reserveCart(userId) {
+    return runInTransaction(async (tx) => {
+        const cartItems = await tx.all(`
+            SELECT c.*, p.title, p.status, p.stock, ao.id as offer_id,
+                   ${RESERVED_BY_OTHERS} as reserved_by_others
+            FROM cart c
+            JOIN products p ON c.product_id = p.id
+            ${ACCEPTED_OFFER_JOIN}
+            WHERE c.user_id = ?
+        `, [userId, userId]);
+
+        if (cartItems.length === 0) {
+            throw httpError(400, 'Cart is empty');
+        }
+
+        const { availableItems, unavailableItems } = splitByAvailability(cartItems);
+
+        const reservable = availableItems.filter(item => item.quantity <= item.available_quantity);
+        availableItems.filter(item => item.quantity > item.available_quantity).forEach(item => {
+            unavailableItems.push({
+                cartItemId: item.id,
+                productId: item.product_id,
+                title: item.title,
+                reason: 'limited',
+                availableQuantity: item.available_quantity,
+                message: `Only ${item.available_quantity} available`
+            });
+        });
+
+        for (const item of reservable) {
+            await tx.run(`
+                UPDATE cart SET reserved_until = datetime('now', ?), rehold_after = datetime('now', ?)
+                WHERE id = ? AND (reserved_until IS NULL OR reserved_until <= CURRENT_TIMESTAMP)
+                  AND (rehold_after IS NULL OR rehold_after <= CURRENT_TIMESTAMP)
+            `, [`+${RESERVATION_MINUTES} minutes`, `+${RESERVATION_MINUTES + RESERVATION_COOLDOWN_MINUTES} minutes`, item.id]);
+        }
+
+        // The buyer has until the first of their holds runs out
+        const held = reservable.length > 0
+            ? await tx.get(`
+                SELECT COUNT(*) as count, MIN(reserved_until) as reserved_until,
+                       CAST(ROUND((julianday(MIN(reserved_until)) - julianday('now')) * 86400) AS INTEGER) as seconds_left
+                FROM cart
+                WHERE id IN (${reservable.map(() => '?').join(',')}) AND reserved_until > CURRENT_TIMESTAMP
+            `, reservable.map(item => item.id))
+            : { count: 0, reserved_until: null, seconds_left: 0 };
+
+        return {
+            reservedUntil: held.reserved_until,
+            minutes: RESERVATION_MINUTES,
+            secondsLeft: held.count === reservable.length ? Math.max(held.seconds_left || 0, 0) : 0,
+            reservedCount: held.count,
+            unavailableItems
+        };
+    });
+}
+
+// Clear reservations whose time ran out. Expired ones are already ignored everywhere; this keeps
+// `reserved_until` meaningful for anyone reading the cart table.
+async function releaseExpiredReservations() {
+    return runInTransaction(async (tx) => {
+        const { changes } = await tx.run(`
+            UPDATE cart SET reserved_until = NULL
+            WHERE reserved_until IS NOT NULL AND reserved_until <= CURRENT_TIMESTAMP
+        `);
+        return changes;
+    });
+}
+
+module.exports = {
+    RESERVATION_MINUTES,
+    ACCEPTED_OFFER_JOIN,
+    RESERVED_BY_OTHERS,
+    UNAVAILABLE_MESSAGES,
+    checkAvailability,
+    splitByAvailability,
+    reserveCart,
+    releaseExpiredReservations
+};
@@ -0,0 +1,379 @@
+const { runInTransaction, reader } = require('../../database/transaction');
+const { httpError } = require('./errors');
+
+const ATTRIBUTE_TYPES = ['text', 'number', 'select'];
+
+// Attribute names are the keys stored in products.attributes
+const ATTRIBUTE_NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+// Shown between the levels of a category path, e.g. "Electronics › Cameras"
+const PATH_SEPARATOR = ' › ';
+
+// Ids of a category and everything under it. The single parameter is the category id or name
+// (a top-level category wins when a name is used more than once).
+const CATEGORY_SUBTREE = `(
+    WITH RECURSIVE subtree(id) AS (
+        SELECT * FROM (
+            SELECT c.id FROM categories c, (SELECT ? AS value) v
+            WHERE c.id = v.value OR c.name = v.value
+            ORDER BY c.id = v.value DESC, c.parent_id IS NOT NULL, c.id
+            LIMIT 1
+        )
+        UNION ALL
+        SELECT c.id FROM categories c JOIN subtree ON c.parent_id = subtree.id
+    )
+    SELECT id FROM subtree
+)`;
+
+function formatAttribute(attribute) {
+    return {
+        ...attribute,
+        options: attribute.options ? JSON.parse(attribute.options) : null,
+        required: Boolean(attribute.required)
+    };
+}
+
+// Every category in tree order (each parent followed by its children), with its `path`, `depth`,
+// `ancestorIds` and the `attributes` that apply to it. Subcategories inherit their parents'
+// attributes; an attribute with the same name on a subcategory replaces the inherited one.
+async function loadCategories(tx) {
+    const rows = await tx.all('SELECT * FROM categories ORDER BY position, name');
+    const attributes = await tx.all('SELECT * FROM category_attributes ORDER BY position, id');
+
+    const childrenOf = new Map();
+    rows.forEach(row => {
+        if (!childrenOf.has(row.parent_id)) childrenOf.set(row.parent_id, []);
+        childrenOf.get(row.parent_id).push(row);
+    });
+
+    const categories = [];
+    const visit = (parent, row) => {
+        const own = attributes.filter(attribute => attribute.category_id === row.id).map(formatAttribute);
+        const inherited = parent ? parent.attributes.filter(attribute => !own.some(o => o.name === attribute.name)) : [];
+
+        const category = {
+            ...row,
+            path: parent ? `${parent.path}${PATH_SEPARATOR}${row.name}` : row.name,
+            depth: parent ? parent.depth + 1 : 0,
+            ancestorIds: parent ? [...parent.ancestorIds, parent.id] : [],
+            attributes: [...inherited, ...own]
+        };
+        categories.push(category);
+
+        (childrenOf.get(row.id) || []).forEach(child => visit(category, child));
+    };
+    (childrenOf.get(null) || []).forEach(row => visit(null, row));
+
+    return categories;
+}
+
+function listCategories() {
+    return loadCategories(reader);
+}
+
+// Find a category by id, full path ("Electronics › Cameras") or name. Names used by
+// several categories resolve to the top-level one, then the first created.
+function findCategory(categories, value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const key = String(value).trim();
+    if (/^\d+$/.test(key)) {
+        const byId = categories.find(category => category.id === parseInt(key));
+        if (byId) return byId;
+    }
+
+    return categories.find(category => category.path === key)
+        || categories
+            .filter(category => category.name === key)
+            .sort((a, b) => a.depth - b.depth || a.id - b.id)[0]
+        || null;
+}
+
+async function loadCategory(tx, categoryId) {
+    const category = findCategory(await loadCategories(tx), categoryId);
+    if (!category || category.id !== parseInt(categoryId)) {
+        throw httpError(404, 'Category not found');
+    }
+    return category;
+}
+
+// Check a product's attribute values against its category. Attributes the category does not
+// define are dropped. Returns the values to store, as JSON (null when there are none).
+function validateAttributes(category, values) {
+    let input = values || {};
+    if (typeof input === 'string') {
+        try {
+            input = JSON.parse(input);
+        } catch (err) {
+            throw httpError(400, 'Attributes must be a JSON object');
+        }
+    }
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        throw httpError(400, 'Attributes must be a JSON object');
+    }
+
+    const attributes = {};
+    for (const attribute of category.attributes) {
+        const raw = input[attribute.name];
+        const value = raw === undefined || raw === null ? '' : String(raw).trim();
+
+        if (value === '') {
+            if (attribute.required) {
+                throw httpError(400, `${attribute.label} is required for ${category.path}`);
+            }
+            continue;
+        }
+
+        if (attribute.type === 'number') {
+            const number = Number(value);
+            if (!Number.isFinite(number)) {
+                throw httpError(400, `${attribute.label} must be a number`);
+            }
+            attributes[attribute.name] = number;
+        } else if (attribute.type === 'select') {
+            if (!attribute.options.includes(value)) {
+                throw httpError(400, `${attribute.label} must be one of: ${attribute.options.join(', ')}`);
+            }
+            attributes[attribute.name] = value;
+        } else {
+            attributes[attribute.name] = value.slice(0, 200);
+        }
+    }
+
+    return Object.keys(attributes).length > 0 ? JSON.stringify(attributes) : null;
+}
+
+// Resolve the category given for a product (id, path or name) among `categories` and check its attribute values
+function validateProductCategory(categories, value, attributeValues) {
+    const category = findCategory(categories, value);
+    if (!category) {
+        throw httpError(400, 'Please choose a valid category');
+    }
+
+    return { category, attributes: validateAttributes(category, attributeValues) };
+}
+
+// A product's attribute values with their labels, in the order the category lists them
+function describeAttributes(category, attributesJson) {
+    if (!attributesJson) return [];
+
+    let values;
+    try {
+        values = JSON.parse(attributesJson);
+    } catch (err) {
+        return [];
+    }
+
+    const definitions = category ? category.attributes : [];
+    const known = definitions
+        .filter(attribute => values[attribute.name] !== undefined)
+        .map(attribute => ({ name: attribute.name, label: attribute.label, value: values[attribute.name] }));
+    const other = Object.keys(values)
+        .filter(name => !definitions.some(attribute => attribute.name === name))
+        .map(name => ({ name, label: name, value: values[name] }));
+
+    return [...known, ...other];
+}
+
+function parseName(name) {
+    const trimmed = name ? String(name).trim() : '';
+    if (!trimmed) {
+        throw httpError(400, 'Category name is required');
+    }
+    if (trimmed.length > 50 || trimmed.includes(PATH_SEPARATOR.trim())) {
+        throw httpError(400, `Category names must be at most 50 characters and cannot contain "${PATH_SEPARATOR.trim()}"`);
+    }
+    return trimmed;
+}
+
+async function checkSiblingName(tx, name, parentId, categoryId = null) {
+    const sibling = await tx.get(`
+        SELECT id FROM categories WHERE name = ? COLLATE NOCASE AND parent_id IS ? AND id IS NOT ?
+    `, [name, parentId, categoryId]);
+
+    if (sibling) {
+        throw httpError(409, `There is already a category called ${name} here`);
+    }
+}
+
+// Products keep a copy of their category path (shown on listings and used by search),
+// so it has to follow renames and moves
+async function syncProductCategoryPaths(tx) {
+    for (const category of await loadCategories(tx)) {
+        await tx.run('UPDATE products SET category = ? WHERE category_id = ? AND category != ?', [category.path, category.id, category.path]);
+    }
+}
+
+async function createCategory({ name, parentId, position }) {
+    const categoryName = parseName(name);
+
+    return runInTransaction(async (tx) => {
+        const parent = parentId ? await loadCategory(tx, parentId) : null;
+        await checkSiblingName(tx, categoryName, parent ? parent.id : null);
+
+        const { lastID } = await tx.run(`
+            INSERT INTO categories (name, parent_id, position)
+            VALUES (?, ?, COALESCE(?, (SELECT COALESCE(MAX(position) + 1, 0) FROM categories WHERE parent_id IS ?)))
+        `, [categoryName, parent ? parent.id : null, position !== undefined ? parseInt(position) || 0 : null, parent ? parent.id : null]);
+
+        return loadCategory(tx, lastID);
+    });
+}
+
+// Rename, move (`parentId`, null for top level) or reorder a category
+async function updateCategory(categoryId, { name, parentId, position }) {
+    return runInTransaction(async (tx) => {
+        const category = await loadCategory(tx, categoryId);
+        const categoryName = name !== undefined ? parseName(name) : category.name;
+
+        let newParentId = category.parent_id;
+        if (parentId !== undefined) {
+            const parent = parentId ? await loadCategory(tx, parentId) : null;
+            if (parent && (parent.id === category.id || parent.ancestorIds.includes(category.id))) {
+                throw httpError(400, 'A category cannot be moved under itself');
+            }
+            newParentId = parent ? parent.id : null;
+        }
+
+        await checkSiblingName(tx, categoryName, newParentId, category.id);
+
+        await tx.run('UPDATE categories SET name = ?, parent_id = ?, position = ? WHERE id = ?', [
+            categoryName,
+            newParentId,
+            position !== undefined ? parseInt(position) || 0 : category.position,
+            category.id
+        ]);
+        await syncProductCategoryPaths(tx);
+
+        return loadCategory(tx, category.id);
+    });
+}
+
+// Only empty categories can be deleted: move their subcategories and products first
+async function deleteCategory(categoryId) {
+    return runInTransaction(async (tx) => {
+        const category = await loadCategory(tx, categoryId);
+
+        const child = await tx.get('SELECT id FROM categories WHERE parent_id = ? LIMIT 1', [category.id]);
+        if (child) {
+            throw httpError(409, 'Delete or move the subcategories of this category first');
+        }
+
+        const { count } = await tx.get('SELECT COUNT(*) as count FROM products WHERE category_id = ?', [category.id]);
+        if (count > 0) {
+            throw httpError(409, `${count} product${count === 1 ? ' is' : 's are'} still listed in this category`);
+        }
+
+        const promotion = await tx.get('SELECT code FROM promotions WHERE category_id = ? LIMIT 1', [category.id]);
+        if (promotion) {
+            throw httpError(409, `Promo code ${promotion.code} is limited to this category`);
+        }
+
+        await tx.run('UPDATE saved_searches SET category_id = NULL, category = NULL WHERE category_id = ?', [category.id]);
+        await tx.run('DELETE FROM category_attributes WHERE category_id = ?', [category.id]);
+        await tx.run('DELETE FROM categories WHERE id = ?', [category.id]);
+    });
+}
+
+function parseAttribute({ name, label, type, options, required, position }, existing = {}) {
+    const attribute = {
+        name: name !== undefined ? String(name).trim() : existing.name,
+        label: label !== undefined ? String(label).trim().slice(0, 100) : existing.label,
+        type: type !== undefined ? type : (existing.type || 'text'),
+        options: options !== undefined ? options : existing.options,
+        required: required !== undefined ? Boolean(required) : Boolean(existing.required),
+        position: position !== undefined ? parseInt(position) || 0 : existing.position
+    };
+
+    if (!attribute.name || !ATTRIBUTE_NAME_PATTERN.test(attribute.name) || attribute.name.length > 50) {
+        throw httpError(400, 'Attribute names must start with a letter and use only lowercase letters, numbers and underscores');
+    }
+    if (!attribute.label) attribute.label = attribute.name;
+
+    if (!ATTRIBUTE_TYPES.includes(attribute.type)) {
+        throw httpError(400, `Attribute type must be one of: ${ATTRIBUTE_TYPES.join(', ')}`);
+    }
+
+    if (attribute.type === 'select') {
+        const list = typeof attribute.options === 'string' ? attribute.options.split(',') : attribute.options;
+        const cleaned = Array.isArray(list) ? [...new Set(list.map(option => String(option).trim()).filter(Boolean))] : [];
+        if (cleaned.length === 0) {
+            throw httpError(400, 'Select attributes need at least one option');
+        }
+        attribute.options = JSON.stringify(cleaned);
+    } else {
+        attribute.options = null;
+    }
+
+    return attribute;
+}
+
+async function loadAttribute(tx, categoryId, attributeId) {
+    const attribute = await tx.get('SELECT * FROM category_attributes WHERE id = ? AND category_id = ?', [attributeId, categoryId]);
+    if (!attribute) {
+        throw httpError(404, 'Attribute not found');
+    }
+    return { ...attribute, options: attribute.options ? JSON.parse(attribute.options) : null };
+}
+
+// Define an attribute for a category (and its subcategories): { name, label, type, options, required }
+async function createAttribute(categoryId, body) {
+    const attribute = parseAttribute(body);
+
+    return runInTransaction(async (tx) => {
+        const category = await loadCategory(tx, categoryId);
+
+        const existing = await tx.get('SELECT id FROM category_attributes WHERE category_id = ? AND name = ?', [category.id, attribute.name]);
+        if (existing) {
+            throw httpError(409, `${category.path} already has an attribute called ${attribute.name}`);
+        }
+
+        await tx.run(`
+            INSERT INTO category_attributes (category_id, name, label, type, options, required, position)
+            VALUES (?, ?, ?, ?, ?, ?, COALESCE(?, (SELECT COALESCE(MAX(position) + 1, 0) FROM category_attributes WHERE category_id = ?)))
+        `, [category.id, attribute.name, attribute.label, attribute.type, attribute.options, attribute.required ? 1 : 0,
+            attribute.position === undefined ? null : attribute.position, category.id]);
+
+        return loadCategory(tx, category.id);
+    });
+}
+
+// Change an attribute's label, type, options or whether it is required. Its name is fixed,
+// since it is the key stored on existing products.
+async function updateAttribute(categoryId, attributeId, body) {
+    return runInTransaction(async (tx) => {
+        const existing = await loadAttribute(tx, categoryId, attributeId);
+        const attribute = parseAttribute({ ...body, name: undefined }, existing);
+
+        await tx.run(`
+            UPDATE category_attributes SET label = ?, type = ?, options = ?, required = ?, position = ? WHERE id = ?
+        `, [attribute.label, attribute.type, attribute.options, attribute.required ? 1 : 0, attribute.position, existing.id]);
+
+        return loadCategory(tx, existing.category_id);
+    });
+}
+
+async function deleteAttribute(categoryId, attributeId) {
+    return runInTransaction(async (tx) => {
+        const attribute = await loadAttribute(tx, categoryId, attributeId);
+        await tx.run('DELETE FROM category_attributes WHERE id = ?', [attribute.id]);
+
+        return loadCategory(tx, attribute.category_id);
+    });
+}
+
+module.exports = {
+    ATTRIBUTE_TYPES,
+    CATEGORY_SUBTREE,
+    loadCategories,
+    listCategories,
+    findCategory,
+    validateProductCategory,
+    describeAttributes,
+    createCategory,
+    updateCategory,
+    deleteCategory,
+    createAttribute,
+    updateAttribute,
+    deleteAttribute
+};
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const { runInTransaction } = require('../../database/transaction');
+const { httpError } = require('./errors');
+const { roundMoney } = require('./money');
+
+// How a seller's part of an order reaches the buyer
+const DELIVERY_METHODS = ['shipping', 'pickup'];
+
+// Most weight bands a seller can set up
+const MAX_SHIPPING_RATES = 10;
+
+// New listings ship (free unless a fee or weight is set) and are not offered for pickup
+const DEFAULT_DELIVERY_OPTIONS = { pickup_available: 0, shipping_available: 1, shipping_fee: null, weight: null };
+
+// Checkboxes arrive as 'true'/'on'/'1' from forms and as booleans from JSON
+function parseFlag(value) {
+    return value === true || value === 1 || ['true', 'on', '1', 'yes'].includes(String(value).toLowerCase());
+}
+
+function parseAmount(value, label, { allowZero = true } = {}) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const amount = parseFloat(value);
+    if (!Number.isFinite(amount) || amount < 0 || (!allowZero && amount === 0)) {
+        throw httpError(400, `${label} must be a positive number`);
+    }
+    return roundMoney(amount);
+}
+
+// The delivery columns of a listing from a create/update body ({ pickupAvailable, shippingAvailable,
+// shippingFee, weight }). Fields that are not sent keep their `current` value.
+// A listing with a shipping fee charges it per item; without one, shipping is priced by weight
+// using the seller's rates, and is free when neither is set.
+function parseDeliveryOptions(body, current = DEFAULT_DELIVERY_OPTIONS) {
+    const pick = (field, column, parse) => (body[field] !== undefined ? parse(body[field]) : current[column]);
+
+    const options = {
+        pickup_available: pick('pickupAvailable', 'pickup_available', value => (parseFlag(value) ? 1 : 0)),
+        shipping_available: pick('shippingAvailable', 'shipping_available', value => (parseFlag(value) ? 1 : 0)),
+        shipping_fee: pick('shippingFee', 'shipping_fee', value => parseAmount(value, 'Shipping fee')),
+        weight: pick('weight', 'weight', value => parseAmount(value, 'Weight', { allowZero: false }))
+    };
+
+    if (!options.pickup_available && !options.shipping_available) {
+        throw httpError(400, 'Offer local pickup, shipping, or both');
+    }
+
+    return options;
+}
+
+function getShippingRates(tx, sellerId) {
+    return tx.all('SELECT id, max_weight, fee FROM shipping_rates WHERE seller_id = ? ORDER BY max_weight', [sellerId]);
+}
+
+// Replace a seller's weight bands. `rates` is a list of { maxWeight, fee }: a parcel pays the fee of
+// the lightest band it fits in, and anything heavier than every band pays the heaviest band's fee.
+async function setShippingRates(sellerId, rates) {
+    if (!Array.isArray(rates)) {
+        throw httpError(400, 'Rates must be a list of { maxWeight, fee }');
+    }
+    if (rates.length > MAX_SHIPPING_RATES) {
+        throw httpError(400, `You can set up at most ${MAX_SHIPPING_RATES} weight bands`);
+    }
+
+    const bands = rates.map(rate => ({
+        maxWeight: parseAmount(rate.maxWeight, 'Maximum weight', { allowZero: false }),
+        fee: parseAmount(rate.fee, 'Fee')
+    }));
+
+    if (bands.some(band => band.maxWeight === null || band.fee === null)) {
+        throw httpError(400, 'Every weight band needs a maximum weight and a fee');
+    }
+    if (new Set(bands.map(band => band.maxWeight)).size !== bands.length) {
+        throw httpError(400, 'Two weight bands cannot have the same maximum weight');
+    }
+
+    return runInTransaction(async (tx) => {
+        await tx.run('DELETE FROM shipping_rates WHERE seller_id = ?', [sellerId]);
+        for (const band of bands) {
+            await tx.run('INSERT INTO shipping_rates (seller_id, max_weight, fee) VALUES (?, ?, ?)', [sellerId, band.maxWeight, band.fee]);
+        }
+
+        return getShippingRates(tx, sellerId);
+    });
+}
+
+// What a seller charges to ship `items` (with price columns and `quantity`) together: each item's own
+// shipping fee, plus one weight-band fee for the combined weight of the items priced by weight
+function calculateShippingFee(items, rates) {
+    const flatFees = items
+        .filter(item => item.shipping_fee !== null && item.shipping_fee !== undefined)
+        .reduce((sum, item) => sum + item.shipping_fee * item.quantity, 0);
+
+    const weight = items
+        .filter(item => (item.shipping_fee === null || item.shipping_fee === undefined) && item.weight)
+        .reduce((sum, item) => sum + item.weight * item.quantity, 0);
+
+    let weightFee = 0;
+    if (weight > 0 && rates.length > 0) {
+        const band = rates.find(rate => weight <= rate.max_weight) || rates[rates.length - 1];
+        weightFee = band.fee;
+    }
+
+    return roundMoney(flatFees + weightFee);
+}
+
+// Delivery choices for each seller in a cart. A method is only offered when every item from that
+// seller supports it. Items need seller_id, seller_name, quantity and the product's delivery columns.
+async function quoteDelivery(tx, cartItems) {
+    const sellers = new Map();
+    cartItems.forEach(item => {
+        if (!sellers.has(item.seller_id)) {
+            sellers.set(item.seller_id, { sellerId: item.seller_id, sellerName: item.seller_name, pickupCity: item.city || null, items: [] });
+        }
+        sellers.get(item.seller_id).items.push(item);
+    });
+
+    const quotes = [];
+    for (const seller of sellers.values()) {
+        const methods = DELIVERY_METHODS.filter(method =>
+            seller.items.every(item => (method === 'pickup' ? item.pickup_available : item.shipping_available))
+        );
+
+        quotes.push({
+            sellerId: seller.sellerId,
+            sellerName: seller.sellerName,
+            methods,
+            shippingFee: methods.includes('shipping')
+                ? calculateShippingFee(seller.items, await getShippingRates(tx, seller.sellerId))
+                : null,
+            pickupCity: methods.includes('pickup') ? seller.pickupCity : null
+        });
+    }
+
+    return quotes;
+}
+
+// The method the buyer picked for a seller (shipping by default when offered), and what it costs
+function chooseDelivery(quote, requested) {
+    // e.g. a pickup-only item and a shipping-only item from the same seller
+    if (quote.methods.length === 0) {
+        throw httpError(400, `The items from ${quote.sellerName} cannot be delivered together - buy them in separate orders`);
+    }
+
+    const method = requested || (quote.methods.includes('shipping') ? 'shipping' : 'pickup');
+
+    if (!DELIVERY_METHODS.includes(method)) {
+        throw httpError(400, `Delivery method must be one of: ${DELIVERY_METHODS.join(', ')}`);
+    }
+
+    if (!quote.methods.includes(method)) {
+        throw httpError(400, `${quote.sellerName} does not offer ${method === 'pickup' ? 'local pickup' : 'shipping'} for these items`);
+    }
+
+    return { method, fee: method === 'shipping' ? quote.shippingFee : 0 };
+}
+
+// The code the buyer shows the seller at the handoff
+function generatePickupCode() {
+    return String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+}
+
+// Sellers see the status actions of a pickup order without shipping: the handoff replaces it
+function deliveryTransitions(order, transitions) {
+    return order.delivery_method === 'pickup' ? transitions.filter(status => status !== 'shipped') : transitions;
+}
+
+// The buyer's pickup code is theirs alone - only they (and admins) see it
+function hidePickupCode(order, roles) {
+    if (roles.includes('buyer') || roles.includes('admin')) return order;
+
+    const { pickup_code, ...visible } = order;
+    return visible;
+}
+
+module.exports = {
+    DELIVERY_METHODS,
+    parseDeliveryOptions,
+    getShippingRates,
+    setShippingRates,
+    calculateShippingFee,
+    quoteDelivery,
+    chooseDelivery,
+    generatePickupCode,
+    deliveryTransitions,
+    hidePickupCode
+};
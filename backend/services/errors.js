@@ -0,0 +1,20 @@
+// An error that carries the HTTP status to answer with. Services throw these for anything the
+// caller got wrong (bad input, missing records, conflicting state); routes pass them to sendError.
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+// Answer with a thrown httpError's status and message. Anything else is unexpected: it is logged
+// and the client gets a 500 with `fallbackMessage`.
+function sendError(res, err, fallbackMessage) {
+    if (err.status) {
+        return res.status(err.status).json({ error: err.message });
+    }
+
+    console.error(`${fallbackMessage}:`, err);
+    res.status(500).json({ error: fallbackMessage });
+}
+
+module.exports = { httpError, sendError };
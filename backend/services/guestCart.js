@@ -0,0 +1,87 @@
+const { runInTransaction } = require('../../database/transaction');
+const { RESERVED_BY_OTHERS, UNAVAILABLE_MESSAGES, checkAvailability } = require('./cartReservations');
+const { httpError } = require('./errors');
+
+// Most different items a guest cart can bring into an account
+const MAX_GUEST_CART_ITEMS = 50;
+
+// Quantities by product id. The browser may hold the same product twice (e.g. added from two
+// tabs), so those are added up; entries without a valid product id are dropped.
+function normalizeGuestItems(items) {
+    if (!Array.isArray(items)) {
+        throw httpError(400, 'Items must be a list of { productId, quantity }');
+    }
+
+    const quantities = new Map();
+    items.forEach(item => {
+        const productId = parseInt(item && item.productId);
+        const quantity = parseInt(item && item.quantity) || 1;
+        if (!(productId > 0) || quantity < 1) return;
+
+        quantities.set(productId, (quantities.get(productId) || 0) + quantity);
+    });
+
+    if (quantities.size > MAX_GUEST_CART_ITEMS) {
+        throw httpError(400, `A cart can bring at most ${MAX_GUEST_CART_ITEMS} items into your account`);
+    }
+
+    return quantities;
+}
+
+// Move the cart a visitor built before logging in or signing up into their account cart.
+// A product that is already in the account cart is not counted twice: it keeps the larger of the
+// two quantities. Quantities are cut to what is available, and items the buyer cannot have (their
+// own listings, or anything sold or taken down) are skipped with the reason.
+async function mergeGuestCart(userId, items) {
+    const quantities = normalizeGuestItems(items);
+
+    return runInTransaction(async (tx) => {
+        const merged = [];
+        const skipped = [];
+
+        for (const [productId, guestQuantity] of quantities) {
+            const product = await tx.get(`
+                SELECT p.id, p.title, p.seller_id, p.status, p.stock, ao.id as offer_id,
+                       ${RESERVED_BY_OTHERS} as reserved_by_others
+                FROM products p
+                LEFT JOIN offers ao ON ao.product_id = p.id AND ao.buyer_id = ?
+                    AND ao.status = 'accepted' AND ao.expires_at > CURRENT_TIMESTAMP
+                WHERE p.id = ?
+            `, [userId, userId, productId]);
+
+            if (!product) {
+                skipped.push({ productId, title: null, reason: 'removed', message: UNAVAILABLE_MESSAGES.removed });
+                continue;
+            }
+
+            if (product.seller_id === userId) {
+                skipped.push({ productId, title: product.title, reason: 'own', message: 'This is your own listing' });
+                continue;
+            }
+
+            const { available, reason } = checkAvailability(product);
+            if (reason) {
+                skipped.push({ productId, title: product.title, reason, message: UNAVAILABLE_MESSAGES[reason] });
+                continue;
+            }
+
+            const existing = await tx.get('SELECT id, quantity FROM cart WHERE user_id = ? AND product_id = ?', [userId, productId]);
+            const quantity = Math.min(Math.max(existing ? existing.quantity : 0, guestQuantity), available);
+
+            if (!existing) {
+                await tx.run('INSERT INTO cart (user_id, product_id, quantity) VALUES (?, ?, ?)', [userId, productId, quantity]);
+            } else if (quantity !== existing.quantity) {
+                await tx.run('UPDATE cart SET quantity = ? WHERE id = ?', [quantity, existing.id]);
+            }
+
+            merged.push({ productId, title: product.title, quantity, limited: quantity < guestQuantity });
+        }
+
+        return { merged, skipped };
+    });
+}
+
+module.exports = {
+    MAX_GUEST_CART_ITEMS,
+    mergeGuestCart
+};
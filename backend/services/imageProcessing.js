@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { httpError } = require('./errors');
+
+// Every upload is re-encoded as WebP in these sizes (longest side, in pixels).
+// The `full` variant is the one stored in the database; the others sit next to it on disk.
+const IMAGE_VARIANTS = {
+    thumb: 150,
+    card: 400,
+    full: 1200
+};
+
+// Formats we accept, decided by reading the file itself rather than trusting its name or mimetype
+const ACCEPTED_FORMATS = ['jpeg', 'png', 'gif', 'webp'];
+
+async function sniffFormat(buffer) {
+    try {
+        const { format } = await sharp(buffer).metadata();
+        return format;
+    } catch (err) {
+        return null;
+    }
+}
+
+// Paths of every variant of a processed image, given the path of its full variant
+function imageVariantPaths(imagePath) {
+    if (!/-full\.webp$/.test(imagePath)) return [imagePath];
+
+    return Object.keys(IMAGE_VARIANTS).map(variant => imagePath.replace(/-full\.webp$/, `-${variant}.webp`));
+}
+
+// Re-encode an uploaded image buffer into every variant. The output has no EXIF
+// (so no camera GPS position), and is rotated upright according to the original EXIF orientation.
+async function processImage(buffer, { dir, prefix }) {
+    const format = await sniffFormat(buffer);
+    if (!ACCEPTED_FORMATS.includes(format)) {
+        throw httpError(400, 'Only JPEG, PNG, GIF or WebP images are allowed');
+    }
+
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const base = path.posix.join(dir, `${prefix}-${uniqueSuffix}`);
+
+    const written = [];
+    try {
+        for (const [variant, size] of Object.entries(IMAGE_VARIANTS)) {
+            const outputPath = `${base}-${variant}.webp`;
+            await sharp(buffer)
+                .rotate()
+                .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+                .webp({ quality: 80 })
+                .toFile(outputPath);
+            written.push(outputPath);
+        }
+    } catch (err) {
+        removeFiles(written);
+        throw httpError(400, 'The image could not be processed');
+    }
+
+    return `${base}-full.webp`;
+}
+
+// Run after multer (memory storage): processes every uploaded file of the request and sets
+// `file.path` to its full variant, so handlers read uploads the same way as with disk storage
+async function processUploadedFiles(req, options) {
+    const files = req.file ? [req.file] : Object.values(req.files || {}).flat();
+    const processed = [];
+
+    try {
+        for (const file of files) {
+            file.path = await processImage(file.buffer, options);
+            delete file.buffer;
+            processed.push(file.path);
+        }
+    } catch (err) {
+        removeImageFiles(processed);
+        throw err;
+    }
+}
+
+function removeFiles(filePaths) {
+    filePaths.forEach(filePath => {
+        fs.unlink(filePath, (err) => {
+            if (err && err.code !== 'ENOENT') {
+                console.error('Error removing image file:', err);
+            }
+        });
+    });
+}
+
+// Delete uploaded images, with all their variants, from disk. Remote image URLs are left alone.
+function removeImageFiles(imagePaths) {
+    removeFiles(imagePaths
+        .filter(imagePath => imagePath && imagePath.startsWith('uploads/'))
+        .flatMap(imageVariantPaths));
+}
+
+module.exports = {
+    IMAGE_VARIANTS,
+    imageVariantPaths,
+    processImage,
+    processUploadedFiles,
+    removeImageFiles
+};
@@ -0,0 +1,267 @@
+const { runInTransaction, reader } = require('../../database/transaction');
+const { orderEvents } = require('./orderStatus');
+const { notify } = require('./notifications');
+const { httpError } = require('./errors');
+const { roundMoney } = require('./money');
+
+// Share of each sale the marketplace keeps, e.g. 0.1 for 10%. Set PLATFORM_COMMISSION_RATE to change it.
+// The commission is taken on the items only: delivery fees go to the seller in full.
+const COMMISSION_RATE = (() => {
+    const rate = parseFloat(process.env.PLATFORM_COMMISSION_RATE);
+    return Number.isFinite(rate) && rate >= 0 && rate < 1 ? rate : 0.1;
+})();
+
+const PAYOUT_STATUSES = ['requested', 'paid', 'rejected'];
+
+// Write a ledger transaction. `entries` is a list of { account, sellerId, amount } (credits positive)
+// and has to balance: money only ever moves between accounts.
+async function postTransaction(tx, { type, orderId = null, paymentRefundId = null, payoutId = null, commissionRate = null, description }, entries) {
+    const total = roundMoney(entries.reduce((sum, entry) => sum + entry.amount, 0));
+    if (total !== 0) {
+        throw new Error(`Ledger transaction does not balance (off by ${total})`);
+    }
+
+    const { lastID } = await tx.run(`
+        INSERT INTO ledger_transactions (type, order_id, payment_refund_id, payout_id, commission_rate, description)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `, [type, orderId, paymentRefundId, payoutId, commissionRate, description]);
+
+    for (const entry of entries.filter(e => e.amount !== 0)) {
+        await tx.run(`
+            INSERT INTO ledger_entries (transaction_id, account, seller_id, amount) VALUES (?, ?, ?, ?)
+        `, [lastID, entry.account, entry.sellerId || null, entry.amount]);
+    }
+
+    return lastID;
+}
+
+// Credit the seller for a completed seller order, less the commission. Whatever was already refunded
+// on the order is left out. Orders placed before per-seller sub-orders have no single seller to credit.
+async function recordSale(orderId) {
+    return runInTransaction(async (tx) => {
+        const order = await tx.get('SELECT id, order_number, seller_id, total_amount, delivery_fee FROM orders WHERE id = ?', [orderId]);
+        if (!order || !order.seller_id) return null;
+
+        const existing = await tx.get(`SELECT id FROM ledger_transactions WHERE type = 'sale' AND order_id = ?`, [order.id]);
+        if (existing) return null;
+
+        const { refunded } = await tx.get(`
+            SELECT COALESCE(SUM(amount), 0) as refunded FROM payment_refunds WHERE order_id = ? AND status = 'succeeded'
+        `, [order.id]);
+        const amount = roundMoney(order.total_amount - refunded);
+        if (amount <= 0) return null;
+
+        const itemsAmount = Math.max(0, order.total_amount - (order.delivery_fee || 0));
+        const commission = roundMoney(COMMISSION_RATE * itemsAmount * amount / order.total_amount);
+
+        return postTransaction(tx, {
+            type: 'sale',
+            orderId: order.id,
+            commissionRate: COMMISSION_RATE,
+            description: `Sale ${order.order_number}`
+        }, [
+            { account: 'buyer_payments', amount: -amount },
+            { account: 'seller', sellerId: order.seller_id, amount: roundMoney(amount - commission) },
+            { account: 'platform', amount: commission }
+        ]);
+    });
+}
+
+// Take a refund on a seller order back out of the seller's balance. The commission on the refunded
+// part goes back too, in the proportion it was taken at the sale. Refunds before the sale was
+// credited need nothing: that money never reached the seller.
+async function recordRefund(orderId, refundId, amount) {
+    return runInTransaction(async (tx) => {
+        const sale = await tx.get(`
+            SELECT lt.id, o.order_number, o.seller_id
+            FROM ledger_transactions lt
+            JOIN orders o ON lt.order_id = o.id
+            WHERE lt.type = 'sale' AND lt.order_id = ?
+        `, [orderId]);
+        if (!sale) return null;
+
+        const existing = await tx.get(`SELECT id FROM ledger_transactions WHERE type = 'refund' AND payment_refund_id = ?`, [refundId]);
+        if (existing) return null;
+
+        const { sellerAmount, commission } = await tx.get(`
+            SELECT COALESCE(SUM(CASE WHEN account = 'seller' THEN amount END), 0) as sellerAmount,
+                   COALESCE(SUM(CASE WHEN account = 'platform' THEN amount END), 0) as commission
+            FROM ledger_entries WHERE transaction_id = ?
+        `, [sale.id]);
+
+        const commissionBack = roundMoney(commission * amount / (sellerAmount + commission));
+
+        return postTransaction(tx, {
+            type: 'refund',
+            orderId,
+            paymentRefundId: refundId,
+            description: `Refund on ${sale.order_number}`
+        }, [
+            { account: 'buyer_payments', amount },
+            { account: 'seller', sellerId: sale.seller_id, amount: -roundMoney(amount - commissionBack) },
+            { account: 'platform', amount: -commissionBack }
+        ]);
+    });
+}
+
+// A seller's ledger balance, what they have asked to be paid out and not been paid yet,
+// and what is left to request
+async function getBalance(tx, sellerId) {
+    const { balance } = await tx.get(`
+        SELECT COALESCE(SUM(amount), 0) as balance FROM ledger_entries WHERE account = 'seller' AND seller_id = ?
+    `, [sellerId]);
+    const { pending } = await tx.get(`
+        SELECT COALESCE(SUM(amount), 0) as pending FROM payout_requests WHERE seller_id = ? AND status = 'requested'
+    `, [sellerId]);
+
+    return {
+        balance: roundMoney(balance),
+        pendingPayouts: roundMoney(pending),
+        available: roundMoney(Math.max(0, balance - pending))
+    };
+}
+
+// Balance, the latest ledger movements and payout requests of a seller
+async function getSellerAccount(sellerId, limit = 50) {
+    return {
+        ...(await getBalance(reader, sellerId)),
+        commissionRate: COMMISSION_RATE,
+        entries: await reader.all(`
+            SELECT le.id, le.amount, lt.type, lt.description, lt.order_id, lt.payout_id, lt.created_at
+            FROM ledger_entries le
+            JOIN ledger_transactions lt ON le.transaction_id = lt.id
+            WHERE le.account = 'seller' AND le.seller_id = ?
+            ORDER BY lt.created_at DESC, le.id DESC
+            LIMIT ?
+        `, [sellerId, limit]),
+        payouts: await reader.all('SELECT * FROM payout_requests WHERE seller_id = ? ORDER BY requested_at DESC, id DESC', [sellerId])
+    };
+}
+
+// Ask for `amount` (everything available when left out) to be paid out
+async function requestPayout(sellerId, amount) {
+    let requested = null;
+    if (amount !== undefined && amount !== null && amount !== '') {
+        requested = parseFloat(amount);
+        if (!Number.isFinite(requested) || requested <= 0) {
+            throw httpError(400, 'Amount must be a positive number');
+        }
+        requested = roundMoney(requested);
+    }
+
+    return runInTransaction(async (tx) => {
+        const { available } = await getBalance(tx, sellerId);
+        const payoutAmount = requested === null ? available : requested;
+
+        if (payoutAmount <= 0) {
+            throw httpError(400, 'There is nothing to pay out yet');
+        }
+        if (payoutAmount > available) {
+            throw httpError(400, `You can request at most $${available.toFixed(2)}`);
+        }
+
+        const { lastID } = await tx.run('INSERT INTO payout_requests (seller_id, amount) VALUES (?, ?)', [sellerId, payoutAmount]);
+        return tx.get('SELECT * FROM payout_requests WHERE id = ?', [lastID]);
+    });
+}
+
+// Payout requests for admins, oldest open requests first, with each seller's current balance
+// and the commission the platform has earned so far
+async function listPayouts(status) {
+    if (status && !PAYOUT_STATUSES.includes(status)) {
+        throw httpError(400, `Status must be one of: ${PAYOUT_STATUSES.join(', ')}`);
+    }
+
+    const payouts = await reader.all(`
+        SELECT pr.*, u.username as seller_name, u.email as seller_email,
+               (SELECT COALESCE(SUM(le.amount), 0) FROM ledger_entries le
+                WHERE le.account = 'seller' AND le.seller_id = pr.seller_id) as seller_balance
+        FROM payout_requests pr
+        JOIN users u ON pr.seller_id = u.id
+        ${status ? 'WHERE pr.status = ?' : ''}
+        ORDER BY pr.status = 'requested' DESC, pr.requested_at ASC, pr.id ASC
+    `, status ? [status] : []);
+
+    const { commission } = await reader.get(`SELECT COALESCE(SUM(amount), 0) as commission FROM ledger_entries WHERE account = 'platform'`);
+
+    payouts.forEach(payout => { payout.seller_balance = roundMoney(payout.seller_balance); });
+    return { payouts, platformCommission: roundMoney(commission), commissionRate: COMMISSION_RATE };
+}
+
+// Mark a requested payout as paid (taking it off the seller's balance) or reject it
+async function processPayout(payoutId, adminId, { status, note }) {
+    if (!['paid', 'rejected'].includes(status)) {
+        throw httpError(400, 'Status must be paid or rejected');
+    }
+
+    const payout = await runInTransaction(async (tx) => {
+        const payout = await tx.get('SELECT * FROM payout_requests WHERE id = ?', [payoutId]);
+        if (!payout) {
+            throw httpError(404, 'Payout request not found');
+        }
+        if (payout.status !== 'requested') {
+            throw httpError(409, `This payout has already been ${payout.status}`);
+        }
+
+        // Refunds since the request can leave less in the balance than was asked for
+        if (status === 'paid') {
+            const { balance } = await getBalance(tx, payout.seller_id);
+            if (balance < payout.amount) {
+                throw httpError(409, `The seller's balance ($${balance.toFixed(2)}) no longer covers this payout - reject it instead`);
+            }
+
+            await postTransaction(tx, {
+                type: 'payout',
+                payoutId: payout.id,
+                description: `Payout #${payout.id}`
+            }, [
+                { account: 'seller', sellerId: payout.seller_id, amount: -payout.amount },
+                { account: 'payouts', amount: payout.amount }
+            ]);
+        }
+
+        await tx.run(`
+            UPDATE payout_requests SET status = ?, note = ?, processed_at = CURRENT_TIMESTAMP, processed_by = ?
+            WHERE id = ?
+        `, [status, note ? String(note).trim().slice(0, 500) : null, adminId, payout.id]);
+
+        return tx.get('SELECT * FROM payout_requests WHERE id = ?', [payout.id]);
+    });
+
+    notify(payout.seller_id, {
+        type: 'payout',
+        title: status === 'paid' ? 'Payout sent' : 'Payout request rejected',
+        body: status === 'paid'
+            ? `$${payout.amount.toFixed(2)} is on its way to you`
+            : `Your request for $${payout.amount.toFixed(2)} was rejected${payout.note ? `: ${payout.note}` : ''}`,
+        link: 'seller-dashboard.html'
+    });
+
+    return payout;
+}
+
+// Completed seller orders credit the seller; refunds debit them again
+orderEvents.on('statusChanged', ({ orderId, sellerId, toStatus }) => {
+    if (toStatus !== 'completed' || !sellerId) return;
+
+    recordSale(orderId).catch(err => {
+        console.error(`Error crediting sale of order ${orderId}:`, err);
+    });
+});
+
+orderEvents.on('refunded', ({ orderId, refundId, amount }) => {
+    recordRefund(orderId, refundId, amount).catch(err => {
+        console.error(`Error debiting refund ${refundId} of order ${orderId}:`, err);
+    });
+});
+
+module.exports = {
+    COMMISSION_RATE,
+    PAYOUT_STATUSES,
+    recordSale,
+    recordRefund,
+    getSellerAccount,
+    requestPayout,
+    listPayouts,
+    processPayout
+};
@@ -0,0 +1,121 @@
+// Offline postcode dataset: one entry per city with the coordinates of its centre.
+// Postcodes that are not listed are placed at the average of the listed postcodes
+// sharing their first three digits, so locations (and distances) are approximate.
+const POSTCODES = require('../../database/postcodes.json');
+const { httpError } = require('./errors');
+
+const EARTH_RADIUS_MILES = 3959;
+
+// Distance given to products without a location: they sort last and are never inside a radius
+const UNKNOWN_DISTANCE = 1000000;
+
+function normalizePostcode(postcode) {
+    return postcode ? String(postcode).trim().slice(0, 5) : '';
+}
+
+function lookupPostcode(postcode) {
+    const code = normalizePostcode(postcode);
+    if (!/^\d{5}$/.test(code)) return null;
+
+    const exact = POSTCODES.find(entry => entry.postcode === code);
+    if (exact) return { ...exact };
+
+    const area = POSTCODES.filter(entry => entry.postcode.slice(0, 3) === code.slice(0, 3));
+    if (area.length === 0) return null;
+
+    return {
+        postcode: code,
+        city: area[0].city,
+        state: area[0].state,
+        latitude: area.reduce((sum, entry) => sum + entry.latitude, 0) / area.length,
+        longitude: area.reduce((sum, entry) => sum + entry.longitude, 0) / area.length
+    };
+}
+
+// "Austin" or "Portland, OR"
+function lookupCity(city) {
+    const [name, state] = String(city || '').split(',').map(part => part.trim().toLowerCase());
+    if (!name) return null;
+
+    const entry = POSTCODES.find(candidate => candidate.city.toLowerCase() === name
+        && (!state || candidate.state.toLowerCase() === state));
+    return entry ? { ...entry } : null;
+}
+
+// Work out where a listing or a user is from a postcode and/or city. Returns null when
+// neither is given, and fails when the place is not in the dataset.
+function resolveLocation({ city, postcode }) {
+    const hasPostcode = postcode !== undefined && postcode !== null && String(postcode).trim() !== '';
+    const hasCity = city !== undefined && city !== null && String(city).trim() !== '';
+    if (!hasPostcode && !hasCity) return null;
+
+    const place = hasPostcode ? lookupPostcode(postcode) : lookupCity(city);
+    if (!place) {
+        throw httpError(400, hasPostcode
+            ? 'We could not find that postcode - please enter a 5-digit US ZIP code'
+            : 'We could not find that city - try adding the state, e.g. "Portland, OR", or enter a postcode');
+    }
+
+    return {
+        city: hasCity ? String(city).trim().slice(0, 100) : `${place.city}, ${place.state}`,
+        postcode: hasPostcode ? normalizePostcode(postcode) : place.postcode,
+        latitude: place.latitude,
+        longitude: place.longitude
+    };
+}
+
+// The point distances are measured from: `near` (a postcode or city), or `lat` and `lng`.
+// Returns null when the query has none of them.
+function parseOrigin({ near, lat, lng }) {
+    if (lat !== undefined && lng !== undefined && lat !== '' && lng !== '') {
+        const latitude = parseFloat(lat);
+        const longitude = parseFloat(lng);
+        if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+            throw httpError(400, 'lat and lng must be valid coordinates');
+        }
+        return { latitude, longitude };
+    }
+
+    if (near) {
+        const place = /^\d/.test(String(near).trim()) ? lookupPostcode(near) : lookupCity(near);
+        if (!place) {
+            throw httpError(400, 'We could not find that location - enter a US ZIP code or a city');
+        }
+        return { latitude: place.latitude, longitude: place.longitude };
+    }
+
+    return null;
+}
+
+// SQL expression for the great-circle distance in miles between `origin` and a product.
+// The coordinates are inlined as numbers so the expression can be used in ORDER BY and
+// cursor conditions without extra parameters.
+function distanceExpression(origin, alias = 'p') {
+    const latitude = Number(origin.latitude);
+    const longitude = Number(origin.longitude);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+        throw httpError(400, 'Invalid location');
+    }
+
+    // min() keeps acos in its domain when rounding pushes the cosine just above 1
+    return `IFNULL(${EARTH_RADIUS_MILES} * acos(min(1.0,
+        cos(radians(${latitude})) * cos(radians(${alias}.latitude)) * cos(radians(${alias}.longitude) - radians(${longitude}))
+        + sin(radians(${latitude})) * sin(radians(${alias}.latitude))
+    )), ${UNKNOWN_DISTANCE})`;
+}
+
+// Distances shown to buyers are rounded: locations are only known to the postcode anyway
+function approximateDistance(miles) {
+    if (miles === null || miles === undefined || miles >= UNKNOWN_DISTANCE) return null;
+    if (miles < 1) return 1;
+    if (miles < 10) return Math.round(miles);
+    return Math.round(miles / 5) * 5;
+}
+
+module.exports = {
+    lookupPostcode,
+    resolveLocation,
+    parseOrigin,
+    distanceExpression,
+    approximateDistance
+};
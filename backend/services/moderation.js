@@ -0,0 +1,254 @@
+const { runInTransaction, reader } = require('../../database/transaction');
+const { notify } = require('./notifications');
+const { httpError } = require('./errors');
+
+// What a listing or a user can be reported for
+const REPORT_REASONS = {
+    product: ['counterfeit', 'prohibited', 'misleading', 'other'],
+    user: ['scam', 'abuse', 'other']
+};
+
+const REPORT_STATUSES = ['open', 'resolved', 'dismissed'];
+
+// Actions an admin can take on a report. Every one of them (and suspensions, reactivations and
+// unlistings made outside the queue) is written to moderation_actions.
+const REPORT_ACTIONS = ['dismiss', 'hide_listing', 'warn', 'suspend'];
+
+function cleanNote(note) {
+    return note ? String(note).trim().slice(0, 1000) || null : null;
+}
+
+// Write an entry to the moderation log: { adminId, action, reportId, productId, userId, note }.
+// Run it in the transaction that makes the change, so the log never misses or invents one.
+async function logAction(tx, { adminId, action, reportId = null, productId = null, userId = null, note = null }) {
+    await tx.run(`
+        INSERT INTO moderation_actions (admin_id, action, report_id, product_id, user_id, note)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `, [adminId, action, reportId, productId, userId, cleanNote(note)]);
+}
+
+// Report a listing or a user: { targetType: 'product' | 'user', productId, userId, reason, details }
+async function createReport(user, body) {
+    const targetType = body.targetType;
+    if (!REPORT_REASONS[targetType]) {
+        throw httpError(400, 'You can report a listing or a user');
+    }
+    if (!REPORT_REASONS[targetType].includes(body.reason)) {
+        throw httpError(400, `Reason must be one of: ${REPORT_REASONS[targetType].join(', ')}`);
+    }
+
+    const details = body.details ? String(body.details).trim().slice(0, 2000) : null;
+    if (body.reason === 'other' && !details) {
+        throw httpError(400, 'Please tell us what is wrong');
+    }
+
+    return runInTransaction(async (tx) => {
+        let productId = null;
+        let reportedUserId;
+
+        if (targetType === 'product') {
+            const product = await tx.get('SELECT id, seller_id FROM products WHERE id = ?', [body.productId]);
+            if (!product) {
+                throw httpError(404, 'Product not found');
+            }
+            productId = product.id;
+            reportedUserId = product.seller_id;
+        } else {
+            const reported = await tx.get('SELECT id FROM users WHERE id = ?', [body.userId]);
+            if (!reported) {
+                throw httpError(404, 'User not found');
+            }
+            reportedUserId = reported.id;
+        }
+
+        if (reportedUserId === user.userId) {
+            throw httpError(400, targetType === 'product' ? 'You cannot report your own listing' : 'You cannot report yourself');
+        }
+
+        const existing = await tx.get(`
+            SELECT id FROM reports
+            WHERE reporter_id = ? AND target_type = ? AND status = 'open'
+              AND ${targetType === 'product' ? 'product_id = ?' : 'reported_user_id = ?'}
+        `, [user.userId, targetType, targetType === 'product' ? productId : reportedUserId]);
+        if (existing) {
+            throw httpError(409, targetType === 'product'
+                ? 'You have already reported this listing - an admin will look at it soon'
+                : 'You have already reported this user - an admin will look at it soon');
+        }
+
+        const { lastID } = await tx.run(`
+            INSERT INTO reports (reporter_id, target_type, product_id, reported_user_id, reason, details)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [user.userId, targetType, productId, reportedUserId, body.reason, details]);
+
+        return tx.get('SELECT * FROM reports WHERE id = ?', [lastID]);
+    });
+}
+
+// The moderation queue: reports of one status (open by default), oldest first, with what was
+// reported and how many open reports its target has in total
+async function listReports(status = 'open') {
+    if (!REPORT_STATUSES.includes(status)) {
+        throw httpError(400, `Status must be one of: ${REPORT_STATUSES.join(', ')}`);
+    }
+
+    return reader.all(`
+        SELECT r.*, p.title as product_title, p.status as product_status,
+               reporter.username as reporter_name,
+               reported.username as reported_user_name, reported.full_name as reported_user_full_name,
+               reported.status as reported_user_status,
+               resolver.username as resolved_by_name,
+               (SELECT COUNT(*) FROM reports other
+                WHERE other.status = 'open' AND other.target_type = r.target_type
+                  AND (CASE WHEN r.target_type = 'product' THEN other.product_id = r.product_id
+                            ELSE other.reported_user_id = r.reported_user_id END)) as open_report_count
+        FROM reports r
+        LEFT JOIN products p ON r.product_id = p.id
+        JOIN users reporter ON r.reporter_id = reporter.id
+        JOIN users reported ON r.reported_user_id = reported.id
+        LEFT JOIN users resolver ON r.resolved_by = resolver.id
+        WHERE r.status = ?
+        ORDER BY ${status === 'open' ? 'r.created_at ASC' : 'r.resolved_at DESC'}, r.id
+    `, [status]);
+}
+
+// The latest entries of the moderation log
+async function listActions(limit = 50) {
+    return reader.all(`
+        SELECT ma.*, admin.username as admin_name, p.title as product_title, u.username as user_name
+        FROM moderation_actions ma
+        JOIN users admin ON ma.admin_id = admin.id
+        LEFT JOIN products p ON ma.product_id = p.id
+        LEFT JOIN users u ON ma.user_id = u.id
+        ORDER BY ma.created_at DESC, ma.id DESC
+        LIMIT ?
+    `, [limit]);
+}
+
+// Act on an open report: { action, note }. Hiding a listing or suspending a user also closes the
+// other open reports about it.
+async function actOnReport(reportId, adminId, { action, note }) {
+    if (!REPORT_ACTIONS.includes(action)) {
+        throw httpError(400, `Action must be one of: ${REPORT_ACTIONS.join(', ')}`);
+    }
+
+    const { report, resolvedReports } = await runInTransaction(async (tx) => {
+        const report = await tx.get(`
+            SELECT r.*, p.title as product_title, p.status as product_status
+            FROM reports r
+            LEFT JOIN products p ON r.product_id = p.id
+            WHERE r.id = ?
+        `, [reportId]);
+        if (!report) {
+            throw httpError(404, 'Report not found');
+        }
+        if (report.status !== 'open') {
+            throw httpError(409, `This report has already been ${report.status}`);
+        }
+
+        // Reports that this action settles: the report itself, or every open report about the same target
+        let sameTarget = 'r.id = ?';
+        let targetParams = [report.id];
+
+        if (action === 'hide_listing') {
+            if (report.target_type !== 'product') {
+                throw httpError(400, 'Only listing reports can hide a listing');
+            }
+            if (report.product_status === 'sold') {
+                throw httpError(400, 'Sold listings cannot be hidden');
+            }
+
+            await tx.run(`UPDATE products SET status = 'removed', updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [report.product_id]);
+            // Hidden listings cannot be bought, so drop them from every cart
+            await tx.run('DELETE FROM cart WHERE product_id = ?', [report.product_id]);
+
+            sameTarget = `r.target_type = 'product' AND r.product_id = ?`;
+            targetParams = [report.product_id];
+        }
+
+        if (action === 'suspend') {
+            if (report.reported_user_id === adminId) {
+                throw httpError(400, 'You cannot suspend your own account');
+            }
+
+            await tx.run(`
+                UPDATE users SET status = 'suspended', suspended_at = CURRENT_TIMESTAMP, suspension_reason = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [cleanNote(note) || `Reported for ${report.reason}`, report.reported_user_id]);
+
+            sameTarget = 'r.reported_user_id = ?';
+            targetParams = [report.reported_user_id];
+        }
+
+        const resolvedReports = await tx.all(`SELECT r.id, r.reporter_id FROM reports r WHERE r.status = 'open' AND ${sameTarget}`, targetParams);
+
+        await tx.run(`
+            UPDATE reports SET status = ?, resolution = ?, resolved_by = ?, resolved_at = CURRENT_TIMESTAMP
+            WHERE id IN (${resolvedReports.map(() => '?').join(', ')})
+        `, [action === 'dismiss' ? 'dismissed' : 'resolved', action, adminId, ...resolvedReports.map(r => r.id)]);
+
+        await logAction(tx, {
+            adminId,
+            action,
+            reportId: report.id,
+            productId: report.product_id,
+            userId: report.reported_user_id,
+            note
+        });
+
+        return { report, resolvedReports };
+    });
+
+    notifyReportOutcome(report, action, note, resolvedReports);
+    return { action, resolvedCount: resolvedReports.length };
+}
+
+const ACTION_MESSAGES = {
+    dismiss: 'We looked into your report and found no problem',
+    hide_listing: 'We looked into your report and removed the listing',
+    warn: 'We looked into your report and warned the user',
+    suspend: 'We looked into your report and suspended the account'
+};
+
+function notifyReportOutcome(report, action, note, resolvedReports) {
+    if (action === 'warn') {
+        notify(report.reported_user_id, {
+            type: 'moderation',
+            title: 'Warning from the EcoFinds team',
+            body: cleanNote(note) || (report.target_type === 'product'
+                ? `Your listing "${report.product_title}" was reported${report.reason === 'other' ? '' : ` as ${report.reason}`}. Please review our rules.`
+                : `Your account was reported${report.reason === 'other' ? '' : ` for ${report.reason}`}. Please review our rules.`),
+            link: report.product_id ? `product_detail.html?id=${report.product_id}` : null
+        });
+    }
+
+    if (action === 'hide_listing') {
+        notify(report.reported_user_id, {
+            type: 'moderation',
+            title: 'Listing removed',
+            body: `"${report.product_title}" was removed from the marketplace${note ? `: ${cleanNote(note)}` : ''}`,
+            link: 'my_listings.html'
+        });
+    }
+
+    // A reporter hears back once, however many of their reports the action settled
+    const reporters = new Set(resolvedReports.map(r => r.reporter_id));
+    reporters.forEach(reporterId => {
+        notify(reporterId, {
+            type: 'moderation',
+            title: 'Report reviewed',
+            body: ACTION_MESSAGES[action]
+        });
+    });
+}
+
+module.exports = {
+    REPORT_REASONS,
+    REPORT_STATUSES,
+    REPORT_ACTIONS,
+    logAction,
+    createReport,
+    listReports,
+    listActions,
+    actOnReport
+};
@@ -0,0 +1,6 @@
+// Round a dollar amount to whole cents
+function roundMoney(amount) {
+    return parseFloat(amount.toFixed(2));
+}
+
+module.exports = { roundMoney };
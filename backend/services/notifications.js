@@ -0,0 +1,151 @@
+const db = require('../../database/init');
+const { orderEvents } = require('./orderStatus');
+
+// Open server-sent event streams, by user id. A user can have several tabs open.
+const streams = new Map();
+
+function addStream(userId, res) {
+    if (!streams.has(userId)) streams.set(userId, new Set());
+    streams.get(userId).add(res);
+}
+
+function removeStream(userId, res) {
+    const userStreams = streams.get(userId);
+    if (!userStreams) return;
+
+    userStreams.delete(res);
+    if (userStreams.size === 0) streams.delete(userId);
+}
+
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function push(userId, event, data) {
+    const userStreams = streams.get(userId);
+    if (!userStreams) return;
+
+    userStreams.forEach(res => sendEvent(res, event, data));
+}
+
+// Store a notification for a user and push it to any of their open streams.
+// `type` is one of: order, sale, order_status, message, price_drop, item_sold, review, saved_search, payout, return, moderation
+function notify(userId, { type, title, body, link }, callback = () => {}) {
+    if (!userId) return callback(null, null);
+
+    db.run(`
+        INSERT INTO notifications (user_id, type, title, body, link) VALUES (?, ?, ?, ?, ?)
+    `, [userId, type, title, body || null, link || null], function(err) {
+        if (err) {
+            console.error('Error creating notification:', err);
+            return callback(err);
+        }
+
+        db.get('SELECT * FROM notifications WHERE id = ?', [this.lastID], (err, notification) => {
+            if (err) return callback(err);
+
+            push(userId, 'notification', notification);
+            callback(null, notification);
+        });
+    });
+}
+
+// Users watching a product: everyone who saved it or has it in their cart
+function getWatchers(productId, callback) {
+    db.all(`
+        SELECT user_id FROM favorites WHERE product_id = ?
+        UNION
+        SELECT user_id FROM cart WHERE product_id = ?
+    `, [productId, productId], (err, rows) => {
+        callback(err, rows ? rows.map(row => row.user_id) : []);
+    });
+}
+
+// Tell everyone watching a product that its price went down
+function notifyPriceDrop(product, oldPrice, newPrice) {
+    getWatchers(product.id, (err, watcherIds) => {
+        if (err) {
+            return console.error('Error finding watchers for price drop:', err);
+        }
+
+        watcherIds.forEach(userId => {
+            notify(userId, {
+                type: 'price_drop',
+                title: 'Price drop',
+                body: `${product.title} is now $${newPrice.toFixed(2)} (was $${oldPrice.toFixed(2)})`,
+                link: `product_detail.html?id=${product.id}`
+            });
+        });
+    });
+}
+
+// Tell the people who saved a product that it has sold (the buyer already knows)
+function notifyItemSold(product, buyerId = null) {
+    db.all('SELECT user_id FROM favorites WHERE product_id = ?', [product.id], (err, rows) => {
+        if (err) {
+            return console.error('Error finding favourites for sold item:', err);
+        }
+
+        rows.filter(row => row.user_id !== buyerId).forEach(({ user_id }) => {
+            notify(user_id, {
+                type: 'item_sold',
+                title: 'A saved item sold',
+                body: `${product.title} has been sold`,
+                link: `product_detail.html?id=${product.id}`
+            });
+        });
+    });
+}
+
+const STATUS_MESSAGES = {
+    confirmed: 'has been confirmed',
+    shipped: 'has been shipped',
+    delivered: 'has been delivered',
+    completed: 'has been completed',
+    cancelled: 'has been cancelled',
+    refunded: 'has been refunded'
+};
+
+// Let the buyer and the seller know when the other side (or payment, or an admin) moves an order on
+orderEvents.on('statusChanged', ({ orderId, buyerId, sellerId, toStatus, changedBy }) => {
+    // Buyers know their order by the number they got at checkout, sellers by their own sub-order number
+    db.get(`
+        SELECT o.order_number, parent.order_number as parent_order_number
+        FROM orders o
+        LEFT JOIN orders parent ON o.parent_order_id = parent.id
+        WHERE o.id = ?
+    `, [orderId], (err, order) => {
+        if (err || !order) return;
+
+        const change = STATUS_MESSAGES[toStatus] || `is now ${toStatus}`;
+
+        if (buyerId !== changedBy) {
+            notify(buyerId, {
+                type: 'order_status',
+                title: `Order ${toStatus}`,
+                body: order.parent_order_number
+                    ? `Part of order ${order.parent_order_number} ${change}`
+                    : `Order ${order.order_number} ${change}`,
+                link: 'purchases.html'
+            });
+        }
+
+        if (sellerId && sellerId !== changedBy) {
+            notify(sellerId, {
+                type: 'order_status',
+                title: toStatus === 'confirmed' ? 'Order paid - ready to ship' : `Order ${toStatus}`,
+                body: `Order ${order.order_number} ${change}`,
+                link: 'purchases.html'
+            });
+        }
+    });
+});
+
+module.exports = {
+    addStream,
+    removeStream,
+    sendEvent,
+    notify,
+    notifyPriceDrop,
+    notifyItemSold
+};
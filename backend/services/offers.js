@@ -0,0 +1,263 @@
+const { runInTransaction } = require('../../database/transaction');
+const { httpError } = require('./errors');
+const { roundMoney } = require('./money');
+const { RESERVED_BY_OTHERS } = require('./cartReservations');
+
+// Offer lifecycle:
+//   pending   - waiting for the seller (a new offer, or the buyer's counter to a counter)
+//   countered - the seller proposed a different price, waiting for the buyer
+//   accepted  - agreed; one unit is held for the buyer at `amount` until expires_at
+//   completed - the buyer checked out at the agreed price
+//   rejected / withdrawn / expired - closed
+const OPEN_STATUSES = ['pending', 'countered'];
+const ACTIVE_STATUSES = ['pending', 'countered', 'accepted'];
+
+// How long an offer waits for a response, and how long an accepted offer holds the item
+const OFFER_EXPIRY_HOURS = parseInt(process.env.OFFER_EXPIRY_HOURS) || 48;
+const ACCEPTED_OFFER_HOLD_HOURS = parseInt(process.env.ACCEPTED_OFFER_HOLD_HOURS) || 24;
+
+function parseAmount(amount) {
+    const value = parseFloat(amount);
+    if (!Number.isFinite(value) || value <= 0) {
+        throw httpError(400, 'Offer amount must be a positive number');
+    }
+    return roundMoney(value);
+}
+
+// An offer's status as SQL on the offers row aliased `alias`: offers past their expiry count as
+// expired even before the expiry timer gets to them
+function effectiveStatus(alias) {
+    return `CASE WHEN ${alias}.status IN ('pending', 'countered', 'accepted') AND ${alias}.expires_at <= CURRENT_TIMESTAMP
+                 THEN 'expired' ELSE ${alias}.status END`;
+}
+
+async function loadOffer(tx, offerId) {
+    const offer = await tx.get(`
+        SELECT o.*, ${effectiveStatus('o')} as status
+        FROM offers o WHERE o.id = ?
+    `, [offerId]);
+    if (!offer) {
+        throw httpError(404, 'Offer not found');
+    }
+    return offer;
+}
+
+// Whose turn it is: the seller answers pending offers, the buyer answers counters
+function assertTurn(offer, userId) {
+    if (!OPEN_STATUSES.includes(offer.status)) {
+        throw httpError(400, `This offer is already ${offer.status}`);
+    }
+
+    const respondentId = offer.status === 'pending' ? offer.seller_id : offer.buyer_id;
+    if (respondentId !== userId) {
+        throw httpError(403, offer.buyer_id === userId || offer.seller_id === userId
+            ? 'Waiting for the other party to respond'
+            : 'You are not part of this offer');
+    }
+}
+
+function getOffer(tx, offerId) {
+    return tx.get('SELECT * FROM offers WHERE id = ?', [offerId]);
+}
+
+async function createOffer(buyerId, { productId, amount, message }) {
+    const offerAmount = parseAmount(amount);
+
+    return runInTransaction(async (tx) => {
+        const product = await tx.get('SELECT id, seller_id, price, status FROM products WHERE id = ?', [productId]);
+
+        if (!product) {
+            throw httpError(404, 'Product not found');
+        }
+
+        if (product.seller_id === buyerId) {
+            throw httpError(400, 'You cannot make an offer on your own product');
+        }
+
+        // A listing reserved only by accepted offers that have since lapsed is back on sale
+        if (product.status === 'reserved') {
+            product.status = await syncReservedStatus(tx, productId);
+        }
+
+        if (product.status !== 'available') {
+            throw httpError(400, 'Product is not available');
+        }
+
+        if (offerAmount >= product.price) {
+            throw httpError(400, 'Offer must be below the asking price - add the item to your cart to pay the full price');
+        }
+
+        const existing = await tx.get(`
+            SELECT o.id FROM offers o
+            WHERE o.product_id = ? AND o.buyer_id = ? AND ${effectiveStatus('o')} IN ('pending', 'countered', 'accepted')
+        `, [productId, buyerId]);
+
+        if (existing) {
+            throw httpError(409, 'You already have an open offer on this product');
+        }
+
+        const { lastID } = await tx.run(`
+            INSERT INTO offers (product_id, buyer_id, seller_id, amount, status, message, expires_at)
+            VALUES (?, ?, ?, ?, 'pending', ?, datetime('now', ?))
+        `, [productId, buyerId, product.seller_id, offerAmount, message || null, `+${OFFER_EXPIRY_HOURS} hours`]);
+
+        return getOffer(tx, lastID);
+    });
+}
+
+// A listing is 'reserved' while accepted offers hold every unit it has left, and 'available' otherwise
+async function syncReservedStatus(tx, productId) {
+    await tx.run(`
+        UPDATE products
+        SET status = CASE WHEN stock <= (
+                SELECT COUNT(*) FROM offers o
+                WHERE o.product_id = products.id AND o.status = 'accepted' AND o.expires_at > CURRENT_TIMESTAMP
+            ) THEN 'reserved' ELSE 'available' END,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status IN ('available', 'reserved') AND stock > 0
+    `, [productId]);
+
+    const { status } = await tx.get('SELECT status FROM products WHERE id = ?', [productId]);
+    return status;
+}
+
+// Accept the offer on the table. One unit is held for the buyer; once accepted offers hold every unit
+// left, the listing is reserved and the other open offers on it are declined.
+async function acceptOffer(offerId, userId) {
+    return runInTransaction(async (tx) => {
+        const offer = await loadOffer(tx, offerId);
+        assertTurn(offer, userId);
+
+        const product = await tx.get(`
+            SELECT p.status, p.stock, ${RESERVED_BY_OTHERS} as reserved_by_others FROM products p WHERE p.id = ?
+        `, [offer.buyer_id, offer.product_id]);
+
+        if (!product || product.status !== 'available' || product.stock - product.reserved_by_others < 1) {
+            throw httpError(409, 'This item is no longer available');
+        }
+
+        await tx.run(`
+            UPDATE offers
+            SET status = 'accepted', accepted_at = CURRENT_TIMESTAMP, expires_at = datetime('now', ?), updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [`+${ACCEPTED_OFFER_HOLD_HOURS} hours`, offer.id]);
+
+        // The agreed price is for one unit, so a cart row for more comes down to one
+        await tx.run(`
+            UPDATE cart SET quantity = 1 WHERE user_id = ? AND product_id = ? AND quantity > 1
+        `, [offer.buyer_id, offer.product_id]);
+
+        if (await syncReservedStatus(tx, offer.product_id) === 'reserved') {
+            await tx.run(`
+                UPDATE offers SET status = 'rejected', message = 'The item was reserved for another buyer', updated_at = CURRENT_TIMESTAMP
+                WHERE product_id = ? AND id != ? AND status IN ('pending', 'countered')
+            `, [offer.product_id, offer.id]);
+        }
+
+        return getOffer(tx, offer.id);
+    });
+}
+
+async function rejectOffer(offerId, userId, message) {
+    return runInTransaction(async (tx) => {
+        const offer = await loadOffer(tx, offerId);
+        assertTurn(offer, userId);
+
+        await tx.run(`
+            UPDATE offers SET status = 'rejected', message = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [message || null, offer.id]);
+
+        return getOffer(tx, offer.id);
+    });
+}
+
+// Propose a different price. The other party then has to respond, with a fresh expiry window.
+async function counterOffer(offerId, userId, { amount, message }) {
+    const offerAmount = parseAmount(amount);
+
+    return runInTransaction(async (tx) => {
+        const offer = await loadOffer(tx, offerId);
+        assertTurn(offer, userId);
+
+        const product = await tx.get('SELECT price FROM products WHERE id = ?', [offer.product_id]);
+        if (offerAmount >= product.price) {
+            throw httpError(400, 'A counter offer must be below the asking price');
+        }
+
+        await tx.run(`
+            UPDATE offers
+            SET amount = ?, status = ?, message = ?, expires_at = datetime('now', ?), updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [
+            offerAmount,
+            offer.status === 'pending' ? 'countered' : 'pending',
+            message || null,
+            `+${OFFER_EXPIRY_HOURS} hours`,
+            offer.id
+        ]);
+
+        return getOffer(tx, offer.id);
+    });
+}
+
+// The buyer backs out. Withdrawing an accepted offer gives up the unit it held.
+async function withdrawOffer(offerId, userId) {
+    return runInTransaction(async (tx) => {
+        const offer = await loadOffer(tx, offerId);
+
+        if (offer.buyer_id !== userId) {
+            throw httpError(403, 'Only the buyer can withdraw an offer');
+        }
+
+        if (!ACTIVE_STATUSES.includes(offer.status)) {
+            throw httpError(400, `This offer is already ${offer.status}`);
+        }
+
+        await tx.run(`UPDATE offers SET status = 'withdrawn', updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [offer.id]);
+
+        if (offer.status === 'accepted') {
+            await syncReservedStatus(tx, offer.product_id);
+        }
+
+        return getOffer(tx, offer.id);
+    });
+}
+
+// Close offers whose time ran out and release the units held by expired accepted offers
+async function expireOffers() {
+    return runInTransaction(async (tx) => {
+        const lapsed = await tx.all(`
+            SELECT id, product_id, status FROM offers
+            WHERE status IN ('pending', 'countered', 'accepted') AND expires_at <= CURRENT_TIMESTAMP
+        `);
+
+        if (lapsed.length === 0) return 0;
+
+        const ids = lapsed.map(offer => offer.id);
+        await tx.run(`
+            UPDATE offers SET status = 'expired', updated_at = CURRENT_TIMESTAMP
+            WHERE id IN (${ids.map(() => '?').join(',')})
+        `, ids);
+
+        const releasedProductIds = new Set(lapsed.filter(offer => offer.status === 'accepted').map(offer => offer.product_id));
+        for (const productId of releasedProductIds) {
+            await syncReservedStatus(tx, productId);
+        }
+
+        return lapsed.length;
+    });
+}
+
+module.exports = {
+    OPEN_STATUSES,
+    ACTIVE_STATUSES,
+    effectiveStatus,
+    syncReservedStatus,
+    createOffer,
+    acceptOffer,
+    rejectOffer,
+    counterOffer,
+    withdrawOffer,
+    expireOffers
+};
@@ -0,0 +1,229 @@
+const EventEmitter = require('events');
+const db = require('../../database/init');
+const { httpError } = require('./errors');
+
+// Order lifecycle: pending → confirmed → shipped → delivered → completed,
+// with cancelled and refunded as terminal side exits.
+const ORDER_STATUSES = ['pending', 'confirmed', 'shipped', 'delivered', 'completed', 'cancelled', 'refunded'];
+
+// For each status, the statuses it may move to and who is allowed to make that move
+const TRANSITIONS = {
+    pending: {
+        // Payment confirmation moves orders on automatically; admins can override (e.g. cash payments)
+        confirmed: ['admin'],
+        cancelled: ['buyer', 'seller', 'admin']
+    },
+    confirmed: {
+        shipped: ['seller', 'admin'],
+        // Pickup orders skip shipping: sellers hand them over with the buyer's pickup code
+        // (POST /api/orders/:id/pickup), admins can mark them delivered directly
+        delivered: ['admin'],
+        cancelled: ['buyer', 'seller', 'admin']
+    },
+    shipped: {
+        delivered: ['seller', 'admin']
+    },
+    delivered: {
+        completed: ['buyer', 'admin'],
+        refunded: ['admin']
+    },
+    completed: {
+        refunded: ['admin']
+    },
+    cancelled: {},
+    refunded: {}
+};
+
+// Emits 'statusChanged' with { orderId, parentOrderId, buyerId, sellerId, fromStatus, toStatus, changedBy, note }
+// after every successful change, so other parts of the app (payments etc.) can react to it.
+// Payments emit 'refunded' with { orderId, refundId, amount } once money has gone back to the buyer.
+const orderEvents = new EventEmitter();
+
+function canTransition(fromStatus, toStatus) {
+    return Boolean(TRANSITIONS[fromStatus] && TRANSITIONS[fromStatus][toStatus]);
+}
+
+// Statuses the given actor roles (buyer/seller/admin) may move an order to from its current status
+function getAllowedTransitions(fromStatus, actorRoles) {
+    const targets = TRANSITIONS[fromStatus] || {};
+    return Object.keys(targets).filter(toStatus =>
+        targets[toStatus].some(role => actorRoles.includes(role))
+    );
+}
+
+// Work out how a user relates to an order: as its buyer, as its seller, or as an admin.
+// Sellers only ever act on their own sub-order, never on the parent order that spans sellers.
+function getActorRoles(order, user, callback) {
+    const roles = [];
+    if (order.user_id === user.userId) roles.push('buyer');
+    if (user.role === 'admin') roles.push('admin');
+
+    if (order.seller_id !== null && order.seller_id !== undefined) {
+        if (order.seller_id === user.userId) roles.push('seller');
+        return callback(null, roles);
+    }
+
+    // Orders placed before sellers were split out: the seller is whoever sold one of its items
+    db.get(`
+        SELECT COUNT(*) as count
+        FROM order_items oi
+        JOIN products p ON oi.product_id = p.id
+        WHERE oi.order_id = ? AND p.seller_id = ?
+    `, [order.id, user.userId], (err, row) => {
+        if (err) return callback(err);
+        if (row.count > 0) roles.push('seller');
+        callback(null, roles);
+    });
+}
+
+// Record a status change in the order's timeline
+function recordStatusHistory(orderId, fromStatus, toStatus, changedBy, note, callback = () => {}) {
+    db.run(`
+        INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, note)
+        VALUES (?, ?, ?, ?, ?)
+    `, [orderId, fromStatus, toStatus, changedBy, note || null], (err) => {
+        if (err) console.error('Error recording order status history:', err);
+        callback(err);
+    });
+}
+
+// Move an order to a new status after checking the transition is valid.
+// Does not check who is asking - callers are expected to use getAllowedTransitions first.
+function changeOrderStatus({ orderId, toStatus, changedBy, note }, callback) {
+    if (!ORDER_STATUSES.includes(toStatus)) {
+        return callback(httpError(400, `Status must be one of: ${ORDER_STATUSES.join(', ')}`));
+    }
+
+    db.get(`
+        SELECT id, user_id, seller_id, status, parent_order_id,
+               (SELECT COUNT(*) FROM orders sub WHERE sub.parent_order_id = orders.id) as sub_order_count
+        FROM orders WHERE id = ?
+    `, [orderId], (err, order) => {
+        if (err) return callback(err);
+        if (!order) return callback(httpError(404, 'Order not found'));
+
+        // A parent order's status follows its seller sub-orders and is never set directly
+        if (order.sub_order_count > 0) {
+            return callback(httpError(400, 'This order is split by seller - update each seller order instead'));
+        }
+
+        const fromStatus = order.status;
+        if (!canTransition(fromStatus, toStatus)) {
+            return callback(httpError(400, `Cannot change order from ${fromStatus} to ${toStatus}`));
+        }
+
+        // Only update if nobody changed the status in the meantime
+        db.run(`
+            UPDATE orders SET status = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = ?
+        `, [toStatus, orderId, fromStatus], function(err) {
+            if (err) return callback(err);
+            if (this.changes === 0) {
+                return callback(httpError(409, 'Order status was changed by someone else, please reload'));
+            }
+
+            recordStatusHistory(orderId, fromStatus, toStatus, changedBy, note);
+
+            // Cancelled orders put their units back in stock and on the marketplace
+            if (toStatus === 'cancelled') {
+                db.run(`
+                    UPDATE products
+                    SET stock = stock + (SELECT SUM(oi.quantity) FROM order_items oi WHERE oi.order_id = ? AND oi.product_id = products.id),
+                        status = CASE WHEN status = 'sold' THEN 'available' ELSE status END,
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE id IN (SELECT product_id FROM order_items WHERE order_id = ?)
+                `, [orderId, orderId], (err) => {
+                    if (err) console.error('Error releasing products of cancelled order:', err);
+                });
+            }
+
+            if (order.parent_order_id) {
+                rollUpParentStatus(order.parent_order_id, changedBy);
+            }
+
+            orderEvents.emit('statusChanged', {
+                orderId: order.id,
+                parentOrderId: order.parent_order_id,
+                buyerId: order.user_id,
+                sellerId: order.seller_id,
+                fromStatus,
+                toStatus,
+                changedBy,
+                note
+            });
+
+            callback(null, { orderId: order.id, fromStatus, toStatus });
+        });
+    });
+}
+
+// Derive a parent order's status from its sub-orders: the least advanced of the
+// sub-orders still in progress, or cancelled/refunded once none are left.
+function deriveParentStatus(subStatuses) {
+    const active = subStatuses.filter(status => !['cancelled', 'refunded'].includes(status));
+
+    if (active.length > 0) {
+        return active.reduce((least, status) =>
+            ORDER_STATUSES.indexOf(status) < ORDER_STATUSES.indexOf(least) ? status : least
+        );
+    }
+
+    return subStatuses.every(status => status === 'refunded') ? 'refunded' : 'cancelled';
+}
+
+function rollUpParentStatus(parentOrderId, changedBy, callback = () => {}) {
+    db.all('SELECT status FROM orders WHERE parent_order_id = ?', [parentOrderId], (err, subOrders) => {
+        if (err || subOrders.length === 0) {
+            if (err) console.error('Error loading sub-orders:', err);
+            return callback(err);
+        }
+
+        const newStatus = deriveParentStatus(subOrders.map(sub => sub.status));
+
+        db.get('SELECT status FROM orders WHERE id = ?', [parentOrderId], (err, parent) => {
+            if (err || !parent || parent.status === newStatus) return callback(err);
+
+            db.run(`
+                UPDATE orders SET status = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND status = ?
+            `, [newStatus, parentOrderId, parent.status], function(err) {
+                if (err) {
+                    console.error('Error updating parent order status:', err);
+                    return callback(err);
+                }
+
+                if (this.changes > 0) {
+                    recordStatusHistory(parentOrderId, parent.status, newStatus, changedBy, 'Updated from seller orders');
+                }
+                callback(null);
+            });
+        });
+    });
+}
+
+// Get the timeline of one order (or several, given an array of ids), oldest first
+function getStatusHistory(orderIds, callback) {
+    const ids = [].concat(orderIds);
+
+    db.all(`
+        SELECT h.id, h.order_id, h.from_status, h.to_status, h.note, h.created_at,
+               u.username as changed_by_name, u.full_name as changed_by_full_name
+        FROM order_status_history h
+        LEFT JOIN users u ON h.changed_by = u.id
+        WHERE h.order_id IN (${ids.map(() => '?').join(',')})
+        ORDER BY h.created_at ASC, h.id ASC
+    `, ids, callback);
+}
+
+module.exports = {
+    ORDER_STATUSES,
+    orderEvents,
+    canTransition,
+    getAllowedTransitions,
+    getActorRoles,
+    recordStatusHistory,
+    changeOrderStatus,
+    deriveParentStatus,
+    rollUpParentStatus,
+    getStatusHistory
+};
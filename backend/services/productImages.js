@@ -0,0 +1,142 @@
+const { runInTransaction } = require('../../database/transaction');
+const { removeImageFiles } = require('./imageProcessing');
+const { httpError } = require('./errors');
+
+// Most photos a single listing can have
+const MAX_PRODUCT_IMAGES = parseInt(process.env.MAX_PRODUCT_IMAGES) || 8;
+
+function getImages(tx, productId) {
+    return tx.all(`
+        SELECT * FROM product_images WHERE product_id = ? ORDER BY position, id
+    `, [productId]);
+}
+
+// The product row keeps a copy of the cover image so lists, the cart and orders need no join
+async function syncCoverImage(tx, productId) {
+    const cover = await tx.get(`
+        SELECT image_url FROM product_images WHERE product_id = ?
+        ORDER BY is_primary DESC, position, id LIMIT 1
+    `, [productId]);
+
+    await tx.run(`
+        UPDATE products SET image_url = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `, [cover ? cover.image_url : null, productId]);
+}
+
+async function loadOwnedProduct(tx, productId, user) {
+    const product = await tx.get('SELECT id, seller_id, image_url FROM products WHERE id = ?', [productId]);
+
+    if (!product) {
+        throw httpError(404, 'Product not found');
+    }
+
+    if (product.seller_id !== user.userId && user.role !== 'admin') {
+        throw httpError(403, 'You can only edit your own products');
+    }
+
+    return product;
+}
+
+async function loadImage(tx, productId, imageId) {
+    const image = await tx.get('SELECT * FROM product_images WHERE id = ? AND product_id = ?', [imageId, productId]);
+    if (!image) {
+        throw httpError(404, 'Image not found');
+    }
+    return image;
+}
+
+async function insertImages(tx, productId, imageUrls) {
+    const existing = await getImages(tx, productId);
+
+    if (existing.length + imageUrls.length > MAX_PRODUCT_IMAGES) {
+        throw httpError(400, `A product can have at most ${MAX_PRODUCT_IMAGES} images`);
+    }
+
+    let position = existing.length > 0 ? existing[existing.length - 1].position + 1 : 0;
+    for (const [index, imageUrl] of imageUrls.entries()) {
+        await tx.run(`
+            INSERT INTO product_images (product_id, image_url, position, is_primary) VALUES (?, ?, ?, ?)
+        `, [productId, imageUrl, position++, existing.length === 0 && index === 0 ? 1 : 0]);
+    }
+
+    await syncCoverImage(tx, productId);
+}
+
+// Add images to a listing. Listings from before galleries only have `image_url`,
+// which is kept as their first image.
+async function addImages(productId, user, imageUrls) {
+    return runInTransaction(async (tx) => {
+        const product = await loadOwnedProduct(tx, productId, user);
+        const existing = await tx.get('SELECT COUNT(*) as count FROM product_images WHERE product_id = ?', [product.id]);
+
+        const urls = existing.count === 0 && product.image_url ? [product.image_url, ...imageUrls] : imageUrls;
+        await insertImages(tx, product.id, urls);
+
+        return getImages(tx, product.id);
+    });
+}
+
+// `imageIds` lists every image of the product in the new order
+async function reorderImages(productId, user, imageIds) {
+    return runInTransaction(async (tx) => {
+        await loadOwnedProduct(tx, productId, user);
+        const images = await getImages(tx, productId);
+
+        const ids = imageIds.map(id => parseInt(id));
+        const currentIds = images.map(image => image.id);
+        if (ids.length !== currentIds.length || !currentIds.every(id => ids.includes(id))) {
+            throw httpError(400, 'The new order must list every image of the product exactly once');
+        }
+
+        for (const [position, imageId] of ids.entries()) {
+            await tx.run('UPDATE product_images SET position = ? WHERE id = ?', [position, imageId]);
+        }
+
+        return getImages(tx, productId);
+    });
+}
+
+async function setPrimaryImage(productId, user, imageId) {
+    return runInTransaction(async (tx) => {
+        await loadOwnedProduct(tx, productId, user);
+        const image = await loadImage(tx, productId, imageId);
+
+        await tx.run('UPDATE product_images SET is_primary = CASE WHEN id = ? THEN 1 ELSE 0 END WHERE product_id = ?', [image.id, productId]);
+        await syncCoverImage(tx, productId);
+
+        return getImages(tx, productId);
+    });
+}
+
+// Remove one image. If it was the cover, the first remaining image takes its place.
+async function deleteImage(productId, user, imageId) {
+    const { images, removed } = await runInTransaction(async (tx) => {
+        await loadOwnedProduct(tx, productId, user);
+        const image = await loadImage(tx, productId, imageId);
+
+        await tx.run('DELETE FROM product_images WHERE id = ?', [image.id]);
+
+        if (image.is_primary) {
+            await tx.run(`
+                UPDATE product_images SET is_primary = 1
+                WHERE id = (SELECT id FROM product_images WHERE product_id = ? ORDER BY position, id LIMIT 1)
+            `, [productId]);
+        }
+
+        await syncCoverImage(tx, productId);
+
+        return { images: await getImages(tx, productId), removed: image };
+    });
+
+    removeImageFiles([removed.image_url]);
+    return images;
+}
+
+module.exports = {
+    MAX_PRODUCT_IMAGES,
+    insertImages,
+    addImages,
+    reorderImages,
+    setPrimaryImage,
+    deleteImage
+};
@@ -0,0 +1,274 @@
+const db = require('../../database/init');
+const { runInTransaction, reader } = require('../../database/transaction');
+const { orderEvents } = require('./orderStatus');
+const { loadCategories } = require('./categories');
+const { httpError } = require('./errors');
+const { roundMoney } = require('./money');
+
+// `percentage` takes discount_value percent off, `fixed` takes discount_value dollars off
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,30}$/;
+
+// Card payments need something to charge, so a discount always leaves at least this much
+const MIN_CHARGE = 0.5;
+
+function parseAmount(value, label) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const amount = parseFloat(value);
+    if (!Number.isFinite(amount) || amount <= 0) {
+        throw httpError(400, `${label} must be a positive number`);
+    }
+    return roundMoney(amount);
+}
+
+function parseLimit(value, label) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1) {
+        throw httpError(400, `${label} must be a whole number of at least 1`);
+    }
+    return limit;
+}
+
+// Dates are stored the way SQLite writes CURRENT_TIMESTAMP (UTC) so they compare with it directly
+function parseDate(value, label) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw httpError(400, `${label} must be a valid date`);
+    }
+    return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// The promotions columns from a create body: { code, description, discountType, discountValue,
+// minCartValue, maxUses, maxUsesPerUser, startsAt, endsAt, categoryId }
+async function parsePromotion(tx, body) {
+    const promotion = {
+        code: String(body.code || '').trim().toUpperCase(),
+        description: body.description ? String(body.description).trim().slice(0, 200) : null,
+        discount_type: body.discountType,
+        discount_value: parseAmount(body.discountValue, 'Discount'),
+        min_cart_value: parseAmount(body.minCartValue, 'Minimum cart value'),
+        max_uses: parseLimit(body.maxUses, 'Total uses'),
+        max_uses_per_user: parseLimit(body.maxUsesPerUser, 'Uses per buyer'),
+        starts_at: parseDate(body.startsAt, 'Start date'),
+        ends_at: parseDate(body.endsAt, 'End date'),
+        category_id: null
+    };
+
+    if (!CODE_PATTERN.test(promotion.code)) {
+        throw httpError(400, 'Codes are 3-30 letters, numbers, dashes or underscores');
+    }
+    if (!DISCOUNT_TYPES.includes(promotion.discount_type)) {
+        throw httpError(400, `Discount type must be one of: ${DISCOUNT_TYPES.join(', ')}`);
+    }
+    if (promotion.discount_value === null) {
+        throw httpError(400, 'Discount is required');
+    }
+    if (promotion.discount_type === 'percentage' && promotion.discount_value > 100) {
+        throw httpError(400, 'A percentage discount cannot be more than 100%');
+    }
+    if (promotion.starts_at && promotion.ends_at && promotion.ends_at <= promotion.starts_at) {
+        throw httpError(400, 'The end date must be after the start date');
+    }
+
+    if (body.categoryId !== undefined && body.categoryId !== null && body.categoryId !== '') {
+        const category = (await loadCategories(tx)).find(c => c.id === parseInt(body.categoryId));
+        if (!category) {
+            throw httpError(400, 'Please choose a valid category');
+        }
+        promotion.category_id = category.id;
+    }
+
+    return promotion;
+}
+
+const PROMOTION_SELECT = `
+    SELECT pr.*, c.name as category_name, u.username as seller_name,
+           (SELECT COUNT(*) FROM promotion_redemptions r WHERE r.promotion_id = pr.id) as use_count
+    FROM promotions pr
+    LEFT JOIN categories c ON pr.category_id = c.id
+    LEFT JOIN users u ON pr.seller_id = u.id
+`;
+
+// Admins see every promotion, sellers the ones on their own listings
+async function listPromotions(user) {
+    return user.role === 'admin'
+        ? reader.all(`${PROMOTION_SELECT} ORDER BY pr.created_at DESC`)
+        : reader.all(`${PROMOTION_SELECT} WHERE pr.seller_id = ? ORDER BY pr.created_at DESC`, [user.userId]);
+}
+
+// Sellers' codes only ever apply to their own listings. Admins' apply marketplace-wide,
+// or to one seller's listings when `sellerId` is given.
+async function createPromotion(user, body) {
+    return runInTransaction(async (tx) => {
+        const promotion = await parsePromotion(tx, body);
+
+        let sellerId = user.role === 'admin' ? null : user.userId;
+        if (user.role === 'admin' && body.sellerId) {
+            const seller = await tx.get(`SELECT id FROM users WHERE id = ? AND role IN ('seller', 'admin')`, [body.sellerId]);
+            if (!seller) {
+                throw httpError(400, 'Seller not found');
+            }
+            sellerId = seller.id;
+        }
+
+        const existing = await tx.get('SELECT id FROM promotions WHERE code = ?', [promotion.code]);
+        if (existing) {
+            throw httpError(409, 'That code is already taken');
+        }
+
+        const { lastID } = await tx.run(`
+            INSERT INTO promotions (
+                code, description, discount_type, discount_value, min_cart_value, max_uses,
+                max_uses_per_user, starts_at, ends_at, seller_id, category_id, created_by
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [promotion.code, promotion.description, promotion.discount_type, promotion.discount_value,
+            promotion.min_cart_value, promotion.max_uses, promotion.max_uses_per_user, promotion.starts_at,
+            promotion.ends_at, sellerId, promotion.category_id, user.userId]);
+
+        return tx.get(`${PROMOTION_SELECT} WHERE pr.id = ?`, [lastID]);
+    });
+}
+
+async function loadManagedPromotion(tx, promotionId, user) {
+    const promotion = await tx.get('SELECT * FROM promotions WHERE id = ?', [promotionId]);
+    if (!promotion || (user.role !== 'admin' && promotion.seller_id !== user.userId)) {
+        throw httpError(404, 'Promotion not found');
+    }
+    return promotion;
+}
+
+// Pause or resume a promotion
+async function setPromotionActive(promotionId, user, isActive) {
+    return runInTransaction(async (tx) => {
+        const promotion = await loadManagedPromotion(tx, promotionId, user);
+        await tx.run('UPDATE promotions SET is_active = ? WHERE id = ?', [isActive ? 1 : 0, promotion.id]);
+        return tx.get(`${PROMOTION_SELECT} WHERE pr.id = ?`, [promotion.id]);
+    });
+}
+
+// Codes that orders were placed with are kept for those orders - pause them instead
+async function deletePromotion(promotionId, user) {
+    return runInTransaction(async (tx) => {
+        const promotion = await loadManagedPromotion(tx, promotionId, user);
+
+        const used = await tx.get('SELECT id FROM orders WHERE promotion_id = ? LIMIT 1', [promotion.id]);
+        if (used) {
+            throw httpError(409, 'This code has been used - pause it instead');
+        }
+
+        await tx.run('DELETE FROM promotions WHERE id = ?', [promotion.id]);
+    });
+}
+
+// Check a code against a buyer's cart and work out the discount. `cartItems` need id, seller_id,
+// category_id, price, quantity and offer_id. Items bought at an accepted offer's price are not
+// discounted again. The discount is spread over the eligible items in proportion to their price,
+// and `itemDiscounts` maps each cart item id to its share.
+// Codes are stored in upper case, so the buyer can type them in any case.
+async function quotePromotion(tx, code, userId, cartItems) {
+    const promotion = await tx.get(`
+        SELECT *,
+               (starts_at IS NULL OR starts_at <= CURRENT_TIMESTAMP) as started,
+               (ends_at IS NULL OR ends_at > CURRENT_TIMESTAMP) as running
+        FROM promotions WHERE code = ?
+    `, [String(code).trim().toUpperCase()]);
+
+    if (!promotion || !promotion.is_active) {
+        throw httpError(400, 'This promo code is not valid');
+    }
+    if (!promotion.started) {
+        throw httpError(400, 'This promo code is not active yet');
+    }
+    if (!promotion.running) {
+        throw httpError(400, 'This promo code has expired');
+    }
+
+    const { uses, user_uses } = await tx.get(`
+        SELECT COUNT(*) as uses, COALESCE(SUM(user_id = ?), 0) as user_uses
+        FROM promotion_redemptions WHERE promotion_id = ?
+    `, [userId, promotion.id]);
+
+    if (promotion.max_uses !== null && uses >= promotion.max_uses) {
+        throw httpError(400, 'This promo code has been used up');
+    }
+    if (promotion.max_uses_per_user !== null && user_uses >= promotion.max_uses_per_user) {
+        throw httpError(400, promotion.max_uses_per_user === 1
+            ? 'You have already used this promo code'
+            : `You have already used this promo code ${promotion.max_uses_per_user} times`);
+    }
+
+    // A category promotion covers its subcategories too
+    let categoryIds = null;
+    if (promotion.category_id) {
+        categoryIds = (await loadCategories(tx))
+            .filter(c => c.id === promotion.category_id || c.ancestorIds.includes(promotion.category_id))
+            .map(c => c.id);
+    }
+
+    const eligible = cartItems.filter(item => !item.offer_id
+        && (!promotion.seller_id || item.seller_id === promotion.seller_id)
+        && (!categoryIds || categoryIds.includes(item.category_id)));
+
+    if (eligible.length === 0) {
+        throw httpError(400, 'None of the items in your cart qualify for this promo code');
+    }
+
+    const eligibleTotal = eligible.reduce((sum, item) => sum + item.price * item.quantity, 0);
+    if (promotion.min_cart_value !== null && eligibleTotal < promotion.min_cart_value) {
+        throw httpError(400, `Spend at least $${promotion.min_cart_value.toFixed(2)} on qualifying items to use this promo code`);
+    }
+
+    const fullDiscount = promotion.discount_type === 'percentage'
+        ? eligibleTotal * promotion.discount_value / 100
+        : promotion.discount_value;
+    const discount = roundMoney(Math.max(0, Math.min(fullDiscount, eligibleTotal - MIN_CHARGE)));
+
+    // The last item takes whatever rounding leaves over, so the shares add up to the discount
+    const itemDiscounts = new Map();
+    let allocated = 0;
+    eligible.forEach((item, index) => {
+        const share = index === eligible.length - 1
+            ? roundMoney(discount - allocated)
+            : roundMoney(discount * item.price * item.quantity / eligibleTotal);
+        itemDiscounts.set(item.id, share);
+        allocated += share;
+    });
+
+    return { promotion, discount, itemDiscounts };
+}
+
+async function recordRedemption(tx, promotion, userId, orderId, discount) {
+    await tx.run(`
+        INSERT INTO promotion_redemptions (promotion_id, user_id, order_id, discount_amount)
+        VALUES (?, ?, ?, ?)
+    `, [promotion.id, userId, orderId, discount]);
+}
+
+// Once every seller order of an order is cancelled, the buyer gets their use of the code back
+orderEvents.on('statusChanged', ({ parentOrderId, toStatus }) => {
+    if (toStatus !== 'cancelled' || !parentOrderId) return;
+
+    db.run(`
+        DELETE FROM promotion_redemptions
+        WHERE order_id = ?
+          AND NOT EXISTS (SELECT 1 FROM orders sub WHERE sub.parent_order_id = ? AND sub.status != 'cancelled')
+    `, [parentOrderId, parentOrderId], (err) => {
+        if (err) console.error('Error releasing promo code of cancelled order:', err);
+    });
+});
+
+module.exports = {
+    DISCOUNT_TYPES,
+    listPromotions,
+    createPromotion,
+    setPromotionActive,
+    deletePromotion,
+    quotePromotion,
+    recordRedemption
+};
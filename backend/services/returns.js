@@ -0,0 +1,379 @@
+const { runInTransaction, reader } = require('../../database/transaction');
+const { refundOrder } = require('../payments');
+const { notify } = require('./notifications');
+const { httpError } = require('./errors');
+const { roundMoney } = require('./money');
+
+const RETURN_REASONS = ['damaged', 'not_as_described', 'wrong_item', 'changed_mind', 'other'];
+
+// Approved returns either go back on sale or are written off (e.g. when they came back broken)
+const RESTOCK_OPTIONS = ['available', 'removed'];
+
+// What `GET /api/returns?status=` filters on: a return status, or approved returns whose refund failed
+const RETURN_FILTERS = ['requested', 'approved', 'rejected', 'escalated', 'refund_failed'];
+
+// Days after delivery a buyer can ask for a return. Set RETURN_WINDOW_DAYS to change it.
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS) || 30;
+
+const MAX_RETURN_IMAGES = 4;
+
+function cleanNote(note) {
+    return note ? String(note).trim().slice(0, 1000) || null : null;
+}
+
+const RETURN_SELECT = `
+    SELECT rr.*, o.order_number, oi.product_id, oi.price, oi.quantity as ordered_quantity,
+           p.title, p.image_url,
+           buyer.username as buyer_name, buyer.full_name as buyer_full_name,
+           seller.username as seller_name, seller.full_name as seller_full_name
+    FROM return_requests rr
+    JOIN orders o ON rr.order_id = o.id
+    JOIN order_items oi ON rr.order_item_id = oi.id
+    JOIN products p ON oi.product_id = p.id
+    JOIN users buyer ON rr.buyer_id = buyer.id
+    JOIN users seller ON rr.seller_id = seller.id
+`;
+
+// What `user` can do with a return next: the buyer can escalate a rejection once, the seller
+// decides open requests, and admins decide open and escalated ones and retry failed refunds
+function returnActions(request, user) {
+    const actions = [];
+    if (user.role === 'admin' && request.status === 'approved' && request.refund_status === 'failed') {
+        actions.push('refund');
+    }
+    if (request.buyer_id === user.userId && request.status === 'rejected' && !request.escalated_at) {
+        actions.push('escalated');
+    }
+    if ((request.seller_id === user.userId && request.status === 'requested')
+        || (user.role === 'admin' && ['requested', 'escalated'].includes(request.status))) {
+        actions.push('approved', 'rejected');
+    }
+    return actions;
+}
+
+async function withImages(tx, requests, user) {
+    if (requests.length === 0) return requests;
+
+    const images = await tx.all(`
+        SELECT return_request_id, image_url FROM return_request_images
+        WHERE return_request_id IN (${requests.map(() => '?').join(', ')})
+        ORDER BY id
+    `, requests.map(request => request.id));
+
+    return requests.map(request => ({
+        ...request,
+        images: images.filter(image => image.return_request_id === request.id).map(image => image.image_url),
+        actions: returnActions(request, user)
+    }));
+}
+
+async function loadReturn(tx, returnId, user) {
+    const [request] = await withImages(tx, await tx.all(`${RETURN_SELECT} WHERE rr.id = ?`, [returnId]), user);
+    return request;
+}
+
+// Ask to return `quantity` units of an order item: { orderItemId, quantity, reason, details }.
+// `imagePaths` are the photos already uploaded with the request.
+async function createReturnRequest(user, body, imagePaths = []) {
+    const reason = body.reason;
+    if (!RETURN_REASONS.includes(reason)) {
+        throw httpError(400, `Reason must be one of: ${RETURN_REASONS.join(', ')}`);
+    }
+
+    const details = body.details ? String(body.details).trim().slice(0, 2000) : null;
+    if (reason === 'other' && !details) {
+        throw httpError(400, 'Please tell the seller why you are returning the item');
+    }
+
+    const quantity = body.quantity === undefined || body.quantity === '' ? 1 : Number(body.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+        throw httpError(400, 'Quantity must be a whole number of at least 1');
+    }
+
+    if (imagePaths.length > MAX_RETURN_IMAGES) {
+        throw httpError(400, `You can add at most ${MAX_RETURN_IMAGES} photos`);
+    }
+
+    const request = await runInTransaction(async (tx) => {
+        const item = await tx.get(`
+            SELECT oi.id, oi.order_id, oi.quantity, oi.returned_quantity, o.user_id, o.status, p.seller_id,
+                   COALESCE((SELECT MAX(h.created_at) FROM order_status_history h
+                             WHERE h.order_id = o.id AND h.to_status = 'delivered'), o.updated_at)
+                       >= datetime('now', ?) as in_window
+            FROM order_items oi
+            JOIN orders o ON oi.order_id = o.id
+            JOIN products p ON oi.product_id = p.id
+            WHERE oi.id = ?
+        `, [`-${RETURN_WINDOW_DAYS} days`, body.orderItemId]);
+
+        if (!item || item.user_id !== user.userId) {
+            throw httpError(404, 'Order item not found');
+        }
+        if (!['delivered', 'completed'].includes(item.status)) {
+            throw httpError(400, 'Items can only be returned once the order has been delivered');
+        }
+        if (!item.in_window) {
+            throw httpError(400, `Returns are accepted up to ${RETURN_WINDOW_DAYS} days after delivery`);
+        }
+
+        // A decided return is only followed by another one for units that were not returned yet
+        const existing = await tx.get(`
+            SELECT id FROM return_requests WHERE order_item_id = ? AND status != 'approved'
+        `, [item.id]);
+        if (existing) {
+            throw httpError(409, 'This item already has a return request');
+        }
+
+        const returnable = item.quantity - (item.returned_quantity || 0);
+        if (quantity > returnable) {
+            throw httpError(400, returnable === 0
+                ? 'This item has already been returned'
+                : `You can return at most ${returnable} of this item`);
+        }
+
+        const { lastID } = await tx.run(`
+            INSERT INTO return_requests (order_id, order_item_id, buyer_id, seller_id, quantity, reason, details)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [item.order_id, item.id, user.userId, item.seller_id, quantity, reason, details]);
+
+        for (const imagePath of imagePaths) {
+            await tx.run('INSERT INTO return_request_images (return_request_id, image_url) VALUES (?, ?)', [lastID, imagePath]);
+        }
+
+        return loadReturn(tx, lastID, user);
+    });
+
+    notify(request.seller_id, {
+        type: 'return',
+        title: 'Return requested',
+        body: `${request.buyer_full_name || request.buyer_name} wants to return ${request.title}`,
+        link: 'purchases.html'
+    });
+
+    return request;
+}
+
+// Returns the user is part of (all of them for admins), newest first, optionally of one status
+async function listReturns(user, status) {
+    if (status && !RETURN_FILTERS.includes(status)) {
+        throw httpError(400, 'Unknown return status');
+    }
+
+    const conditions = [];
+    const params = [];
+    if (user.role !== 'admin') {
+        conditions.push('(rr.buyer_id = ? OR rr.seller_id = ?)');
+        params.push(user.userId, user.userId);
+    }
+    if (status === 'refund_failed') {
+        conditions.push("rr.status = 'approved' AND rr.refund_status = 'failed'");
+    } else if (status) {
+        conditions.push('rr.status = ?');
+        params.push(status);
+    }
+
+    const requests = await reader.all(`
+        ${RETURN_SELECT}
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY rr.created_at DESC, rr.id DESC
+    `, params);
+
+    return withImages(reader, requests, user);
+}
+
+// Move a return on: { status: 'approved' | 'rejected' | 'escalated', restock, note }.
+// Approving puts the units back (on sale or written off) and refunds what the buyer paid for them,
+// after any promo code discount.
+async function updateReturnRequest(returnId, user, { status, restock = 'available', note }) {
+    if (!['approved', 'rejected', 'escalated'].includes(status)) {
+        throw httpError(400, 'Status must be approved, rejected or escalated');
+    }
+    if (status === 'approved' && !RESTOCK_OPTIONS.includes(restock)) {
+        throw httpError(400, `Restock must be one of: ${RESTOCK_OPTIONS.join(', ')}`);
+    }
+
+    const { request, refundAmount } = await runInTransaction(async (tx) => {
+        const request = await loadReturn(tx, returnId, user);
+        if (!request || (user.role !== 'admin' && request.buyer_id !== user.userId && request.seller_id !== user.userId)) {
+            throw httpError(404, 'Return request not found');
+        }
+        if (status === 'escalated' && request.buyer_id !== user.userId) {
+            throw httpError(403, 'Only the buyer can escalate a return');
+        }
+        if (status !== 'escalated' && request.seller_id !== user.userId && user.role !== 'admin') {
+            throw httpError(403, 'Only the seller or an admin can decide a return');
+        }
+        if (!request.actions.includes(status)) {
+            throw httpError(409, request.status === 'escalated'
+                ? 'An admin is reviewing this return'
+                : `This return is ${request.status} and cannot be ${status} now`);
+        }
+
+        if (status === 'escalated') {
+            await tx.run(`
+                UPDATE return_requests
+                SET status = 'escalated', escalation_note = ?, escalated_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [cleanNote(note), request.id]);
+            return { request: await loadReturn(tx, request.id, user), refundAmount: 0 };
+        }
+
+        const noteColumn = user.role === 'admin' && request.seller_id !== user.userId ? 'admin_note' : 'seller_note';
+        let refundAmount = 0;
+
+        if (status === 'approved') {
+            const item = await tx.get('SELECT * FROM order_items WHERE id = ?', [request.order_item_id]);
+            if (item.quantity - (item.returned_quantity || 0) < request.quantity) {
+                throw httpError(409, 'These units have already been returned');
+            }
+
+            await tx.run('UPDATE order_items SET returned_quantity = COALESCE(returned_quantity, 0) + ? WHERE id = ?', [request.quantity, item.id]);
+
+            if (restock === 'available') {
+                await tx.run(`
+                    UPDATE products
+                    SET stock = stock + ?, status = CASE WHEN status = 'sold' THEN 'available' ELSE status END,
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ?
+                `, [request.quantity, item.product_id]);
+            } else {
+                // The units are not resold; a listing that had sold out is taken down
+                await tx.run(`
+                    UPDATE products SET status = CASE WHEN status = 'sold' THEN 'removed' ELSE status END, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ?
+                `, [item.product_id]);
+            }
+
+            refundAmount = refundDue(item, request.quantity);
+        }
+
+        await tx.run(`
+            UPDATE return_requests
+            SET status = ?, restock = ?, ${noteColumn} = ?, resolved_by = ?, resolved_at = CURRENT_TIMESTAMP,
+                refund_status = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [status, status === 'approved' ? restock : null, cleanNote(note), user.userId,
+            status === 'approved' ? 'pending' : null, request.id]);
+
+        return { request: await loadReturn(tx, request.id, user), refundAmount };
+    });
+
+    const updated = status === 'approved' ? await sendRefund(request, refundAmount, user) : request;
+    notifyReturnUpdate(updated, user);
+    return updated;
+}
+
+// What the buyer paid for `quantity` units of an order item, after any promo code discount
+function refundDue(item, quantity) {
+    return roundMoney((item.price * item.quantity - (item.discount_amount || 0)) * quantity / item.quantity);
+}
+
+// Refund an approved return whose refund_status is 'pending' and record how it went: 'refunded',
+// 'not_required' when nothing was paid (e.g. an order an admin confirmed by hand), or 'failed' for
+// an admin to retry. The order totals only move when money actually goes back - refundOrder adds
+// to the seller order's and its parent's refunded_amount, and sales history takes off the return's
+// refund_amount - so a failed refund leaves them as they were until a retry succeeds.
+async function sendRefund(request, refundAmount, user) {
+    let refund;
+    try {
+        refund = await refundOrder(request.order_id, `Return #${request.id}`, refundAmount);
+    } catch (err) {
+        console.error(`Error refunding return ${request.id}:`, err);
+        await runInTransaction(tx => tx.run(`
+            UPDATE return_requests SET refund_status = 'failed', updated_at = CURRENT_TIMESTAMP WHERE id = ?
+        `, [request.id]));
+        return loadReturn(reader, request.id, user);
+    }
+
+    await runInTransaction(tx => tx.run(`
+        UPDATE return_requests SET refund_amount = ?, refund_status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `, [refund ? refund.amount : 0, refund ? 'refunded' : 'not_required', request.id]));
+    return loadReturn(reader, request.id, user);
+}
+
+// Try a failed return refund again (admins only)
+async function retryRefund(returnId, user) {
+    const { request, refundAmount } = await runInTransaction(async (tx) => {
+        const request = await loadReturn(tx, returnId, user);
+        if (!request) {
+            throw httpError(404, 'Return request not found');
+        }
+        if (!request.actions.includes('refund')) {
+            throw httpError(409, 'This return has no failed refund to retry');
+        }
+
+        // Claimed before the refund is sent, so two admins retrying at once cannot both refund
+        await tx.run(`
+            UPDATE return_requests SET refund_status = 'pending', updated_at = CURRENT_TIMESTAMP WHERE id = ?
+        `, [request.id]);
+
+        const item = await tx.get('SELECT * FROM order_items WHERE id = ?', [request.order_item_id]);
+        return { request, refundAmount: refundDue(item, request.quantity) };
+    });
+
+    const updated = await sendRefund(request, refundAmount, user);
+    if (updated.refund_status === 'refunded') {
+        notify(updated.buyer_id, {
+            type: 'return',
+            title: 'Refund sent',
+            body: `$${updated.refund_amount.toFixed(2)} for your return of ${updated.title} is on its way back to you`,
+            link: 'purchases.html'
+        });
+    }
+    return updated;
+}
+
+function approvedRefundMessage(request) {
+    if (request.refund_status === 'failed') return ' - your refund is delayed and our team is looking into it';
+    return request.refund_amount > 0 ? ` - $${request.refund_amount.toFixed(2)} is on its way back to you` : '';
+}
+
+const RETURN_UPDATE_TITLES = {
+    approved: 'Return approved',
+    rejected: 'Return rejected',
+    escalated: 'Return escalated'
+};
+
+// Tell the other side(s) of the return what happened
+function notifyReturnUpdate(request, user) {
+    const title = RETURN_UPDATE_TITLES[request.status];
+
+    if (request.status === 'escalated') {
+        notify(request.seller_id, {
+            type: 'return',
+            title,
+            body: `The buyer asked an admin to review their return of ${request.title}`,
+            link: 'purchases.html'
+        });
+        return;
+    }
+
+    notify(request.buyer_id, {
+        type: 'return',
+        title,
+        body: request.status === 'approved'
+            ? `Your return of ${request.title} was approved${approvedRefundMessage(request)}`
+            : `Your return of ${request.title} was rejected`,
+        link: 'purchases.html'
+    });
+
+    if (request.seller_id !== user.userId) {
+        notify(request.seller_id, {
+            type: 'return',
+            title,
+            body: `An admin ${request.status} the return of ${request.title}`,
+            link: 'purchases.html'
+        });
+    }
+}
+
+module.exports = {
+    RETURN_REASONS,
+    RESTOCK_OPTIONS,
+    RETURN_WINDOW_DAYS,
+    MAX_RETURN_IMAGES,
+    createReturnRequest,
+    listReturns,
+    updateReturnRequest,
+    retryRefund
+};
@@ -0,0 +1,25 @@
+const db = require('../../database/init');
+
+// Joins a product row (alias `p`) to its seller's rating summary:
+// seller_rating (average, one decimal) and seller_review_count
+const SELLER_RATING_JOIN = `
+    LEFT JOIN (
+        SELECT seller_id, ROUND(AVG(rating), 1) as seller_rating, COUNT(*) as seller_review_count
+        FROM reviews GROUP BY seller_id
+    ) sr ON sr.seller_id = p.seller_id
+`;
+
+const SELLER_RATING_COLUMNS = 'sr.seller_rating, COALESCE(sr.seller_review_count, 0) as seller_review_count';
+
+function getSellerRating(sellerId, callback) {
+    db.get(`
+        SELECT ROUND(AVG(rating), 1) as averageRating, COUNT(*) as reviewCount
+        FROM reviews WHERE seller_id = ?
+    `, [sellerId], callback);
+}
+
+module.exports = {
+    SELLER_RATING_JOIN,
+    SELLER_RATING_COLUMNS,
+    getSellerRating
+};
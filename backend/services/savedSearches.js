@@ -0,0 +1,236 @@
+const { runInTransaction } = require('../../database/transaction');
+const { buildMatchQuery } = require('./search');
+const { notify } = require('./notifications');
+const { loadCategories, findCategory } = require('./categories');
+const { httpError } = require('./errors');
+
+// `instant` notifies as soon as a matching listing appears, `daily` collects matches into one digest a day
+const FREQUENCIES = ['instant', 'daily'];
+const MAX_SAVED_SEARCHES = 20;
+
+function parsePrice(value, label) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const price = parseFloat(value);
+    if (!Number.isFinite(price) || price < 0) {
+        throw httpError(400, `${label} must be a positive number`);
+    }
+    return price;
+}
+
+// Check and normalise the filter set sent by the client, in the shape of the saved_searches columns.
+// `category` (an id, path or name) is looked up among `categories`.
+function normalizeCriteria(categories, { name, search, category, condition, minPrice, maxPrice, frequency }) {
+    const savedCategory = category && category !== 'all' ? findCategory(categories, category) : null;
+    if (category && category !== 'all' && !savedCategory) {
+        throw httpError(400, 'Please choose a valid category');
+    }
+
+    const criteria = {
+        search: search ? String(search).trim() : null,
+        category: savedCategory ? savedCategory.path : null,
+        category_id: savedCategory ? savedCategory.id : null,
+        condition: condition || null,
+        min_price: parsePrice(minPrice, 'Minimum price'),
+        max_price: parsePrice(maxPrice, 'Maximum price'),
+        frequency: frequency || 'instant'
+    };
+
+    if (!criteria.search && !criteria.category && !criteria.condition && criteria.min_price === null && criteria.max_price === null) {
+        throw httpError(400, 'Add a search term or at least one filter before saving a search');
+    }
+
+    if (criteria.search && !buildMatchQuery(criteria.search)) {
+        throw httpError(400, 'Search text must contain letters or numbers');
+    }
+
+    if (criteria.min_price !== null && criteria.max_price !== null && criteria.min_price > criteria.max_price) {
+        throw httpError(400, 'Minimum price cannot be above the maximum price');
+    }
+
+    if (!FREQUENCIES.includes(criteria.frequency)) {
+        throw httpError(400, `Frequency must be one of: ${FREQUENCIES.join(', ')}`);
+    }
+
+    criteria.name = name ? String(name).trim().slice(0, 100) : describeCriteria(criteria);
+    return criteria;
+}
+
+// A readable name for a saved search, e.g. "vintage camera in Electronics under $100"
+function describeCriteria({ search, category, condition, min_price, max_price }) {
+    const parts = [search ? `"${search}"` : 'Anything'];
+    if (category) parts.push(`in ${category}`);
+    if (condition) parts.push(`(${condition})`);
+    if (min_price !== null && max_price !== null) parts.push(`$${min_price}-$${max_price}`);
+    else if (min_price !== null) parts.push(`from $${min_price}`);
+    else if (max_price !== null) parts.push(`under $${max_price}`);
+    return parts.join(' ').slice(0, 100);
+}
+
+async function createSavedSearch(userId, body) {
+    return runInTransaction(async (tx) => {
+        const criteria = normalizeCriteria(await loadCategories(tx), body);
+
+        const { count } = await tx.get('SELECT COUNT(*) as count FROM saved_searches WHERE user_id = ?', [userId]);
+        if (count >= MAX_SAVED_SEARCHES) {
+            throw httpError(400, `You can save up to ${MAX_SAVED_SEARCHES} searches - delete one first`);
+        }
+
+        const { lastID } = await tx.run(`
+            INSERT INTO saved_searches (user_id, name, search, category, category_id, condition, min_price, max_price, frequency)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [userId, criteria.name, criteria.search, criteria.category, criteria.category_id, criteria.condition,
+            criteria.min_price, criteria.max_price, criteria.frequency]);
+
+        return tx.get('SELECT * FROM saved_searches WHERE id = ?', [lastID]);
+    });
+}
+
+// Saved searches (other than the seller's own) that a new listing matches. A search for a
+// category matches listings in any of its subcategories.
+async function findMatchingSearches(tx, product) {
+    const category = (await loadCategories(tx)).find(c => c.id === product.category_id);
+    const categoryIds = category ? [...category.ancestorIds, category.id] : [];
+
+    const candidates = await tx.all(`
+        SELECT * FROM saved_searches
+        WHERE user_id != ?
+          AND (category IS NULL OR category_id IN (${categoryIds.map(() => '?').join(', ')}))
+          AND (condition IS NULL OR condition = ?)
+          AND (min_price IS NULL OR min_price <= ?)
+          AND (max_price IS NULL OR max_price >= ?)
+    `, [product.seller_id, ...categoryIds, product.condition, product.price, product.price]);
+
+    const matches = [];
+    for (const savedSearch of candidates) {
+        if (!savedSearch.search) {
+            matches.push(savedSearch);
+            continue;
+        }
+
+        const found = await tx.get(`
+            SELECT 1 FROM products_fts WHERE rowid = ? AND products_fts MATCH ?
+        `, [product.id, buildMatchQuery(savedSearch.search)]);
+        if (found) matches.push(savedSearch);
+    }
+
+    return matches;
+}
+
+// Called when a product is listed: notify instant searches now, queue the rest for their digest
+async function matchNewProduct(productId) {
+    const { product, instant } = await runInTransaction(async (tx) => {
+        const product = await tx.get('SELECT * FROM products WHERE id = ?', [productId]);
+        if (!product || product.status !== 'available') return { product, instant: [] };
+
+        const matches = await findMatchingSearches(tx, product);
+        for (const savedSearch of matches.filter(match => match.frequency === 'daily')) {
+            await tx.run(`
+                INSERT OR IGNORE INTO saved_search_matches (saved_search_id, product_id) VALUES (?, ?)
+            `, [savedSearch.id, product.id]);
+        }
+
+        return { product, instant: matches.filter(match => match.frequency === 'instant') };
+    });
+
+    instant.forEach(savedSearch => {
+        notify(savedSearch.user_id, {
+            type: 'saved_search',
+            title: `New match for ${savedSearch.name}`,
+            body: `${product.title} - $${Number(product.price).toFixed(2)}`,
+            link: `product_detail.html?id=${product.id}`
+        });
+    });
+}
+
+// Send each daily search that has new matches one notification, at most once a day.
+// Matches that sold in the meantime are dropped.
+async function sendDailyDigests() {
+    const digests = await runInTransaction(async (tx) => {
+        // Listings that sold or were taken down will never be sent, so their queued matches go now,
+        // including those of searches that have nothing else left to send
+        await tx.run(`
+            DELETE FROM saved_search_matches
+            WHERE product_id NOT IN (SELECT id FROM products WHERE status IN ('available', 'reserved'))
+        `);
+
+        const due = await tx.all(`
+            SELECT ss.*, COUNT(p.id) as match_count
+            FROM saved_searches ss
+            JOIN saved_search_matches m ON m.saved_search_id = ss.id
+            JOIN products p ON m.product_id = p.id AND p.status = 'available'
+            WHERE ss.frequency = 'daily'
+              AND (ss.last_digest_at IS NULL OR ss.last_digest_at <= datetime('now', '-1 day'))
+            GROUP BY ss.id
+        `);
+
+        for (const savedSearch of due) {
+            await tx.run('DELETE FROM saved_search_matches WHERE saved_search_id = ?', [savedSearch.id]);
+            await tx.run('UPDATE saved_searches SET last_digest_at = CURRENT_TIMESTAMP WHERE id = ?', [savedSearch.id]);
+        }
+
+        return due;
+    });
+
+    digests.forEach(savedSearch => {
+        notify(savedSearch.user_id, {
+            type: 'saved_search',
+            title: `Daily digest: ${savedSearch.name}`,
+            body: `${savedSearch.match_count} new listing${savedSearch.match_count === 1 ? '' : 's'} match your saved search`,
+            link: `product_feed.html?savedSearch=${savedSearch.id}`
+        });
+    });
+
+    return digests.length;
+}
+
+async function loadOwnSavedSearch(tx, searchId, userId) {
+    const savedSearch = await tx.get('SELECT * FROM saved_searches WHERE id = ? AND user_id = ?', [searchId, userId]);
+    if (!savedSearch) {
+        throw httpError(404, 'Saved search not found');
+    }
+    return savedSearch;
+}
+
+// Rename a saved search or change how often it alerts
+async function updateSavedSearch(searchId, userId, { name, frequency }) {
+    if (frequency !== undefined && !FREQUENCIES.includes(frequency)) {
+        throw httpError(400, `Frequency must be one of: ${FREQUENCIES.join(', ')}`);
+    }
+
+    return runInTransaction(async (tx) => {
+        const savedSearch = await loadOwnSavedSearch(tx, searchId, userId);
+
+        await tx.run('UPDATE saved_searches SET name = ?, frequency = ? WHERE id = ?', [
+            name ? String(name).trim().slice(0, 100) : savedSearch.name,
+            frequency || savedSearch.frequency,
+            savedSearch.id
+        ]);
+
+        // Switching to instant alerts drops the queued digest
+        if (frequency === 'instant') {
+            await tx.run('DELETE FROM saved_search_matches WHERE saved_search_id = ?', [savedSearch.id]);
+        }
+
+        return tx.get('SELECT * FROM saved_searches WHERE id = ?', [savedSearch.id]);
+    });
+}
+
+// Remove a saved search and anything still queued for its digest
+async function deleteSavedSearch(searchId, userId) {
+    return runInTransaction(async (tx) => {
+        const savedSearch = await loadOwnSavedSearch(tx, searchId, userId);
+
+        await tx.run('DELETE FROM saved_search_matches WHERE saved_search_id = ?', [savedSearch.id]);
+        await tx.run('DELETE FROM saved_searches WHERE id = ?', [savedSearch.id]);
+    });
+}
+
+module.exports = {
+    FREQUENCIES,
+    createSavedSearch,
+    updateSavedSearch,
+    deleteSavedSearch,
+    matchNewProduct,
+    sendDailyDigests
+};
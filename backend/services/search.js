@@ -0,0 +1,144 @@
+// Product listing queries: full-text search on the products_fts index (see database/init.js),
+// sort modes and cursor pagination
+
+const { httpError } = require('./errors');
+
+// Markers put around matched terms by SQLite, swapped for <mark> tags once the text is escaped
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+// Column weights for bm25 ranking: a match in the title counts most, then category, then description
+const RANK = 'bm25(products_fts, 10.0, 1.0, 4.0)';
+
+const SEARCH_JOIN = 'JOIN products_fts ON products_fts.rowid = p.id';
+
+const SEARCH_COLUMNS = `
+    ${RANK} as relevance,
+    highlight(products_fts, 0, '${MATCH_START}', '${MATCH_END}') as title_highlight,
+    snippet(products_fts, 1, '${MATCH_START}', '${MATCH_END}', '...', 16) as snippet
+`;
+
+// Turn what the user typed into an FTS5 query. Every word has to match (stemmed, so
+// "chairs" finds "chair"), and the last word also matches as a prefix while the user is typing.
+// Returns null when there is nothing searchable.
+function buildMatchQuery(search) {
+    const words = String(search || '').toLowerCase().match(/[\p{L}\p{N}]+/gu);
+    if (!words) return null;
+
+    return words
+        .map((word, index) => `"${word}"${index === words.length - 1 ? '*' : ''}`)
+        .join(' ');
+}
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Escape a highlighted title or snippet and mark the matched terms
+function toHighlightedHtml(text) {
+    if (!text) return text;
+
+    return escapeHtml(text)
+        .split(MATCH_START).join('<mark>')
+        .split(MATCH_END).join('</mark>');
+}
+
+// Replace the raw highlight columns of search results with safe HTML
+function formatSearchResults(products) {
+    return products.map(product => ({
+        ...product,
+        title_highlight: toHighlightedHtml(product.title_highlight),
+        snippet: toHighlightedHtml(product.snippet)
+    }));
+}
+
+// Sort modes for product listings. Ties are broken by product id, so every product has one exact
+// place in the order - that is what lets a cursor resume right after the last product of a page.
+// `field` is the column of the result rows that holds the sort value. The distance sort
+// gets its `key` from the location the listing is searched around (see resolveSort).
+// Prices, view counts and bm25 ranks move between page fetches, so a cursor on them would skip or
+// repeat products: those sorts (`cursor: false`) page by offset instead.
+const PRODUCT_SORTS = {
+    newest: { key: 'p.created_at', field: 'created_at', direction: 'DESC', cursor: true },
+    oldest: { key: 'p.created_at', field: 'created_at', direction: 'ASC', cursor: true },
+    price_low: { key: 'p.price', field: 'price', direction: 'ASC', cursor: false },
+    price_high: { key: 'p.price', field: 'price', direction: 'DESC', cursor: false },
+    popular: { key: 'p.views', field: 'views', direction: 'DESC', cursor: false },
+    relevance: { key: RANK, field: 'relevance', direction: 'ASC', cursor: false },
+    distance: { key: null, field: 'distance', direction: 'ASC', cursor: true }
+};
+
+// Pick the sort mode. Searches default to relevance, and relevance falls back to newest without a search.
+// `distanceKey` is the SQL distance expression when the listing is searched around a location.
+function resolveSort(sortBy, isSearch, distanceKey = null) {
+    const name = sortBy || (isSearch ? 'relevance' : 'newest');
+
+    if (!PRODUCT_SORTS[name]) {
+        throw httpError(400, `sortBy must be one of: ${Object.keys(PRODUCT_SORTS).join(', ')}`);
+    }
+
+    if (name === 'relevance' && !isSearch) {
+        return { name: 'newest', ...PRODUCT_SORTS.newest };
+    }
+
+    if (name === 'distance') {
+        if (!distanceKey) {
+            throw httpError(400, 'Sorting by distance needs a location - pass near, or lat and lng');
+        }
+        return { name, ...PRODUCT_SORTS.distance, key: distanceKey };
+    }
+
+    return { name, ...PRODUCT_SORTS[name] };
+}
+
+function orderByClause(sort) {
+    return ` ORDER BY ${sort.key} ${sort.direction}, p.id ${sort.direction}`;
+}
+
+// Products after the cursor position, in the direction of the sort
+function cursorCondition(sort) {
+    return ` AND (${sort.key}, p.id) ${sort.direction === 'ASC' ? '>' : '<'} (?, ?)`;
+}
+
+// Cursors are opaque to clients: the sort they belong to plus the last product's sort value and id
+function encodeCursor(sort, product) {
+    return Buffer.from(JSON.stringify({ sortBy: sort.name, value: product[sort.field], id: product.id })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+    if (!sort.cursor) {
+        throw httpError(400, `Sorting by ${sort.name} pages with offset, not cursor`);
+    }
+
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    } catch (err) {
+        decoded = null;
+    }
+
+    if (!decoded || decoded.sortBy !== sort.name || !Number.isInteger(decoded.id)) {
+        throw httpError(400, 'Invalid cursor - start again from the first page');
+    }
+
+    return [decoded.value, decoded.id];
+}
+
+module.exports = {
+    PRODUCT_SORTS,
+    resolveSort,
+    orderByClause,
+    cursorCondition,
+    encodeCursor,
+    decodeCursor,
+    RANK,
+    SEARCH_JOIN,
+    SEARCH_COLUMNS,
+    buildMatchQuery,
+    formatSearchResults
+};
@@ -1,7 +1,8 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 
-const dbPath = path.join(__dirname, 'ecofinds.db');
+// Set DATABASE_PATH to use another database file, e.g. a throwaway one for the tests
+const dbPath = process.env.DATABASE_PATH || path.join(__dirname, 'ecofinds.db');
 
 // Create database connection
 const db = new sqlite3.Database(dbPath, (err) => {
@@ -13,6 +14,9 @@ const db = new sqlite3.Database(dbPath, (err) => {
     }
 });
 
+// Wait for locks held by transactions instead of failing straight away
+db.configure('busyTimeout', 5000);
+
 // Initialize database tables
 function initializeDatabase() {
     // Enable foreign keys
@@ -30,6 +34,9 @@ function initializeDatabase() {
             phone VARCHAR(20),
             address TEXT,
             profile_picture VARCHAR(255),
+            status VARCHAR(20) DEFAULT 'active',
+            suspended_at DATETIME,
+            suspension_reason TEXT,
             created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
             updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
         )`, (err) => {
@@ -83,9 +90,13 @@ function initializeDatabase() {
             delivery_address TEXT,
             delivery_notes TEXT,
             order_number VARCHAR(50) UNIQUE,
+            parent_order_id INTEGER,
+            seller_id INTEGER,
             created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
             updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (user_id) REFERENCES users (id)
+            FOREIGN KEY (user_id) REFERENCES users (id),
+            FOREIGN KEY (parent_order_id) REFERENCES orders (id),
+            FOREIGN KEY (seller_id) REFERENCES users (id)
         )`, (err) => {
             if (err) console.error('Error creating orders table:', err.message);
             else console.log('Orders table created successfully');
@@ -105,13 +116,631 @@ function initializeDatabase() {
             else console.log('Order items table created successfully');
         });
 
+        // Order status history table (timeline of status changes)
+        db.run(`CREATE TABLE IF NOT EXISTS order_status_history (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            order_id INTEGER NOT NULL,
+            from_status VARCHAR(20),
+            to_status VARCHAR(20) NOT NULL,
+            changed_by INTEGER,
+            note TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (order_id) REFERENCES orders (id),
+            FOREIGN KEY (changed_by) REFERENCES users (id)
+        )`, (err) => {
+            if (err) console.error('Error creating order_status_history table:', err.message);
+            else console.log('Order status history table created successfully');
+        });
+
+        // Payments table (one row per payment intent with the provider)
+        db.run(`CREATE TABLE IF NOT EXISTS payments (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            order_id INTEGER NOT NULL,
+            user_id INTEGER NOT NULL,
+            provider VARCHAR(30) NOT NULL,
+            provider_intent_id VARCHAR(100) UNIQUE NOT NULL,
+            amount DECIMAL(10,2) NOT NULL,
+            currency VARCHAR(3) DEFAULT 'usd',
+            status VARCHAR(30) NOT NULL,
+            failure_reason TEXT,
+            refunded_amount DECIMAL(10,2) DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (order_id) REFERENCES orders (id),
+            FOREIGN KEY (user_id) REFERENCES users (id)
+        )`, (err) => {
+            if (err) console.error('Error creating payments table:', err.message);
+            else console.log('Payments table created successfully');
+        });
+
+        // Payment refunds table
+        db.run(`CREATE TABLE IF NOT EXISTS payment_refunds (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            payment_id INTEGER NOT NULL,
+            order_id INTEGER NOT NULL,
+            amount DECIMAL(10,2) NOT NULL,
+            provider_refund_id VARCHAR(100),
+            reason TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (payment_id) REFERENCES payments (id),
+            FOREIGN KEY (order_id) REFERENCES orders (id)
+        )`, (err) => {
+            if (err) console.error('Error creating payment_refunds table:', err.message);
+            else console.log('Payment refunds table created successfully');
+        });
+
+        // Offers table (price negotiation between a buyer and a listing's seller)
+        db.run(`CREATE TABLE IF NOT EXISTS offers (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            product_id INTEGER NOT NULL,
+            buyer_id INTEGER NOT NULL,
+            seller_id INTEGER NOT NULL,
+            amount DECIMAL(10,2) NOT NULL,
+            status VARCHAR(20) DEFAULT 'pending',
+            message TEXT,
+            order_id INTEGER,
+            expires_at DATETIME,
+            accepted_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (product_id) REFERENCES products (id),
+            FOREIGN KEY (buyer_id) REFERENCES users (id),
+            FOREIGN KEY (seller_id) REFERENCES users (id),
+            FOREIGN KEY (order_id) REFERENCES orders (id)
+        )`, (err) => {
+            if (err) console.error('Error creating offers table:', err.message);
+            else console.log('Offers table created successfully');
+        });
+
+        // Conversations table (one thread per listing and interested buyer)
+        db.run(`CREATE TABLE IF NOT EXISTS conversations (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            product_id INTEGER NOT NULL,
+            buyer_id INTEGER NOT NULL,
+            seller_id INTEGER NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (product_id, buyer_id),
+            FOREIGN KEY (product_id) REFERENCES products (id),
+            FOREIGN KEY (buyer_id) REFERENCES users (id),
+            FOREIGN KEY (seller_id) REFERENCES users (id)
+        )`, (err) => {
+            if (err) console.error('Error creating conversations table:', err.message);
+            else console.log('Conversations table created successfully');
+        });
+
+        // Messages table
+        db.run(`CREATE TABLE IF NOT EXISTS messages (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            conversation_id INTEGER NOT NULL,
+            sender_id INTEGER NOT NULL,
+            body TEXT NOT NULL,
+            read_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (conversation_id) REFERENCES conversations (id),
+            FOREIGN KEY (sender_id) REFERENCES users (id)
+        )`, (err) => {
+            if (err) console.error('Error creating messages table:', err.message);
+            else console.log('Messages table created successfully');
+        });
+
+        // Notifications table
+        db.run(`CREATE TABLE IF NOT EXISTS notifications (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            type VARCHAR(30) NOT NULL,
+            title VARCHAR(200) NOT NULL,
+            body TEXT,
+            link VARCHAR(500),
+            read_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users (id)
+        )`, (err) => {
+            if (err) console.error('Error creating notifications table:', err.message);
+            else console.log('Notifications table created successfully');
+        });
+
+        // Reviews table (one per purchased item, left by the buyer for the seller)
+        db.run(`CREATE TABLE IF NOT EXISTS reviews (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            order_item_id INTEGER UNIQUE NOT NULL,
+            order_id INTEGER NOT NULL,
+            product_id INTEGER NOT NULL,
+            buyer_id INTEGER NOT NULL,
+            seller_id INTEGER NOT NULL,
+            rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+            comment TEXT,
+            seller_reply TEXT,
+            replied_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (order_item_id) REFERENCES order_items (id),
+            FOREIGN KEY (order_id) REFERENCES orders (id),
+            FOREIGN KEY (product_id) REFERENCES products (id),
+            FOREIGN KEY (buyer_id) REFERENCES users (id),
+            FOREIGN KEY (seller_id) REFERENCES users (id)
+        )`, (err) => {
+            if (err) console.error('Error creating reviews table:', err.message);
+            else console.log('Reviews table created successfully');
+        });
+
+        // Favorites table (products a user saved for later)
+        db.run(`CREATE TABLE IF NOT EXISTS favorites (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            product_id INTEGER NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (user_id, product_id),
+            FOREIGN KEY (user_id) REFERENCES users (id),
+            FOREIGN KEY (product_id) REFERENCES products (id)
+        )`, (err) => {
+            if (err) console.error('Error creating favorites table:', err.message);
+            else console.log('Favorites table created successfully');
+        });
+
+        // Product images table (a listing's photo gallery; products.image_url mirrors the cover)
+        db.run(`CREATE TABLE IF NOT EXISTS product_images (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            product_id INTEGER NOT NULL,
+            image_url VARCHAR(500) NOT NULL,
+            position INTEGER DEFAULT 0,
+            is_primary BOOLEAN DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (product_id) REFERENCES products (id)
+        )`, (err) => {
+            if (err) console.error('Error creating product_images table:', err.message);
+            else console.log('Product images table created successfully');
+        });
+
+        // Categories table (a tree: parent_id is NULL for top-level categories)
+        db.run(`CREATE TABLE IF NOT EXISTS categories (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name VARCHAR(50) NOT NULL,
+            parent_id INTEGER,
+            position INTEGER DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (parent_id) REFERENCES categories (id)
+        )`, (err) => {
+            if (err) console.error('Error creating categories table:', err.message);
+            else console.log('Categories table created successfully');
+        });
+
+        // Category attributes table (fields such as size or brand; subcategories inherit them)
+        db.run(`CREATE TABLE IF NOT EXISTS category_attributes (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            category_id INTEGER NOT NULL,
+            name VARCHAR(50) NOT NULL,
+            label VARCHAR(100) NOT NULL,
+            type VARCHAR(20) DEFAULT 'text' CHECK (type IN ('text', 'number', 'select')),
+            options TEXT,
+            required BOOLEAN DEFAULT 0,
+            position INTEGER DEFAULT 0,
+            UNIQUE (category_id, name),
+            FOREIGN KEY (category_id) REFERENCES categories (id)
+        )`, (err) => {
+            if (err) console.error('Error creating category_attributes table:', err.message);
+            else console.log('Category attributes table created successfully');
+        });
+
+        // Saved searches table (filter sets buyers get alerts for)
+        db.run(`CREATE TABLE IF NOT EXISTS saved_searches (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            name VARCHAR(100) NOT NULL,
+            search VARCHAR(200),
+            category VARCHAR(50),
+            condition VARCHAR(20),
+            min_price DECIMAL(10,2),
+            max_price DECIMAL(10,2),
+            frequency VARCHAR(20) DEFAULT 'instant',
+            last_digest_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users (id)
+        )`, (err) => {
+            if (err) console.error('Error creating saved_searches table:', err.message);
+            else console.log('Saved searches table created successfully');
+        });
+
+        // New listings matching a saved search, waiting for that search's daily digest
+        db.run(`CREATE TABLE IF NOT EXISTS saved_search_matches (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            saved_search_id INTEGER NOT NULL,
+            product_id INTEGER NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (saved_search_id, product_id),
+            FOREIGN KEY (saved_search_id) REFERENCES saved_searches (id),
+            FOREIGN KEY (product_id) REFERENCES products (id)
+        )`, (err) => {
+            if (err) console.error('Error creating saved_search_matches table:', err.message);
+            else console.log('Saved search matches table created successfully');
+        });
+
+        // A seller's weight-based shipping prices: a parcel pays the fee of the lightest band it fits in
+        db.run(`CREATE TABLE IF NOT EXISTS shipping_rates (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            seller_id INTEGER NOT NULL,
+            max_weight REAL NOT NULL,
+            fee REAL NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (seller_id, max_weight),
+            FOREIGN KEY (seller_id) REFERENCES users (id)
+        )`, (err) => {
+            if (err) console.error('Error creating shipping_rates table:', err.message);
+            else console.log('Shipping rates table created successfully');
+        });
+
+        // Promo codes. Admins can run them across the marketplace, sellers only on their own listings;
+        // either can narrow one down to a category (and its subcategories)
+        db.run(`CREATE TABLE IF NOT EXISTS promotions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            code TEXT UNIQUE NOT NULL COLLATE NOCASE,
+            description TEXT,
+            discount_type TEXT NOT NULL CHECK (discount_type IN ('percentage', 'fixed')),
+            discount_value REAL NOT NULL,
+            min_cart_value REAL,
+            max_uses INTEGER,
+            max_uses_per_user INTEGER,
+            starts_at DATETIME,
+            ends_at DATETIME,
+            seller_id INTEGER,
+            category_id INTEGER,
+            is_active BOOLEAN DEFAULT 1,
+            created_by INTEGER NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (seller_id) REFERENCES users (id),
+            FOREIGN KEY (category_id) REFERENCES categories (id),
+            FOREIGN KEY (created_by) REFERENCES users (id)
+        )`, (err) => {
+            if (err) console.error('Error creating promotions table:', err.message);
+            else console.log('Promotions table created successfully');
+        });
+
+        // Each use of a promo code, against the buyer's (parent) order
+        db.run(`CREATE TABLE IF NOT EXISTS promotion_redemptions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            promotion_id INTEGER NOT NULL,
+            user_id INTEGER NOT NULL,
+            order_id INTEGER NOT NULL UNIQUE,
+            discount_amount REAL NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (promotion_id) REFERENCES promotions (id),
+            FOREIGN KEY (user_id) REFERENCES users (id),
+            FOREIGN KEY (order_id) REFERENCES orders (id)
+        )`, (err) => {
+            if (err) console.error('Error creating promotion_redemptions table:', err.message);
+            else console.log('Promotion redemptions table created successfully');
+        });
+
+        // Seller money ledger. Every transaction (a completed sale, a refund of one, a payout) is a set
+        // of entries that add up to zero; a seller's balance is the sum of their `seller` entries.
+        // Accounts: seller (one per seller_id), platform (commission), buyer_payments, payouts
+        db.run(`CREATE TABLE IF NOT EXISTS ledger_transactions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            type TEXT NOT NULL CHECK (type IN ('sale', 'refund', 'payout')),
+            order_id INTEGER,
+            payment_refund_id INTEGER,
+            payout_id INTEGER,
+            commission_rate REAL,
+            description TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (order_id) REFERENCES orders (id),
+            FOREIGN KEY (payment_refund_id) REFERENCES payment_refunds (id),
+            FOREIGN KEY (payout_id) REFERENCES payout_requests (id)
+        )`, (err) => {
+            if (err) console.error('Error creating ledger_transactions table:', err.message);
+            else console.log('Ledger transactions table created successfully');
+        });
+
+        db.run(`CREATE TABLE IF NOT EXISTS ledger_entries (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            transaction_id INTEGER NOT NULL,
+            account TEXT NOT NULL CHECK (account IN ('seller', 'platform', 'buyer_payments', 'payouts')),
+            seller_id INTEGER,
+            amount REAL NOT NULL,
+            FOREIGN KEY (transaction_id) REFERENCES ledger_transactions (id),
+            FOREIGN KEY (seller_id) REFERENCES users (id)
+        )`, (err) => {
+            if (err) console.error('Error creating ledger_entries table:', err.message);
+            else console.log('Ledger entries table created successfully');
+        });
+
+        // Sellers ask for their balance to be paid out; an admin pays it (or turns it down)
+        db.run(`CREATE TABLE IF NOT EXISTS payout_requests (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            seller_id INTEGER NOT NULL,
+            amount REAL NOT NULL,
+            status TEXT DEFAULT 'requested' CHECK (status IN ('requested', 'paid', 'rejected')),
+            note TEXT,
+            requested_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            processed_at DATETIME,
+            processed_by INTEGER,
+            FOREIGN KEY (seller_id) REFERENCES users (id),
+            FOREIGN KEY (processed_by) REFERENCES users (id)
+        )`, (err) => {
+            if (err) console.error('Error creating payout_requests table:', err.message);
+            else console.log('Payout requests table created successfully');
+        });
+
+        // Buyers ask to return items of delivered orders. The seller approves or rejects; a rejected
+        // request can be escalated once to an admin, whose decision is final
+        db.run(`CREATE TABLE IF NOT EXISTS return_requests (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            order_id INTEGER NOT NULL,
+            order_item_id INTEGER NOT NULL,
+            buyer_id INTEGER NOT NULL,
+            seller_id INTEGER NOT NULL,
+            quantity INTEGER NOT NULL,
+            reason TEXT NOT NULL,
+            details TEXT,
+            status TEXT DEFAULT 'requested' CHECK (status IN ('requested', 'approved', 'rejected', 'escalated')),
+            seller_note TEXT,
+            escalation_note TEXT,
+            admin_note TEXT,
+            restock TEXT CHECK (restock IN ('available', 'removed')),
+            refund_amount REAL,
+            escalated_at DATETIME,
+            resolved_by INTEGER,
+            resolved_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (order_id) REFERENCES orders (id),
+            FOREIGN KEY (order_item_id) REFERENCES order_items (id),
+            FOREIGN KEY (buyer_id) REFERENCES users (id),
+            FOREIGN KEY (seller_id) REFERENCES users (id),
+            FOREIGN KEY (resolved_by) REFERENCES users (id)
+        )`, (err) => {
+            if (err) console.error('Error creating return_requests table:', err.message);
+            else console.log('Return requests table created successfully');
+        });
+
+        // Photos the buyer adds to a return request
+        db.run(`CREATE TABLE IF NOT EXISTS return_request_images (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            return_request_id INTEGER NOT NULL,
+            image_url TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (return_request_id) REFERENCES return_requests (id)
+        )`, (err) => {
+            if (err) console.error('Error creating return_request_images table:', err.message);
+            else console.log('Return request images table created successfully');
+        });
+
+        // Reports of listings and users, waiting in the admins' moderation queue
+        db.run(`CREATE TABLE IF NOT EXISTS reports (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            reporter_id INTEGER NOT NULL,
+            target_type TEXT NOT NULL CHECK (target_type IN ('product', 'user')),
+            product_id INTEGER,
+            reported_user_id INTEGER NOT NULL,
+            reason TEXT NOT NULL,
+            details TEXT,
+            status TEXT DEFAULT 'open' CHECK (status IN ('open', 'resolved', 'dismissed')),
+            resolution TEXT,
+            resolved_by INTEGER,
+            resolved_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (reporter_id) REFERENCES users (id),
+            FOREIGN KEY (product_id) REFERENCES products (id),
+            FOREIGN KEY (reported_user_id) REFERENCES users (id),
+            FOREIGN KEY (resolved_by) REFERENCES users (id)
+        )`, (err) => {
+            if (err) console.error('Error creating reports table:', err.message);
+            else console.log('Reports table created successfully');
+        });
+
+        // Log of every moderation action an admin takes, from the queue or directly
+        db.run(`CREATE TABLE IF NOT EXISTS moderation_actions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            admin_id INTEGER NOT NULL,
+            action TEXT NOT NULL CHECK (action IN ('dismiss', 'hide_listing', 'warn', 'suspend', 'reactivate')),
+            report_id INTEGER,
+            product_id INTEGER,
+            user_id INTEGER,
+            note TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (admin_id) REFERENCES users (id),
+            FOREIGN KEY (report_id) REFERENCES reports (id),
+            FOREIGN KEY (product_id) REFERENCES products (id),
+            FOREIGN KEY (user_id) REFERENCES users (id)
+        )`, (err) => {
+            if (err) console.error('Error creating moderation_actions table:', err.message);
+            else console.log('Moderation actions table created successfully');
+        });
+
+        // Full-text search index over products, kept in sync by the triggers below
+        db.run(`CREATE VIRTUAL TABLE IF NOT EXISTS products_fts USING fts5(
+            title, description, category,
+            content='products', content_rowid='id',
+            tokenize='porter unicode61'
+        )`, (err) => {
+            if (err) console.error('Error creating products_fts table:', err.message);
+            else console.log('Products search index created successfully');
+        });
+
+        db.run(`CREATE TRIGGER IF NOT EXISTS products_fts_insert AFTER INSERT ON products BEGIN
+            INSERT INTO products_fts (rowid, title, description, category)
+            VALUES (new.id, new.title, new.description, new.category);
+        END`);
+
+        db.run(`CREATE TRIGGER IF NOT EXISTS products_fts_delete AFTER DELETE ON products BEGIN
+            INSERT INTO products_fts (products_fts, rowid, title, description, category)
+            VALUES ('delete', old.id, old.title, old.description, old.category);
+        END`);
+
+        db.run(`CREATE TRIGGER IF NOT EXISTS products_fts_update AFTER UPDATE OF title, description, category ON products BEGIN
+            INSERT INTO products_fts (products_fts, rowid, title, description, category)
+            VALUES ('delete', old.id, old.title, old.description, old.category);
+            INSERT INTO products_fts (rowid, title, description, category)
+            VALUES (new.id, new.title, new.description, new.category);
+        END`);
+
+        // Index products from before the search index existed
+        db.run(`INSERT INTO products_fts (products_fts) VALUES ('rebuild')`, (err) => {
+            if (err) console.error('Error rebuilding products search index:', err.message);
+        });
+
+        // Columns added after the first release - existing databases need them too
+        addColumnIfMissing('users', 'status', "VARCHAR(20) DEFAULT 'active'");
+        addColumnIfMissing('users', 'suspended_at', 'DATETIME');
+        addColumnIfMissing('users', 'suspension_reason', 'TEXT');
+        // Approximate location (the centre of the postcode), used as the default for new listings
+        addColumnIfMissing('users', 'city', 'VARCHAR(100)');
+        addColumnIfMissing('users', 'postcode', 'VARCHAR(10)');
+        addColumnIfMissing('users', 'latitude', 'REAL');
+        addColumnIfMissing('users', 'longitude', 'REAL');
+        addColumnIfMissing('orders', 'parent_order_id', 'INTEGER REFERENCES orders (id)');
+        addColumnIfMissing('orders', 'seller_id', 'INTEGER REFERENCES users (id)');
+        addColumnIfMissing('products', 'category_id', 'INTEGER REFERENCES categories (id)');
+        addColumnIfMissing('products', 'attributes', 'TEXT');
+        addColumnIfMissing('products', 'city', 'VARCHAR(100)');
+        addColumnIfMissing('products', 'postcode', 'VARCHAR(10)');
+        addColumnIfMissing('products', 'latitude', 'REAL');
+        addColumnIfMissing('products', 'longitude', 'REAL');
+        addColumnIfMissing('saved_searches', 'category_id', 'INTEGER REFERENCES categories (id)');
+        // How a listing can reach the buyer. `shipping_fee` is charged per item; listings without one
+        // are priced by `weight` (in lb) using the seller's shipping rates, or ship free.
+        addColumnIfMissing('products', 'pickup_available', 'INTEGER DEFAULT 0');
+        addColumnIfMissing('products', 'shipping_available', 'INTEGER DEFAULT 1');
+        addColumnIfMissing('products', 'shipping_fee', 'REAL');
+        addColumnIfMissing('products', 'weight', 'REAL');
+        // Set on seller sub-orders; pickup orders are handed over against the buyer's `pickup_code`
+        addColumnIfMissing('orders', 'delivery_method', "VARCHAR(20) DEFAULT 'shipping'");
+        addColumnIfMissing('orders', 'delivery_fee', 'REAL DEFAULT 0');
+        addColumnIfMissing('orders', 'pickup_code', 'VARCHAR(10)');
+        addColumnIfMissing('orders', 'picked_up_at', 'DATETIME');
+        // Units left of a listing; it is marked sold when the last one is bought
+        addColumnIfMissing('products', 'stock', 'INTEGER DEFAULT 1');
+        // Listings sold before stock was tracked have none left
+        db.run(`UPDATE products SET stock = 0 WHERE status = 'sold' AND stock > 0`);
+
+        // Cart items held for the buyer while they check out, until this time
+        addColumnIfMissing('cart', 'reserved_until', 'DATETIME');
+        // ...and before this time the item cannot be held again, so holds cannot be chained
+        addColumnIfMissing('cart', 'rehold_after', 'DATETIME');
+
+        // Promo code discounts: the parent order keeps the code and the whole discount, each seller
+        // order and item its own share (already taken off their totals)
+        addColumnIfMissing('orders', 'promotion_id', 'INTEGER REFERENCES promotions (id)');
+        addColumnIfMissing('orders', 'promotion_code', 'TEXT');
+        addColumnIfMissing('orders', 'discount_amount', 'REAL DEFAULT 0');
+        addColumnIfMissing('order_items', 'discount_amount', 'REAL DEFAULT 0');
+
+        // Returns: units of an item taken back, and what has been refunded on an order (a seller order's
+        // refunds also count towards its parent)
+        addColumnIfMissing('order_items', 'returned_quantity', 'INTEGER DEFAULT 0');
+        addColumnIfMissing('orders', 'refunded_amount', 'REAL DEFAULT 0');
+        // Refunds are recorded as pending before the provider is asked, so concurrent ones cannot overlap
+        addColumnIfMissing('payment_refunds', 'status', "TEXT DEFAULT 'succeeded' CHECK (status IN ('pending', 'succeeded', 'failed'))");
+        // Where an approved return's refund stands; failed ones wait for an admin to retry them
+        addColumnIfMissing('return_requests', 'refund_status', "TEXT CHECK (refund_status IN ('pending', 'refunded', 'not_required', 'failed'))");
+
         // Insert sample data after all tables are created
         setTimeout(() => {
-            insertSampleData();
+            seedCategories()
+                .catch(err => console.error('Error seeding categories:', err))
+                .then(insertSampleData);
         }, 500);
     });
 }
 
+// Add a column to an existing table, ignoring databases that already have it
+function addColumnIfMissing(table, column, definition) {
+    db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
+        if (err && !err.message.includes('duplicate column name')) {
+            console.error(`Error adding ${table}.${column} column:`, err.message);
+        }
+    });
+}
+
+// Categories every new marketplace starts with. `attributes` are inherited by subcategories.
+const DEFAULT_CATEGORIES = [
+    {
+        name: 'Electronics',
+        attributes: [{ name: 'brand', label: 'Brand' }, { name: 'model', label: 'Model' }],
+        children: [
+            { name: 'Cameras' },
+            { name: 'Phones & Tablets', attributes: [{ name: 'storage', label: 'Storage', type: 'select', options: ['16GB', '32GB', '64GB', '128GB', '256GB', '512GB', '1TB'] }] },
+            { name: 'Computers', attributes: [{ name: 'storage', label: 'Storage', type: 'select', options: ['128GB', '256GB', '512GB', '1TB', '2TB'] }] },
+            { name: 'Gaming' },
+            { name: 'Audio' }
+        ]
+    },
+    {
+        name: 'Clothing',
+        attributes: [{ name: 'size', label: 'Size', type: 'select', options: ['XS', 'S', 'M', 'L', 'XL', 'XXL'] }, { name: 'brand', label: 'Brand' }],
+        children: [
+            { name: 'Men' },
+            { name: 'Women' },
+            { name: 'Kids' },
+            { name: 'Shoes', attributes: [{ name: 'size', label: 'Size (EU)', type: 'number' }] }
+        ]
+    },
+    {
+        name: 'Furniture',
+        attributes: [{ name: 'material', label: 'Material' }, { name: 'dimensions', label: 'Dimensions (W x D x H cm)' }],
+        children: [{ name: 'Seating' }, { name: 'Tables' }, { name: 'Storage' }]
+    },
+    { name: 'Books', attributes: [{ name: 'author', label: 'Author' }], children: [{ name: 'Fiction' }, { name: 'Non-fiction' }, { name: 'Textbooks' }] },
+    { name: 'Sports', children: [{ name: 'Cycling', attributes: [{ name: 'frame_size', label: 'Frame Size' }] }, { name: 'Fitness' }, { name: 'Outdoor' }] },
+    { name: 'Accessories', attributes: [{ name: 'brand', label: 'Brand' }], children: [{ name: 'Bags' }, { name: 'Jewelry' }, { name: 'Watches' }] },
+    { name: 'Home & Garden', children: [{ name: 'Kitchen' }, { name: 'Decor' }, { name: 'Garden' }] },
+    { name: 'Toys' },
+    { name: 'Art & Collectibles' },
+    { name: 'Other' }
+];
+
+function runAsync(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) return reject(err);
+            resolve(this);
+        });
+    });
+}
+
+// Create the default categories on a new database, then link products and saved searches from
+// before the category tree (which only have a category name) to their category
+async function seedCategories() {
+    const { count } = await new Promise((resolve, reject) => {
+        db.get('SELECT COUNT(*) as count FROM categories', (err, row) => (err ? reject(err) : resolve(row)));
+    });
+
+    if (count === 0) {
+        const insertCategory = async (category, parentId, position) => {
+            const { lastID } = await runAsync('INSERT INTO categories (name, parent_id, position) VALUES (?, ?, ?)', [category.name, parentId, position]);
+
+            for (const [index, attribute] of (category.attributes || []).entries()) {
+                await runAsync(`
+                    INSERT INTO category_attributes (category_id, name, label, type, options, position) VALUES (?, ?, ?, ?, ?, ?)
+                `, [lastID, attribute.name, attribute.label, attribute.type || 'text', attribute.options ? JSON.stringify(attribute.options) : null, index]);
+            }
+
+            for (const [index, child] of (category.children || []).entries()) {
+                await insertCategory(child, lastID, index);
+            }
+        };
+
+        for (const [index, category] of DEFAULT_CATEGORIES.entries()) {
+            await insertCategory(category, null, index);
+        }
+        console.log('Default categories created successfully');
+    }
+
+    await runAsync(`
+        UPDATE products SET category_id = (
+            SELECT c.id FROM categories c WHERE c.name = products.category ORDER BY c.parent_id IS NOT NULL, c.id LIMIT 1
+        )
+        WHERE category_id IS NULL
+    `);
+
+    await runAsync(`
+        UPDATE saved_searches SET category_id = (
+            SELECT c.id FROM categories c WHERE c.name = saved_searches.category ORDER BY c.parent_id IS NOT NULL, c.id LIMIT 1
+        )
+        WHERE category IS NOT NULL AND category_id IS NULL
+    `);
+}
+
 async function insertSampleData() {
     // First, check if data already exists
     db.get('SELECT COUNT(*) as count FROM users', async (err, row) => {
@@ -128,13 +757,16 @@ async function insertSampleData() {
         // Sample users with specified credentials - insert first
         const bcrypt = require('bcryptjs');
         const sampleUsers = [
-            ['admin', 'admin@ecofinds.com', await bcrypt.hash('admin123', 10), 'admin', 'Admin User', '+1234567890', '123 Admin St'],
-            ['seller', 'seller@ecofinds.com', await bcrypt.hash('seller123', 10), 'seller', 'John Smith', '+1234567891', '456 Seller Ave'],
-            ['user1', 'user1@ecofinds.com', await bcrypt.hash('user123', 10), 'user', 'Jane Doe', '+1234567892', '789 User Blvd'],
-            ['user2', 'user2@ecofinds.com', await bcrypt.hash('user123', 10), 'user', 'Mike Johnson', '+1234567893', '321 User Lane']
+            ['admin', 'admin@ecofinds.com', await bcrypt.hash('admin123', 10), 'admin', 'Admin User', '+1234567890', '123 Admin St', 'New York, NY', '10001', 40.7506, -73.9972],
+            ['seller', 'seller@ecofinds.com', await bcrypt.hash('seller123', 10), 'seller', 'John Smith', '+1234567891', '456 Seller Ave', 'Austin, TX', '78701', 30.2672, -97.7431],
+            ['user1', 'user1@ecofinds.com', await bcrypt.hash('user123', 10), 'user', 'Jane Doe', '+1234567892', '789 User Blvd', 'San Antonio, TX', '78205', 29.4241, -98.4936],
+            ['user2', 'user2@ecofinds.com', await bcrypt.hash('user123', 10), 'user', 'Mike Johnson', '+1234567893', '321 User Lane', 'Dallas, TX', '75201', 32.7767, -96.7970]
         ];
 
-        const userStmt = db.prepare(`INSERT INTO users (username, email, password, role, full_name, phone, address) VALUES (?, ?, ?, ?, ?, ?, ?)`);
+        const userStmt = db.prepare(`
+            INSERT INTO users (username, email, password, role, full_name, phone, address, city, postcode, latitude, longitude)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
 
         let usersInserted = 0;
         sampleUsers.forEach((user, index) => {
@@ -155,17 +787,24 @@ async function insertSampleData() {
     });
 
     function insertProducts() {
-        // Sample products - insert after users (seller_id = 2 for the seller account)
+        // Sample products - insert after users (seller_id = 2 for the seller account), located where their seller is.
+        // The last three values are pickup_available, shipping_available and shipping_fee.
         const sampleProducts = [
-            ['Vintage Leather Jacket', 'Authentic vintage leather jacket in excellent condition', 89.99, 'Clothing', 'Good', 'https://images.unsplash.com/photo-1551028719-00167b16eac5?w=400', 2, 'available'],
-            ['Retro Gaming Console', 'Classic gaming console with original controllers', 149.99, 'Electronics', 'Very Good', 'https://images.unsplash.com/photo-1606144042614-b2417e99c4e3?w=400', 2, 'available'],
-            ['Antique Wooden Chair', 'Beautiful handcrafted wooden chair from the 1960s', 75.00, 'Furniture', 'Good', 'https://images.unsplash.com/photo-1586023492125-27b2c045efd7?w=400', 2, 'available'],
-            ['Designer Handbag', 'Authentic designer handbag, gently used', 199.99, 'Accessories', 'Excellent', 'https://images.unsplash.com/photo-1584917865442-de89df76afd3?w=400', 2, 'available'],
-            ['Bicycle Mountain Bike', 'Well-maintained mountain bike, perfect for trails', 299.99, 'Sports', 'Good', 'https://images.unsplash.com/photo-1558618666-fcd25c85cd64?w=400', 2, 'available'],
-            ['Vintage Camera', 'Classic film camera in working condition', 120.00, 'Electronics', 'Good', 'https://images.unsplash.com/photo-1606983340126-99ab4feaa64a?w=400', 2, 'available']
+            ['Vintage Leather Jacket', 'Authentic vintage leather jacket in excellent condition', 89.99, 'Clothing', 'Good', 'https://images.unsplash.com/photo-1551028719-00167b16eac5?w=400', 2, 'available', 0, 1, 8.00],
+            ['Retro Gaming Console', 'Classic gaming console with original controllers', 149.99, 'Electronics', 'Very Good', 'https://images.unsplash.com/photo-1606144042614-b2417e99c4e3?w=400', 2, 'available', 1, 1, 12.00],
+            ['Antique Wooden Chair', 'Beautiful handcrafted wooden chair from the 1960s', 75.00, 'Furniture', 'Good', 'https://images.unsplash.com/photo-1586023492125-27b2c045efd7?w=400', 2, 'available', 1, 0, null],
+            ['Designer Handbag', 'Authentic designer handbag, gently used', 199.99, 'Accessories', 'Excellent', 'https://images.unsplash.com/photo-1584917865442-de89df76afd3?w=400', 2, 'available', 0, 1, 6.00],
+            ['Bicycle Mountain Bike', 'Well-maintained mountain bike, perfect for trails', 299.99, 'Sports', 'Good', 'https://images.unsplash.com/photo-1558618666-fcd25c85cd64?w=400', 2, 'available', 1, 1, 35.00],
+            ['Vintage Camera', 'Classic film camera in working condition', 120.00, 'Electronics', 'Good', 'https://images.unsplash.com/photo-1606983340126-99ab4feaa64a?w=400', 2, 'available', 1, 1, null]
         ];
 
-        const productStmt = db.prepare(`INSERT INTO products (title, description, price, category, condition, image_url, seller_id, status) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`);
+        const productStmt = db.prepare(`
+            INSERT INTO products (title, description, price, category, condition, image_url, seller_id, status, category_id,
+                                  city, postcode, latitude, longitude, pickup_available, shipping_available, shipping_fee)
+            SELECT ?, ?, ?, ?, ?, ?, ?, ?, (SELECT id FROM categories WHERE name = ?4 AND parent_id IS NULL),
+                   u.city, u.postcode, u.latitude, u.longitude, ?9, ?10, ?11
+            FROM users u WHERE u.id = ?7
+        `);
 
         let productsInserted = 0;
         sampleProducts.forEach((product, index) => {
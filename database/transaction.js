@@ -0,0 +1,76 @@
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+
+// Make sure the schema exists before the transaction connection is used
+const db = require('./init');
+
+const dbPath = process.env.DATABASE_PATH || path.join(__dirname, 'ecofinds.db');
+
+// Transactions run on their own connection so statements from unrelated
+// requests on the shared connection can never end up inside them
+const txDb = new sqlite3.Database(dbPath, (err) => {
+    if (err) console.error('Error opening transaction connection:', err.message);
+});
+txDb.configure('busyTimeout', 5000);
+txDb.run('PRAGMA foreign_keys = ON');
+
+function run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        txDb.run(sql, params, function(err) {
+            if (err) return reject(err);
+            resolve({ lastID: this.lastID, changes: this.changes });
+        });
+    });
+}
+
+function get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        txDb.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    });
+}
+
+function all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        txDb.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+}
+
+const tx = { run, get, all };
+
+// Transactions are queued so only one is ever open on the connection
+let queue = Promise.resolve();
+
+async function execute(work) {
+    await run('BEGIN IMMEDIATE');
+    try {
+        const result = await work(tx);
+        await run('COMMIT');
+        return result;
+    } catch (err) {
+        await run('ROLLBACK').catch(rollbackErr => {
+            console.error('Error rolling back transaction:', rollbackErr);
+        });
+        throw err;
+    }
+}
+
+// Run `work(tx)` inside a transaction. `tx` exposes promise-based run/get/all.
+// Everything is rolled back if `work` throws or rejects.
+function runInTransaction(work) {
+    const result = queue.then(() => execute(work));
+    queue = result.catch(() => {});
+    return result;
+}
+
+// Promise-based get/all on the shared connection, with the same shape as `tx`, for reads that
+// need no transaction. They are not queued behind transactions and take no write lock.
+const reader = {
+    get: (sql, params = []) => new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    }),
+    all: (sql, params = []) => new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    })
+};
+
+module.exports = { runInTransaction, reader };
@@ -80,6 +80,39 @@ class Utils {
         }).format(new Date(dateString));
     }
 
+    // Seller rating badge, e.g. "★ 4.5 (12)" - empty until the seller has been reviewed
+    static formatRating(rating, count) {
+        if (!count) return '';
+        return `<span class="seller-rating"><i class="fas fa-star"></i> ${Number(rating).toFixed(1)} (${count})</span>`;
+    }
+
+    // For text typed by other users (messages etc.) before it goes into innerHTML
+    // Uploaded images are stored as `...-full.webp` with smaller `-card` and `-thumb` versions beside them.
+    // Other image URLs only come in one size.
+    static imageVariant(url, variant) {
+        if (!url || !/-full\.webp$/.test(url)) return url;
+        return url.replace(/-full\.webp$/, `-${variant}.webp`);
+    }
+
+    // Where a listing is, with its approximate distance when the feed is searched around a location
+    static formatLocation(product) {
+        if (!product.city) return '';
+
+        const distance = product.distance !== undefined && product.distance !== null ? ` · ~${product.distance} mi away` : '';
+        return `
+            <div class="product-location">
+                <i class="fas fa-map-marker-alt"></i>
+                ${Utils.escapeHtml(product.city)}${distance}
+            </div>
+        `;
+    }
+
+    static escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
     static debounce(func, wait) {
         let timeout;
         return function executedFunction(...args) {
@@ -112,12 +145,20 @@ class Utils {
             }
         };
 
+        // Let the browser set the multipart boundary for file uploads
+        if (finalOptions.body instanceof FormData) {
+            delete finalOptions.headers['Content-Type'];
+        }
+
         try {
             const response = await fetch(url, finalOptions);
             const data = await response.json();
 
             if (!response.ok) {
-                throw new Error(data.error || 'Request failed');
+                const error = new Error(data.error || 'Request failed');
+                error.status = response.status;
+                error.data = data;
+                throw error;
             }
 
             return data;
@@ -142,7 +183,8 @@ class AuthManager {
         }
 
         // Check if we're on a protected page without auth
-        const protectedPages = ['dashboard.html', 'product_feed.html', 'add_product.html', 'my_listings.html', 'cart.html', 'purchases.html'];
+        // Visitors can browse the product feed and keep a cart before they log in
+        const protectedPages = ['dashboard.html', 'add_product.html', 'my_listings.html', 'cart.html', 'purchases.html', 'messages.html'];
         const currentPage = window.location.pathname.split('/').pop();
         
         if (protectedPages.includes(currentPage) && !authToken) {
@@ -172,11 +214,19 @@ class AuthManager {
             localStorage.setItem('authToken', authToken);
             localStorage.setItem('currentUser', JSON.stringify(currentUser));
 
+            const mergedCart = await CartManager.mergeGuestCart();
+
             Utils.hideLoading();
             Utils.showToast('Login successful!', 'success');
 
             // Redirect based on role automatically determined by backend
             setTimeout(() => {
+                // Buyers who filled a cart before logging in carry on with it
+                if (mergedCart) {
+                    window.location.href = 'cart.html';
+                    return;
+                }
+
                 switch (currentUser.role) {
                     case 'admin':
                         window.location.href = 'admin-dashboard.html';
@@ -215,12 +265,14 @@ class AuthManager {
             localStorage.setItem('authToken', authToken);
             localStorage.setItem('currentUser', JSON.stringify(currentUser));
 
+            const mergedCart = await CartManager.mergeGuestCart();
+
             Utils.hideLoading();
             Utils.showToast('Account created successfully!', 'success');
 
-            // Redirect to dashboard
+            // Redirect to dashboard, or to the cart they filled before signing up
             setTimeout(() => {
-                window.location.href = 'dashboard.html';
+                window.location.href = mergedCart ? 'cart.html' : 'dashboard.html';
             }, 1000);
 
         } catch (error) {
@@ -305,8 +357,66 @@ class ModalManager {
 
 // ===== CART MANAGER =====
 class CartManager {
+    // Visitors who are not logged in keep their cart in the browser: [{ productId, quantity }]
+    static GUEST_CART_KEY = 'guestCart';
+
+    static getGuestCart() {
+        try {
+            const items = JSON.parse(localStorage.getItem(this.GUEST_CART_KEY));
+            return Array.isArray(items) ? items : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    static addToGuestCart(productId, quantity) {
+        const items = this.getGuestCart();
+        const existing = items.find(item => item.productId === productId);
+
+        if (existing) {
+            existing.quantity += quantity;
+        } else {
+            items.push({ productId, quantity });
+        }
+
+        localStorage.setItem(this.GUEST_CART_KEY, JSON.stringify(items));
+    }
+
+    // After login or signup, move the guest cart into the account cart. The server skips anything
+    // that sold in the meantime or is the buyer's own listing, and caps quantities to what is in stock.
+    // Returns whether anything was added.
+    static async mergeGuestCart() {
+        const items = this.getGuestCart();
+        if (items.length === 0 || !currentUser || currentUser.role !== 'user') return false;
+
+        try {
+            const result = await Utils.makeRequest(`${API_BASE_URL}/cart/merge`, {
+                method: 'POST',
+                body: JSON.stringify({ items })
+            });
+            localStorage.removeItem(this.GUEST_CART_KEY);
+
+            if (result.skipped.length > 0) {
+                const titles = result.skipped.map(item => item.title || 'A removed listing').join(', ');
+                Utils.showToast(`Not added to your cart: ${titles}`, 'warning');
+            }
+
+            return result.merged.length > 0;
+        } catch (error) {
+            console.error('Failed to merge guest cart:', error);
+            return false;
+        }
+    }
+
     static async updateCartCount() {
-        if (!authToken || !currentUser || currentUser.role !== 'user') return;
+        if (!authToken) {
+            document.querySelectorAll('#cartCount').forEach(el => {
+                el.textContent = this.getGuestCart().length;
+            });
+            return;
+        }
+
+        if (!currentUser || currentUser.role !== 'user') return;
 
         try {
             const data = await Utils.makeRequest(`${API_BASE_URL}/cart/count`);
@@ -321,7 +431,9 @@ class CartManager {
 
     static async addToCart(productId, quantity = 1) {
         if (!authToken) {
-            Utils.showToast('Please login to add items to cart', 'warning');
+            this.addToGuestCart(productId, quantity);
+            Utils.showToast('Item added to cart - log in or sign up to check out', 'success');
+            this.updateCartCount();
             return;
         }
 
@@ -344,12 +456,336 @@ class CartManager {
     }
 }
 
+// ===== FAVOURITES =====
+class FavoritesManager {
+    static productIds = new Set();
+
+    static async loadIds() {
+        if (!authToken || !currentUser || currentUser.role !== 'user') return;
+
+        try {
+            const data = await Utils.makeRequest(`${API_BASE_URL}/favorites/ids`);
+            this.productIds = new Set(data.productIds);
+        } catch (error) {
+            console.error('Failed to load favourites:', error);
+        }
+    }
+
+    static isFavorite(productId) {
+        return this.productIds.has(productId);
+    }
+
+    static renderButton(productId) {
+        const saved = this.isFavorite(productId);
+        return `
+            <button class="favorite-btn ${saved ? 'active' : ''}" data-product-id="${productId}"
+                    title="${saved ? 'Remove from saved items' : 'Save for later'}"
+                    onclick="event.stopPropagation(); FavoritesManager.toggle(${productId})">
+                <i class="${saved ? 'fas' : 'far'} fa-heart"></i>
+            </button>
+        `;
+    }
+
+    static async toggle(productId) {
+        const saved = this.isFavorite(productId);
+
+        try {
+            if (saved) {
+                await Utils.makeRequest(`${API_BASE_URL}/favorites/${productId}`, { method: 'DELETE' });
+                this.productIds.delete(productId);
+                Utils.showToast('Removed from saved items', 'info');
+            } else {
+                await Utils.makeRequest(`${API_BASE_URL}/favorites`, {
+                    method: 'POST',
+                    body: JSON.stringify({ productId })
+                });
+                this.productIds.add(productId);
+                Utils.showToast('Saved - we will let you know if the price drops', 'success');
+            }
+
+            document.querySelectorAll(`.favorite-btn[data-product-id="${productId}"]`).forEach(button => {
+                button.outerHTML = this.renderButton(productId);
+            });
+        } catch (error) {
+            Utils.showToast(error.message, 'error');
+        }
+    }
+}
+
+// ===== CATEGORIES =====
+class CategoryManager {
+    static categories = null;
+
+    // The category tree (flat, in tree order), loaded once per page
+    static async load() {
+        if (this.categories) return this.categories;
+
+        try {
+            const data = await Utils.makeRequest(`${API_BASE_URL}/products/meta/categories`);
+            this.categories = data.categories;
+        } catch (error) {
+            console.error('Failed to load categories:', error);
+            this.categories = [];
+        }
+
+        return this.categories;
+    }
+
+    static find(categoryId) {
+        return (this.categories || []).find(category => category.id === parseInt(categoryId)) || null;
+    }
+
+    // Fill a select with every category, subcategories indented under their parent.
+    // The select's first option (e.g. "All Categories") is kept.
+    static async populateSelect(select) {
+        if (!select) return;
+
+        const categories = await this.load();
+        const firstOption = select.options[0];
+
+        select.innerHTML = '';
+        if (firstOption) select.appendChild(firstOption);
+
+        categories.forEach(category => {
+            const option = document.createElement('option');
+            option.value = category.id;
+            option.textContent = `${'\u00a0\u00a0\u00a0'.repeat(category.depth)}${category.name}`;
+            select.appendChild(option);
+        });
+    }
+}
+
+// ===== NAVIGATION =====
+class NavManager {
+    static notifications = [];
+    static eventSource = null;
+
+    static init() {
+        if (!authToken || !currentUser) {
+            this.showLoginLink();
+            return;
+        }
+
+        this.addMessagesLink();
+        this.addNotificationBell();
+        this.updateUnreadMessages();
+        this.loadNotifications();
+        this.connectNotificationStream();
+    }
+
+    // Visitors browsing without an account get a way to log in instead of the user menu
+    static showLoginLink() {
+        const navUser = document.querySelector('.nav-user');
+        if (!navUser) return;
+
+        navUser.innerHTML = `
+            <a href="index.html" class="btn btn-primary">
+                <i class="fas fa-sign-in-alt"></i>
+                Log In
+            </a>
+        `;
+    }
+
+    // Every page has its own copy of the navbar, so shared links are added here
+    static addMessagesLink() {
+        const navMenu = document.querySelector('.nav-menu');
+        if (!navMenu || navMenu.querySelector('a[href="messages.html"]')) return;
+
+        const currentPage = window.location.pathname.split('/').pop();
+        const link = document.createElement('a');
+        link.href = 'messages.html';
+        link.className = `nav-link${currentPage === 'messages.html' ? ' active' : ''}`;
+        link.innerHTML = `
+            <i class="fas fa-comments"></i>
+            <span>Messages</span>
+            <span class="cart-count message-count" id="messageCount" style="display: none;">0</span>
+        `;
+
+        const historyLink = navMenu.querySelector('a[href="purchases.html"]');
+        navMenu.insertBefore(link, historyLink ? historyLink.nextSibling : null);
+    }
+
+    static addNotificationBell() {
+        const navUser = document.querySelector('.nav-user');
+        if (!navUser || document.getElementById('notificationBell')) return;
+
+        const bell = document.createElement('div');
+        bell.className = 'notification-dropdown';
+        bell.id = 'notificationBell';
+        bell.innerHTML = `
+            <button class="notification-btn" aria-label="Notifications">
+                <i class="fas fa-bell"></i>
+                <span class="notification-count" id="notificationCount" style="display: none;">0</span>
+            </button>
+            <div class="notification-menu">
+                <div class="notification-menu-header">
+                    <strong>Notifications</strong>
+                    <button class="btn-link" onclick="NavManager.markAllNotificationsRead()">Mark all read</button>
+                </div>
+                <div class="notification-list" id="notificationList">
+                    <div class="notification-empty">No notifications yet</div>
+                </div>
+            </div>
+        `;
+        navUser.insertBefore(bell, navUser.firstChild);
+
+        bell.querySelector('.notification-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            bell.classList.toggle('open');
+        });
+
+        document.addEventListener('click', (e) => {
+            if (!bell.contains(e.target)) bell.classList.remove('open');
+        });
+    }
+
+    static async loadNotifications() {
+        try {
+            const data = await Utils.makeRequest(`${API_BASE_URL}/notifications`);
+            this.notifications = data.notifications || [];
+            this.renderNotifications();
+            this.setNotificationCount(data.unreadCount);
+        } catch (error) {
+            console.error('Failed to load notifications:', error);
+        }
+    }
+
+    // Notifications are pushed by the server over server-sent events; the browser reconnects on its own
+    static connectNotificationStream() {
+        if (!window.EventSource || this.eventSource) return;
+
+        this.eventSource = new EventSource(`${API_BASE_URL}/notifications/stream?token=${encodeURIComponent(authToken)}`);
+
+        this.eventSource.addEventListener('unread', (e) => {
+            this.setNotificationCount(JSON.parse(e.data).count);
+        });
+
+        this.eventSource.addEventListener('notification', (e) => {
+            const notification = JSON.parse(e.data);
+
+            this.notifications.unshift(notification);
+            this.renderNotifications();
+            this.setNotificationCount(this.notifications.filter(n => !n.read_at).length);
+            Utils.showToast(notification.body || notification.title, 'info');
+
+            if (notification.type === 'message') {
+                this.updateUnreadMessages();
+            }
+
+            // Let the current page refresh whatever the notification is about
+            document.dispatchEvent(new CustomEvent('ecofinds:notification', { detail: notification }));
+        });
+    }
+
+    static renderNotifications() {
+        const list = document.getElementById('notificationList');
+        if (!list) return;
+
+        if (this.notifications.length === 0) {
+            list.innerHTML = '<div class="notification-empty">No notifications yet</div>';
+            return;
+        }
+
+        list.innerHTML = this.notifications.map(notification => `
+            <a href="${notification.link || '#'}" class="notification-item ${notification.read_at ? '' : 'unread'}"
+               onclick="NavManager.markNotificationRead(${notification.id})">
+                <div class="notification-title">${Utils.escapeHtml(notification.title)}</div>
+                ${notification.body ? `<div class="notification-body">${Utils.escapeHtml(notification.body)}</div>` : ''}
+                <div class="notification-time">${Utils.formatDateTime(notification.created_at)}</div>
+            </a>
+        `).join('');
+    }
+
+    static setNotificationCount(count) {
+        const badge = document.getElementById('notificationCount');
+        if (!badge) return;
+
+        badge.textContent = count;
+        badge.style.display = count > 0 ? '' : 'none';
+    }
+
+    static markNotificationRead(notificationId) {
+        Utils.makeRequest(`${API_BASE_URL}/notifications/${notificationId}/read`, { method: 'PUT' })
+            .catch(error => console.error('Failed to mark notification as read:', error));
+    }
+
+    static async markAllNotificationsRead() {
+        try {
+            await Utils.makeRequest(`${API_BASE_URL}/notifications/read-all`, { method: 'PUT' });
+            this.notifications.forEach(notification => {
+                notification.read_at = notification.read_at || new Date().toISOString();
+            });
+            this.renderNotifications();
+            this.setNotificationCount(0);
+        } catch (error) {
+            Utils.showToast('Failed to update notifications', 'error');
+        }
+    }
+
+    static async updateUnreadMessages() {
+        const badge = document.getElementById('messageCount');
+        if (!badge) return;
+
+        try {
+            const data = await Utils.makeRequest(`${API_BASE_URL}/messages/unread-count`);
+            badge.textContent = data.count;
+            badge.style.display = data.count > 0 ? '' : 'none';
+        } catch (error) {
+            console.error('Failed to update unread messages:', error);
+        }
+    }
+}
+
+// ===== PAYMENT MANAGEMENT =====
+class PaymentManager {
+    static async loadMethods(select) {
+        if (!select) return;
+
+        try {
+            const data = await Utils.makeRequest(`${API_BASE_URL}/payments/methods`);
+            select.innerHTML = data.methods.map(method => `
+                <option value="${method.id}">${method.label}${method.card ? ` (${method.card})` : ''}</option>
+            `).join('');
+        } catch (error) {
+            console.error('Failed to load payment methods:', error);
+        }
+    }
+
+    // Pay for an order, reusing the payment created at checkout when there is one
+    static async payOrder(orderId, paymentMethod, payment = null) {
+        if (!payment || !['requires_confirmation', 'failed'].includes(payment.status)) {
+            const data = await Utils.makeRequest(`${API_BASE_URL}/payments/orders/${orderId}/intent`, {
+                method: 'POST'
+            });
+            payment = data.payment;
+        }
+
+        const data = await Utils.makeRequest(`${API_BASE_URL}/payments/${payment.id}/confirm`, {
+            method: 'POST',
+            body: JSON.stringify({ paymentMethod })
+        });
+
+        return data.payment;
+    }
+
+    static showResult(payment) {
+        if (payment.status === 'succeeded') {
+            Utils.showToast('Payment successful - your order is confirmed', 'success');
+        } else if (payment.status === 'processing') {
+            Utils.showToast('Payment is processing - your order will be confirmed shortly', 'info');
+        } else {
+            Utils.showToast(`Payment failed: ${payment.failure_reason || 'please try again'}`, 'error');
+        }
+    }
+}
+
 // ===== PAGE INITIALIZATION =====
 document.addEventListener('DOMContentLoaded', () => {
     // Initialize core managers
     AuthManager.init();
     ModalManager.init();
     CartManager.updateCartCount();
+    NavManager.init();
 
     // Initialize page-specific functionality
     const currentPage = window.location.pathname.split('/').pop();
@@ -383,6 +819,9 @@ document.addEventListener('DOMContentLoaded', () => {
         case 'purchases.html':
             PurchasesPage.init();
             break;
+        case 'messages.html':
+            MessagesPage.init();
+            break;
         case 'settings.html':
             SettingsPage.init();
             break;
@@ -682,7 +1121,7 @@ class DashboardPage {
         return `
             <div class="product-card" onclick="window.location.href='product_detail.html?id=${product.id}'">
                 <div class="product-image">
-                    <img src="${product.image_url || 'https://via.placeholder.com/280x200'}" alt="${product.title}">
+                    <img src="${Utils.imageVariant(product.image_url, 'card') || 'https://via.placeholder.com/280x200'}" alt="${product.title}">
                     <div class="product-condition">${product.condition}</div>
                 </div>
                 <div class="product-info">
@@ -691,7 +1130,7 @@ class DashboardPage {
                     <p class="product-description">${product.description || ''}</p>
                     <div class="product-footer">
                         <div class="product-price">${Utils.formatPrice(product.price)}</div>
-                        <div class="product-seller">by ${product.seller_name}</div>
+                        <div class="product-seller">by ${product.seller_name} ${Utils.formatRating(product.seller_rating, product.seller_review_count)}</div>
                     </div>
                 </div>
             </div>
@@ -701,91 +1140,371 @@ class DashboardPage {
 
 // ===== PRODUCT FEED PAGE =====
 class ProductFeedPage {
-    static currentPage = 0;
+    static nextCursor = null;
+    static nextOffset = null;
+    static loadedCount = 0;
     static currentFilters = {};
     static isLoading = false;
+    static showingFavorites = false;
 
-    static init() {
+    static savedSearches = [];
+
+    static async init() {
         this.setupSearch();
         this.setupFilters();
         this.setupLoadMore();
+        this.setupFavoritesToggle();
+        this.setupSavedSearches();
+        await Promise.all([
+            FavoritesManager.loadIds(),
+            CategoryManager.populateSelect(document.getElementById('categoryFilter')),
+            this.loadDefaultLocation()
+        ]);
+        this.updateFilters();
+
+        // Links from saved-search digests open the feed with that search applied
+        const savedSearchId = new URLSearchParams(window.location.search).get('savedSearch');
+        if (savedSearchId && await this.applySavedSearchById(savedSearchId)) return;
+
         this.loadProducts();
     }
 
-    static setupSearch() {
-        const searchInput = document.getElementById('searchInput');
-        const searchBtn = document.getElementById('searchBtn');
-
-        if (searchInput && searchBtn) {
-            const debouncedSearch = Utils.debounce(() => {
-                this.currentFilters.search = searchInput.value;
-                this.resetAndLoadProducts();
-            }, 500);
-
-            searchInput.addEventListener('input', debouncedSearch);
-            searchBtn.addEventListener('click', () => {
-                this.currentFilters.search = searchInput.value;
-                this.resetAndLoadProducts();
-            });
+    // Distances are measured from where the buyer last searched, or else their profile location
+    static async loadDefaultLocation() {
+        const locationFilter = document.getElementById('locationFilter');
+        if (!locationFilter) return;
 
-            searchInput.addEventListener('keypress', (e) => {
-                if (e.key === 'Enter') {
-                    this.currentFilters.search = searchInput.value;
-                    this.resetAndLoadProducts();
-                }
-            });
+        let location = localStorage.getItem('feedLocation');
+        if (!location && authToken) {
+            try {
+                const data = await Utils.makeRequest(`${API_BASE_URL}/auth/profile`);
+                location = data.user.postcode || data.user.city;
+            } catch (error) {
+                console.error('Failed to load profile location:', error);
+            }
         }
+
+        locationFilter.value = location || '';
     }
 
-    static setupFilters() {
-        const filterElements = [
-            'categoryFilter',
-            'conditionFilter',
-            'minPrice',
-            'maxPrice',
-            'sortBy'
-        ];
+    static setupSavedSearches() {
+        const saveBtn = document.getElementById('saveSearchBtn');
+        const form = document.getElementById('saveSearchForm');
+        if (!saveBtn) return;
 
-        filterElements.forEach(filterId => {
-            const element = document.getElementById(filterId);
-            if (element) {
-                element.addEventListener('change', () => {
-                    this.updateFilters();
-                    this.resetAndLoadProducts();
-                });
-            }
-        });
+        if (!currentUser || currentUser.role !== 'user') {
+            saveBtn.style.display = 'none';
+            return;
+        }
 
-        const clearFiltersBtn = document.getElementById('clearFilters');
-        if (clearFiltersBtn) {
-            clearFiltersBtn.addEventListener('click', () => {
-                this.clearFilters();
+        saveBtn.addEventListener('click', () => this.openSaveSearchModal());
+
+        if (form) {
+            form.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                await this.saveSearch(form);
             });
         }
+
+        this.loadSavedSearches();
     }
 
-    static setupLoadMore() {
-        const loadMoreBtn = document.getElementById('loadMoreBtn');
-        if (loadMoreBtn) {
-            loadMoreBtn.addEventListener('click', () => {
-                this.loadProducts(true);
-            });
+    // The filters as they are set on the page right now
+    static getSearchCriteria() {
+        return {
+            search: document.getElementById('searchInput')?.value.trim() || '',
+            category: document.getElementById('categoryFilter')?.value || 'all',
+            condition: document.getElementById('conditionFilter')?.value || '',
+            minPrice: document.getElementById('minPrice')?.value || '',
+            maxPrice: document.getElementById('maxPrice')?.value || ''
+        };
+    }
+
+    static describeSearch(search) {
+        const parts = [search.search ? `"${search.search}"` : 'Anything'];
+        if (search.category && search.category !== 'all') {
+            const category = CategoryManager.find(search.category);
+            parts.push(`in ${category ? category.path : search.category}`);
         }
+        if (search.condition) parts.push(`(${search.condition})`);
+        if (search.min_price !== null && search.min_price !== undefined) parts.push(`from ${Utils.formatPrice(search.min_price)}`);
+        if (search.max_price !== null && search.max_price !== undefined) parts.push(`up to ${Utils.formatPrice(search.max_price)}`);
+        return parts.join(' ');
     }
 
-    static updateFilters() {
-        const categoryFilter = document.getElementById('categoryFilter');
-        const conditionFilter = document.getElementById('conditionFilter');
-        const minPrice = document.getElementById('minPrice');
-        const maxPrice = document.getElementById('maxPrice');
-        const sortBy = document.getElementById('sortBy');
+    static openSaveSearchModal() {
+        const criteria = this.getSearchCriteria();
+        const summary = document.getElementById('saveSearchSummary');
+
+        if (summary) {
+            summary.textContent = `Alert me about new listings matching: ${this.describeSearch({
+                search: criteria.search,
+                category: criteria.category,
+                condition: criteria.condition,
+                min_price: criteria.minPrice || null,
+                max_price: criteria.maxPrice || null
+            })}`;
+        }
+
+        ModalManager.openModal('saveSearchModal');
+    }
+
+    static async saveSearch(form) {
+        const formData = new FormData(form);
+
+        try {
+            await Utils.makeRequest(`${API_BASE_URL}/saved-searches`, {
+                method: 'POST',
+                body: JSON.stringify({
+                    ...this.getSearchCriteria(),
+                    name: formData.get('name'),
+                    frequency: formData.get('frequency')
+                })
+            });
+
+            ModalManager.closeModal('saveSearchModal');
+            form.reset();
+            Utils.showToast('Search saved - we will let you know about new matches', 'success');
+            this.loadSavedSearches();
+        } catch (error) {
+            Utils.showToast(error.message, 'error');
+        }
+    }
+
+    static async loadSavedSearches() {
+        const container = document.getElementById('savedSearches');
+        if (!container) return;
+
+        try {
+            const data = await Utils.makeRequest(`${API_BASE_URL}/saved-searches`);
+            this.savedSearches = data.savedSearches || [];
+
+            container.innerHTML = this.savedSearches.length === 0 ? '' : `
+                <span class="saved-searches-label">Saved searches:</span>
+                ${this.savedSearches.map(search => `
+                    <span class="saved-search-chip" title="${Utils.escapeHtml(this.describeSearch(search))}">
+                        <button class="saved-search-apply" onclick="ProductFeedPage.applySavedSearch(${search.id})">
+                            <i class="fas ${search.frequency === 'daily' ? 'fa-calendar-day' : 'fa-bell'}"></i>
+                            ${Utils.escapeHtml(search.name)}
+                        </button>
+                        <button class="saved-search-frequency" title="Switch to ${search.frequency === 'daily' ? 'instant alerts' : 'a daily digest'}"
+                                onclick="ProductFeedPage.toggleSavedSearchFrequency(${search.id})">
+                            <i class="fas fa-exchange-alt"></i>
+                        </button>
+                        <button class="saved-search-delete" title="Delete saved search" onclick="ProductFeedPage.deleteSavedSearch(${search.id})">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </span>
+                `).join('')}
+            `;
+        } catch (error) {
+            console.error('Failed to load saved searches:', error);
+        }
+    }
+
+    static applySavedSearch(searchId) {
+        const search = this.savedSearches.find(saved => saved.id === searchId);
+        if (search) this.applySearchFilters(search);
+    }
+
+    static async applySavedSearchById(searchId) {
+        try {
+            const data = await Utils.makeRequest(`${API_BASE_URL}/saved-searches/${searchId}`);
+            this.applySearchFilters(data.savedSearch);
+            return true;
+        } catch (error) {
+            Utils.showToast('That saved search no longer exists', 'warning');
+            return false;
+        }
+    }
+
+    static applySearchFilters(search) {
+        document.getElementById('searchInput').value = search.search || '';
+        document.getElementById('categoryFilter').value = search.category_id || 'all';
+        document.getElementById('conditionFilter').value = search.condition || '';
+        document.getElementById('minPrice').value = search.min_price ?? '';
+        document.getElementById('maxPrice').value = search.max_price ?? '';
+        document.getElementById('sortBy').value = 'newest';
+
+        this.updateFilters();
+        this.currentFilters.search = search.search || '';
+        this.resetAndLoadProducts();
+    }
+
+    static async toggleSavedSearchFrequency(searchId) {
+        const search = this.savedSearches.find(saved => saved.id === searchId);
+        if (!search) return;
+
+        try {
+            await Utils.makeRequest(`${API_BASE_URL}/saved-searches/${searchId}`, {
+                method: 'PUT',
+                body: JSON.stringify({ frequency: search.frequency === 'daily' ? 'instant' : 'daily' })
+            });
+            Utils.showToast(search.frequency === 'daily' ? 'You will now get instant alerts' : 'You will now get a daily digest', 'success');
+            this.loadSavedSearches();
+        } catch (error) {
+            Utils.showToast(error.message, 'error');
+        }
+    }
+
+    static async deleteSavedSearch(searchId) {
+        if (!confirm('Delete this saved search?')) return;
+
+        try {
+            await Utils.makeRequest(`${API_BASE_URL}/saved-searches/${searchId}`, { method: 'DELETE' });
+            Utils.showToast('Saved search deleted', 'info');
+            this.loadSavedSearches();
+        } catch (error) {
+            Utils.showToast(error.message, 'error');
+        }
+    }
+
+    static setupFavoritesToggle() {
+        const toggle = document.getElementById('favoritesToggle');
+        if (!toggle) return;
+
+        if (!currentUser || currentUser.role !== 'user') {
+            toggle.style.display = 'none';
+            return;
+        }
+
+        toggle.addEventListener('click', () => {
+            this.showingFavorites = !this.showingFavorites;
+            toggle.classList.toggle('active', this.showingFavorites);
+            document.querySelector('.products-section .section-header h2').textContent =
+                this.showingFavorites ? 'Saved Items' : 'Available Products';
+            this.resetAndLoadProducts();
+        });
+    }
+
+    static async loadFavorites() {
+        const productsGrid = document.getElementById('productsGrid');
+        const loadMoreBtn = document.getElementById('loadMoreBtn');
+        const resultsCount = document.getElementById('resultsCount');
+
+        try {
+            Utils.showLoading('Loading saved items...');
+
+            const data = await Utils.makeRequest(`${API_BASE_URL}/favorites`);
+            const products = data.products || [];
+
+            if (products.length === 0) {
+                productsGrid.innerHTML = `
+                    <div class="empty-state">
+                        <div class="empty-icon">
+                            <i class="far fa-heart"></i>
+                        </div>
+                        <h3>No saved items yet</h3>
+                        <p>Tap the heart on a product to save it and get alerts when its price drops</p>
+                    </div>
+                `;
+            } else {
+                productsGrid.innerHTML = products.map(product => this.createProductCard(product)).join('');
+            }
+
+            if (resultsCount) resultsCount.textContent = `${products.length} saved items`;
+            if (loadMoreBtn) loadMoreBtn.style.display = 'none';
+        } catch (error) {
+            Utils.showToast('Failed to load saved items', 'error');
+            console.error('Failed to load saved items:', error);
+        } finally {
+            Utils.hideLoading();
+        }
+    }
+
+    static setupSearch() {
+        const searchInput = document.getElementById('searchInput');
+        const searchBtn = document.getElementById('searchBtn');
+
+        if (searchInput && searchBtn) {
+            const debouncedSearch = Utils.debounce(() => {
+                this.currentFilters.search = searchInput.value;
+                this.resetAndLoadProducts();
+            }, 500);
+
+            searchInput.addEventListener('input', debouncedSearch);
+            searchBtn.addEventListener('click', () => {
+                this.currentFilters.search = searchInput.value;
+                this.resetAndLoadProducts();
+            });
+
+            searchInput.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') {
+                    this.currentFilters.search = searchInput.value;
+                    this.resetAndLoadProducts();
+                }
+            });
+        }
+    }
+
+    static setupFilters() {
+        const filterElements = [
+            'categoryFilter',
+            'conditionFilter',
+            'minPrice',
+            'maxPrice',
+            'locationFilter',
+            'radiusFilter',
+            'sortBy'
+        ];
+
+        filterElements.forEach(filterId => {
+            const element = document.getElementById(filterId);
+            if (element) {
+                element.addEventListener('change', () => {
+                    this.updateFilters();
+                    this.resetAndLoadProducts();
+                });
+            }
+        });
+
+        const clearFiltersBtn = document.getElementById('clearFilters');
+        if (clearFiltersBtn) {
+            clearFiltersBtn.addEventListener('click', () => {
+                this.clearFilters();
+            });
+        }
+    }
+
+    static setupLoadMore() {
+        const loadMoreBtn = document.getElementById('loadMoreBtn');
+        if (loadMoreBtn) {
+            loadMoreBtn.addEventListener('click', () => {
+                this.loadProducts(true);
+            });
+        }
+    }
+
+    static updateFilters() {
+        const categoryFilter = document.getElementById('categoryFilter');
+        const conditionFilter = document.getElementById('conditionFilter');
+        const minPrice = document.getElementById('minPrice');
+        const maxPrice = document.getElementById('maxPrice');
+        const sortBy = document.getElementById('sortBy');
+        const near = document.getElementById('locationFilter')?.value.trim() || '';
+        const radius = document.getElementById('radiusFilter')?.value || '';
+
+        // Radius and distance sorting only make sense around a location
+        if (!near && (radius || sortBy?.value === 'distance')) {
+            Utils.showToast('Enter a ZIP code or city to search by distance', 'warning');
+            document.getElementById('radiusFilter').value = '';
+            if (sortBy.value === 'distance') sortBy.value = 'relevance';
+        }
+
+        if (near) {
+            localStorage.setItem('feedLocation', near);
+        } else {
+            localStorage.removeItem('feedLocation');
+        }
 
         this.currentFilters = {
             category: categoryFilter?.value || '',
             condition: conditionFilter?.value || '',
             minPrice: minPrice?.value || '',
             maxPrice: maxPrice?.value || '',
-            sortBy: sortBy?.value || 'newest'
+            near,
+            radius: near ? document.getElementById('radiusFilter')?.value || '' : '',
+            sortBy: sortBy?.value || 'relevance'
         };
     }
 
@@ -795,14 +1514,18 @@ class ProductFeedPage {
         document.getElementById('conditionFilter').value = '';
         document.getElementById('minPrice').value = '';
         document.getElementById('maxPrice').value = '';
-        document.getElementById('sortBy').value = 'newest';
+        document.getElementById('radiusFilter').value = '';
+        document.getElementById('sortBy').value = 'relevance';
 
-        this.currentFilters = {};
+        // The location stays: it is where the buyer is, not a filter
+        this.updateFilters();
         this.resetAndLoadProducts();
     }
 
     static resetAndLoadProducts() {
-        this.currentPage = 0;
+        this.nextCursor = null;
+        this.nextOffset = null;
+        this.loadedCount = 0;
         const productsGrid = document.getElementById('productsGrid');
         if (productsGrid) productsGrid.innerHTML = '';
         this.loadProducts();
@@ -817,6 +1540,10 @@ class ProductFeedPage {
 
         if (!productsGrid) return;
 
+        if (this.showingFavorites) {
+            return this.loadFavorites();
+        }
+
         this.isLoading = true;
 
         try {
@@ -824,11 +1551,17 @@ class ProductFeedPage {
                 Utils.showLoading('Loading products...');
             }
 
+            // Each page continues from the cursor of the last one, so new listings never shift it.
+            // Sorts whose order moves between fetches (price, most viewed, best match) page by offset instead.
             const params = new URLSearchParams({
                 limit: 12,
-                offset: this.currentPage * 12,
                 ...this.currentFilters
             });
+            if (append && this.nextCursor) {
+                params.set('cursor', this.nextCursor);
+            } else if (append && this.nextOffset) {
+                params.set('offset', this.nextOffset);
+            }
 
             const data = await Utils.makeRequest(`${API_BASE_URL}/products?${params}`);
             const products = data.products || [];
@@ -847,24 +1580,27 @@ class ProductFeedPage {
                         <p>Try adjusting your search criteria or filters</p>
                     </div>
                 `;
+                if (resultsCount) resultsCount.textContent = 'No products found';
+                if (loadMoreBtn) loadMoreBtn.style.display = 'none';
             } else {
                 products.forEach(product => {
                     const productCard = this.createProductCard(product);
                     productsGrid.insertAdjacentHTML('beforeend', productCard);
                 });
 
+                this.loadedCount += products.length;
+                this.nextCursor = data.nextCursor;
+                this.nextOffset = data.nextOffset;
+
                 // Update results count
                 if (resultsCount) {
-                    const totalResults = (this.currentPage * 12) + products.length;
-                    resultsCount.textContent = `Showing ${totalResults} products`;
+                    resultsCount.textContent = `Showing ${this.loadedCount} of ${data.total} products`;
                 }
 
                 // Show/hide load more button
                 if (loadMoreBtn) {
-                    loadMoreBtn.style.display = products.length < 12 ? 'none' : 'block';
+                    loadMoreBtn.style.display = data.hasMore ? 'block' : 'none';
                 }
-
-                this.currentPage++;
             }
 
         } catch (error) {
@@ -878,23 +1614,27 @@ class ProductFeedPage {
 
     static createProductCard(product) {
         const isOwnProduct = currentUser && product.seller_id === currentUser.id;
-        const canAddToCart = currentUser && currentUser.role === 'user' && !isOwnProduct;
+        // Visitors can add to a guest cart; once logged in only buyers can
+        const canAddToCart = !currentUser || (currentUser.role === 'user' && !isOwnProduct);
 
         return `
             <div class="product-card">
                 <div class="product-image" onclick="window.location.href='product_detail.html?id=${product.id}'">
-                    <img src="${product.image_url || 'https://via.placeholder.com/280x200'}" alt="${product.title}">
+                    <img src="${Utils.imageVariant(product.image_url, 'card') || 'https://via.placeholder.com/280x200'}" alt="${product.title}">
                     <div class="product-condition">${product.condition}</div>
                     ${product.status !== 'available' ? `<div class="product-status ${product.status}">${product.status}</div>` : ''}
+                    ${canAddToCart ? FavoritesManager.renderButton(product.id) : ''}
                 </div>
                 <div class="product-info">
                     <div class="product-category">${product.category}</div>
-                    <h3 class="product-title" onclick="window.location.href='product_detail.html?id=${product.id}'">${product.title}</h3>
-                    <p class="product-description">${product.description || ''}</p>
+                    <h3 class="product-title" onclick="window.location.href='product_detail.html?id=${product.id}'">${product.title_highlight || product.title}</h3>
+                    <p class="product-description">${product.snippet || product.description || ''}</p>
                     <div class="product-footer">
                         <div class="product-price">${Utils.formatPrice(product.price)}</div>
-                        <div class="product-seller">by ${product.seller_name}</div>
+                        <div class="product-seller">by ${product.seller_name} ${Utils.formatRating(product.seller_rating, product.seller_review_count)}</div>
                     </div>
+                    ${Utils.formatLocation(product)}
+                    ${product.stock > 1 ? `<div class="product-stock">${product.stock} available</div>` : ''}
                     ${canAddToCart && product.status === 'available' ? `
                         <div class="product-actions">
                             <button class="add-to-cart-btn" onclick="CartManager.addToCart(${product.id})">
@@ -921,7 +1661,7 @@ class ProductFeedPage {
                 quickViewContent.innerHTML = `
                     <div class="quick-view-product">
                         <div class="quick-view-image">
-                            <img src="${product.image_url || 'https://via.placeholder.com/400x300'}" alt="${product.title}">
+                            <img src="${Utils.imageVariant(product.image_url, 'card') || 'https://via.placeholder.com/400x300'}" alt="${product.title}">
                         </div>
                         <div class="quick-view-info">
                             <div class="product-category">${product.category}</div>
@@ -964,9 +1704,14 @@ class ProductFeedPage {
 
 // ===== ADD PRODUCT PAGE =====
 class AddProductPage {
+    static MAX_IMAGES = 8;
+    static selectedImages = [];
+
     static init() {
         this.setupForm();
         this.setupImagePreview();
+        this.setupImageUpload();
+        this.setupDeliveryFields();
         this.loadCategories();
     }
 
@@ -980,6 +1725,17 @@ class AddProductPage {
         });
     }
 
+    // The shipping fee and weight only matter for listings that ship
+    static setupDeliveryFields() {
+        const shippingCheckbox = document.getElementById('shippingAvailable');
+        const shippingFields = document.getElementById('shippingFields');
+        if (!shippingCheckbox || !shippingFields) return;
+
+        shippingCheckbox.addEventListener('change', () => {
+            shippingFields.style.display = shippingCheckbox.checked ? 'block' : 'none';
+        });
+    }
+
     static setupImagePreview() {
         const imageUrlInput = document.getElementById('productImageUrl');
         const previewBtn = document.getElementById('previewImageBtn');
@@ -1002,6 +1758,75 @@ class AddProductPage {
         }
     }
 
+    static setupImageUpload() {
+        const fileInput = document.getElementById('productImages');
+        const imagePreview = document.getElementById('imagePreview');
+        if (!fileInput) return;
+
+        if (imagePreview) {
+            imagePreview.addEventListener('click', () => fileInput.click());
+        }
+
+        fileInput.addEventListener('change', () => {
+            const files = Array.from(fileInput.files);
+            const room = this.MAX_IMAGES - this.selectedImages.length;
+
+            if (files.length > room) {
+                Utils.showToast(`You can add up to ${this.MAX_IMAGES} photos`, 'warning');
+            }
+
+            files.slice(0, Math.max(room, 0)).forEach(file => {
+                this.selectedImages.push({ file, previewUrl: URL.createObjectURL(file) });
+            });
+
+            // Clear the input so picking the same file again still fires a change
+            fileInput.value = '';
+            this.renderSelectedImages();
+        });
+    }
+
+    // The first selected photo is the cover
+    static renderSelectedImages() {
+        const thumbnails = document.getElementById('imageThumbnails');
+        const imagePreview = document.getElementById('imagePreview');
+        if (!thumbnails || !imagePreview) return;
+
+        thumbnails.innerHTML = this.selectedImages.map((image, index) => `
+            <div class="image-thumbnail ${index === 0 ? 'primary' : ''}" onclick="AddProductPage.makeCover(${index})" title="Use as cover">
+                <img src="${image.previewUrl}" alt="Photo ${index + 1}">
+                ${index === 0 ? '<span class="cover-label">Cover</span>' : ''}
+                <button type="button" class="remove-image-btn" title="Remove"
+                        onclick="event.stopPropagation(); AddProductPage.removeImage(${index})">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `).join('');
+
+        if (this.selectedImages.length > 0) {
+            imagePreview.innerHTML = `<img src="${this.selectedImages[0].previewUrl}" alt="Product preview">`;
+        } else {
+            imagePreview.innerHTML = `
+                <div class="upload-placeholder">
+                    <i class="fas fa-camera"></i>
+                    <p>Add photos of your item</p>
+                    <span>Click to browse - show any wear or defects from several angles</span>
+                </div>
+            `;
+        }
+    }
+
+    static makeCover(index) {
+        const [image] = this.selectedImages.splice(index, 1);
+        this.selectedImages.unshift(image);
+        this.renderSelectedImages();
+    }
+
+    static removeImage(index) {
+        const [image] = this.selectedImages.splice(index, 1);
+        URL.revokeObjectURL(image.previewUrl);
+        this.renderSelectedImages();
+    }
+
     static previewImage(url, container) {
         const img = new Image();
         img.onload = () => {
@@ -1014,45 +1839,87 @@ class AddProductPage {
     }
 
     static async loadCategories() {
-        try {
-            const data = await Utils.makeRequest(`${API_BASE_URL}/products/meta/categories`);
-            const categorySelect = document.getElementById('productCategory');
+        const categorySelect = document.getElementById('productCategory');
+        if (!categorySelect) return;
 
-            if (categorySelect && data.categories) {
-                // Clear existing options except the first one
-                categorySelect.innerHTML = '<option value="">Select Category</option>';
+        await CategoryManager.populateSelect(categorySelect);
+        categorySelect.addEventListener('change', () => this.renderAttributeFields(categorySelect.value));
+    }
 
-                data.categories.forEach(category => {
-                    const option = document.createElement('option');
-                    option.value = category;
-                    option.textContent = category;
-                    categorySelect.appendChild(option);
-                });
-            }
-        } catch (error) {
-            console.error('Failed to load categories:', error);
-        }
+    // Inputs for the attributes of the chosen category (such as size or brand)
+    static renderAttributeFields(categoryId) {
+        const container = document.getElementById('categoryAttributes');
+        if (!container) return;
+
+        const category = CategoryManager.find(categoryId);
+        const attributes = category ? category.attributes : [];
+
+        container.style.display = attributes.length > 0 ? 'grid' : 'none';
+        container.innerHTML = attributes.map(attribute => {
+            const id = `attribute_${attribute.name}`;
+            const required = attribute.required ? 'required' : '';
+            const input = attribute.type === 'select'
+                ? `
+                    <select id="${id}" data-attribute="${attribute.name}" ${required}>
+                        <option value="">Select ${Utils.escapeHtml(attribute.label)}</option>
+                        ${attribute.options.map(option => `<option value="${Utils.escapeHtml(option)}">${Utils.escapeHtml(option)}</option>`).join('')}
+                    </select>
+                `
+                : `<input type="${attribute.type === 'number' ? 'number' : 'text'}" id="${id}" data-attribute="${attribute.name}" ${attribute.type === 'number' ? 'step="any"' : ''} ${required}>`;
+
+            return `
+                <div class="form-group">
+                    <label for="${id}">${Utils.escapeHtml(attribute.label)}${attribute.required ? ' *' : ''}</label>
+                    ${input}
+                </div>
+            `;
+        }).join('');
     }
 
+    static getAttributeValues() {
+        const values = {};
+        document.querySelectorAll('#categoryAttributes [data-attribute]').forEach(input => {
+            if (input.value.trim()) values[input.dataset.attribute] = input.value.trim();
+        });
+        return values;
+    }
     static async handleSubmit(form) {
         const formData = new FormData(form);
         const productData = {
             title: formData.get('title'),
             description: formData.get('description'),
             price: parseFloat(formData.get('price')),
+            stock: parseInt(formData.get('stock')),
             category: formData.get('category'),
             condition: formData.get('condition'),
-            imageUrl: formData.get('imageUrl')
+            imageUrl: formData.get('imageUrl'),
+            city: formData.get('city'),
+            postcode: formData.get('postcode'),
+            shippingAvailable: document.getElementById('shippingAvailable').checked,
+            pickupAvailable: document.getElementById('pickupAvailable').checked,
+            shippingFee: formData.get('shippingFee'),
+            weight: formData.get('weight'),
+            attributes: this.getAttributeValues()
         };
 
         if (!this.validateProductData(productData)) return;
 
+        // Uploaded photos go as multipart form data, cover first
+        let body = JSON.stringify(productData);
+        if (this.selectedImages.length > 0) {
+            body = new FormData();
+            Object.entries(productData).forEach(([key, value]) => {
+                body.append(key, key === 'attributes' ? JSON.stringify(value) : value);
+            });
+            this.selectedImages.forEach(image => body.append('productImages', image.file));
+        }
+
         try {
             Utils.showLoading('Adding your product...');
 
             await Utils.makeRequest(`${API_BASE_URL}/products`, {
                 method: 'POST',
-                body: JSON.stringify(productData)
+                body
             });
 
             Utils.hideLoading();
@@ -1079,15 +1946,37 @@ class AddProductPage {
             return false;
         }
 
+        if (!Number.isInteger(data.stock) || data.stock < 1) {
+            Utils.showToast('Quantity must be at least 1', 'warning');
+            return false;
+        }
+
+        if (!data.shippingAvailable && !data.pickupAvailable) {
+            Utils.showToast('Offer shipping, local pickup, or both', 'warning');
+            return false;
+        }
+
         return true;
     }
 }
 
 // ===== CART PAGE =====
 class CartPage {
+    // Delivery options per seller from the cart, and the method the buyer picked for each (by seller id)
+    static sellers = [];
+    static deliveryMethods = {};
+
+    // Ticks the countdown of the checkout reservation
+    static reservationTimer = null;
+
+    // The promo code the buyer applied, and what it takes off the current cart
+    static promoCode = null;
+    static discount = 0;
+
     static init() {
         this.loadCart();
         this.setupCheckout();
+        this.setupPromoCode();
     }
 
     static async loadCart() {
@@ -1099,9 +1988,13 @@ class CartPage {
         try {
             Utils.showLoading('Loading your cart...');
 
-            const data = await Utils.makeRequest(`${API_BASE_URL}/cart`);
+            const data = await Utils.makeRequest(this.cartUrl());
             const items = data.cartItems || [];
 
+            this.setDeliveryOptions(data.sellers || []);
+            this.renderUnavailableItems(data.unavailableItems || []);
+            this.setPromotion(data.promotion);
+
             if (items.length === 0) {
                 cartItems.style.display = 'none';
                 emptyCart.style.display = 'block';
@@ -1127,21 +2020,26 @@ class CartPage {
         cartItems.innerHTML = items.map(item => `
             <div class="cart-item" data-item-id="${item.id}">
                 <div class="cart-item-image">
-                    <img src="${item.image_url || 'https://via.placeholder.com/100x100'}" alt="${item.title}">
+                    <img src="${Utils.imageVariant(item.image_url, 'thumb') || 'https://via.placeholder.com/100x100'}" alt="${item.title}">
                 </div>
                 <div class="cart-item-info">
                     <h4 class="cart-item-title">${item.title}</h4>
                     <p class="cart-item-seller">Sold by ${item.seller_full_name || item.seller_name}</p>
-                    <div class="cart-item-price">${Utils.formatPrice(item.price)}</div>
+                    <div class="cart-item-price">
+                        ${Utils.formatPrice(item.price)}
+                        ${item.offer_id ? `<span class="original-price">${Utils.formatPrice(item.list_price)}</span> <span class="offer-badge">Your offer</span>` : ''}
+                    </div>
+                    ${item.quantity > item.available_quantity ? `<p class="cart-item-warning">Only ${item.available_quantity} available now</p>` : ''}
                 </div>
                 <div class="cart-item-actions">
                     <div class="quantity-controls">
                         <button class="quantity-btn" onclick="CartPage.updateQuantity(${item.id}, ${item.quantity - 1})">
                             <i class="fas fa-minus"></i>
                         </button>
-                        <input type="number" class="quantity-input" value="${item.quantity}" min="1"
+                        <input type="number" class="quantity-input" value="${item.quantity}" min="1" max="${item.available_quantity}"
                                onchange="CartPage.updateQuantity(${item.id}, this.value)">
-                        <button class="quantity-btn" onclick="CartPage.updateQuantity(${item.id}, ${item.quantity + 1})">
+                        <button class="quantity-btn" onclick="CartPage.updateQuantity(${item.id}, ${item.quantity + 1})"
+                                ${item.quantity >= item.available_quantity ? 'disabled' : ''}>
                             <i class="fas fa-plus"></i>
                         </button>
                     </div>
@@ -1153,40 +2051,168 @@ class CartPage {
         `).join('');
     }
 
-    static updateCartSummary(total, itemCount) {
-        const subtotalEl = document.getElementById('subtotal');
-        const totalEl = document.getElementById('total');
-        const itemCountEl = document.getElementById('itemCount');
-        const itemsSavedEl = document.getElementById('itemsSaved');
-        const checkoutBtn = document.getElementById('checkoutBtn');
-
-        if (subtotalEl) subtotalEl.textContent = Utils.formatPrice(total);
-        if (totalEl) totalEl.textContent = Utils.formatPrice(total);
-        if (itemCountEl) itemCountEl.textContent = itemCount;
-        if (itemsSavedEl) itemsSavedEl.textContent = itemCount;
+    // Items that sold, were taken down or are held by another buyer since they were added.
+    // They stay listed until the buyer removes them, so nothing disappears without a word.
+    static renderUnavailableItems(items) {
+        const container = document.getElementById('unavailableItems');
+        if (!container) return;
 
-        if (checkoutBtn) {
-            checkoutBtn.disabled = itemCount === 0;
-        }
+        container.style.display = items.length > 0 ? 'block' : 'none';
+        container.innerHTML = items.length === 0 ? '' : `
+            <h4><i class="fas fa-exclamation-circle"></i> No longer available</h4>
+            ${items.map(item => `
+                <div class="unavailable-item">
+                    <div class="unavailable-item-info">
+                        <a href="product_detail.html?id=${item.productId}">${Utils.escapeHtml(item.title)}</a>
+                        <p>${Utils.escapeHtml(item.message)}</p>
+                    </div>
+                    <button class="remove-item-btn" onclick="CartPage.removeItem(${item.cartItemId})" title="Remove from cart">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            `).join('')}
+        `;
     }
 
-    static async updateQuantity(itemId, newQuantity) {
-        if (newQuantity < 1) {
-            this.removeItem(itemId);
-            return;
-        }
+    // Keep the buyer's earlier choices where they are still offered; otherwise ship when possible
+    static setDeliveryOptions(sellers) {
+        const methods = {};
+        sellers.forEach(seller => {
+            const current = this.deliveryMethods[seller.sellerId];
+            methods[seller.sellerId] = seller.methods.includes(current)
+                ? current
+                : (seller.methods.includes('shipping') ? 'shipping' : seller.methods[0]);
+        });
 
-        try {
-            await Utils.makeRequest(`${API_BASE_URL}/cart/update/${itemId}`, {
-                method: 'PUT',
-                body: JSON.stringify({ quantity: parseInt(newQuantity) })
-            });
+        this.sellers = sellers;
+        this.deliveryMethods = methods;
+        this.renderDeliveryOptions();
+    }
 
-            this.loadCart(); // Reload cart to update totals
-            CartManager.updateCartCount();
+    static renderDeliveryOptions() {
+        const container = document.getElementById('deliveryOptions');
+        if (!container) return;
+
+        container.innerHTML = this.sellers.map(seller => `
+            <div class="delivery-option">
+                <div class="delivery-seller">From ${Utils.escapeHtml(seller.sellerName)}</div>
+                ${seller.methods.length === 0 ? `
+                    <p class="delivery-warning">Some of these items are pickup only and others ship only - check them out separately.</p>
+                ` : seller.methods.map(method => `
+                    <label class="delivery-method">
+                        <input type="radio" name="delivery-${seller.sellerId}" value="${method}"
+                               ${this.deliveryMethods[seller.sellerId] === method ? 'checked' : ''}
+                               onchange="CartPage.setDeliveryMethod(${seller.sellerId}, '${method}')">
+                        ${method === 'shipping'
+                            ? `Shipping - ${seller.shippingFee > 0 ? Utils.formatPrice(seller.shippingFee) : 'FREE'}`
+                            : `Local pickup${seller.pickupCity ? ` in ${Utils.escapeHtml(seller.pickupCity)}` : ''} - FREE`}
+                    </label>
+                `).join('')}
+            </div>
+        `).join('');
+    }
+
+    // The cart, with what the applied promo code takes off it
+    static cartUrl() {
+        return `${API_BASE_URL}/cart${this.promoCode ? `?promoCode=${encodeURIComponent(this.promoCode)}` : ''}`;
+    }
+
+    static setupPromoCode() {
+        const form = document.getElementById('promoCodeForm');
+        if (!form) return;
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const code = document.getElementById('promoCode').value.trim().toUpperCase();
+            this.promoCode = code || null;
+            this.loadCart();
+        });
+    }
+
+    static removePromoCode() {
+        this.promoCode = null;
+        document.getElementById('promoCode').value = '';
+        this.loadCart();
+    }
+
+    // Show whether the applied code works for this cart. A code that stops applying (say, the
+    // qualifying item was removed) stays entered, so it comes back if the cart qualifies again.
+    static setPromotion(promotion) {
+        const message = document.getElementById('promoMessage');
+        this.discount = promotion && !promotion.error ? promotion.discount : 0;
+
+        if (!message) return;
+
+        if (!promotion) {
+            message.style.display = 'none';
+            return;
+        }
+
+        message.style.display = 'block';
+        message.className = `promo-message ${promotion.error ? 'error' : 'success'}`;
+        message.innerHTML = `
+            ${Utils.escapeHtml(promotion.error || promotion.description || `${promotion.code} applied`)}
+            <button type="button" class="promo-remove" onclick="CartPage.removePromoCode()">Remove</button>
+        `;
+    }
+
+    static setDeliveryMethod(sellerId, method) {
+        this.deliveryMethods[sellerId] = method;
+        this.updateCartSummary(this.subtotal, this.itemCount);
+    }
+
+    static getDeliveryFee() {
+        return this.sellers.reduce((sum, seller) =>
+            sum + (this.deliveryMethods[seller.sellerId] === 'shipping' ? seller.shippingFee : 0), 0);
+    }
+
+    static updateCartSummary(total, itemCount) {
+        const subtotalEl = document.getElementById('subtotal');
+        const deliveryTotalEl = document.getElementById('deliveryTotal');
+        const totalEl = document.getElementById('total');
+        const itemCountEl = document.getElementById('itemCount');
+        const itemsSavedEl = document.getElementById('itemsSaved');
+        const discountRow = document.getElementById('discountRow');
+        const checkoutBtn = document.getElementById('checkoutBtn');
+
+        this.subtotal = total;
+        this.itemCount = itemCount;
+        const deliveryFee = this.getDeliveryFee();
+
+        if (subtotalEl) subtotalEl.textContent = Utils.formatPrice(total);
+        if (deliveryTotalEl) deliveryTotalEl.textContent = deliveryFee > 0 ? Utils.formatPrice(deliveryFee) : 'FREE';
+        if (discountRow) {
+            discountRow.style.display = this.discount > 0 ? 'flex' : 'none';
+            document.getElementById('discountCode').textContent = this.promoCode || '';
+            document.getElementById('discountTotal').textContent = `-${Utils.formatPrice(this.discount)}`;
+        }
+        if (totalEl) totalEl.textContent = Utils.formatPrice(total + deliveryFee - this.discount);
+        if (itemCountEl) itemCountEl.textContent = itemCount;
+        if (itemsSavedEl) itemsSavedEl.textContent = itemCount;
+
+        if (checkoutBtn) {
+            checkoutBtn.disabled = itemCount === 0 || this.sellers.some(seller => seller.methods.length === 0);
+        }
+    }
+
+    static async updateQuantity(itemId, newQuantity) {
+        if (newQuantity < 1) {
+            this.removeItem(itemId);
+            return;
+        }
+
+        try {
+            await Utils.makeRequest(`${API_BASE_URL}/cart/update/${itemId}`, {
+                method: 'PUT',
+                body: JSON.stringify({ quantity: parseInt(newQuantity) })
+            });
+
+            this.loadCart(); // Reload cart to update totals
+            CartManager.updateCartCount();
 
         } catch (error) {
-            Utils.showToast('Failed to update quantity', 'error');
+            Utils.showToast(error.message || 'Failed to update quantity', 'error');
+            this.loadCart();
         }
     }
 
@@ -1210,10 +2236,13 @@ class CartPage {
         const checkoutForm = document.getElementById('checkoutForm');
 
         if (checkoutBtn) {
-            checkoutBtn.addEventListener('click', () => {
+            checkoutBtn.addEventListener('click', async () => {
+                if (!(await this.reserveItems())) return;
+
                 ModalManager.openModal('checkoutModal');
                 this.loadCheckoutSummary();
                 this.loadUserDetailsForCheckout();
+                PaymentManager.loadMethods(document.getElementById('checkoutPaymentMethod'));
             });
         }
 
@@ -1225,6 +2254,49 @@ class CartPage {
         }
     }
 
+    // Hold the cart for the buyer while they fill in the checkout form
+    static async reserveItems() {
+        try {
+            const reservation = await Utils.makeRequest(`${API_BASE_URL}/cart/reserve`, { method: 'POST' });
+
+            if (reservation.unavailableItems.length > 0) {
+                const titles = reservation.unavailableItems
+                    .map(item => item.reason === 'limited' ? `${item.title} (${item.message.toLowerCase()})` : item.title)
+                    .join(', ');
+                Utils.showToast(`Some items cannot be bought as they are in your cart: ${titles}. Please review your cart.`, 'error');
+                this.loadCart();
+                return false;
+            }
+
+            this.showReservation(reservation.secondsLeft);
+            return true;
+        } catch (error) {
+            Utils.showToast(error.message || 'Failed to start checkout', 'error');
+            return false;
+        }
+    }
+
+    // Count down the time the items are held for at the top of the checkout form
+    static showReservation(seconds) {
+        const note = document.getElementById('reservationNote');
+        if (!note) return;
+
+        const expiresAt = Date.now() + seconds * 1000;
+        clearInterval(this.reservationTimer);
+
+        const update = () => {
+            const remaining = Math.max(0, Math.ceil((expiresAt - Date.now()) / 1000));
+            note.innerHTML = remaining > 0
+                ? `<i class="fas fa-clock"></i> Your items are held for you for ${Math.floor(remaining / 60)}:${String(remaining % 60).padStart(2, '0')} - other buyers cannot take them while you check out.`
+                : '<i class="fas fa-clock"></i> Your hold has run out, so other buyers can take these items again. You can still check out while they are available.';
+            if (remaining === 0) clearInterval(this.reservationTimer);
+        };
+
+        note.style.display = 'block';
+        update();
+        this.reservationTimer = setInterval(update, 1000);
+    }
+
     static async loadUserDetailsForCheckout() {
         try {
             const token = localStorage.getItem('token');
@@ -1261,8 +2333,20 @@ class CartPage {
         if (!checkoutSummary) return;
 
         try {
-            const data = await Utils.makeRequest(`${API_BASE_URL}/cart`);
+            const data = await Utils.makeRequest(this.cartUrl());
             const items = data.cartItems || [];
+            this.setDeliveryOptions(data.sellers || []);
+            this.setPromotion(data.promotion);
+            const deliveryFee = this.getDeliveryFee();
+
+            // An address is only needed when something ships
+            const shipping = Object.values(this.deliveryMethods).includes('shipping');
+            const addressGroup = document.getElementById('deliveryAddressGroup');
+            const addressInput = document.getElementById('deliveryAddress');
+            const pickupHint = document.getElementById('pickupHint');
+            if (addressGroup) addressGroup.style.display = shipping ? 'block' : 'none';
+            if (addressInput) addressInput.required = shipping;
+            if (pickupHint) pickupHint.style.display = Object.values(this.deliveryMethods).includes('pickup') ? 'block' : 'none';
 
             checkoutSummary.innerHTML = `
                 <div class="checkout-items">
@@ -1272,9 +2356,21 @@ class CartPage {
                             <span>${Utils.formatPrice(item.price * item.quantity)}</span>
                         </div>
                     `).join('')}
+                    ${this.sellers.map(seller => `
+                        <div class="checkout-item">
+                            <span>${this.deliveryMethods[seller.sellerId] === 'pickup' ? 'Local pickup' : 'Shipping'} from ${Utils.escapeHtml(seller.sellerName)}</span>
+                            <span>${this.deliveryMethods[seller.sellerId] === 'shipping' && seller.shippingFee > 0 ? Utils.formatPrice(seller.shippingFee) : 'FREE'}</span>
+                        </div>
+                    `).join('')}
+                    ${this.discount > 0 ? `
+                        <div class="checkout-item">
+                            <span>Promo code ${Utils.escapeHtml(this.promoCode)}</span>
+                            <span>-${Utils.formatPrice(this.discount)}</span>
+                        </div>
+                    ` : ''}
                 </div>
                 <div class="checkout-total">
-                    <strong>Total: ${Utils.formatPrice(data.total)}</strong>
+                    <strong>Total: ${Utils.formatPrice(data.total + deliveryFee - this.discount)}</strong>
                 </div>
             `;
 
@@ -1290,9 +2386,11 @@ class CartPage {
         const phone = formData.get('phone');
         const deliveryAddress = formData.get('deliveryAddress');
         const deliveryNotes = formData.get('deliveryNotes');
+        const paymentMethod = formData.get('paymentMethod');
 
-        // Validate required fields
-        if (!fullName || !email || !phone || !deliveryAddress) {
+        // Validate required fields - the address only when something ships
+        const shipping = Object.values(this.deliveryMethods).includes('shipping');
+        if (!fullName || !email || !phone || (shipping && !deliveryAddress) || !paymentMethod) {
             Utils.showToast('Please fill in all required fields', 'warning');
             return;
         }
@@ -1306,32 +2404,80 @@ class CartPage {
                     fullName,
                     email,
                     phone,
-                    deliveryAddress,
-                    deliveryNotes
+                    deliveryAddress: shipping ? deliveryAddress : null,
+                    deliveryNotes,
+                    deliveryMethods: this.deliveryMethods,
+                    promoCode: this.discount > 0 ? this.promoCode : null
                 })
             });
 
+            // The order is placed - a failed payment can be retried from the order history
+            let payment = orderData.payment;
+            try {
+                Utils.showLoading('Processing your payment...');
+                payment = await PaymentManager.payOrder(orderData.orderId, paymentMethod, payment);
+            } catch (error) {
+                console.error('Payment failed:', error);
+                payment = { status: 'failed', failure_reason: error.message };
+            }
+
             Utils.hideLoading();
+            clearInterval(this.reservationTimer);
+            this.promoCode = null;
             ModalManager.closeModal('checkoutModal');
 
             // Show success modal with order details
-            this.showOrderSuccess(orderData);
+            this.showOrderSuccess(orderData, payment);
 
         } catch (error) {
             Utils.hideLoading();
+
+            // Someone else bought an item first - tell the buyer which ones and refresh the cart
+            const unavailableItems = error.data && error.data.unavailableItems;
+            if (unavailableItems && unavailableItems.length > 0) {
+                const titles = unavailableItems
+                    .map(item => {
+                        if (item.held) return `${item.title} (another buyer is checking it out)`;
+                        return item.availableQuantity > 0 ? `${item.title} (only ${item.availableQuantity} left)` : item.title;
+                    })
+                    .join(', ');
+                Utils.showToast(`No longer available: ${titles}. Your cart has been updated, please review and try again.`, 'error');
+                ModalManager.closeModal('checkoutModal');
+                this.loadCart();
+                CartManager.updateCartCount();
+                return;
+            }
+
             Utils.showToast(error.message, 'error');
         }
     }
 
-    static showOrderSuccess(orderData) {
+    static showOrderSuccess(orderData, payment) {
+        const paymentMessages = {
+            succeeded: 'Thank you for your purchase. Your payment was successful and your order has been confirmed.',
+            processing: 'Thank you for your purchase. Your payment is processing - your order will be confirmed as soon as it clears.',
+            failed: `Your order was placed but the payment did not go through (${payment.failure_reason || 'payment failed'}). You can retry the payment from your order history.`
+        };
+
+        const orderSuccessMessage = document.getElementById('orderSuccessMessage');
+        if (orderSuccessMessage) {
+            orderSuccessMessage.textContent = paymentMessages[payment.status] || paymentMessages.failed;
+        }
+
         const orderDetailsSuccess = document.getElementById('orderDetailsSuccess');
         if (orderDetailsSuccess) {
             orderDetailsSuccess.innerHTML = `
                 <div class="order-success-details">
                     <p><strong>Order Number:</strong> ${orderData.orderNumber}</p>
+                    <p><strong>Payment:</strong> <span class="payment-status ${payment.status}">${payment.status}</span></p>
                     <p><strong>Total Amount:</strong> ${Utils.formatPrice(orderData.totalAmount)}</p>
                     <p><strong>Items:</strong> ${orderData.itemCount} item(s)</p>
-                    <p><strong>Delivery Address:</strong> ${orderData.deliveryAddress}</p>
+                    ${orderData.deliveryFee > 0 ? `<p><strong>Delivery:</strong> ${Utils.formatPrice(orderData.deliveryFee)}</p>` : ''}
+                    ${orderData.discount > 0 ? `<p><strong>Discount (${Utils.escapeHtml(orderData.promotionCode)}):</strong> -${Utils.formatPrice(orderData.discount)}</p>` : ''}
+                    ${orderData.deliveryAddress ? `<p><strong>Delivery Address:</strong> ${Utils.escapeHtml(orderData.deliveryAddress)}</p>` : ''}
+                    ${(orderData.subOrders || []).filter(subOrder => subOrder.pickupCode).map(subOrder => `
+                        <p><strong>Pickup code (${subOrder.orderNumber}):</strong> <span class="pickup-code">${subOrder.pickupCode}</span></p>
+                    `).join('')}
                 </div>
             `;
         }
@@ -1386,7 +2532,7 @@ class MyListingsPage {
         listingsGrid.innerHTML = products.map(product => `
             <div class="listing-card">
                 <div class="product-image">
-                    <img src="${product.image_url || 'https://via.placeholder.com/300x200'}" alt="${product.title}">
+                    <img src="${Utils.imageVariant(product.image_url, 'card') || 'https://via.placeholder.com/300x200'}" alt="${product.title}">
                     <div class="product-condition">${product.condition}</div>
                     ${product.status !== 'available' ? `<div class="product-status ${product.status}">${product.status}</div>` : ''}
                     <div class="listing-actions">
@@ -1405,6 +2551,7 @@ class MyListingsPage {
                     <div class="product-footer">
                         <div class="product-price">${Utils.formatPrice(product.price)}</div>
                     </div>
+                    ${product.status === 'available' ? `<div class="product-stock">${product.stock} in stock</div>` : ''}
                 </div>
                 <div class="listing-stats">
                     <div class="listing-views">
@@ -1443,6 +2590,7 @@ class MyListingsPage {
 
     static setupFilters() {
         const filterElements = ['statusFilter', 'categoryFilter', 'sortBy'];
+        CategoryManager.populateSelect(document.getElementById('categoryFilter'));
 
         filterElements.forEach(filterId => {
             const element = document.getElementById(filterId);
@@ -1498,9 +2646,44 @@ class MyListingsPage {
 
 // ===== PRODUCT DETAIL PAGE =====
 class ProductDetailPage {
+    static product = null;
+    static offers = [];
+    static selectedImageId = null;
+
+    // What a listing or a seller can be reported for
+    static REPORT_REASONS = {
+        product: { counterfeit: 'Counterfeit', prohibited: 'Prohibited item', misleading: 'Misleading listing', other: 'Something else' },
+        user: { scam: 'Scam or fraud', abuse: 'Abusive behaviour', other: 'Something else' }
+    };
+
+    // How many units to add to the cart (one unless the listing has more)
+    static getCartQuantity() {
+        const input = document.getElementById('cartQuantity');
+        return input ? Math.max(1, parseInt(input.value) || 1) : 1;
+    }
+
+    // e.g. "Shipping ($8.00) or local pickup". Weight-priced shipping is worked out in the cart.
+    static formatDelivery(product) {
+        const options = [];
+        if (product.shipping_available) {
+            if (product.shipping_fee !== null && product.shipping_fee !== undefined) {
+                options.push(`Shipping (${product.shipping_fee > 0 ? Utils.formatPrice(product.shipping_fee) : 'free'})`);
+            } else {
+                options.push(product.weight ? 'Shipping (priced by weight)' : 'Shipping (free)');
+            }
+        }
+        if (product.pickup_available) options.push('local pickup');
+
+        const text = options.join(' or ');
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
     static init() {
         this.loadProduct();
         this.loadRecommendedProducts();
+        this.setupOfferForm();
+        this.setupMessageForm();
+        this.setupReportForm();
     }
 
     static async loadProduct() {
@@ -1519,7 +2702,10 @@ class ProductDetailPage {
             const data = await Utils.makeRequest(`${API_BASE_URL}/products/${productId}`);
             const product = data.product;
 
+            this.product = product;
+            this.offers = await this.loadOffers(product.id);
             this.renderProductDetail(product);
+            this.loadSellerReviews(product.seller_id);
 
         } catch (error) {
             Utils.showToast('Failed to load product', 'error');
@@ -1535,18 +2721,17 @@ class ProductDetailPage {
         if (!container) return;
 
         const isOwnProduct = currentUser && product.seller_id === currentUser.id;
-        const canAddToCart = currentUser && currentUser.role === 'user' && !isOwnProduct && product.status === 'available';
+        const acceptedOffer = this.offers.find(offer => offer.status === 'accepted' && offer.buyer_id === (currentUser && currentUser.id));
+        const canAddToCart = (!currentUser || (currentUser.role === 'user' && !isOwnProduct)) &&
+            (product.status === 'available' || (product.status === 'reserved' && acceptedOffer));
 
         container.innerHTML = `
             <div class="product-detail">
-                <div class="product-images">
-                    <div class="main-image">
-                        <img src="${product.image_url || 'https://via.placeholder.com/600x400'}" alt="${product.title}"
-                             onclick="ProductDetailPage.showImageZoom('${product.image_url}')">
-                    </div>
+                <div class="product-images" id="productGallery">
+                    ${this.renderGallery(product, isOwnProduct)}
                 </div>
                 <div class="product-details">
-                    <div class="product-category">${product.category}</div>
+                    <div class="product-category">${product.category_path || product.category}</div>
                     <h1 class="product-title">${product.title}</h1>
                     <div class="product-price-large">${Utils.formatPrice(product.price)}</div>
 
@@ -1560,10 +2745,28 @@ class ProductDetailPage {
                         <div class="meta-item">
                             <strong>Listed:</strong> ${Utils.formatDate(product.created_at)}
                         </div>
+                        ${product.city ? `
+                            <div class="meta-item">
+                                <strong>Location:</strong> ${Utils.escapeHtml(product.city)}
+                            </div>
+                        ` : ''}
+                        <div class="meta-item">
+                            <strong>Delivery:</strong> ${this.formatDelivery(product)}
+                        </div>
+                        ${product.status === 'available' && product.stock > 1 ? `
+                            <div class="meta-item">
+                                <strong>Available:</strong> ${product.stock}
+                            </div>
+                        ` : ''}
                         <div class="meta-item">
                             <strong>Status:</strong>
                             <span class="status-badge ${product.status}">${product.status}</span>
                         </div>
+                        ${(product.attribute_list || []).map(attribute => `
+                            <div class="meta-item">
+                                <strong>${Utils.escapeHtml(attribute.label)}:</strong> ${Utils.escapeHtml(String(attribute.value))}
+                            </div>
+                        `).join('')}
                     </div>
 
                     <div class="product-description">
@@ -1574,26 +2777,72 @@ class ProductDetailPage {
                     <div class="seller-info">
                         <h3>Seller Information</h3>
                         <div class="seller-details">
-                            <div class="seller-name">${product.seller_full_name || product.seller_name}</div>
-                            ${product.seller_phone ? `<div class="seller-contact">Contact: ${product.seller_phone}</div>` : ''}
+                            <div class="seller-name">
+                                ${product.seller_full_name || product.seller_name}
+                                ${Utils.formatRating(product.seller_rating, product.seller_review_count)}
+                            </div>
+                            ${!currentUser ? '<div class="seller-contact"><a href="index.html">Log in</a> to message the seller</div>' : ''}
                         </div>
+                        ${currentUser && !isOwnProduct ? `
+                            <button class="btn btn-outline" onclick="ModalManager.openModal('messageSellerModal')">
+                                <i class="fas fa-comments"></i>
+                                Message Seller
+                            </button>
+                            <button class="btn-link report-link" onclick="ProductDetailPage.openReportModal('user')">
+                                <i class="fas fa-flag"></i>
+                                Report Seller
+                            </button>
+                        ` : ''}
                     </div>
 
                     ${canAddToCart ? `
                         <div class="product-actions">
-                            <button class="btn btn-primary btn-large" onclick="CartManager.addToCart(${product.id})">
+                            ${product.stock > 1 && !acceptedOffer ? `
+                                <input type="number" id="cartQuantity" class="quantity-input" value="1" min="1" max="${product.stock}" aria-label="Quantity">
+                            ` : ''}
+                            <button class="btn btn-primary btn-large" onclick="CartManager.addToCart(${product.id}, ProductDetailPage.getCartQuantity())">
                                 <i class="fas fa-shopping-cart"></i>
-                                Add to Cart
+                                ${acceptedOffer ? `Add to Cart at ${Utils.formatPrice(acceptedOffer.amount)}` : 'Add to Cart'}
                             </button>
+                            ${currentUser && !this.offers.some(offer => ['pending', 'countered', 'accepted'].includes(offer.status)) ? `
+                                <button class="btn btn-outline btn-large" onclick="ProductDetailPage.openOfferModal()">
+                                    <i class="fas fa-hand-holding-usd"></i>
+                                    Make Offer
+                                </button>
+                            ` : ''}
                         </div>
                     ` : ''}
 
+                    ${this.renderOffers(product, isOwnProduct)}
+
+                    <div class="seller-reviews" id="sellerReviews"></div>
+
                     ${isOwnProduct ? `
                         <div class="owner-actions">
                             <button class="btn btn-outline" onclick="window.location.href='add_product.html?edit=${product.id}'">
                                 <i class="fas fa-edit"></i>
                                 Edit Product
                             </button>
+                            <button class="btn btn-outline" onclick="window.location.href='messages.html'">
+                                <i class="fas fa-comments"></i>
+                                View Messages
+                            </button>
+                        </div>
+                    ` : ''}
+
+                    ${currentUser && !isOwnProduct ? `
+                        <button class="btn-link report-link" onclick="ProductDetailPage.openReportModal('product')">
+                            <i class="fas fa-flag"></i>
+                            Report Listing
+                        </button>
+                    ` : ''}
+
+                    ${currentUser && currentUser.role === 'admin' && !isOwnProduct && product.status === 'available' ? `
+                        <div class="owner-actions">
+                            <button class="btn btn-outline" onclick="AdminDashboardPage.unlistProduct(${product.id})">
+                                <i class="fas fa-ban"></i>
+                                Unlist Product
+                            </button>
                         </div>
                     ` : ''}
                 </div>
@@ -1601,110 +2850,725 @@ class ProductDetailPage {
         `;
     }
 
-    static showImageZoom(imageUrl) {
-        const modal = document.getElementById('imageZoomModal');
-        const zoomedImage = document.getElementById('zoomedImage');
+    // Listings from before galleries only have `image_url`
+    static getImages(product) {
+        if (product.images && product.images.length > 0) return product.images;
+        return product.image_url ? [{ id: null, image_url: product.image_url, is_primary: 1 }] : [];
+    }
 
-        if (modal && zoomedImage && imageUrl) {
-            zoomedImage.src = imageUrl;
-            ModalManager.openModal('imageZoomModal');
+    static renderGallery(product, isOwnProduct) {
+        const images = this.getImages(product);
+        const selected = images.find(image => image.id === this.selectedImageId) || images.find(image => image.is_primary) || images[0];
+        const mainUrl = selected ? selected.image_url : 'https://via.placeholder.com/600x400';
+
+        return `
+            <div class="main-image">
+                <img src="${mainUrl}" alt="${Utils.escapeHtml(product.title)}"
+                     onclick="ProductDetailPage.showImageZoom('${selected ? selected.image_url : ''}')">
+            </div>
+            ${images.length > 1 || isOwnProduct ? `
+                <div class="gallery-thumbnails">
+                    ${images.map((image, index) => `
+                        <div class="gallery-thumbnail ${image === selected ? 'active' : ''}">
+                            <img src="${Utils.imageVariant(image.image_url, 'thumb')}" alt="Photo ${index + 1}" onclick="ProductDetailPage.selectImage(${image.id})">
+                            ${isOwnProduct && image.id ? `
+                                <div class="gallery-thumbnail-actions">
+                                    ${index > 0 ? `<button title="Move left" onclick="ProductDetailPage.moveImage(${image.id}, -1)"><i class="fas fa-chevron-left"></i></button>` : ''}
+                                    ${image.is_primary ? '<span class="cover-label">Cover</span>' : `<button title="Use as cover" onclick="ProductDetailPage.setCoverImage(${image.id})"><i class="fas fa-star"></i></button>`}
+                                    ${index < images.length - 1 ? `<button title="Move right" onclick="ProductDetailPage.moveImage(${image.id}, 1)"><i class="fas fa-chevron-right"></i></button>` : ''}
+                                    <button title="Delete photo" onclick="ProductDetailPage.deleteImage(${image.id})"><i class="fas fa-trash"></i></button>
+                                </div>
+                            ` : ''}
+                        </div>
+                    `).join('')}
+                    ${isOwnProduct ? `
+                        <label class="gallery-add" title="Add photos">
+                            <i class="fas fa-plus"></i>
+                            <input type="file" accept="image/jpeg,image/png,image/gif,image/webp" multiple hidden
+                                   onchange="ProductDetailPage.addImages(this.files)">
+                        </label>
+                    ` : ''}
+                </div>
+            ` : ''}
+        `;
+    }
+
+    static refreshGallery(images) {
+        if (images) {
+            this.product.images = images;
+            const cover = images.find(image => image.is_primary);
+            this.product.image_url = cover ? cover.image_url : null;
+        }
+
+        const gallery = document.getElementById('productGallery');
+        if (gallery) {
+            gallery.innerHTML = this.renderGallery(this.product, currentUser && this.product.seller_id === currentUser.id);
         }
     }
 
-    static async loadRecommendedProducts() {
-        const container = document.getElementById('recommendedProducts');
-        if (!container) return;
+    static selectImage(imageId) {
+        this.selectedImageId = imageId;
+        this.refreshGallery();
+    }
 
-        try {
-            const data = await Utils.makeRequest(`${API_BASE_URL}/products?limit=4`);
-            const products = data.products || [];
+    static async addImages(files) {
+        if (!files || files.length === 0) return;
 
-            container.innerHTML = products.map(product =>
-                DashboardPage.createProductCard(product)
-            ).join('');
+        const formData = new FormData();
+        Array.from(files).forEach(file => formData.append('productImages', file));
 
+        try {
+            Utils.showLoading('Uploading photos...');
+            const data = await Utils.makeRequest(`${API_BASE_URL}/products/${this.product.id}/images`, {
+                method: 'POST',
+                body: formData
+            });
+            this.refreshGallery(data.images);
+            Utils.showToast('Photos added', 'success');
         } catch (error) {
-            console.error('Failed to load recommended products:', error);
+            Utils.showToast(error.message, 'error');
+        } finally {
+            Utils.hideLoading();
         }
     }
-}
 
-// ===== PURCHASES PAGE =====
-class PurchasesPage {
-    static init() {
-        this.setupTabs();
-        this.loadPurchaseStats();
-        this.loadPurchases();
+    static async moveImage(imageId, direction) {
+        const imageIds = this.product.images.map(image => image.id);
+        const index = imageIds.indexOf(imageId);
+        imageIds.splice(index, 1);
+        imageIds.splice(index + direction, 0, imageId);
 
-        if (currentUser.role === 'seller' || currentUser.role === 'admin') {
-            this.loadSales();
+        try {
+            const data = await Utils.makeRequest(`${API_BASE_URL}/products/${this.product.id}/images/order`, {
+                method: 'PUT',
+                body: JSON.stringify({ imageIds })
+            });
+            this.refreshGallery(data.images);
+        } catch (error) {
+            Utils.showToast(error.message, 'error');
         }
     }
 
-    static setupTabs() {
-        const tabBtns = document.querySelectorAll('.tab-btn');
-        const tabContents = document.querySelectorAll('.tab-content');
-
-        tabBtns.forEach(btn => {
-            btn.addEventListener('click', () => {
-                const targetTab = btn.dataset.tab;
+    static async setCoverImage(imageId) {
+        try {
+            const data = await Utils.makeRequest(`${API_BASE_URL}/products/${this.product.id}/images/${imageId}/primary`, {
+                method: 'PUT'
+            });
+            this.refreshGallery(data.images);
+            Utils.showToast('Cover photo updated', 'success');
+        } catch (error) {
+            Utils.showToast(error.message, 'error');
+        }
+    }
 
-                // Update active tab button
-                tabBtns.forEach(b => b.classList.remove('active'));
-                btn.classList.add('active');
+    static async deleteImage(imageId) {
+        if (!confirm('Delete this photo?')) return;
 
-                // Update active tab content
-                tabContents.forEach(content => {
-                    content.classList.remove('active');
-                    if (content.id === targetTab + 'Tab') {
-                        content.classList.add('active');
-                    }
-                });
+        try {
+            const data = await Utils.makeRequest(`${API_BASE_URL}/products/${this.product.id}/images/${imageId}`, {
+                method: 'DELETE'
             });
-        });
+            if (this.selectedImageId === imageId) this.selectedImageId = null;
+            this.refreshGallery(data.images);
+            Utils.showToast('Photo deleted', 'success');
+        } catch (error) {
+            Utils.showToast(error.message, 'error');
+        }
     }
 
-    static async loadPurchaseStats() {
+    static async loadOffers(productId) {
+        if (!authToken) return [];
+
         try {
-            // Load purchase history for stats
-            const ordersData = await Utils.makeRequest(`${API_BASE_URL}/orders/history`);
-            const orders = ordersData.orders || [];
+            const data = await Utils.makeRequest(`${API_BASE_URL}/offers/product/${productId}`);
+            return data.offers || [];
+        } catch (error) {
+            console.error('Failed to load offers:', error);
+            return [];
+        }
+    }
 
-            const totalOrders = orders.length;
-            const totalSpent = orders.reduce((sum, order) => sum + parseFloat(order.total_amount), 0);
-            const itemsRescued = orders.reduce((sum, order) => sum + parseInt(order.item_count), 0);
+    // The seller sees every offer on their listing; a buyer sees their own
+    static renderOffers(product, isOwnProduct) {
+        const offers = isOwnProduct
+            ? this.offers
+            : this.offers.filter(offer => ['pending', 'countered', 'accepted'].includes(offer.status)).slice(0, 1);
 
-            // Update stats display
-            document.getElementById('totalOrders').textContent = totalOrders;
-            document.getElementById('totalSpent').textContent = Utils.formatPrice(totalSpent);
-            document.getElementById('itemsRescued').textContent = itemsRescued;
+        if (offers.length === 0) return '';
 
-            // Load seller stats if applicable
-            if (currentUser.role === 'seller' || currentUser.role === 'admin') {
-                const salesData = await Utils.makeRequest(`${API_BASE_URL}/orders/sales/history`);
-                const totalEarnings = salesData.totalRevenue || 0;
-                document.getElementById('totalEarnings').textContent = Utils.formatPrice(totalEarnings);
-            }
+        return `
+            <div class="offers-section">
+                <h3>${isOwnProduct ? 'Offers' : 'Your Offer'}</h3>
+                ${offers.map(offer => `
+                    <div class="offer-item">
+                        <div class="offer-header">
+                            <div>
+                                <strong>${Utils.formatPrice(offer.amount)}</strong>
+                                ${isOwnProduct ? `<span class="offer-buyer">from ${Utils.escapeHtml(offer.buyer_full_name || offer.buyer_name)}</span>` : ''}
+                            </div>
+                            <span class="offer-status ${offer.status}">${offer.status}</span>
+                        </div>
+                        ${offer.message ? `<p class="offer-message">"${Utils.escapeHtml(offer.message)}"</p>` : ''}
+                        <div class="offer-meta">${this.describeOffer(offer, isOwnProduct)}</div>
+                        ${this.renderOfferActions(offer, isOwnProduct)}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
 
-        } catch (error) {
-            console.error('Failed to load purchase stats:', error);
+    static describeOffer(offer, isOwnProduct) {
+        const expires = offer.expires_at ? Utils.formatDateTime(offer.expires_at) : '';
+
+        switch (offer.status) {
+            case 'pending':
+                return isOwnProduct ? `Waiting for your response until ${expires}` : `Waiting for the seller until ${expires}`;
+            case 'countered':
+                return isOwnProduct ? `You countered - waiting for the buyer until ${expires}` : `The seller countered - respond by ${expires}`;
+            case 'accepted':
+                return isOwnProduct ? `Reserved for the buyer until ${expires}` : `Reserved for you at this price until ${expires}`;
+            case 'completed':
+                return 'Bought at the agreed price';
+            default:
+                return `Updated ${Utils.formatDateTime(offer.updated_at)}`;
         }
     }
 
-    static async loadPurchases() {
-        const ordersList = document.getElementById('ordersList');
-        const emptyPurchases = document.getElementById('emptyPurchases');
+    static renderOfferActions(offer, isOwnProduct) {
+        const myTurn = (offer.status === 'pending' && isOwnProduct) || (offer.status === 'countered' && !isOwnProduct);
+        const canWithdraw = !isOwnProduct && ['pending', 'countered', 'accepted'].includes(offer.status);
 
-        if (!ordersList) return;
+        if (!myTurn && !canWithdraw) return '';
 
-        try {
-            const data = await Utils.makeRequest(`${API_BASE_URL}/orders/history`);
-            const orders = data.orders || [];
+        return `
+            <div class="offer-actions">
+                ${myTurn ? `
+                    <button class="btn btn-primary btn-small" onclick="ProductDetailPage.respondToOffer(${offer.id}, 'accept')">Accept</button>
+                    <button class="btn btn-outline btn-small" onclick="ProductDetailPage.openOfferModal(${offer.id})">Counter</button>
+                    <button class="btn btn-outline btn-small" onclick="ProductDetailPage.respondToOffer(${offer.id}, 'reject')">Decline</button>
+                ` : ''}
+                ${canWithdraw ? `
+                    <button class="btn btn-outline btn-small" onclick="ProductDetailPage.respondToOffer(${offer.id}, 'withdraw')">Withdraw</button>
+                ` : ''}
+            </div>
+        `;
+    }
 
-            if (orders.length === 0) {
-                ordersList.style.display = 'none';
-                emptyPurchases.style.display = 'block';
-            } else {
+    // Opens the offer form for a new offer, or for a counter when an offer id is given
+    static openOfferModal(offerId = null) {
+        const form = document.getElementById('offerForm');
+        if (!form || !this.product) return;
+
+        form.reset();
+        document.getElementById('offerId').value = offerId || '';
+        document.getElementById('offerModalTitle').textContent = offerId ? 'Counter Offer' : 'Make an Offer';
+
+        const offer = offerId ? this.offers.find(o => o.id === offerId) : null;
+        document.getElementById('offerHint').textContent = offer
+            ? `Current offer: ${Utils.formatPrice(offer.amount)} (asking price ${Utils.formatPrice(this.product.price)})`
+            : `Asking price: ${Utils.formatPrice(this.product.price)}`;
+
+        ModalManager.openModal('offerModal');
+    }
+
+    static setupOfferForm() {
+        const form = document.getElementById('offerForm');
+        if (!form) return;
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const offerId = document.getElementById('offerId').value;
+            const amount = document.getElementById('offerAmount').value;
+            const message = document.getElementById('offerMessage').value;
+
+            try {
+                const data = offerId
+                    ? await Utils.makeRequest(`${API_BASE_URL}/offers/${offerId}/counter`, {
+                        method: 'POST',
+                        body: JSON.stringify({ amount, message })
+                    })
+                    : await Utils.makeRequest(`${API_BASE_URL}/offers`, {
+                        method: 'POST',
+                        body: JSON.stringify({ productId: this.product.id, amount, message })
+                    });
+
+                Utils.showToast(data.message, 'success');
+                ModalManager.closeModal('offerModal');
+                this.loadProduct();
+            } catch (error) {
+                Utils.showToast(error.message, 'error');
+            }
+        });
+    }
+
+    static async loadSellerReviews(sellerId) {
+        const container = document.getElementById('sellerReviews');
+        if (!container) return;
+
+        try {
+            const data = await Utils.makeRequest(`${API_BASE_URL}/reviews/seller/${sellerId}?limit=5`);
+            if (!data.reviewCount) return;
+
+            const isSeller = currentUser && currentUser.id === sellerId;
+
+            container.innerHTML = `
+                <h3>Seller Reviews ${Utils.formatRating(data.averageRating, data.reviewCount)}</h3>
+                ${data.reviews.map(review => `
+                    <div class="review-item">
+                        <div class="review-header">
+                            <span class="review-stars">${this.renderStars(review.rating)}</span>
+                            <span class="review-author">${review.buyer_full_name || review.buyer_name} · ${Utils.formatDate(review.created_at)}</span>
+                        </div>
+                        <div class="review-product">${review.product_title}</div>
+                        ${review.comment ? `<p class="review-comment">${Utils.escapeHtml(review.comment)}</p>` : ''}
+                        ${review.seller_reply ? `
+                            <div class="review-reply">
+                                <strong>Seller reply:</strong> ${Utils.escapeHtml(review.seller_reply)}
+                            </div>
+                        ` : ''}
+                        ${isSeller ? `
+                            <button class="btn btn-outline btn-small" onclick="ProductDetailPage.replyToReview(${review.id})">
+                                ${review.seller_reply ? 'Edit Reply' : 'Reply'}
+                            </button>
+                        ` : ''}
+                    </div>
+                `).join('')}
+            `;
+        } catch (error) {
+            console.error('Failed to load seller reviews:', error);
+        }
+    }
+
+    static renderStars(rating) {
+        return Array.from({ length: 5 }, (_, i) =>
+            `<i class="${i < rating ? 'fas' : 'far'} fa-star"></i>`
+        ).join('');
+    }
+
+    static async replyToReview(reviewId) {
+        const reply = prompt('Your reply to this review:');
+        if (!reply) return;
+
+        try {
+            const data = await Utils.makeRequest(`${API_BASE_URL}/reviews/${reviewId}/reply`, {
+                method: 'PUT',
+                body: JSON.stringify({ reply })
+            });
+
+            Utils.showToast(data.message, 'success');
+            this.loadSellerReviews(this.product.seller_id);
+        } catch (error) {
+            Utils.showToast(error.message, 'error');
+        }
+    }
+
+    static setupMessageForm() {
+        const form = document.getElementById('messageSellerForm');
+        if (!form) return;
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            try {
+                const data = await Utils.makeRequest(`${API_BASE_URL}/messages/product/${this.product.id}`, {
+                    method: 'POST',
+                    body: JSON.stringify({ body: document.getElementById('messageSellerBody').value })
+                });
+
+                window.location.href = `messages.html?conversation=${data.conversationId}`;
+            } catch (error) {
+                Utils.showToast(error.message, 'error');
+            }
+        });
+    }
+
+    // Report this listing ('product') or its seller ('user')
+    static openReportModal(targetType) {
+        const form = document.getElementById('reportForm');
+        if (!form) return;
+
+        form.reset();
+        document.getElementById('reportTargetType').value = targetType;
+        document.getElementById('reportModalTitle').textContent = targetType === 'product'
+            ? 'Report Listing'
+            : `Report ${this.product.seller_full_name || this.product.seller_name}`;
+        document.getElementById('reportReason').innerHTML = Object.entries(this.REPORT_REASONS[targetType])
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
+
+        ModalManager.openModal('reportModal');
+    }
+
+    static setupReportForm() {
+        const form = document.getElementById('reportForm');
+        if (!form) return;
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const targetType = document.getElementById('reportTargetType').value;
+
+            try {
+                const data = await Utils.makeRequest(`${API_BASE_URL}/reports`, {
+                    method: 'POST',
+                    body: JSON.stringify({
+                        targetType,
+                        productId: this.product.id,
+                        userId: this.product.seller_id,
+                        reason: document.getElementById('reportReason').value,
+                        details: document.getElementById('reportDetails').value
+                    })
+                });
+
+                ModalManager.closeModal('reportModal');
+                Utils.showToast(data.message, 'success');
+            } catch (error) {
+                Utils.showToast(error.message, 'error');
+            }
+        });
+    }
+
+    static async respondToOffer(offerId, action) {
+        if (action === 'withdraw' && !confirm('Withdraw this offer?')) return;
+
+        try {
+            const data = await Utils.makeRequest(`${API_BASE_URL}/offers/${offerId}/${action}`, {
+                method: 'POST'
+            });
+
+            Utils.showToast(data.message, 'success');
+            this.loadProduct();
+        } catch (error) {
+            Utils.showToast(error.message, 'error');
+        }
+    }
+
+    static showImageZoom(imageUrl) {
+        const modal = document.getElementById('imageZoomModal');
+        const zoomedImage = document.getElementById('zoomedImage');
+
+        if (modal && zoomedImage && imageUrl) {
+            zoomedImage.src = imageUrl;
+            ModalManager.openModal('imageZoomModal');
+        }
+    }
+
+    static async loadRecommendedProducts() {
+        const container = document.getElementById('recommendedProducts');
+        if (!container) return;
+
+        try {
+            const data = await Utils.makeRequest(`${API_BASE_URL}/products?limit=4`);
+            const products = data.products || [];
+
+            container.innerHTML = products.map(product =>
+                DashboardPage.createProductCard(product)
+            ).join('');
+
+        } catch (error) {
+            console.error('Failed to load recommended products:', error);
+        }
+    }
+}
+
+// ===== RETURNS =====
+// Return requests: buyers open them from a delivered order, sellers decide them under Purchases,
+// and admins arbitrate the ones buyers escalate
+class ReturnsManager {
+    static REASON_LABELS = {
+        damaged: 'Arrived damaged',
+        not_as_described: 'Not as described',
+        wrong_item: 'Wrong item sent',
+        changed_mind: 'Changed my mind',
+        other: 'Other'
+    };
+
+    static showRequestForm(item) {
+        const form = document.getElementById('returnRequestForm');
+        if (!form) return;
+
+        form.reset();
+        document.getElementById('returnOrderItemId').value = item.id;
+        document.getElementById('returnItemTitle').textContent = item.title;
+
+        const quantity = document.getElementById('returnQuantity');
+        quantity.max = item.quantity - (item.returned_quantity || 0);
+        quantity.closest('.form-group').style.display = quantity.max > 1 ? '' : 'none';
+
+        if (!form.dataset.ready) {
+            form.dataset.ready = 'true';
+            form.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                await this.submitRequest(form);
+            });
+        }
+
+        ModalManager.openModal('returnRequestModal');
+    }
+
+    static async submitRequest(form) {
+        try {
+            Utils.showLoading('Sending your return request...');
+            const data = await Utils.makeRequest(`${API_BASE_URL}/returns`, {
+                method: 'POST',
+                body: new FormData(form)
+            });
+
+            Utils.showToast(data.message, 'success');
+            ModalManager.closeModal('returnRequestModal');
+            ModalManager.closeModal('orderDetailsModal');
+            document.dispatchEvent(new CustomEvent('ecofinds:returns-changed'));
+        } catch (error) {
+            Utils.showToast(error.message, 'error');
+        } finally {
+            Utils.hideLoading();
+        }
+    }
+
+    static renderReturns(requests) {
+        return requests.map(request => {
+            const isBuyer = request.buyer_id === currentUser.id;
+            const notes = [
+                request.seller_note ? `<div class="return-note"><strong>Seller:</strong> ${Utils.escapeHtml(request.seller_note)}</div>` : '',
+                request.escalation_note ? `<div class="return-note"><strong>Buyer (escalation):</strong> ${Utils.escapeHtml(request.escalation_note)}</div>` : '',
+                request.admin_note ? `<div class="return-note"><strong>Admin:</strong> ${Utils.escapeHtml(request.admin_note)}</div>` : ''
+            ].join('');
+
+            return `
+                <div class="return-item">
+                    <div class="return-header">
+                        <div>
+                            <h4>${Utils.escapeHtml(request.title)}${request.quantity > 1 ? ` x${request.quantity}` : ''}</h4>
+                            <div class="form-hint">
+                                Order ${Utils.escapeHtml(request.order_number)} &middot;
+                                ${isBuyer ? `sold by ${Utils.escapeHtml(request.seller_full_name || request.seller_name)}` : `bought by ${Utils.escapeHtml(request.buyer_full_name || request.buyer_name)}`}
+                                &middot; ${Utils.formatDateTime(request.created_at)}
+                            </div>
+                        </div>
+                        <span class="return-status ${request.status}">${request.status}</span>
+                    </div>
+                    <div class="return-reason">
+                        <strong>${this.REASON_LABELS[request.reason] || request.reason}</strong>
+                        ${request.details ? ` - ${Utils.escapeHtml(request.details)}` : ''}
+                    </div>
+                    ${request.images.length > 0 ? `
+                        <div class="return-images">
+                            ${request.images.map(image => `
+                                <a href="${image}" target="_blank" rel="noopener">
+                                    <img src="${Utils.imageVariant(image, 'thumb')}" alt="Return photo">
+                                </a>
+                            `).join('')}
+                        </div>
+                    ` : ''}
+                    ${notes}
+                    ${request.status === 'approved' ? `
+                        <div class="form-hint">
+                            ${request.restock === 'available' ? 'Put back on sale' : 'Not resold'}
+                            ${request.refund_amount > 0 ? ` &middot; ${Utils.formatPrice(request.refund_amount)} refunded` : ''}
+                            ${request.refund_status === 'failed' ? ' &middot; Refund failed - an admin will retry it' : ''}
+                        </div>
+                    ` : ''}
+                    ${this.renderActions(request)}
+                </div>
+            `;
+        }).join('');
+    }
+
+    static renderActions(request) {
+        if (request.actions.includes('refund')) {
+            return `
+                <div class="return-actions">
+                    <button class="btn btn-primary btn-small" onclick="ReturnsManager.retryRefund(${request.id})">Retry Refund</button>
+                </div>
+            `;
+        }
+
+        if (request.actions.includes('escalated')) {
+            return `
+                <div class="return-actions">
+                    <input type="text" id="returnNote-${request.id}" maxlength="1000" placeholder="Why should an admin take another look?">
+                    <button class="btn btn-outline btn-small" onclick="ReturnsManager.updateReturn(${request.id}, 'escalated')">Ask an Admin</button>
+                </div>
+            `;
+        }
+
+        if (!request.actions.includes('approved')) return '';
+
+        return `
+            <div class="return-actions">
+                <select id="returnRestock-${request.id}">
+                    <option value="available">Put back on sale</option>
+                    <option value="removed">Don't resell</option>
+                </select>
+                <input type="text" id="returnNote-${request.id}" maxlength="1000" placeholder="Note for the buyer (optional)">
+                <button class="btn btn-primary btn-small" onclick="ReturnsManager.updateReturn(${request.id}, 'approved')">Approve &amp; Refund</button>
+                <button class="btn btn-outline btn-small" onclick="ReturnsManager.updateReturn(${request.id}, 'rejected')">Reject</button>
+            </div>
+        `;
+    }
+
+    static async updateReturn(returnId, status) {
+        if (status === 'approved' && !confirm('Approve this return and refund the buyer?')) return;
+
+        const restock = document.getElementById(`returnRestock-${returnId}`);
+        const note = document.getElementById(`returnNote-${returnId}`);
+
+        try {
+            const data = await Utils.makeRequest(`${API_BASE_URL}/returns/${returnId}`, {
+                method: 'PUT',
+                body: JSON.stringify({
+                    status,
+                    restock: restock ? restock.value : undefined,
+                    note: note ? note.value : undefined
+                })
+            });
+
+            Utils.showToast(data.message, data.returnRequest.refund_status === 'failed' ? 'error' : 'success');
+            document.dispatchEvent(new CustomEvent('ecofinds:returns-changed'));
+        } catch (error) {
+            Utils.showToast(error.message, 'error');
+        }
+    }
+
+    static async retryRefund(returnId) {
+        try {
+            const data = await Utils.makeRequest(`${API_BASE_URL}/returns/${returnId}/refund`, { method: 'POST' });
+
+            Utils.showToast(data.message, data.returnRequest.refund_status === 'failed' ? 'error' : 'success');
+            document.dispatchEvent(new CustomEvent('ecofinds:returns-changed'));
+        } catch (error) {
+            Utils.showToast(error.message, 'error');
+        }
+    }
+}
+
+// ===== PURCHASES PAGE =====
+class PurchasesPage {
+    static STATUS_ACTION_LABELS = {
+        confirmed: 'Confirm Order',
+        shipped: 'Mark Shipped',
+        delivered: 'Mark Delivered',
+        completed: 'Confirm Receipt',
+        cancelled: 'Cancel Order',
+        refunded: 'Refund'
+    };
+
+    // Items of the open order, by id
+    static orderItems = new Map();
+
+    static init() {
+        this.setupTabs();
+        this.loadPurchaseStats();
+        this.loadPurchases();
+        this.loadReturns();
+
+        if (currentUser.role === 'seller' || currentUser.role === 'admin') {
+            this.loadSales();
+        }
+
+        // Order updates arrive as notifications - no need to reload the page
+        document.addEventListener('ecofinds:notification', (e) => {
+            if (!['order', 'sale', 'order_status', 'return'].includes(e.detail.type)) return;
+            this.refresh();
+        });
+        document.addEventListener('ecofinds:returns-changed', () => this.refresh());
+    }
+
+    static refresh() {
+        this.loadPurchases();
+        this.loadPurchaseStats();
+        this.loadReturns();
+        if (currentUser.role === 'seller' || currentUser.role === 'admin') {
+            this.loadSales();
+        }
+    }
+
+    // Returns the user asked for and, for sellers, returns of their sales
+    static async loadReturns() {
+        const returnsList = document.getElementById('returnsList');
+        const emptyReturns = document.getElementById('emptyReturns');
+
+        if (!returnsList) return;
+
+        try {
+            const data = await Utils.makeRequest(`${API_BASE_URL}/returns`);
+            const requests = currentUser.role === 'admin'
+                ? data.returns.filter(request => request.buyer_id === currentUser.id || request.seller_id === currentUser.id)
+                : data.returns;
+
+            returnsList.style.display = requests.length === 0 ? 'none' : 'block';
+            emptyReturns.style.display = requests.length === 0 ? 'block' : 'none';
+            returnsList.innerHTML = ReturnsManager.renderReturns(requests);
+        } catch (error) {
+            console.error('Failed to load returns:', error);
+        }
+    }
+
+    static setupTabs() {
+        const tabBtns = document.querySelectorAll('.tab-btn');
+        const tabContents = document.querySelectorAll('.tab-content');
+
+        tabBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                const targetTab = btn.dataset.tab;
+
+                // Update active tab button
+                tabBtns.forEach(b => b.classList.remove('active'));
+                btn.classList.add('active');
+
+                // Update active tab content
+                tabContents.forEach(content => {
+                    content.classList.remove('active');
+                    if (content.id === targetTab + 'Tab') {
+                        content.classList.add('active');
+                    }
+                });
+            });
+        });
+    }
+
+    static async loadPurchaseStats() {
+        try {
+            // Load purchase history for stats
+            const ordersData = await Utils.makeRequest(`${API_BASE_URL}/orders/history`);
+            const orders = ordersData.orders || [];
+
+            const totalOrders = orders.length;
+            const totalSpent = orders.reduce((sum, order) => sum + parseFloat(order.total_amount), 0);
+            const itemsRescued = orders.reduce((sum, order) => sum + parseInt(order.item_count), 0);
+
+            // Update stats display
+            document.getElementById('totalOrders').textContent = totalOrders;
+            document.getElementById('totalSpent').textContent = Utils.formatPrice(totalSpent);
+            document.getElementById('itemsRescued').textContent = itemsRescued;
+
+            // Load seller stats if applicable
+            if (currentUser.role === 'seller' || currentUser.role === 'admin') {
+                const salesData = await Utils.makeRequest(`${API_BASE_URL}/orders/sales/history`);
+                const totalEarnings = salesData.totalRevenue || 0;
+                document.getElementById('totalEarnings').textContent = Utils.formatPrice(totalEarnings);
+            }
+
+        } catch (error) {
+            console.error('Failed to load purchase stats:', error);
+        }
+    }
+
+    static async loadPurchases() {
+        const ordersList = document.getElementById('ordersList');
+        const emptyPurchases = document.getElementById('emptyPurchases');
+
+        if (!ordersList) return;
+
+        try {
+            const data = await Utils.makeRequest(`${API_BASE_URL}/orders/history`);
+            const orders = data.orders || [];
+
+            if (orders.length === 0) {
+                ordersList.style.display = 'none';
+                emptyPurchases.style.display = 'block';
+            } else {
                 ordersList.style.display = 'block';
                 emptyPurchases.style.display = 'none';
                 this.renderOrders(orders);
@@ -1728,13 +3592,21 @@ class PurchasesPage {
                     </div>
                     <div class="order-status ${order.status}">${order.status}</div>
                 </div>
+                ${order.status === 'pending' && order.payment_status !== 'succeeded' ? `
+                    <div class="payment-status ${order.payment_status || 'unpaid'}">
+                        ${order.payment_status === 'processing' ? 'Payment processing' : 'Awaiting payment'}
+                    </div>
+                ` : ''}
                 <div class="order-items">
                     <div class="order-summary">
                         ${order.product_titles ? order.product_titles.split(',').slice(0, 2).join(', ') : 'Items'}
                         ${order.item_count > 2 ? ` and ${order.item_count - 2} more` : ''}
                     </div>
                 </div>
-                <div class="order-total">${Utils.formatPrice(order.total_amount)}</div>
+                <div class="order-total">
+                    ${Utils.formatPrice(order.total_amount)}
+                    ${order.refunded_amount > 0 ? `<span class="order-refunded">${Utils.formatPrice(order.refunded_amount)} refunded</span>` : ''}
+                </div>
             </div>
         `).join('');
     }
@@ -1772,13 +3644,21 @@ class PurchasesPage {
                 acc[sale.order_id] = {
                     order_id: sale.order_id,
                     order_date: sale.order_date,
+                    order_status: sale.order_status,
+                    allowed_transitions: sale.allowed_transitions || [],
+                    delivery_method: sale.delivery_method,
+                    delivery_fee: sale.delivery_fee || 0,
+                    discount: 0,
+                    returned: 0,
                     buyer_name: sale.buyer_full_name || sale.buyer_name,
                     items: [],
                     total: 0
                 };
             }
             acc[sale.order_id].items.push(sale);
-            acc[sale.order_id].total += sale.price * sale.quantity;
+            acc[sale.order_id].discount += sale.discount_amount || 0;
+            acc[sale.order_id].returned += sale.returned_amount || 0;
+            acc[sale.order_id].total += sale.price * sale.quantity - (sale.discount_amount || 0) - (sale.returned_amount || 0);
             return acc;
         }, {});
 
@@ -1789,28 +3669,280 @@ class PurchasesPage {
                         <h4>Sale #${sale.order_id}</h4>
                         <div class="sale-date">${Utils.formatDateTime(sale.order_date)}</div>
                     </div>
-                    <div class="sale-status completed">completed</div>
+                    <div class="sale-status ${sale.order_status}">${sale.order_status}</div>
                 </div>
                 <div class="sale-items">
                     ${sale.items.map(item => `
                         <div class="sale-item-preview">
                             <div class="item-info">
                                 <div class="item-title">${item.title}</div>
-                                <div class="item-price">${Utils.formatPrice(item.price)} x${item.quantity}</div>
+                                <div class="item-price">
+                                    ${Utils.formatPrice(item.price)} x${item.quantity}
+                                    ${item.returned_quantity > 0 ? ` &middot; ${item.returned_quantity} returned` : ''}
+                                </div>
                             </div>
                         </div>
                     `).join('')}
                 </div>
                 <div class="sale-buyer">Sold to: ${sale.buyer_name}</div>
+                <div class="sale-delivery">
+                    ${sale.delivery_method === 'pickup'
+                        ? 'Local pickup'
+                        : `Shipping${sale.delivery_fee > 0 ? ` (+${Utils.formatPrice(sale.delivery_fee)})` : ''}`}
+                </div>
+                ${sale.discount > 0 ? `<div class="sale-delivery">Promo code discount: -${Utils.formatPrice(sale.discount)}</div>` : ''}
+                ${sale.returned > 0 ? `<div class="sale-delivery">Refunded for returns: -${Utils.formatPrice(sale.returned)}</div>` : ''}
                 <div class="sale-total">${Utils.formatPrice(sale.total)}</div>
+                ${this.renderStatusActions(sale.order_id, sale.allowed_transitions)}
+                ${sale.delivery_method === 'pickup' && sale.order_status === 'confirmed' ? `
+                    <div class="order-actions">
+                        <button class="btn btn-primary btn-small" onclick="PurchasesPage.confirmPickup(${sale.order_id})">
+                            <i class="fas fa-handshake"></i>
+                            Confirm Pickup
+                        </button>
+                    </div>
+                ` : ''}
             </div>
         `).join('');
     }
 
+    static renderStatusActions(orderId, transitions) {
+        if (!transitions || transitions.length === 0) return '';
+
+        return `
+            <div class="order-actions">
+                ${transitions.map(status => `
+                    <button class="btn ${['cancelled', 'refunded'].includes(status) ? 'btn-outline' : 'btn-primary'} btn-small"
+                            onclick="event.stopPropagation(); PurchasesPage.updateOrderStatus(${orderId}, '${status}')">
+                        ${this.STATUS_ACTION_LABELS[status] || status}
+                    </button>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // How a seller order reaches the buyer. Buyers see their pickup code until the handoff.
+    static renderDelivery(order) {
+        if (!order.delivery_method) return '';
+
+        if (order.delivery_method === 'shipping') {
+            return `
+                <div class="info-row">
+                    <strong>Delivery:</strong> Shipping ${order.delivery_fee > 0 ? Utils.formatPrice(order.delivery_fee) : '(free)'}
+                </div>
+            `;
+        }
+
+        return `
+            <div class="info-row">
+                <strong>Delivery:</strong> Local pickup
+                ${order.picked_up_at ? ` &middot; picked up ${Utils.formatDateTime(order.picked_up_at)}` : ''}
+            </div>
+            ${order.pickup_code && ['pending', 'confirmed'].includes(order.status) ? `
+                <div class="info-row">
+                    <strong>Pickup code:</strong> <span class="pickup-code">${order.pickup_code}</span>
+                    <span class="form-hint">Show this to the seller when you collect</span>
+                </div>
+            ` : ''}
+        `;
+    }
+
+    // The seller enters the code the buyer shows them at the handoff
+    static async confirmPickup(orderId) {
+        const code = prompt('Enter the pickup code the buyer shows you:');
+        if (!code) return;
+
+        try {
+            const data = await Utils.makeRequest(`${API_BASE_URL}/orders/${orderId}/pickup`, {
+                method: 'POST',
+                body: JSON.stringify({ code: code.trim() })
+            });
+
+            Utils.showToast(data.message, 'success');
+            this.loadSales();
+            this.loadPurchaseStats();
+        } catch (error) {
+            Utils.showToast(error.message, 'error');
+        }
+    }
+
+    // `canReview` is true for the buyer once the items have been delivered, which is also when
+    // they can ask to return them
+    static renderOrderItems(items, canReview = false) {
+        return `
+            <div class="order-items-detail">
+                <h5>Items Ordered:</h5>
+                ${items.map(item => `
+                    <div class="order-item-detail">
+                        <div class="item-image">
+                            <img src="${Utils.imageVariant(item.image_url, 'thumb') || 'https://via.placeholder.com/60x60'}" alt="${item.title}">
+                        </div>
+                        <div class="item-info">
+                            <div class="item-title">${item.title}</div>
+                            <div class="item-seller">Sold by ${item.seller_full_name || item.seller_name}</div>
+                            <div class="item-price">${Utils.formatPrice(item.price)} x${item.quantity}</div>
+                            ${item.review_id ? `
+                                <div class="review-stars">${ProductDetailPage.renderStars(item.review_rating)}</div>
+                            ` : canReview ? this.renderReviewForm(item) : ''}
+                            ${this.renderReturnAction(item, canReview)}
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    static renderReturnAction(item, canReturn) {
+        const returnable = item.quantity - (item.returned_quantity || 0);
+
+        if (item.return_status && (item.return_status !== 'approved' || returnable === 0 || !canReturn)) {
+            return `<span class="return-status ${item.return_status}">Return ${item.return_status}</span>`;
+        }
+        if (!canReturn || returnable === 0) return '';
+
+        return `
+            <button class="btn btn-outline btn-small" onclick="PurchasesPage.requestReturn(${item.id})">
+                <i class="fas fa-undo"></i>
+                Return Item
+            </button>
+        `;
+    }
+
+    static requestReturn(orderItemId) {
+        const item = this.orderItems.get(orderItemId);
+        if (item) ReturnsManager.showRequestForm(item);
+    }
+
+    static renderReviewForm(item) {
+        return `
+            <div class="review-form" id="reviewForm-${item.id}">
+                <select id="reviewRating-${item.id}">
+                    <option value="5">★★★★★ Excellent</option>
+                    <option value="4">★★★★ Good</option>
+                    <option value="3">★★★ Okay</option>
+                    <option value="2">★★ Poor</option>
+                    <option value="1">★ Bad</option>
+                </select>
+                <textarea id="reviewComment-${item.id}" rows="2" maxlength="2000" placeholder="How was the item and the seller?"></textarea>
+                <button class="btn btn-primary btn-small" onclick="PurchasesPage.submitReview(${item.id})">Leave Review</button>
+            </div>
+        `;
+    }
+
+    static async submitReview(orderItemId) {
+        const rating = parseInt(document.getElementById(`reviewRating-${orderItemId}`).value);
+        const comment = document.getElementById(`reviewComment-${orderItemId}`).value;
+
+        try {
+            const data = await Utils.makeRequest(`${API_BASE_URL}/reviews`, {
+                method: 'POST',
+                body: JSON.stringify({ orderItemId, rating, comment })
+            });
+
+            Utils.showToast(data.message, 'success');
+            const form = document.getElementById(`reviewForm-${orderItemId}`);
+            if (form) form.outerHTML = `<div class="review-stars">${ProductDetailPage.renderStars(rating)}</div>`;
+        } catch (error) {
+            Utils.showToast(error.message, 'error');
+        }
+    }
+
+    static renderTimeline(history) {
+        if (!history || history.length === 0) return '';
+
+        return `
+            <div class="order-timeline">
+                <h5>Order Timeline:</h5>
+                ${history.map(entry => `
+                    <div class="timeline-entry">
+                        <div class="timeline-dot ${entry.to_status}"></div>
+                        <div class="timeline-content">
+                            <div class="timeline-status">${entry.to_status}</div>
+                            <div class="timeline-meta">
+                                ${Utils.formatDateTime(entry.created_at)}
+                                ${entry.changed_by_name ? ` &middot; ${Utils.escapeHtml(entry.changed_by_full_name || entry.changed_by_name)}` : ''}
+                            </div>
+                            ${entry.note ? `<div class="timeline-note">${Utils.escapeHtml(entry.note)}</div>` : ''}
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // Buyers can pay (or retry a failed payment) while their order is pending
+    static renderPaymentForm(order) {
+        const payment = order.payment;
+        if (order.user_id !== currentUser.id || order.parent_order_id || order.status !== 'pending') return '';
+        if (payment && ['processing', 'succeeded'].includes(payment.status)) return '';
+
+        return `
+            <div class="payment-form">
+                ${payment && payment.failure_reason ? `<p class="payment-error">Last attempt failed: ${payment.failure_reason}</p>` : ''}
+                <div class="form-group">
+                    <label for="orderPaymentMethod">Payment Method</label>
+                    <select id="orderPaymentMethod"></select>
+                </div>
+                <button class="btn btn-primary" onclick="PurchasesPage.payForOrder(${order.id})">
+                    <i class="fas fa-credit-card"></i>
+                    Pay ${Utils.formatPrice(payment ? payment.amount : order.total_amount)}
+                </button>
+            </div>
+        `;
+    }
+
+    static async payForOrder(orderId) {
+        const select = document.getElementById('orderPaymentMethod');
+        if (!select || !select.value) {
+            Utils.showToast('Please choose a payment method', 'warning');
+            return;
+        }
+
+        try {
+            Utils.showLoading('Processing your payment...');
+            const payment = await PaymentManager.payOrder(orderId, select.value);
+            Utils.hideLoading();
+
+            PaymentManager.showResult(payment);
+            ModalManager.closeModal('orderDetailsModal');
+            this.loadPurchases();
+        } catch (error) {
+            Utils.hideLoading();
+            Utils.showToast(error.message, 'error');
+        }
+    }
+
+    static async updateOrderStatus(orderId, status) {
+        const label = this.STATUS_ACTION_LABELS[status] || status;
+        if (['cancelled', 'refunded'].includes(status) && !confirm(`${label}? This cannot be undone.`)) return;
+
+        try {
+            const data = await Utils.makeRequest(`${API_BASE_URL}/orders/${orderId}/status`, {
+                method: 'PUT',
+                body: JSON.stringify({ status })
+            });
+
+            Utils.showToast(data.message, 'success');
+            ModalManager.closeModal('orderDetailsModal');
+            this.loadPurchases();
+            this.loadPurchaseStats();
+
+            if (currentUser.role === 'seller' || currentUser.role === 'admin') {
+                this.loadSales();
+            }
+        } catch (error) {
+            Utils.showToast(error.message, 'error');
+        }
+    }
+
     static async showOrderDetails(orderId) {
         try {
             const data = await Utils.makeRequest(`${API_BASE_URL}/orders/${orderId}`);
             const order = data.order;
+            const isBuyer = order.user_id === currentUser.id;
+
+            // Kept for the return form
+            this.orderItems = new Map(order.items.map(item => [item.id, item]));
 
             const orderDetailsContent = document.getElementById('orderDetailsContent');
             if (orderDetailsContent) {
@@ -1828,36 +3960,198 @@ class PurchasesPage {
                             <div class="info-row">
                                 <strong>Total Amount:</strong> ${Utils.formatPrice(order.total_amount)}
                             </div>
-                            <div class="info-row">
-                                <strong>Shipping Address:</strong> ${order.shipping_address}
-                            </div>
+                            ${order.refunded_amount > 0 ? `
+                                <div class="info-row">
+                                    <strong>Refunded:</strong> ${Utils.formatPrice(order.refunded_amount)}
+                                </div>
+                            ` : ''}
+                            ${order.discount_amount > 0 ? `
+                                <div class="info-row">
+                                    <strong>Promo Code:</strong> ${Utils.escapeHtml(order.promotion_code || '')} (-${Utils.formatPrice(order.discount_amount)})
+                                </div>
+                            ` : ''}
+                            ${order.delivery_address ? `
+                                <div class="info-row">
+                                    <strong>Shipping Address:</strong> ${order.delivery_address}
+                                </div>
+                            ` : ''}
+                            ${order.payment ? `
+                                <div class="info-row">
+                                    <strong>Payment:</strong>
+                                    <span class="payment-status ${order.payment.status}">${order.payment.status.replace('_', ' ')}</span>
+                                    ${order.payment.refunded_amount > 0 ? `(${Utils.formatPrice(order.payment.refunded_amount)} refunded)` : ''}
+                                </div>
+                            ` : ''}
                         </div>
 
-                        <div class="order-items-detail">
-                            <h5>Items Ordered:</h5>
-                            ${order.items.map(item => `
-                                <div class="order-item-detail">
-                                    <div class="item-image">
-                                        <img src="${item.image_url || 'https://via.placeholder.com/60x60'}" alt="${item.title}">
-                                    </div>
-                                    <div class="item-info">
-                                        <div class="item-title">${item.title}</div>
-                                        <div class="item-seller">Sold by ${item.seller_full_name || item.seller_name}</div>
-                                        <div class="item-price">${Utils.formatPrice(item.price)} x${item.quantity}</div>
+                        ${this.renderPaymentForm(order)}
+
+                        ${order.subOrders && order.subOrders.length > 0 ? order.subOrders.map(subOrder => `
+                            <div class="sub-order">
+                                <div class="sub-order-header">
+                                    <h5>From ${subOrder.seller_full_name || subOrder.seller_name}</h5>
+                                    <div class="order-status ${subOrder.status}">${subOrder.status}</div>
+                                </div>
+                                ${this.renderOrderItems(subOrder.items, isBuyer && ['delivered', 'completed'].includes(subOrder.status))}
+                                ${this.renderDelivery(subOrder)}
+                                ${subOrder.discount_amount > 0 ? `
+                                    <div class="info-row">
+                                        <strong>Discount:</strong> -${Utils.formatPrice(subOrder.discount_amount)}
                                     </div>
+                                ` : ''}
+                                <div class="info-row">
+                                    <strong>Subtotal:</strong> ${Utils.formatPrice(subOrder.total_amount)}
+                                    ${subOrder.refunded_amount > 0 ? ` (${Utils.formatPrice(subOrder.refunded_amount)} refunded)` : ''}
                                 </div>
-                            `).join('')}
-                        </div>
+                                ${this.renderTimeline(subOrder.history)}
+                                ${this.renderStatusActions(subOrder.id, subOrder.allowedTransitions)}
+                            </div>
+                        `).join('') : `
+                            ${this.renderOrderItems(order.items, isBuyer && ['delivered', 'completed'].includes(order.status))}
+                            ${this.renderDelivery(order)}
+                            ${this.renderTimeline(order.history)}
+                            ${this.renderStatusActions(order.id, order.allowedTransitions)}
+                        `}
+                    </div>
+                `;
+            }
+
+            ModalManager.openModal('orderDetailsModal');
+            PaymentManager.loadMethods(document.getElementById('orderPaymentMethod'));
+
+        } catch (error) {
+            Utils.showToast('Failed to load order details', 'error');
+        }
+    }
+}
+
+// ===== MESSAGES PAGE =====
+class MessagesPage {
+    static activeConversationId = null;
+
+    static init() {
+        this.setupMessageForm();
+        this.loadConversations();
+
+        const conversationId = new URLSearchParams(window.location.search).get('conversation');
+        if (conversationId) {
+            this.openConversation(parseInt(conversationId));
+        }
+
+        // Pick up replies as soon as they are pushed
+        document.addEventListener('ecofinds:notification', (e) => {
+            if (e.detail.type !== 'message') return;
+
+            this.loadConversations();
+            if (this.activeConversationId) this.openConversation(this.activeConversationId, true);
+        });
+    }
+
+    static async loadConversations() {
+        const list = document.getElementById('conversationList');
+        if (!list) return;
+
+        try {
+            const data = await Utils.makeRequest(`${API_BASE_URL}/messages`);
+            const conversations = data.conversations || [];
+
+            if (conversations.length === 0) {
+                list.innerHTML = `
+                    <div class="empty-state">
+                        <i class="fas fa-inbox"></i>
+                        <p>No conversations yet</p>
                     </div>
                 `;
+                return;
             }
 
-            ModalManager.openModal('orderDetailsModal');
+            list.innerHTML = conversations.map(conversation => `
+                <div class="conversation-item ${conversation.id === this.activeConversationId ? 'active' : ''}"
+                     onclick="MessagesPage.openConversation(${conversation.id})">
+                    <img src="${Utils.imageVariant(conversation.image_url, 'thumb') || 'https://via.placeholder.com/48x48'}" alt="${conversation.title}">
+                    <div class="conversation-summary">
+                        <div class="conversation-title">${conversation.title}</div>
+                        <div class="conversation-party">
+                            ${conversation.my_role === 'buyer' ? 'Seller' : 'Buyer'}: ${conversation.other_full_name || conversation.other_name}
+                        </div>
+                        <div class="conversation-preview">${Utils.escapeHtml(conversation.last_message || '')}</div>
+                    </div>
+                    ${conversation.unread_count > 0 ? `<span class="cart-count">${conversation.unread_count}</span>` : ''}
+                </div>
+            `).join('');
+
+        } catch (error) {
+            Utils.showToast('Failed to load conversations', 'error');
+            console.error('Failed to load conversations:', error);
+        }
+    }
+
+    static async openConversation(conversationId, quiet = false) {
+        try {
+            const data = await Utils.makeRequest(`${API_BASE_URL}/messages/${conversationId}`);
+            const { conversation, messages } = data;
+            const isBuyer = conversation.buyer_id === currentUser.id;
+
+            this.activeConversationId = conversation.id;
+            document.getElementById('noConversationSelected').style.display = 'none';
+            document.getElementById('conversationPanel').style.display = '';
+
+            document.getElementById('conversationHeader').innerHTML = `
+                <a href="product_detail.html?id=${conversation.product_id}" class="conversation-product">
+                    <img src="${Utils.imageVariant(conversation.image_url, 'thumb') || 'https://via.placeholder.com/48x48'}" alt="${conversation.title}">
+                    <div>
+                        <strong>${conversation.title}</strong>
+                        <div>${Utils.formatPrice(conversation.price)} · ${conversation.product_status}</div>
+                    </div>
+                </a>
+                <div class="conversation-party">
+                    with ${isBuyer ? (conversation.seller_full_name || conversation.seller_name) : (conversation.buyer_full_name || conversation.buyer_name)}
+                </div>
+            `;
+
+            const thread = document.getElementById('messageThread');
+            thread.innerHTML = messages.map(message => `
+                <div class="chat-message ${message.sender_id === currentUser.id ? 'mine' : 'theirs'}">
+                    <div class="chat-bubble">${Utils.escapeHtml(message.body)}</div>
+                    <div class="chat-time">${Utils.formatDateTime(message.created_at)}</div>
+                </div>
+            `).join('');
+            thread.scrollTop = thread.scrollHeight;
+
+            // Opening a conversation marks it as read
+            if (!quiet) {
+                this.loadConversations();
+            }
+            NavManager.updateUnreadMessages();
 
         } catch (error) {
-            Utils.showToast('Failed to load order details', 'error');
+            if (!quiet) Utils.showToast(error.message, 'error');
         }
     }
+
+    static setupMessageForm() {
+        const form = document.getElementById('messageForm');
+        if (!form) return;
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            if (!this.activeConversationId) return;
+
+            const input = document.getElementById('messageBody');
+
+            try {
+                await Utils.makeRequest(`${API_BASE_URL}/messages/${this.activeConversationId}`, {
+                    method: 'POST',
+                    body: JSON.stringify({ body: input.value })
+                });
+
+                input.value = '';
+                this.openConversation(this.activeConversationId);
+            } catch (error) {
+                Utils.showToast(error.message, 'error');
+            }
+        });
+    }
 }
 
 // ===== USER DASHBOARD PAGE =====
@@ -1920,22 +4214,428 @@ class UserDashboardPage {
                             <i class="fas fa-info-circle"></i>
                         </div>
                         <div class="activity-content">
-                            <p>No recent activity. Start shopping to see your activity here!</p>
-                            <span class="activity-time">Welcome</span>
+                            <p>No recent activity. Start shopping to see your activity here!</p>
+                            <span class="activity-time">Welcome</span>
+                        </div>
+                    </div>
+                `;
+                return;
+            }
+
+            container.innerHTML = orders.slice(0, 5).map(order => `
+                <div class="activity-item">
+                    <div class="activity-icon">
+                        <i class="fas fa-shopping-bag"></i>
+                    </div>
+                    <div class="activity-content">
+                        <p>Order #${order.id} - ${Utils.formatPrice(order.total_amount)}</p>
+                        <span class="activity-time">${Utils.formatDate(order.created_at)}</span>
+                    </div>
+                </div>
+            `).join('');
+
+        } catch (error) {
+            console.error('Failed to load recent activity:', error);
+        }
+    }
+}
+
+// ===== PROMOTIONS =====
+// Promo codes, managed from the seller dashboard (own listings) and the admin dashboard (marketplace-wide)
+class PromotionsManager {
+    static async showModal() {
+        ModalManager.openModal('promotionsModal');
+        this.setupForm();
+        await CategoryManager.populateSelect(document.getElementById('promotionCategory'));
+        this.loadPromotions();
+    }
+
+    static setupForm() {
+        const form = document.getElementById('promotionForm');
+        if (!form || form.dataset.ready) return;
+
+        form.dataset.ready = 'true';
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.createPromotion(form);
+        });
+    }
+
+    static describeDiscount(promotion) {
+        const amount = promotion.discount_type === 'percentage'
+            ? `${promotion.discount_value}% off`
+            : `${Utils.formatPrice(promotion.discount_value)} off`;
+        const scope = [
+            promotion.seller_name && currentUser.role === 'admin' ? `${promotion.seller_name}'s listings` : null,
+            promotion.category_name ? `in ${promotion.category_name}` : null,
+            promotion.min_cart_value ? `over ${Utils.formatPrice(promotion.min_cart_value)}` : null
+        ].filter(Boolean);
+        return scope.length > 0 ? `${amount} ${scope.join(', ')}` : amount;
+    }
+
+    static async loadPromotions() {
+        const list = document.getElementById('promotionsList');
+        if (!list) return;
+
+        try {
+            const data = await Utils.makeRequest(`${API_BASE_URL}/promotions`);
+
+            list.innerHTML = data.promotions.length === 0 ? '<p class="form-hint">No promo codes yet.</p>' : data.promotions.map(promotion => `
+                <div class="promotion-item ${promotion.is_active ? '' : 'paused'}">
+                    <div class="promotion-info">
+                        <strong class="promotion-code">${Utils.escapeHtml(promotion.code)}</strong>
+                        <span>${Utils.escapeHtml(this.describeDiscount(promotion))}</span>
+                        <span class="form-hint">
+                            Used ${promotion.use_count}${promotion.max_uses ? ` of ${promotion.max_uses}` : ''} times
+                            ${promotion.max_uses_per_user ? ` &middot; ${promotion.max_uses_per_user} per buyer` : ''}
+                            ${promotion.ends_at ? ` &middot; ends ${Utils.formatDateTime(`${promotion.ends_at.replace(' ', 'T')}Z`)}` : ''}
+                            ${promotion.is_active ? '' : ' &middot; paused'}
+                        </span>
+                    </div>
+                    <div class="promotion-actions">
+                        <button type="button" class="btn btn-outline btn-small" onclick="PromotionsManager.setActive(${promotion.id}, ${!promotion.is_active})">
+                            ${promotion.is_active ? 'Pause' : 'Resume'}
+                        </button>
+                        ${promotion.use_count === 0 ? `
+                            <button type="button" class="remove-item-btn" title="Delete code" onclick="PromotionsManager.deletePromotion(${promotion.id})">
+                                <i class="fas fa-trash"></i>
+                            </button>
+                        ` : ''}
+                    </div>
+                </div>
+            `).join('');
+        } catch (error) {
+            Utils.showToast('Failed to load promotions', 'error');
+        }
+    }
+
+    // Dates are picked in local time and sent as UTC
+    static async createPromotion(form) {
+        const value = id => document.getElementById(id).value;
+        const toUtc = date => (date ? new Date(date).toISOString() : null);
+
+        try {
+            const data = await Utils.makeRequest(`${API_BASE_URL}/promotions`, {
+                method: 'POST',
+                body: JSON.stringify({
+                    code: value('promotionCode'),
+                    description: value('promotionDescription'),
+                    discountType: value('promotionType'),
+                    discountValue: value('promotionValue'),
+                    minCartValue: value('promotionMinCart'),
+                    maxUses: value('promotionMaxUses'),
+                    maxUsesPerUser: value('promotionMaxPerUser'),
+                    startsAt: toUtc(value('promotionStarts')),
+                    endsAt: toUtc(value('promotionEnds')),
+                    categoryId: value('promotionCategory')
+                })
+            });
+
+            Utils.showToast(data.message, 'success');
+            form.reset();
+            this.loadPromotions();
+        } catch (error) {
+            Utils.showToast(error.message, 'error');
+        }
+    }
+
+    static async setActive(promotionId, isActive) {
+        try {
+            const data = await Utils.makeRequest(`${API_BASE_URL}/promotions/${promotionId}`, {
+                method: 'PUT',
+                body: JSON.stringify({ isActive })
+            });
+            Utils.showToast(data.message, 'success');
+            this.loadPromotions();
+        } catch (error) {
+            Utils.showToast(error.message, 'error');
+        }
+    }
+
+    static async deletePromotion(promotionId) {
+        if (!confirm('Delete this promo code?')) return;
+
+        try {
+            const data = await Utils.makeRequest(`${API_BASE_URL}/promotions/${promotionId}`, { method: 'DELETE' });
+            Utils.showToast(data.message, 'success');
+            this.loadPromotions();
+        } catch (error) {
+            Utils.showToast(error.message, 'error');
+        }
+    }
+}
+
+// ===== SELLER DASHBOARD PAGE =====
+class SellerDashboardPage {
+    static init() {
+        this.loadSellerStats();
+        this.loadRecentListings();
+        this.loadSalesPerformance();
+    }
+
+    static async loadSellerStats() {
+        try {
+            // Load seller's products
+            const productsData = await Utils.makeRequest(`${API_BASE_URL}/products/seller/${currentUser.id}`);
+            const products = productsData.products || [];
+
+            const totalListings = products.filter(p => p.status === 'available').length;
+            const soldItems = products.filter(p => p.status === 'sold').length;
+            const totalViews = products.reduce((sum, p) => sum + (p.views || 0), 0);
+
+            // Load sales data for earnings
+            const salesData = await Utils.makeRequest(`${API_BASE_URL}/orders/sales/history`);
+            const totalEarnings = salesData.totalRevenue || 0;
+
+            // Update stats display
+            document.getElementById('totalListings').textContent = totalListings;
+            document.getElementById('totalEarnings').textContent = Utils.formatPrice(totalEarnings);
+            document.getElementById('soldItems').textContent = soldItems;
+            document.getElementById('totalViews').textContent = totalViews;
+
+        } catch (error) {
+            console.error('Failed to load seller stats:', error);
+        }
+    }
+
+    static async loadRecentListings() {
+        const container = document.getElementById('recentListings');
+        if (!container) return;
+
+        try {
+            const data = await Utils.makeRequest(`${API_BASE_URL}/products/seller/${currentUser.id}?limit=6`);
+            const products = data.products || [];
+
+            container.innerHTML = products.map(product =>
+                DashboardPage.createProductCard(product)
+            ).join('');
+
+        } catch (error) {
+            console.error('Failed to load recent listings:', error);
+        }
+    }
+
+    static async loadSalesPerformance() {
+        try {
+            const salesData = await Utils.makeRequest(`${API_BASE_URL}/orders/sales/history`);
+
+            // Update performance stats
+            document.getElementById('monthlySales').textContent = Utils.formatPrice(salesData.monthlyRevenue || 0);
+            document.getElementById('monthlyItems').textContent = salesData.monthlyItems || 0;
+            document.getElementById('totalRevenue').textContent = Utils.formatPrice(salesData.totalRevenue || 0);
+            document.getElementById('totalSold').textContent = salesData.totalItems || 0;
+
+        } catch (error) {
+            console.error('Failed to load sales performance:', error);
+        }
+    }
+
+    static async showShippingRatesModal() {
+        ModalManager.openModal('shippingRatesModal');
+
+        try {
+            const data = await Utils.makeRequest(`${API_BASE_URL}/shipping/rates`);
+            const list = document.getElementById('shippingRatesList');
+            list.innerHTML = '';
+            data.rates.forEach(rate => this.addShippingRateRow(rate));
+            if (data.rates.length === 0) this.addShippingRateRow();
+        } catch (error) {
+            Utils.showToast('Failed to load shipping rates', 'error');
+        }
+    }
+
+    static addShippingRateRow(rate = {}) {
+        const list = document.getElementById('shippingRatesList');
+        if (!list) return;
+
+        const row = document.createElement('div');
+        row.className = 'shipping-rate-row';
+        row.innerHTML = `
+            <div class="form-group">
+                <label>Up to (lb)</label>
+                <input type="number" class="rate-max-weight" min="0" step="0.1" value="${rate.max_weight !== undefined ? rate.max_weight : ''}">
+            </div>
+            <div class="form-group">
+                <label>Fee ($)</label>
+                <input type="number" class="rate-fee" min="0" step="0.01" value="${rate.fee !== undefined ? rate.fee : ''}">
+            </div>
+            <button type="button" class="remove-item-btn" title="Remove band" onclick="this.parentElement.remove()">
+                <i class="fas fa-trash"></i>
+            </button>
+        `;
+        list.appendChild(row);
+    }
+
+    // Empty rows are ignored, so removing every band turns weight-based pricing off
+    static async saveShippingRates() {
+        const rates = Array.from(document.querySelectorAll('#shippingRatesList .shipping-rate-row'))
+            .map(row => ({
+                maxWeight: row.querySelector('.rate-max-weight').value,
+                fee: row.querySelector('.rate-fee').value
+            }))
+            .filter(rate => rate.maxWeight !== '' || rate.fee !== '');
+
+        try {
+            const data = await Utils.makeRequest(`${API_BASE_URL}/shipping/rates`, {
+                method: 'PUT',
+                body: JSON.stringify({ rates })
+            });
+
+            Utils.showToast(data.message, 'success');
+            ModalManager.closeModal('shippingRatesModal');
+        } catch (error) {
+            Utils.showToast(error.message, 'error');
+        }
+    }
+
+    static async showPayoutsModal() {
+        ModalManager.openModal('payoutsModal');
+
+        const form = document.getElementById('payoutForm');
+        if (form && !form.dataset.ready) {
+            form.dataset.ready = 'true';
+            form.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                await this.requestPayout(form);
+            });
+        }
+
+        this.loadPayouts();
+    }
+
+    // Sales are credited once the buyer completes the order, less the platform's commission
+    static async loadPayouts() {
+        try {
+            const data = await Utils.makeRequest(`${API_BASE_URL}/payouts/balance`);
+
+            document.getElementById('payoutBalance').textContent = Utils.formatPrice(data.balance);
+            document.getElementById('payoutPending').textContent = Utils.formatPrice(data.pendingPayouts);
+            document.getElementById('payoutAvailable').textContent = Utils.formatPrice(data.available);
+            document.getElementById('payoutCommissionNote').textContent =
+                `Completed orders are added to your balance after a ${Math.round(data.commissionRate * 1000) / 10}% platform commission on the items. Refunds are taken back off it.`;
+
+            document.getElementById('payoutRequestsList').innerHTML = data.payouts.length === 0
+                ? '<p class="form-hint">No payout requests yet.</p>'
+                : data.payouts.map(payout => `
+                    <div class="payout-item">
+                        <div>
+                            <strong>${Utils.formatPrice(payout.amount)}</strong>
+                            <span class="form-hint">Requested ${Utils.formatDateTime(payout.requested_at)}</span>
+                            ${payout.note ? `<span class="form-hint">${Utils.escapeHtml(payout.note)}</span>` : ''}
+                        </div>
+                        <span class="payout-status ${payout.status}">${payout.status}</span>
+                    </div>
+                `).join('');
+
+            document.getElementById('ledgerEntriesList').innerHTML = data.entries.length === 0
+                ? '<p class="form-hint">Nothing yet - completed sales will show up here.</p>'
+                : data.entries.map(entry => `
+                    <div class="ledger-entry">
+                        <div>
+                            <span>${Utils.escapeHtml(entry.description || entry.type)}</span>
+                            <span class="form-hint">${Utils.formatDateTime(entry.created_at)}</span>
+                        </div>
+                        <strong class="${entry.amount < 0 ? 'ledger-debit' : 'ledger-credit'}">
+                            ${entry.amount < 0 ? '-' : '+'}${Utils.formatPrice(Math.abs(entry.amount))}
+                        </strong>
+                    </div>
+                `).join('');
+        } catch (error) {
+            Utils.showToast('Failed to load your balance', 'error');
+        }
+    }
+
+    static async requestPayout(form) {
+        try {
+            const data = await Utils.makeRequest(`${API_BASE_URL}/payouts`, {
+                method: 'POST',
+                body: JSON.stringify({ amount: document.getElementById('payoutAmount').value })
+            });
+
+            Utils.showToast(data.message, 'success');
+            form.reset();
+            this.loadPayouts();
+        } catch (error) {
+            Utils.showToast(error.message, 'error');
+        }
+    }
+}
+
+// ===== ADMIN DASHBOARD PAGE =====
+class AdminDashboardPage {
+    static init() {
+        this.loadAdminStats();
+        this.loadRecentActivity();
+        this.loadUserBreakdown();
+        this.setupCategoryForms();
+    }
+
+    static usersPage = 1;
+    static returnsListening = false;
+    static categories = [];
+
+    static async loadAdminStats() {
+        try {
+            const stats = await Utils.makeRequest(`${API_BASE_URL}/admin/stats`);
+
+            // Update stats display
+            document.getElementById('totalUsers').textContent = stats.users.total;
+            document.getElementById('totalProducts').textContent = stats.products.total;
+            document.getElementById('totalOrders').textContent = stats.orders.total;
+            document.getElementById('totalRevenue').textContent = Utils.formatPrice(stats.orders.revenue);
+
+        } catch (error) {
+            console.error('Failed to load admin stats:', error);
+            // Fallback to basic stats
+            this.loadBasicStats();
+        }
+    }
+
+    static async loadBasicStats() {
+        try {
+            const productsData = await Utils.makeRequest(`${API_BASE_URL}/products`);
+            const products = productsData.products || [];
+
+            document.getElementById('totalProducts').textContent = products.length;
+            document.getElementById('totalUsers').textContent = '-';
+            document.getElementById('totalOrders').textContent = '-';
+            document.getElementById('totalRevenue').textContent = '-';
+        } catch (error) {
+            console.error('Failed to load basic stats:', error);
+        }
+    }
+
+    static async loadRecentActivity() {
+        const container = document.getElementById('recentActivity');
+        if (!container) return;
+
+        try {
+            const data = await Utils.makeRequest(`${API_BASE_URL}/admin/orders?limit=5`);
+            const orders = data.orders || [];
+
+            if (orders.length === 0) {
+                container.innerHTML = `
+                    <div class="activity-item">
+                        <div class="activity-icon">
+                            <i class="fas fa-info-circle"></i>
+                        </div>
+                        <div class="activity-content">
+                            <p>Platform monitoring active. No orders yet.</p>
+                            <span class="activity-time">System Status</span>
                         </div>
                     </div>
                 `;
                 return;
             }
 
-            container.innerHTML = orders.slice(0, 5).map(order => `
+            container.innerHTML = orders.map(order => `
                 <div class="activity-item">
                     <div class="activity-icon">
                         <i class="fas fa-shopping-bag"></i>
                     </div>
                     <div class="activity-content">
-                        <p>Order #${order.id} - ${Utils.formatPrice(order.total_amount)}</p>
-                        <span class="activity-time">${Utils.formatDate(order.created_at)}</span>
+                        <p>Order #${order.id} by ${order.buyer_full_name || order.buyer_name} - ${Utils.formatPrice(order.total_amount)}</p>
+                        <span class="activity-time">${Utils.formatDateTime(order.created_at)}</span>
                     </div>
                 </div>
             `).join('');
@@ -1944,197 +4644,492 @@ class UserDashboardPage {
             console.error('Failed to load recent activity:', error);
         }
     }
-}
-
-// ===== SELLER DASHBOARD PAGE =====
-class SellerDashboardPage {
-    static init() {
-        this.loadSellerStats();
-        this.loadRecentListings();
-        this.loadSalesPerformance();
-    }
 
-    static async loadSellerStats() {
+    static async loadUserBreakdown() {
         try {
-            // Load seller's products
-            const productsData = await Utils.makeRequest(`${API_BASE_URL}/products/seller/${currentUser.id}`);
-            const products = productsData.products || [];
+            const stats = await Utils.makeRequest(`${API_BASE_URL}/admin/stats`);
+            const byRole = stats.users.byRole;
+            const byStatus = stats.products.byStatus;
 
-            const totalListings = products.filter(p => p.status === 'available').length;
-            const soldItems = products.filter(p => p.status === 'sold').length;
-            const totalViews = products.reduce((sum, p) => sum + (p.views || 0), 0);
+            document.getElementById('totalBuyers').textContent = byRole.user || 0;
+            document.getElementById('totalSellers').textContent = byRole.seller || 0;
+            document.getElementById('totalAdmins').textContent = byRole.admin || 0;
 
-            // Load sales data for earnings
-            const salesData = await Utils.makeRequest(`${API_BASE_URL}/orders/sales/history`);
-            const totalEarnings = salesData.totalRevenue || 0;
+            const activeListings = byStatus.available || 0;
+            const soldItems = byStatus.sold || 0;
+            const successRate = activeListings + soldItems > 0 ? Math.round((soldItems / (activeListings + soldItems)) * 100) : 0;
 
-            // Update stats display
-            document.getElementById('totalListings').textContent = totalListings;
-            document.getElementById('totalEarnings').textContent = Utils.formatPrice(totalEarnings);
+            document.getElementById('activeListings').textContent = activeListings;
             document.getElementById('soldItems').textContent = soldItems;
-            document.getElementById('totalViews').textContent = totalViews;
+            document.getElementById('successRate').textContent = successRate + '%';
 
         } catch (error) {
-            console.error('Failed to load seller stats:', error);
+            console.error('Failed to load user breakdown:', error);
         }
     }
 
-    static async loadRecentListings() {
-        const container = document.getElementById('recentListings');
-        if (!container) return;
+    static showUsersModal() {
+        ModalManager.openModal('usersModal');
+        this.loadUsers(1);
+    }
+
+    static async loadUsers(page = this.usersPage) {
+        const usersList = document.getElementById('usersList');
+        if (!usersList) return;
 
         try {
-            const data = await Utils.makeRequest(`${API_BASE_URL}/products/seller/${currentUser.id}?limit=6`);
-            const products = data.products || [];
+            const data = await Utils.makeRequest(`${API_BASE_URL}/admin/users?page=${page}&limit=10`);
+            const { users, pagination } = data;
+            this.usersPage = pagination.page;
 
-            container.innerHTML = products.map(product =>
-                DashboardPage.createProductCard(product)
-            ).join('');
+            usersList.innerHTML = users.map(user => `
+                <div class="user-item ${user.status === 'suspended' ? 'suspended' : ''}">
+                    <div class="user-info">
+                        <strong>${user.email}</strong>
+                        <span>${user.full_name || user.username}</span>
+                        ${user.status === 'suspended' ? `<span class="user-status suspended">Suspended</span>` : ''}
+                    </div>
+                    <div class="user-admin-actions">
+                        <select onchange="AdminDashboardPage.changeRole(${user.id}, this.value)" ${user.id === currentUser.id ? 'disabled' : ''}>
+                            ${['user', 'seller', 'admin'].map(role => `
+                                <option value="${role}" ${user.role === role ? 'selected' : ''}>${role.charAt(0).toUpperCase() + role.slice(1)}</option>
+                            `).join('')}
+                        </select>
+                        ${user.id !== currentUser.id ? `
+                            <button class="btn btn-outline btn-small" onclick="AdminDashboardPage.toggleSuspension(${user.id}, '${user.status}')">
+                                ${user.status === 'suspended' ? 'Reactivate' : 'Suspend'}
+                            </button>
+                        ` : ''}
+                    </div>
+                </div>
+            `).join('') + `
+                <div class="pagination-controls">
+                    <button class="btn btn-outline btn-small" ${pagination.page <= 1 ? 'disabled' : ''}
+                            onclick="AdminDashboardPage.loadUsers(${pagination.page - 1})">Previous</button>
+                    <span>Page ${pagination.page} of ${Math.max(pagination.totalPages, 1)}</span>
+                    <button class="btn btn-outline btn-small" ${pagination.page >= pagination.totalPages ? 'disabled' : ''}
+                            onclick="AdminDashboardPage.loadUsers(${pagination.page + 1})">Next</button>
+                </div>
+            `;
 
         } catch (error) {
-            console.error('Failed to load recent listings:', error);
+            Utils.showToast('Failed to load users', 'error');
+            console.error('Failed to load users:', error);
         }
     }
 
-    static async loadSalesPerformance() {
+    static async changeRole(userId, role) {
         try {
-            const salesData = await Utils.makeRequest(`${API_BASE_URL}/orders/sales/history`);
-
-            // Update performance stats
-            document.getElementById('monthlySales').textContent = Utils.formatPrice(salesData.monthlyRevenue || 0);
-            document.getElementById('monthlyItems').textContent = salesData.monthlyItems || 0;
-            document.getElementById('totalRevenue').textContent = Utils.formatPrice(salesData.totalRevenue || 0);
-            document.getElementById('totalSold').textContent = salesData.totalItems || 0;
+            await Utils.makeRequest(`${API_BASE_URL}/admin/users/${userId}/role`, {
+                method: 'PUT',
+                body: JSON.stringify({ role })
+            });
 
+            Utils.showToast('User role updated', 'success');
+            this.loadUserBreakdown();
         } catch (error) {
-            console.error('Failed to load sales performance:', error);
+            Utils.showToast(error.message, 'error');
+            this.loadUsers();
         }
     }
-}
 
-// ===== ADMIN DASHBOARD PAGE =====
-class AdminDashboardPage {
-    static init() {
-        this.loadAdminStats();
-        this.loadRecentActivity();
-        this.loadUserBreakdown();
-    }
+    static async toggleSuspension(userId, currentStatus) {
+        const status = currentStatus === 'suspended' ? 'active' : 'suspended';
+        let reason = null;
+
+        if (status === 'suspended') {
+            reason = prompt('Reason for suspension (optional):');
+            if (reason === null) return;
+        }
 
-    static async loadAdminStats() {
         try {
-            // Load all users
-            const usersData = await Utils.makeRequest(`${API_BASE_URL}/admin/users`);
-            const users = usersData.users || [];
+            const data = await Utils.makeRequest(`${API_BASE_URL}/admin/users/${userId}/status`, {
+                method: 'PUT',
+                body: JSON.stringify({ status, reason })
+            });
 
-            // Load all products
-            const productsData = await Utils.makeRequest(`${API_BASE_URL}/products`);
-            const products = productsData.products || [];
+            Utils.showToast(data.message, 'success');
+            this.loadUsers();
+        } catch (error) {
+            Utils.showToast(error.message, 'error');
+        }
+    }
 
-            // Load all orders
-            const ordersData = await Utils.makeRequest(`${API_BASE_URL}/admin/orders`);
-            const orders = ordersData.orders || [];
+    static showPayoutsModal() {
+        ModalManager.openModal('payoutsModal');
+        this.loadPayouts();
+    }
 
-            const totalRevenue = orders.reduce((sum, order) => sum + parseFloat(order.total_amount), 0);
+    static async loadPayouts() {
+        const list = document.getElementById('adminPayoutsList');
+        if (!list) return;
 
-            // Update stats display
-            document.getElementById('totalUsers').textContent = users.length;
-            document.getElementById('totalProducts').textContent = products.length;
-            document.getElementById('totalOrders').textContent = orders.length;
-            document.getElementById('totalRevenue').textContent = Utils.formatPrice(totalRevenue);
+        const status = document.getElementById('payoutStatusFilter').value;
 
+        try {
+            const data = await Utils.makeRequest(`${API_BASE_URL}/payouts${status ? `?status=${status}` : ''}`);
+
+            document.getElementById('platformCommission').textContent =
+                `Commission earned so far: ${Utils.formatPrice(data.platformCommission)} (${Math.round(data.commissionRate * 1000) / 10}% of each sale)`;
+
+            list.innerHTML = data.payouts.length === 0 ? '<p class="form-hint">No payout requests.</p>' : data.payouts.map(payout => `
+                <div class="payout-item">
+                    <div>
+                        <strong>${Utils.formatPrice(payout.amount)}</strong> to ${Utils.escapeHtml(payout.seller_name)}
+                        <span class="form-hint">
+                            ${Utils.escapeHtml(payout.seller_email)} &middot; balance ${Utils.formatPrice(payout.seller_balance)}
+                            &middot; requested ${Utils.formatDateTime(payout.requested_at)}
+                        </span>
+                        ${payout.note ? `<span class="form-hint">${Utils.escapeHtml(payout.note)}</span>` : ''}
+                    </div>
+                    ${payout.status === 'requested' ? `
+                        <div class="payout-actions">
+                            <button type="button" class="btn btn-primary btn-small" onclick="AdminDashboardPage.settlePayout(${payout.id}, 'paid')">Mark Paid</button>
+                            <button type="button" class="btn btn-outline btn-small" onclick="AdminDashboardPage.settlePayout(${payout.id}, 'rejected')">Reject</button>
+                        </div>
+                    ` : `<span class="payout-status ${payout.status}">${payout.status}</span>`}
+                </div>
+            `).join('');
         } catch (error) {
-            console.error('Failed to load admin stats:', error);
-            // Fallback to basic stats
-            this.loadBasicStats();
+            Utils.showToast('Failed to load payouts', 'error');
         }
     }
 
-    static async loadBasicStats() {
+    static async settlePayout(payoutId, status) {
+        const note = prompt(status === 'paid' ? 'Payment reference (optional):' : 'Reason for rejecting (optional):');
+        if (note === null) return;
+
         try {
-            const productsData = await Utils.makeRequest(`${API_BASE_URL}/products`);
-            const products = productsData.products || [];
+            const data = await Utils.makeRequest(`${API_BASE_URL}/payouts/${payoutId}`, {
+                method: 'PUT',
+                body: JSON.stringify({ status, note })
+            });
 
-            document.getElementById('totalProducts').textContent = products.length;
-            document.getElementById('totalUsers').textContent = '4'; // Known from seed data
-            document.getElementById('totalOrders').textContent = '0';
-            document.getElementById('totalRevenue').textContent = '$0';
+            Utils.showToast(data.message, 'success');
+            this.loadPayouts();
         } catch (error) {
-            console.error('Failed to load basic stats:', error);
+            Utils.showToast(error.message, 'error');
         }
     }
 
-    static async loadRecentActivity() {
-        const container = document.getElementById('recentActivity');
-        if (!container) return;
+    static showReturnsModal() {
+        ModalManager.openModal('returnsModal');
 
-        container.innerHTML = `
-            <div class="activity-item">
-                <div class="activity-icon">
-                    <i class="fas fa-info-circle"></i>
-                </div>
-                <div class="activity-content">
-                    <p>Platform monitoring active. All systems operational.</p>
-                    <span class="activity-time">System Status</span>
-                </div>
-            </div>
-        `;
+        if (!this.returnsListening) {
+            this.returnsListening = true;
+            document.addEventListener('ecofinds:returns-changed', () => this.loadReturns());
+        }
+
+        this.loadReturns();
     }
 
-    static async loadUserBreakdown() {
+    static async loadReturns() {
+        const list = document.getElementById('adminReturnsList');
+        if (!list) return;
+
+        const status = document.getElementById('returnStatusFilter').value;
+
         try {
-            // For now, use known seed data
-            document.getElementById('totalBuyers').textContent = '2';
-            document.getElementById('totalSellers').textContent = '1';
-            document.getElementById('totalAdmins').textContent = '1';
+            const data = await Utils.makeRequest(`${API_BASE_URL}/returns${status ? `?status=${status}` : ''}`);
+            list.innerHTML = data.returns.length === 0
+                ? '<p class="form-hint">No returns.</p>'
+                : ReturnsManager.renderReturns(data.returns);
+        } catch (error) {
+            Utils.showToast('Failed to load returns', 'error');
+        }
+    }
 
-            const productsData = await Utils.makeRequest(`${API_BASE_URL}/products`);
-            const products = productsData.products || [];
+    static MODERATION_ACTION_LABELS = {
+        dismiss: 'Dismissed report',
+        hide_listing: 'Hid listing',
+        warn: 'Warned',
+        suspend: 'Suspended',
+        reactivate: 'Reactivated'
+    };
+
+    static showModerationModal() {
+        ModalManager.openModal('moderationModal');
+        this.loadReports();
+        this.loadModerationLog();
+    }
 
-            const activeListings = products.filter(p => p.status === 'available').length;
-            const soldItems = products.filter(p => p.status === 'sold').length;
-            const successRate = activeListings > 0 ? Math.round((soldItems / (activeListings + soldItems)) * 100) : 0;
+    static async loadReports() {
+        const list = document.getElementById('reportsList');
+        if (!list) return;
 
-            document.getElementById('activeListings').textContent = activeListings;
-            document.getElementById('soldItems').textContent = soldItems;
-            document.getElementById('successRate').textContent = successRate + '%';
+        const status = document.getElementById('reportStatusFilter').value;
 
+        try {
+            const data = await Utils.makeRequest(`${API_BASE_URL}/reports?status=${status}`);
+
+            list.innerHTML = data.reports.length === 0 ? '<p class="form-hint">No reports.</p>' : data.reports.map(report => `
+                <div class="report-item">
+                    <div class="report-header">
+                        <strong>
+                            ${report.target_type === 'product'
+                                ? `Listing <a href="product_detail.html?id=${report.product_id}" target="_blank">${Utils.escapeHtml(report.product_title)}</a>
+                                   by ${Utils.escapeHtml(report.reported_user_name)}`
+                                : `User ${Utils.escapeHtml(report.reported_user_full_name || report.reported_user_name)}`}
+                        </strong>
+                        <span class="report-reason">${report.reason}</span>
+                    </div>
+                    <span class="form-hint">
+                        Reported by ${Utils.escapeHtml(report.reporter_name)} &middot; ${Utils.formatDateTime(report.created_at)}
+                        ${report.open_report_count > 1 ? ` &middot; ${report.open_report_count} open reports` : ''}
+                        ${report.reported_user_status === 'suspended' ? ' &middot; account suspended' : ''}
+                        ${report.product_status === 'removed' ? ' &middot; listing hidden' : ''}
+                    </span>
+                    ${report.details ? `<p class="report-details">${Utils.escapeHtml(report.details)}</p>` : ''}
+                    ${report.status === 'open' ? `
+                        <div class="report-actions">
+                            <button type="button" class="btn btn-outline btn-small" onclick="AdminDashboardPage.actOnReport(${report.id}, 'dismiss')">Dismiss</button>
+                            ${report.target_type === 'product' ? `
+                                <button type="button" class="btn btn-outline btn-small" onclick="AdminDashboardPage.actOnReport(${report.id}, 'hide_listing')">Hide Listing</button>
+                            ` : ''}
+                            <button type="button" class="btn btn-outline btn-small" onclick="AdminDashboardPage.actOnReport(${report.id}, 'warn')">Warn</button>
+                            <button type="button" class="btn btn-danger btn-small" onclick="AdminDashboardPage.actOnReport(${report.id}, 'suspend')">Suspend</button>
+                        </div>
+                    ` : `
+                        <span class="form-hint">
+                            ${this.MODERATION_ACTION_LABELS[report.resolution] || report.status}
+                            by ${Utils.escapeHtml(report.resolved_by_name || 'an admin')} &middot; ${Utils.formatDateTime(report.resolved_at)}
+                        </span>
+                    `}
+                </div>
+            `).join('');
         } catch (error) {
-            console.error('Failed to load user breakdown:', error);
+            Utils.showToast('Failed to load reports', 'error');
         }
     }
 
-    static showUsersModal() {
-        // For demo purposes, show basic user info
-        const usersList = document.getElementById('usersList');
-        if (usersList) {
-            usersList.innerHTML = `
-                <div class="user-item">
-                    <div class="user-info">
-                        <strong>admin@ecofinds.com</strong>
-                        <span class="user-role admin">Admin</span>
-                    </div>
-                </div>
-                <div class="user-item">
-                    <div class="user-info">
-                        <strong>seller@ecofinds.com</strong>
-                        <span class="user-role seller">Seller</span>
-                    </div>
+    static async loadModerationLog() {
+        const log = document.getElementById('moderationLog');
+        if (!log) return;
+
+        try {
+            const data = await Utils.makeRequest(`${API_BASE_URL}/reports/actions`);
+
+            log.innerHTML = data.actions.length === 0 ? '<p class="form-hint">No moderation actions yet.</p>' : data.actions.map(action => `
+                <div class="moderation-log-item">
+                    <span>
+                        <strong>${Utils.escapeHtml(action.admin_name)}</strong>
+                        ${this.MODERATION_ACTION_LABELS[action.action] || action.action}
+                        ${action.product_title ? `"${Utils.escapeHtml(action.product_title)}"` : Utils.escapeHtml(action.user_name || '')}
+                        ${action.report_id ? `(report #${action.report_id})` : ''}
+                        ${action.note ? `&middot; ${Utils.escapeHtml(action.note)}` : ''}
+                    </span>
+                    <span class="form-hint">${Utils.formatDateTime(action.created_at)}</span>
                 </div>
-                <div class="user-item">
-                    <div class="user-info">
-                        <strong>user1@ecofinds.com</strong>
-                        <span class="user-role user">User</span>
+            `).join('');
+        } catch (error) {
+            Utils.showToast('Failed to load moderation log', 'error');
+        }
+    }
+
+    static async actOnReport(reportId, action) {
+        const prompts = {
+            dismiss: 'Note for the log (optional):',
+            hide_listing: 'Reason for hiding the listing (optional, shown to the seller):',
+            warn: 'Warning message (optional, shown to the user):',
+            suspend: 'Reason for suspending (optional):'
+        };
+
+        const note = prompt(prompts[action]);
+        if (note === null) return;
+
+        try {
+            const data = await Utils.makeRequest(`${API_BASE_URL}/reports/${reportId}/actions`, {
+                method: 'POST',
+                body: JSON.stringify({ action, note })
+            });
+
+            Utils.showToast(data.resolvedCount > 1 ? `${data.message} (${data.resolvedCount} reports closed)` : data.message, 'success');
+            this.loadReports();
+            this.loadModerationLog();
+        } catch (error) {
+            Utils.showToast(error.message, 'error');
+        }
+    }
+
+    static showCategoriesModal() {
+        ModalManager.openModal('categoriesModal');
+        this.loadCategories();
+    }
+
+    static setupCategoryForms() {
+        const categoryForm = document.getElementById('categoryForm');
+        const attributeForm = document.getElementById('attributeForm');
+        const attributeType = document.getElementById('attributeType');
+        if (!categoryForm || !attributeForm) return;
+
+        categoryForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.createCategory(categoryForm);
+        });
+
+        attributeForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.createAttribute(attributeForm);
+        });
+
+        attributeType.addEventListener('change', () => {
+            document.getElementById('attributeOptionsGroup').style.display = attributeType.value === 'select' ? 'block' : 'none';
+        });
+    }
+
+    static async loadCategories() {
+        const categoriesList = document.getElementById('categoriesList');
+        if (!categoriesList) return;
+
+        try {
+            const data = await Utils.makeRequest(`${API_BASE_URL}/admin/categories`);
+            this.categories = data.categories;
+
+            const options = this.categories.map(category => `
+                <option value="${category.id}">${'&nbsp;&nbsp;&nbsp;'.repeat(category.depth)}${Utils.escapeHtml(category.name)}</option>
+            `).join('');
+            ['newCategoryParent', 'attributeCategory'].forEach(selectId => {
+                const select = document.getElementById(selectId);
+                const selected = select.value;
+                select.innerHTML = select.options[0].outerHTML + options;
+                select.value = selected;
+            });
+
+            categoriesList.innerHTML = this.categories.map(category => `
+                <div class="category-item" style="padding-left: ${1 + category.depth * 1.5}rem">
+                    <div class="category-info">
+                        <strong>${Utils.escapeHtml(category.name)}</strong>
+                        <span>${category.product_count} product${category.product_count === 1 ? '' : 's'}</span>
+                        <div class="category-attribute-list">
+                            ${category.attributes.map(attribute => attribute.category_id === category.id ? `
+                                <span class="category-attribute">
+                                    ${Utils.escapeHtml(attribute.label)} (${attribute.type}${attribute.required ? ', required' : ''})
+                                    <button type="button" title="Remove attribute"
+                                            onclick="AdminDashboardPage.deleteAttribute(${category.id}, ${attribute.id})">
+                                        <i class="fas fa-times"></i>
+                                    </button>
+                                </span>
+                            ` : `
+                                <span class="category-attribute inherited" title="Inherited">${Utils.escapeHtml(attribute.label)}</span>
+                            `).join('')}
+                        </div>
                     </div>
-                </div>
-                <div class="user-item">
-                    <div class="user-info">
-                        <strong>user2@ecofinds.com</strong>
-                        <span class="user-role user">User</span>
+                    <div class="user-admin-actions">
+                        <button class="btn btn-outline btn-small" onclick="AdminDashboardPage.renameCategory(${category.id})">Rename</button>
+                        <button class="btn btn-outline btn-small" onclick="AdminDashboardPage.deleteCategory(${category.id})">Delete</button>
                     </div>
                 </div>
-            `;
+            `).join('');
+
+        } catch (error) {
+            Utils.showToast('Failed to load categories', 'error');
+            console.error('Failed to load categories:', error);
+        }
+    }
+
+    static async createCategory(form) {
+        try {
+            await Utils.makeRequest(`${API_BASE_URL}/admin/categories`, {
+                method: 'POST',
+                body: JSON.stringify({
+                    name: document.getElementById('newCategoryName').value,
+                    parentId: document.getElementById('newCategoryParent').value || null
+                })
+            });
+
+            Utils.showToast('Category added', 'success');
+            form.reset();
+            this.loadCategories();
+        } catch (error) {
+            Utils.showToast(error.message, 'error');
+        }
+    }
+
+    static async renameCategory(categoryId) {
+        const category = this.categories.find(c => c.id === categoryId);
+        const name = prompt('New name for this category:', category ? category.name : '');
+        if (!name) return;
+
+        try {
+            await Utils.makeRequest(`${API_BASE_URL}/admin/categories/${categoryId}`, {
+                method: 'PUT',
+                body: JSON.stringify({ name })
+            });
+
+            Utils.showToast('Category renamed', 'success');
+            this.loadCategories();
+        } catch (error) {
+            Utils.showToast(error.message, 'error');
+        }
+    }
+
+    static async deleteCategory(categoryId) {
+        if (!confirm('Delete this category?')) return;
+
+        try {
+            await Utils.makeRequest(`${API_BASE_URL}/admin/categories/${categoryId}`, {
+                method: 'DELETE'
+            });
+
+            Utils.showToast('Category deleted', 'success');
+            this.loadCategories();
+        } catch (error) {
+            Utils.showToast(error.message, 'error');
+        }
+    }
+
+    static async createAttribute(form) {
+        const categoryId = document.getElementById('attributeCategory').value;
+
+        try {
+            await Utils.makeRequest(`${API_BASE_URL}/admin/categories/${categoryId}/attributes`, {
+                method: 'POST',
+                body: JSON.stringify({
+                    name: document.getElementById('attributeName').value.trim(),
+                    label: document.getElementById('attributeLabel').value.trim(),
+                    type: document.getElementById('attributeType').value,
+                    options: document.getElementById('attributeOptions').value,
+                    required: document.getElementById('attributeRequired').checked
+                })
+            });
+
+            Utils.showToast('Attribute added', 'success');
+            form.reset();
+            document.getElementById('attributeOptionsGroup').style.display = 'none';
+            this.loadCategories();
+        } catch (error) {
+            Utils.showToast(error.message, 'error');
+        }
+    }
+
+    static async deleteAttribute(categoryId, attributeId) {
+        if (!confirm('Remove this attribute? Values already saved on listings are kept but no longer shown in forms.')) return;
+
+        try {
+            await Utils.makeRequest(`${API_BASE_URL}/admin/categories/${categoryId}/attributes/${attributeId}`, {
+                method: 'DELETE'
+            });
+
+            Utils.showToast('Attribute removed', 'success');
+            this.loadCategories();
+        } catch (error) {
+            Utils.showToast(error.message, 'error');
+        }
+    }
+
+    static async unlistProduct(productId) {
+        if (!confirm('Unlist this product? It will be hidden from the marketplace.')) return;
+
+        try {
+            await Utils.makeRequest(`${API_BASE_URL}/admin/products/${productId}/unlist`, {
+                method: 'PUT'
+            });
+
+            Utils.showToast('Product unlisted', 'success');
+            setTimeout(() => window.location.reload(), 1000);
+        } catch (error) {
+            Utils.showToast(error.message, 'error');
         }
-        ModalManager.openModal('usersModal');
     }
 }
 
@@ -2177,6 +5172,8 @@ class SettingsPage {
         document.getElementById('email').value = user.email || '';
         document.getElementById('phone').value = user.phone || '';
         document.getElementById('address').value = user.address || '';
+        document.getElementById('postcode').value = user.postcode || '';
+        document.getElementById('city').value = user.city || '';
 
         if (user.profile_picture) {
             document.getElementById('profilePicture').src = `/${user.profile_picture}`;
@@ -2229,7 +5226,9 @@ class SettingsPage {
             username: formData.get('username'),
             email: formData.get('email'),
             phone: formData.get('phone'),
-            address: formData.get('address')
+            address: formData.get('address'),
+            postcode: formData.get('postcode'),
+            city: formData.get('city')
         };
 
         try {
@@ -0,0 +1,18 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { run, get, databaseReady, closeDatabase } = require('./helpers');
+const { createOffer, acceptOffer } = require('../backend/services/offers');
+
+before(databaseReady);
+after(closeDatabase);
+
+test('accepting an offer brings the buyer\'s cart quantity down to the one unit it covers', async () => {
+    await run(`UPDATE products SET stock = 4, status = 'available' WHERE id = 4`);
+    const { lastID: cartId } = await run('INSERT INTO cart (user_id, product_id, quantity) VALUES (3, 4, 3)');
+    const { price, seller_id: sellerId } = await get('SELECT price, seller_id FROM products WHERE id = 4');
+
+    const offer = await createOffer(3, { productId: 4, amount: price - 1 });
+    await acceptOffer(offer.id, sellerId);
+
+    assert.strictEqual((await get('SELECT quantity FROM cart WHERE id = ?', [cartId])).quantity, 1);
+});
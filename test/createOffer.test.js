@@ -0,0 +1,26 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { run, get, databaseReady, closeDatabase } = require('./helpers');
+const { createOffer, acceptOffer } = require('../backend/services/offers');
+
+before(databaseReady);
+after(closeDatabase);
+
+test('an offer that has lapsed does not block a new one before the expiry timer closes it', async () => {
+    await run(`UPDATE products SET stock = 1, status = 'available' WHERE id = 5`);
+    const { price, seller_id: sellerId } = await get('SELECT price, seller_id FROM products WHERE id = 5');
+
+    const first = await createOffer(3, { productId: 5, amount: price - 1 });
+    await assert.rejects(createOffer(3, { productId: 5, amount: price - 2 }), { status: 409 });
+
+    await run(`UPDATE offers SET expires_at = datetime('now', '-1 minute') WHERE id = ?`, [first.id]);
+    const second = await createOffer(3, { productId: 5, amount: price - 2 });
+    assert.strictEqual(second.status, 'pending');
+
+    // Nor does an accepted offer that lapsed while it held the last unit
+    await acceptOffer(second.id, sellerId);
+    assert.strictEqual((await get('SELECT status FROM products WHERE id = 5')).status, 'reserved');
+    await run(`UPDATE offers SET expires_at = datetime('now', '-1 minute') WHERE id = ?`, [second.id]);
+    const third = await createOffer(3, { productId: 5, amount: price - 3 });
+    assert.strictEqual(third.status, 'pending');
+});
@@ -0,0 +1,43 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { run, get, databaseReady, placeOrder, eventually, closeDatabase } = require('./helpers');
+const { expireUnpaidOrders } = require('../backend/payments');
+
+before(databaseReady);
+after(closeDatabase);
+
+test('cancels orders left unpaid too long and puts their units back on sale', async () => {
+    await run(`UPDATE products SET stock = 1, status = 'available' WHERE id = 1`);
+    const order = await placeOrder({ productId: 1, minutesAgo: 120 });
+    const { lastID: paymentId } = await run(`
+        INSERT INTO payments (order_id, user_id, provider, provider_intent_id, amount, status)
+        VALUES (?, 3, 'mock', 'pi_test_declined', ?, 'failed')
+    `, [order.parentId, order.total]);
+
+    assert.strictEqual((await get('SELECT status FROM products WHERE id = 1')).status, 'sold');
+
+    assert.strictEqual(await expireUnpaidOrders(), 1);
+
+    assert.strictEqual((await get('SELECT status FROM orders WHERE id = ?', [order.subOrderId])).status, 'cancelled');
+    assert.strictEqual((await get('SELECT status FROM payments WHERE id = ?', [paymentId])).status, 'cancelled');
+    await eventually(async () => {
+        assert.strictEqual((await get('SELECT status FROM orders WHERE id = ?', [order.parentId])).status, 'cancelled');
+        assert.deepStrictEqual({ ...(await get('SELECT stock, status FROM products WHERE id = 1')) }, { stock: 1, status: 'available' });
+    });
+});
+
+test('leaves recent orders and orders with a payment under way alone', async () => {
+    await run(`UPDATE products SET stock = 5, status = 'available' WHERE id = 2`);
+    const recent = await placeOrder({ productId: 2, minutesAgo: 5 });
+    const paying = await placeOrder({ productId: 2, minutesAgo: 120 });
+    await run(`
+        INSERT INTO payments (order_id, user_id, provider, provider_intent_id, amount, status)
+        VALUES (?, 3, 'mock', 'pi_test_processing', ?, 'processing')
+    `, [paying.parentId, paying.total]);
+
+    assert.strictEqual(await expireUnpaidOrders(), 0);
+
+    assert.strictEqual((await get('SELECT status FROM orders WHERE id = ?', [recent.subOrderId])).status, 'pending');
+    assert.strictEqual((await get('SELECT status FROM orders WHERE id = ?', [paying.subOrderId])).status, 'pending');
+    assert.strictEqual((await get('SELECT stock FROM products WHERE id = 2')).stock, 3);
+});
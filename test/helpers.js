@@ -0,0 +1,89 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Every test file runs in its own process, against its own throwaway database
+const dbPath = path.join(os.tmpdir(), `ecofinds-test-${process.pid}.db`);
+process.env.DATABASE_PATH = dbPath;
+
+const db = require('../database/init');
+
+function run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) return reject(err);
+            resolve({ lastID: this.lastID, changes: this.changes });
+        });
+    });
+}
+
+function get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    });
+}
+
+function all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+}
+
+// Resolves once the schema and the sample data are in place: admin (1), seller (2) and user1 (3),
+// and products 1-6 listed by the seller
+async function databaseReady() {
+    for (let attempt = 0; attempt < 100; attempt++) {
+        const row = await get('SELECT COUNT(*) as count FROM products').catch(() => null);
+        if (row && row.count >= 6) return;
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error('The test database was not set up in time');
+}
+
+// Place an order the way checkout leaves it: a buyer order with one seller order holding the item,
+// its units taken out of stock, and no payment yet. `minutesAgo` backdates it.
+async function placeOrder({ buyerId = 3, productId, quantity = 1, minutesAgo = 0 }) {
+    const product = await get('SELECT * FROM products WHERE id = ?', [productId]);
+    const total = product.price * quantity;
+    const placedAt = `-${minutesAgo} minutes`;
+    const orderNumber = `TEST-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+
+    const { lastID: parentId } = await run(`
+        INSERT INTO orders (user_id, total_amount, status, order_number, created_at)
+        VALUES (?, ?, 'pending', ?, datetime('now', ?))
+    `, [buyerId, total, orderNumber, placedAt]);
+    const { lastID: subOrderId } = await run(`
+        INSERT INTO orders (user_id, total_amount, status, order_number, parent_order_id, seller_id, created_at)
+        VALUES (?, ?, 'pending', ?, ?, ?, datetime('now', ?))
+    `, [buyerId, total, `${orderNumber}-1`, parentId, product.seller_id, placedAt]);
+    await run('INSERT INTO order_items (order_id, product_id, quantity, price) VALUES (?, ?, ?, ?)', [subOrderId, productId, quantity, product.price]);
+    await run(`
+        UPDATE products SET stock = stock - ?, status = CASE WHEN stock - ? <= 0 THEN 'sold' ELSE status END
+        WHERE id = ?
+    `, [quantity, quantity, productId]);
+
+    return { parentId, subOrderId, total };
+}
+
+// Retry `check` until it stops throwing, for work the app finishes in the background
+// (e.g. a buyer order's status following its seller orders)
+async function eventually(check, timeoutMs = 2000) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        try {
+            return await check();
+        } catch (err) {
+            if (Date.now() > deadline) throw err;
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+    }
+}
+
+function closeDatabase() {
+    return new Promise(resolve => db.close(() => {
+        [dbPath, `${dbPath}-journal`].forEach(file => fs.rmSync(file, { force: true }));
+        resolve();
+    }));
+}
+
+module.exports = { db, run, get, all, databaseReady, placeOrder, eventually, closeDatabase };
@@ -0,0 +1,92 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { run, get, databaseReady, placeOrder, closeDatabase } = require('./helpers');
+const { getProvider, refundOrder } = require('../backend/payments');
+
+before(databaseReady);
+after(closeDatabase);
+
+// A paid order: its seller order confirmed and a succeeded payment covering it
+async function placePaidOrder(productId) {
+    await run(`UPDATE products SET stock = 5, status = 'available' WHERE id = ?`, [productId]);
+    const order = await placeOrder({ productId });
+    await run(`UPDATE orders SET status = 'confirmed' WHERE id IN (?, ?)`, [order.parentId, order.subOrderId]);
+    await run(`
+        INSERT INTO payments (order_id, user_id, provider, provider_intent_id, amount, status)
+        VALUES (?, 3, 'mock', ?, ?, 'succeeded')
+    `, [order.parentId, `pi_test_${order.parentId}`, order.total]);
+    return order;
+}
+
+// Count the provider's refunds, and make each one slow enough for concurrent refunds to overlap
+function watchProviderRefunds() {
+    const provider = getProvider('mock');
+    const original = provider.refund;
+    const calls = [];
+    provider.refund = async (intentId, amount) => {
+        calls.push(amount);
+        await new Promise(resolve => setTimeout(resolve, 50));
+        return original.call(provider, intentId, amount);
+    };
+    return { calls, restore: () => { provider.refund = original; } };
+}
+
+test('two full refunds of one order at once pay out once', async () => {
+    const order = await placePaidOrder(1);
+    const provider = watchProviderRefunds();
+
+    try {
+        const results = await Promise.all([
+            refundOrder(order.subOrderId, 'Order cancelled'),
+            refundOrder(order.subOrderId, 'Order refunded')
+        ]);
+
+        assert.deepStrictEqual(provider.calls, [order.total]);
+        assert.strictEqual(results.filter(Boolean).length, 1);
+    } finally {
+        provider.restore();
+    }
+
+    const { refunded } = await get('SELECT SUM(amount) as refunded FROM payment_refunds WHERE order_id = ?', [order.subOrderId]);
+    assert.strictEqual(refunded, order.total);
+    const payment = await get('SELECT status, refunded_amount FROM payments WHERE order_id = ?', [order.parentId]);
+    assert.deepStrictEqual({ ...payment }, { status: 'refunded', refunded_amount: order.total });
+});
+
+test('a partial refund and a full refund at once never give back more than was paid', async () => {
+    const order = await placePaidOrder(2);
+    const provider = watchProviderRefunds();
+
+    try {
+        await Promise.all([
+            refundOrder(order.subOrderId, 'Return #1', 20),
+            refundOrder(order.subOrderId, 'Order cancelled')
+        ]);
+    } finally {
+        provider.restore();
+    }
+
+    assert.strictEqual(provider.calls.reduce((sum, amount) => sum + amount, 0), order.total);
+    const { refunded_amount: orderRefunded } = await get('SELECT refunded_amount FROM orders WHERE id = ?', [order.subOrderId]);
+    assert.strictEqual(orderRefunded, order.total);
+});
+
+test('a refund the provider turns down is released for a later retry', async () => {
+    const order = await placePaidOrder(3);
+    const provider = getProvider('mock');
+    const original = provider.refund;
+    provider.refund = async () => { throw new Error('Provider unavailable'); };
+
+    try {
+        await assert.rejects(refundOrder(order.subOrderId, 'Order cancelled'), /Provider unavailable/);
+    } finally {
+        provider.refund = original;
+    }
+
+    const retried = await refundOrder(order.subOrderId, 'Order cancelled');
+    assert.strictEqual(retried.amount, order.total);
+    const statuses = await get(`
+        SELECT GROUP_CONCAT(status) as statuses FROM (SELECT status FROM payment_refunds WHERE order_id = ? ORDER BY id)
+    `, [order.subOrderId]);
+    assert.strictEqual(statuses.statuses, 'failed,succeeded');
+});
@@ -0,0 +1,34 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { run, get, databaseReady, closeDatabase } = require('./helpers');
+const { reserveCart } = require('../backend/services/cartReservations');
+
+before(databaseReady);
+after(closeDatabase);
+
+test('a hold that ran out cannot be renewed straight away', async () => {
+    await run(`UPDATE products SET stock = 3, status = 'available' WHERE id = 3`);
+    await run('DELETE FROM cart WHERE user_id = 3');
+    const { lastID: cartId } = await run('INSERT INTO cart (user_id, product_id, quantity) VALUES (3, 3, 1)');
+
+    const first = await reserveCart(3);
+    assert.strictEqual(first.reservedCount, 1);
+    assert.ok(first.secondsLeft > 0);
+
+    // Clicking again does not push the end time out
+    const again = await reserveCart(3);
+    assert.strictEqual(again.reservedUntil, first.reservedUntil);
+
+    // Once the hold runs out the item stays unheld for the cooldown...
+    await run(`UPDATE cart SET reserved_until = datetime('now', '-1 minute') WHERE id = ?`, [cartId]);
+    const lapsed = await reserveCart(3);
+    assert.strictEqual(lapsed.reservedCount, 0);
+    assert.strictEqual(lapsed.secondsLeft, 0);
+    assert.ok((await get('SELECT reserved_until FROM cart WHERE id = ?', [cartId])).reserved_until < first.reservedUntil);
+
+    // ...and can be held again after it
+    await run(`UPDATE cart SET rehold_after = datetime('now', '-1 minute') WHERE id = ?`, [cartId]);
+    const renewed = await reserveCart(3);
+    assert.strictEqual(renewed.reservedCount, 1);
+    assert.ok(renewed.secondsLeft > 0);
+});